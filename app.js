@@ -2,9 +2,9 @@
   Mapa Interactivo de Argentina a partir de data.csv
   CSV esperado: Region (numero), Barrio (string), Direccion (string)
   - Carga CSV con PapaParse
-  - Geocodifica direcciones con Nominatim (OSM) + cache en localStorage
+  - Geocodifica direcciones con un proveedor intercambiable (ver geocoders.js) + cache en IndexedDB (ver geocache.js)
   - Dibuja marcadores en Leaflet con clustering (leaflet.markercluster)
-  - Filtro por texto y por región
+  - Filtro por texto, región y barrio
   - UI gamificada con progreso y confetti al completar geocodificación
 */
 
@@ -15,53 +15,177 @@ const MAP_INITIAL = {
     maxZoom: 18,
 };
 
-const NOMINATIM_ENDPOINT = 'https://nominatim.openstreetmap.org/search';
+// Mapa base: CARTO Positron (claro/blanco). tileUrls arma las mismas URLs para guardarlas sin conexión
+const BASEMAP = {
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; OpenStreetMap & CARTO',
+    subdomains: 'abcd',
+    maxZoom: 20,
+};
+// Caches compartidas con sw.js (mismos nombres)
+const OFFLINE_CACHES = {
+    tiles: 'nuevoimpulso-tiles',
+    data: 'nuevoimpulso-data',
+};
+const LAST_DATASET_URL = './last-dataset.json'; // clave del último dataset cargado dentro de OFFLINE_CACHES.data
+const MAX_OFFLINE_TILES = 5000; // tope por descarga, para no abusar del servidor de mosaicos
+// Límites para el modo coroplético (servidos junto a la app; departamentos es opcional y
+// aparece en el panel solo si el archivo está publicado, ver detectBoundaryLevels)
+const BOUNDARY_SOURCES = {
+    provincias: './data/provincias.geojson',
+    departamentos: './data/departamentos.geojson',
+};
+const POPULATION_SOURCE = './data/poblacion-provincias.json'; // Censo 2022 por provincia (código ISO)
+// Datos que se cargan solos al abrir la app (se pueden reemplazar con ?data=<url> y ?cache=<url>)
+const DATASET_SOURCES = {
+    data: './data.csv',
+    cache: './geocoded.json',
+};
 const USER_AGENT_EMAIL = 'example@example.com'; // opcional: reemplazar por un email propio para cortesía
-let RATE_LIMIT_MS = 1200; // ajustable por UI
-const PARALLEL_REQUESTS = 4; // concurrencia controlada
+const PARALLEL_REQUESTS = 4; // concurrencia por defecto de la cola de geocodificación
+const { MATCH_LABELS } = Dataset; // cómo se obtuvo cada coordenada (ver dataset.js)
+const { t } = I18n; // textos de la interfaz en el idioma elegido (ver i18n.js y locales/)
 
 // Estado global
 let map, clusterGroup, allMarkers = [], allData = [];
+const markerIndex = Spatial.createGridIndex(); // índice espacial de allMarkers (ver spatial.js): conteo en pantalla y cercanos
+let pendingMarkers = []; // marcadores geocodificados que esperan sumarse al grupo (ver queueMarker)
+const MARKER_BATCH = 2000; // filas con coordenadas por tanda al cargar; entre tanda y tanda se libera el hilo
+const GROUP_BATCH = 5000; // marcadores por tanda al (re)armar el grupo (ver addMarkersToGroup)
+let groupLoadId = 0; // cambia al vaciar o reemplazar el grupo: las tandas pendientes quedan obsoletas
 let originalRows = []; // filas en el orden original del CSV
 let originalFields = []; // encabezados originales del CSV
 let clusterRadiusSetting = 40; // 0..100 desde el slider
-let preloadedGeocoded = {}; // direccion-> {lat,lon}
+let geoCache = null; // cache de coordenadas (ver geocache.js)
+const GEOCACHE_TTL_DAYS = 180; // vencimiento de resultados de proveedores
 let initialCacheOnly = true; // al inicio, intentar dibujar desde cache sin CSV
-let lastGeocodeTs = 0;
+let geocodeQueue = null; // cola compartida (ver setupGeocodeQueue)
+let queueSettings = { concurrency: PARALLEL_REQUESTS, rateLimitMs: null }; // rateLimitMs null = el del proveedor
+let currentRun = 0; // id de la corrida activa de processData; las anteriores quedan obsoletas
+let failedRows = []; // [{ row, query, error }] filas de allData que no se pudieron ubicar
+let pickState = null; // ubicación manual en curso: { row, marker }
+let editMode = false; // edición en el mapa: mover, editar, agregar y eliminar encuentros (ver setEditMode)
+let editHistory = { undo: [], redo: [] }; // [{ label, undo(), redo() }] cambios hechos en modo edición (label: clave del catálogo)
+let editsUnsaved = false; // hay cambios que todavía no se exportaron (se avisa antes de salir)
+const EDIT_HISTORY_LIMIT = 200; // pasos que se pueden deshacer
+const NEW_DATASET_FIELDS = ['Region', 'Barrio', 'Direccion']; // columnas al agregar encuentros sin archivo cargado
+let filters = { text: '', regions: new Set(), barrios: new Set(), hidden: new Set(), area: null, time: null }; // filtros activos (hidden: categorías apagadas en la leyenda, area: área elegida en el coroplético, time: { from, to } de la línea de tiempo)
+let styleSettings = { column: '', palette: 'nuevo-impulso', custom: '' }; // color de marcadores (column '' = Región)
+let categoryScale = null; // color y forma por categoría (ver refreshCategoryStyles)
+let legendControl = null;
+let timeSettings = { column: null }; // columna con la fecha de cada encuentro (null = la primera detectada, '' = ninguna)
+let dateColumns = []; // columnas del archivo que parecen fechas (ver Timeline.detectDateColumns)
+let timelineBins = []; // un casillero por mes (ver Timeline.monthlyHistogram)
+let timelinePlayer = null; // intervalo de la reproducción en curso
+const TIMELINE_STEP_MS = 700; // cuánto dura cada mes al reproducir
+let viewMode = 'markers'; // 'markers' | 'heatmap' | 'choropleth'
+let choroplethSettings = { level: 'provincias', metric: 'count' }; // metric: 'count' | 'perCapita'
+let heatLayer = null, choroplethLayer = null, choroplethLegend = null;
+const boundaryCache = {}; // nivel -> { index } (ver loadBoundaries)
+let fieldMapping = null; // columnas por rol { address, barrio, region, city, lat, lon } de la capa activa (null = nombres habituales)
+let datasetLayers = []; // un archivo por capa, en el orden en que se cargaron: [{ id, name, color, visible, fields, mapping, source, overlay }]
+const layersById = new Map(); // id -> capa (cada fila guarda el id de su capa en row._layer)
+let layerSeq = 0;
+let activeLayerId = null; // capa que se revisa con "Revisar datos" y a la que se suman los encuentros nuevos
+let layerControl = null; // control de capas de Leaflet (mostrar / ocultar cada archivo)
+let compareLayers = false; // comparar: solo las direcciones que aparecen en más de una capa
+let sharedAddresses = new Map(); // addressKey -> Set de ids de capa, para las direcciones que están en varias
+const LAYER_STYLE = '__capa__'; // styleSettings.column para colorear por capa
+let importState = null; // asistente de importación abierto (ver openImportWizard)
+let validationState = null; // revisión de datos abierta (ver openValidation)
+let posterState = null; // diálogo del póster abierto: { busy } (ver openPoster)
+let datasetIssues = []; // problemas del archivo cargado (ver validateRows)
+let offlineZoom = { min: 5, max: 12 }; // rango de zoom a guardar sin conexión
+let tileDownload = null; // descarga de mosaicos en curso: { queue }
+let permalinkReady = false; // el hash no se reescribe hasta aplicar el enlace con el que se abrió la app
+let drawnWaiters = []; // esperan a que la carga en curso dibuje lo que no pasa por la cola (ver whenDataDrawn)
+let openMarkerKey = null; // clave (addressKey) del marcador con el popup abierto
+let nearestState = null; // búsqueda de cercanos en pantalla: { origin, label, results, layer }
+let nearestLimit = 5; // cuántos encuentros listar
+let selectionTool = null; // herramienta de selección activa: 'rectangle' | 'lasso' | 'radius'
+let selectionDraft = null; // figura que se está dibujando: { start, latlngs, layer }
+let selection = null; // zona seleccionada: { shape, outline, highlight, markers, rows }
 let confettiEnabled = false;
 const LS_CONFETTI = 'ui:confettiEnabled';
+let geocoderSetting = { id: 'nominatim', url: '' }; // proveedor elegido en el panel
+let geocoder = null; // instancia activa (ver getGeocoder)
+let lookupStats = { cache: 0, provider: 0 }; // búsquedas de la corrida actual resueltas con la cache o consultando al proveedor
+let geocodeProgress = { done: 0, total: 0 }; // filas procesadas por processData (ver setProgress)
+let panelTab = 'controls'; // pestaña del panel: 'controls' | 'stats' | 'list'
+const LIST_PAGE = 100; // filas de la lista por tanda ("Mostrar más" suma otra)
+let listState = { sort: 'address', dir: 1, limit: LIST_PAGE, inView: false, returnTo: null }; // lista de encuentros (ver renderList); returnTo: marcador abierto desde la lista
+let unlocatedLimit = LIST_PAGE; // filas de "Sin ubicar" en el panel (ver renderUnlocated)
+let parseWorker = null; // worker de lectura (ver parseData); false si no se puede usar
+const parseJobs = new Map(); // id -> { resolve, reject, inline } de los archivos que está leyendo el worker
 
 // UI refs
 const statTotal = () => document.getElementById('stat-total');
 const statGeocoded = () => document.getElementById('stat-geocoded');
+const statFailed = () => document.getElementById('stat-failed');
 const statVisible = () => document.getElementById('stat-visible');
 const progressBar = () => document.getElementById('progress-bar');
 const progressText = () => document.getElementById('progress-text');
 const controlPanel = () => document.getElementById('control-panel');
-const LS_KEYS = { cluster: 'ui:clusterRadius' };
+const LS_KEYS = {
+    cluster: 'ui:clusterRadius',
+    geocoder: 'ui:geocoderProvider',
+    geocoderUrl: 'ui:geocoderUrl',
+    concurrency: 'ui:geocodeConcurrency',
+    rateLimit: 'ui:geocodeRateLimit',
+    mapping: 'ui:mapping:', // + firma de encabezados (ver Importers.headerSignature)
+    styleColumn: 'ui:styleColumn',
+    stylePalette: 'ui:stylePalette',
+    styleCustom: 'ui:styleCustomPalette',
+    viewMode: 'ui:viewMode',
+    choroplethLevel: 'ui:choroplethLevel',
+    choroplethMetric: 'ui:choroplethMetric',
+    dateColumn: 'ui:dateColumn',
+    nearestLimit: 'ui:nearestLimit',
+    offlineMinZoom: 'ui:offlineMinZoom',
+    offlineMaxZoom: 'ui:offlineMaxZoom',
+    panelTab: 'ui:panelTab',
+    locale: 'ui:locale',
+};
 
 // Helpers
 function sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
-function keyFor(address) { return `geo:${address.toLowerCase()}`; }
-function normalizeAddressForKey(address) { return (address || '').toLowerCase().trim(); }
-function parseNumberFlexible(v) {
-    if (v == null) return NaN;
-    const s = String(v).trim().replace(',', '.');
-    return parseFloat(s);
-}
-function getCoordsFromRow(row) {
-    const latKeys = ['Lat', 'lat', 'LAT', 'Latitude', 'latitude', 'Latitud', 'latitud', 'Y', 'y'];
-    const lonKeys = ['Lon', 'lon', 'LON', 'Lng', 'lng', 'Long', 'long', 'Longitude', 'longitude', 'Longitud', 'longitud', 'X', 'x'];
-    let lat; let lon;
-    for (const k of latKeys) { if (row[k] != null && row[k] !== '') { lat = parseNumberFlexible(row[k]); break; } }
-    for (const k of lonKeys) { if (row[k] != null && row[k] !== '') { lon = parseNumberFlexible(row[k]); break; } }
-    if (Number.isFinite(lat) && Number.isFinite(lon)) return { lat, lon };
-    return null;
+// Crea un elemento con propiedades e hijos (nodos o texto)
+function el(tag, props = {}, children = []) {
+    const node = Object.assign(document.createElement(tag), props);
+    children.forEach(c => node.append(c));
+    return node;
+}
+// Textos del archivo que terminan dentro de HTML (p. ej. el nombre de una capa en el control de Leaflet)
+function escapeHtml(v) {
+    return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
+// Nombre de un id que define otro módulo (tipo de coordenada, paleta, proveedor...): el del catálogo del idioma
+// o, si el catálogo no lo tiene (p. ej. un proveedor agregado después), el que trae el módulo
+function labelFor(prefix, id, fallback) {
+    const key = `${prefix}.${id}`;
+    const text = t(key);
+    return text === key ? fallback : text;
+}
+function matchLabel(type) { return type ? labelFor('match', type, MATCH_LABELS[type] || type) : t('common.noData'); }
+const { parseNumberFlexible, normalizeAddressForKey, readGeoColumns } = Dataset;
+// Accesores de columnas según el mapeo de la capa de la fila (el CSV puede venir con o sin tildes / en minúsculas)
+function layerOf(row) { return layersById.get(row._layer) || null; }
+function mappingOf(row) { const layer = layerOf(row); return layer ? layer.mapping : fieldMapping; }
+function rowDireccion(row) { return Dataset.rowText(row, mappingOf(row), 'address'); }
+function rowBarrio(row) { return Dataset.rowText(row, mappingOf(row), 'barrio'); }
+function rowRegion(row) { return Dataset.rowText(row, mappingOf(row), 'region'); }
+function rowCity(row) { return Dataset.rowText(row, mappingOf(row), 'city'); }
+// Clave de cache de una fila: "direccion, barrio[, localidad]" (la misma para filas con y sin coordenadas)
+function addressKey(row) { return Dataset.addressKey(row, mappingOf(row)); }
+function getCoordsFromRow(row) { return Dataset.coordsOf(row, mappingOf(row)); }
 function setProgress(done, total) {
     const pct = total ? Math.round((done / total) * 100) : 0;
     progressBar().style.width = `${pct}%`;
-    progressText().textContent = `${done}/${total} geocodificados (${pct}%)`;
+    // Con la cola en pausa el aviso sigue ahí aunque lleguen resultados ya en curso
+    const paused = !!(geocodeQueue && geocodeQueue.stats().paused);
+    setStatus(t('progress.status', { done, total, pct }) + (paused ? ` — ${t('progress.paused')}` : ''));
+    geocodeProgress = { done, total };
+    scheduleDashboard();
 }
 
 function fireConfetti() {
@@ -132,510 +256,3796 @@ function stopConfetti() {
     }
 }
 
-function loadCSVFromFile(file) {
+// Worker de lectura compartido; si el navegador no lo permite (p. ej. abriendo index.html
+// como file://) o no llega a cargar, se lee en el hilo principal
+function getParseWorker() {
+    if (parseWorker === null) {
+        try {
+            parseWorker = new Worker('./parse-worker.js');
+            parseWorker.onmessage = (e) => {
+                const job = parseJobs.get(e.data.id);
+                if (!job) return;
+                parseJobs.delete(e.data.id);
+                if (e.data.error) job.reject(new Error(e.data.error));
+                else job.resolve(e.data.result);
+            };
+            parseWorker.onerror = (e) => {
+                console.warn('Worker de lectura no disponible; se lee en el hilo principal', e.message || e);
+                if (e.preventDefault) e.preventDefault();
+                parseWorker.terminate();
+                parseWorker = false;
+                const pending = Array.from(parseJobs.values());
+                parseJobs.clear();
+                pending.forEach(job => job.inline());
+            };
+        } catch (_) {
+            parseWorker = false;
+        }
+    }
+    return parseWorker || null;
+}
+
+/**
+ * parseData(buffer, format, options)
+ * Importers.parseFile + normalizeRows en el worker de lectura (parse-worker.js).
+ * KML se lee acá porque necesita DOMParser. Resuelve con { rows, fields, ... }.
+ */
+function parseData(buffer, format, options = {}) {
+    const inline = () => {
+        const result = Importers.parseFile(buffer, format, options);
+        result.rows = Importers.normalizeRows(result.rows, result.fields);
+        return result;
+    };
+    const worker = format !== 'kml' && getParseWorker();
+    if (!worker) return Promise.resolve().then(inline);
     return new Promise((resolve, reject) => {
-        Papa.parse(file, {
-            header: true,
-            skipEmptyLines: true,
-            complete: (results) => {
-                const rows = results.data || [];
-                const fields = (results.meta && results.meta.fields) ? results.meta.fields : Object.keys(rows[0] || {});
-                resolve({ rows, fields });
-            },
-            error: (err) => reject(err),
+        const id = (parseData._id = (parseData._id || 0) + 1);
+        parseJobs.set(id, {
+            resolve,
+            reject,
+            inline: () => { try { resolve(inline()); } catch (e) { reject(e); } },
         });
+        // Se copia el buffer (sin transferirlo): el asistente lo vuelve a leer al cambiar opciones
+        worker.postMessage({ id, buffer, format, options });
     });
 }
 
-async function geocodeAddress(q) {
-    // Cache local
-    const k = keyFor(q);
-    const cached = localStorage.getItem(k);
-    if (cached) return JSON.parse(cached);
-    // Cache precargada (geocoded.json) en memoria
-    const norm = normalizeAddressForKey(q);
-    if (preloadedGeocoded[norm]) {
-        localStorage.setItem(k, JSON.stringify(preloadedGeocoded[norm]));
-        return preloadedGeocoded[norm];
-    }
+/**
+ * fetchOptional(url)
+ * Devuelve la Response, o null si el archivo no existe. En el deploy (vercel.json)
+ * las rutas inexistentes caen en index.html con 200, así que una respuesta HTML
+ * también cuenta como "no existe".
+ */
+async function fetchOptional(url) {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`HTTP ${res.status} al pedir ${url}`);
+    const type = (res.headers && res.headers.get('Content-Type')) || '';
+    if (/text\/html/i.test(type)) return null;
+    return res;
+}
+
+async function loadCSVFromUrl(url) {
+    const res = await fetchOptional(url);
+    if (!res) return null;
+    return parseData(await res.arrayBuffer(), 'csv');
+}
+
+// "https://sitio/datos/2024.csv?v=2" -> "2024.csv" (nombre de la capa)
+function datasetName(url) {
+    const path = String(url).split(/[?#]/)[0];
+    return path.slice(path.lastIndexOf('/') + 1) || 'Datos';
+}
+
+// Lee ?data= y ?cache= (relativas a la página); sin parámetros usa DATASET_SOURCES.
+// Solo rutas del mismo sitio: un enlace a datos de otro dominio se vería como publicado acá
+// (y una caché ajena metería coordenadas en la del visitante). Las rechazadas y las que no
+// se pueden leer como URL quedan en null.
+function resolveDatasetSources() {
+    const params = new URLSearchParams(location.search);
+    const sameOrigin = (v) => {
+        let url;
+        try { url = new URL(v, location.href); } catch (_) { return null; }
+        return url.origin === location.origin ? url.href : null;
+    };
+    return {
+        data: sameOrigin(params.get('data') || DATASET_SOURCES.data),
+        cache: sameOrigin(params.get('cache') || DATASET_SOURCES.cache),
+        // Si vinieron por parámetro, que falten es un error visible; los por defecto son opcionales
+        explicitData: params.has('data'),
+        explicitCache: params.has('cache'),
+        params,
+    };
+}
+
+// Mensaje de estado bajo la barra de progreso (kind: 'error' lo resalta)
+function setStatus(text, kind = '') {
+    const el = progressText();
+    el.textContent = text;
+    el.classList.toggle('error', kind === 'error');
+}
+
+// Geocodificación con la cache, la cola y el proveedor activos (ver Dataset.createRowGeocoder)
+// group: id de la capa, para cancelar solo lo suyo (ver JobQueue cancel)
+function rowGeocoder(group = null) {
+    const queue = { push: fn => geocodeQueue.push(fn, group) };
+    return Dataset.createRowGeocoder({ cache: geoCache, queue, provider: getGeocoder, onLookup: source => { lookupStats[source]++; } });
+}
+// q: texto o consulta estructurada { text, street, barrio, city, state, region } (ver geocoders.js)
+function geocodeAddress(q) { return rowGeocoder().geocodeAddress(q); }
+// Consultas de la más precisa a la más gruesa (ver Dataset.geocodeQueries)
+function buildGeocodeQueries(row) { return Dataset.geocodeQueries(row, mappingOf(row)); }
+const { qualifyGeo } = Dataset;
+// Geocodifica una fila probando las consultas de buildGeocodeQueries en orden
+function geocodeRow(row) { return rowGeocoder(row._layer).geocodeRow(row, mappingOf(row)); }
+
+// Invalida la corrida en curso (si la hay) y vacía la cola
+function cancelGeocoding() {
+    currentRun++;
+    if (geocodeQueue) geocodeQueue.cancel();
+}
 
-    // Rate-limit sencillo
-    const delta = Date.now() - lastGeocodeTs;
-    if (delta < RATE_LIMIT_MS) await sleep(RATE_LIMIT_MS - delta);
+function effectiveRateLimit() {
+    // El mínimo del proveedor (p. ej. la política de Nominatim) no se puede bajar desde la UI
+    const providerMin = getGeocoder().rateLimitMs || 0;
+    return Math.max(providerMin, queueSettings.rateLimitMs ?? providerMin);
+}
 
-    const params = new URLSearchParams({
-        q: `${q}`,
-        format: 'json',
-        addressdetails: '0',
-        limit: '1',
-        countrycodes: 'ar',
+function setupGeocodeQueue() {
+    geocodeQueue = JobQueue.createJobQueue({
+        concurrency: queueSettings.concurrency,
+        rateLimitMs: effectiveRateLimit(),
+        onChange: reflectQueueState,
     });
-    if (USER_AGENT_EMAIL && USER_AGENT_EMAIL.includes('@')) {
-        params.set('email', USER_AGENT_EMAIL);
+}
+
+function applyQueueSettings(next, persist = true) {
+    queueSettings = { ...queueSettings, ...next };
+    if (persist) {
+        try {
+            localStorage.setItem(LS_KEYS.concurrency, String(queueSettings.concurrency));
+            if (queueSettings.rateLimitMs == null) localStorage.removeItem(LS_KEYS.rateLimit);
+            else localStorage.setItem(LS_KEYS.rateLimit, String(queueSettings.rateLimitMs));
+        } catch (_) { }
     }
+    if (geocodeQueue) geocodeQueue.configure({ concurrency: queueSettings.concurrency, rateLimitMs: effectiveRateLimit() });
+}
+
+// Habilitar/deshabilitar Pausar/Reanudar/Cancelar según el estado de la cola
+function reflectQueueState(stats) {
+    const busy = stats.pending + stats.running > 0;
+    const pauseBtn = document.getElementById('pause-geocode-btn');
+    const resumeBtn = document.getElementById('resume-geocode-btn');
+    const cancelBtn = document.getElementById('cancel-geocode-btn');
+    if (pauseBtn) pauseBtn.disabled = !busy || stats.paused;
+    if (resumeBtn) resumeBtn.disabled = !stats.paused;
+    if (cancelBtn) cancelBtn.disabled = !busy;
+}
 
-    const res = await fetch(`${NOMINATIM_ENDPOINT}?${params.toString()}`, {
-        headers: {
-            'Accept-Language': 'es',
-            'Referer': location.origin
+// Proveedor activo; se crea a demanda a partir de geocoderSetting
+function getGeocoder() {
+    if (!geocoder) {
+        try {
+            geocoder = Geocoders.createProvider(geocoderSetting.id, { url: geocoderSetting.url, email: USER_AGENT_EMAIL });
+        } catch (e) {
+            console.warn('Proveedor inválido, usando Nominatim', e);
+            geocoder = Geocoders.createProvider('nominatim', { email: USER_AGENT_EMAIL });
         }
-    });
-    lastGeocodeTs = Date.now();
-    if (!res.ok) throw new Error(`Geocoding error ${res.status}`);
-    const data = await res.json();
-    const item = data && data[0] ? { lat: +data[0].lat, lon: +data[0].lon } : null;
-    if (item) localStorage.setItem(k, JSON.stringify(item));
-    return item;
-}
-
-function createCustomIcon() {
-    // Seleccionar aleatoriamente entre rojo, amarillo o azul
-    const palette = ['#ff3b30', '#ffcc00', '#0b74ff'];
-    const color = palette[Math.floor(Math.random() * palette.length)];
-    const svg = `
-            <svg width="28" height="40" viewBox="0 0 24 34" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
-                <path d="M12 0C7 0 3.5 3.5 3.5 8.5c0 6.5 8.5 18 8.5 18s8.5-11.5 8.5-18C20.5 3.5 17 0 12 0z" fill="${color}"/>
-                <circle cx="12" cy="8.5" r="3.2" fill="#ffffff"/>
-            </svg>`;
+    }
+    return geocoder;
+}
+
+function setGeocoderSetting(id, url, persist = true) {
+    geocoderSetting = { id: id || 'nominatim', url: (url || '').trim() };
+    geocoder = null;
+    if (geocodeQueue) geocodeQueue.configure({ rateLimitMs: effectiveRateLimit() });
+    if (persist) {
+        try {
+            localStorage.setItem(LS_KEYS.geocoder, geocoderSetting.id);
+            localStorage.setItem(LS_KEYS.geocoderUrl, geocoderSetting.url);
+        } catch (_) { }
+    }
+}
+
+// Los íconos iguales se comparten entre marcadores (con decenas de miles de filas son pocos distintos)
+const iconCache = new Map();
+
+function createCustomIcon(options = {}) {
+    const key = [options.color, options.shape, !!options.warning, !!options.upcoming].join('|');
+    if (!iconCache.has(key)) iconCache.set(key, buildCustomIcon(options));
+    return iconCache.get(key);
+}
+
+function buildCustomIcon(options) {
+    const pin = !options.shape || options.shape === 'pin';
     // Usar el SVG directamente sin transform: Leaflet posicionará por iconAnchor
     return L.divIcon({
-        className: 'custom-marker-pin',
-        html: svg,
-        iconSize: [28, 40],
-        iconAnchor: [14, 40],
+        className: 'custom-marker-pin' + (options.warning ? ' low-confidence' : '') + (options.upcoming ? ' upcoming' : ''),
+        html: Categories.markerSVG(options),
+        iconSize: pin ? [28, 40] : [24, 24],
+        iconAnchor: pin ? [14, 40] : [12, 12],
         popupAnchor: [0, 20],
     });
 }
 
+// Ícono según la categoría de la fila (ver categoryValue), si ya pasó y la calidad de su geocodificación
+function iconOptionsForRow(row) {
+    const style = categoryScale ? categoryScale.styleOf(categoryValue(row)) : {};
+    return { color: style.color, shape: style.shape, warning: !!(row._geo && row._geo.lowConfidence), upcoming: isUpcoming(row) };
+}
+
+function iconForRow(row) {
+    return createCustomIcon(iconOptionsForRow(row));
+}
+
 function markerForRow(row, lat, lon) {
-    const icon = createCustomIcon();
-    const m = L.marker([lat, lon], { icon });
-    const barrio = row['Barrio'] ?? row['barrio'] ?? '';
-    const direccion = row['Direccion'] ?? row['Dirección'] ?? row['direccion'] ?? '';
-    const region = row['Region'] ?? row['Región'] ?? row['region'] ?? '';
-    m.bindPopup(`
-        <div>
-            <div><strong>Dirección:</strong> ${direccion}</div>
-            <div><strong>Barrio:</strong> ${barrio}</div>
-            <div><strong>Región:</strong> ${region}</div>
-        </div>
-    `, { offset: L.point(0, -46) });
+    const icon = iconForRow(row);
+    // La fila queda en options.row para filtrar sin buscarla de nuevo
+    const m = L.marker([lat, lon], { icon, row, draggable: editMode });
+    // El contenido se arma al abrir el popup: siempre al día y sin costo al cargar miles de filas
+    // (en modo edición, el formulario para corregir la fila)
+    m.bindPopup(() => (editMode ? editForm(row) : popupContent(row)), { offset: L.point(0, -46) });
+    m.on('dragstart', () => { m._before = rowSnapshot(row); });
+    m.on('dragend', () => onMarkerMoved(m));
     // Asegurar que al hacer click en el marcador se abra el popup (algunos entornos de cluster pueden interferir)
     m.on('click', function () { try { this.openPopup(); } catch (_) { /* ignore */ } });
     return m;
 }
 
+function popupContent(row) {
+    const geo = row._geo || {};
+    const barrio = rowBarrio(row);
+    const direccion = rowDireccion(row);
+    const region = rowRegion(row);
+    const city = rowCity(row);
+    const layer = layerOf(row);
+    const shared = sharedAddresses.get(addressKey(row));
+    const alsoIn = shared ? [...shared].filter(id => id !== row._layer).map(id => layersById.get(id).name) : [];
+    return `
+        <div>
+            ${layer && datasetLayers.length > 1 ? `<div><strong>${t('field.layer')}:</strong> ${escapeHtml(layer.name)}</div>` : ''}
+            <div><strong>${t('field.address')}:</strong> ${escapeHtml(direccion)}</div>
+            <div><strong>${t('field.barrio')}:</strong> ${escapeHtml(barrio)}</div>
+            ${city ? `<div><strong>${t('field.city')}:</strong> ${escapeHtml(city)}</div>` : ''}
+            <div><strong>${t('field.region')}:</strong> ${escapeHtml(region)}</div>
+            ${row._time != null ? `<div><strong>${t('field.date')}:</strong> ${formatDate(row._time)}${isUpcoming(row) ? ` <span class="popup-upcoming">${t('popup.upcoming')}</span>` : ''}</div>` : ''}
+            ${alsoIn.length ? `<div class="popup-shared">${t('popup.alsoIn', { layers: alsoIn.map(escapeHtml).join(', ') })}</div>` : ''}
+            ${geo.matchType ? `<div class="popup-geo${geo.lowConfidence ? ' warn' : ''}">${geo.lowConfidence ? `⚠ ${t('popup.review')}: ` : ''}${escapeHtml(matchLabel(geo.matchType))}${geo.displayName ? ` — ${escapeHtml(geo.displayName)}` : ''}</div>` : ''}
+            <div class="popup-actions"><button type="button" class="btn ghost small popup-copy-link">${t('filters.copyLink')}</button></div>
+        </div>
+    `;
+}
+
 function updateVisibleCount() {
-    // Contar solo marcadores hoja (no clusters) dentro del viewport
-    let visible = 0;
-    clusterGroup.eachLayer(layer => {
-        const isCluster = typeof layer.getAllChildMarkers === 'function';
-        if (!isCluster && layer instanceof L.Marker && map.getBounds().contains(layer.getLatLng())) {
-            visible++;
-        }
-    });
-    statVisible().textContent = String(visible);
+    // "N de M": marcadores que pasan los filtros dentro del viewport / total cargado
+    const b = map.getBounds();
+    const visible = markerIndex.countInBounds({ south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() });
+    statVisible().textContent = t('header.visibleCount', { visible: formatNumber(visible), total: formatNumber(allMarkers.length) });
 }
 
-// No filters: siempre mostrar todos los puntos
+// --- Filtros ---
 
-async function processData(rows) {
-    // Mantener todas las filas y el orden original
-    allData = rows.slice();
-    setProgress(0, allData.length);
+// Minúsculas y sin tildes, para que "cordoba" encuentre "Córdoba"
+function foldText(v) {
+    return String(v ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
 
-    let done = 0; let geocodedCount = 0; const failedAddresses = [];
+function filtersActive() {
+    return compareLayers || datasetLayers.some(l => !l.visible) || !!filters.text || filters.regions.size > 0 || filters.barrios.size > 0 || filters.hidden.size > 0 || !!filters.area || !!filters.time;
+}
 
-    for (const row of allData) {
-        try {
-            // 1) Si ya hay coords, usarlas directamente
-            const coords = getCoordsFromRow(row);
-            if (coords) {
-                row._geo = coords;
-                // Sembrar cache con clave direccion(+barrio)
-                const direccion = (row['Direccion'] ?? row['Dirección'] ?? row['direccion'] ?? '').trim();
-                const barrio = (row['Barrio'] ?? row['barrio'] ?? '').trim();
-                const key = normalizeAddressForKey(barrio ? `${direccion}, ${barrio}` : `${direccion}`);
-                if (key) localStorage.setItem(keyFor(key), JSON.stringify(row._geo));
-                geocodedCount++;
-                const m = markerForRow(row, coords.lat, coords.lon);
-                allMarkers.push(m);
-                addMarkersToGroup(clusterGroup, [m]);
-            } else {
-                // 2) Si no hay coords, intentar geocodificar si hay dirección
-                const direccion = (row['Direccion'] ?? row['Dirección'] ?? row['direccion'] ?? '').trim();
-                const barrio = (row['Barrio'] ?? row['barrio'] ?? '').trim();
-                if (direccion) {
-                    const query = `${direccion}`; // o incluir barrio si se desea
-                    const geo = await geocodeAddress(query);
-                    if (geo) {
-                        row._geo = geo;
-                        geocodedCount++;
-                        const m = markerForRow(row, geo.lat, geo.lon);
-                        allMarkers.push(m);
-                        clusterGroup.addLayer(m);
-                    } else {
-                        failedAddresses.push(query);
-                    }
-                }
-            }
-        } catch (e) {
-            const direccion = row['Direccion'] ?? row['Dirección'] ?? row['direccion'] ?? '';
-            console.warn('Geocode fallo', direccion, e);
-            if (direccion) failedAddresses.push(direccion);
-        } finally {
-            done++;
-            setProgress(done, allData.length);
-            // Actualizar conteo visible de forma incremental
-            if (done % 5 === 0) updateVisibleCount();
-        }
+function rowMatchesFilters(row) {
+    const layer = layerOf(row);
+    if (layer && !layer.visible) return false;
+    if (compareLayers && !sharedAddresses.has(addressKey(row))) return false;
+    if (filters.regions.size && !filters.regions.has(rowRegion(row))) return false;
+    if (filters.barrios.size && !filters.barrios.has(rowBarrio(row))) return false;
+    if (filters.hidden.size && categoryScale && filters.hidden.has(categoryScale.keyOf(categoryValue(row)))) return false;
+    if (filters.area && !(row._geo && Choropleth.pointInGeometry(filters.area.geometry, row._geo.lon, row._geo.lat))) return false;
+    // Con un rango de fechas elegido, los encuentros sin fecha quedan afuera
+    if (filters.time && !(row._time >= filters.time.from && row._time < filters.time.to)) return false;
+    if (filters.text) {
+        // Texto libre: busca en todas las columnas de la fila
+        const haystack = Object.keys(row).filter(k => !k.startsWith('_')).map(k => foldText(row[k])).join(' ');
+        if (!foldText(filters.text).split(/\s+/).every(tok => haystack.includes(tok))) return false;
     }
+    return true;
+}
+
+function markerMatchesFilters(m) {
+    if (!filtersActive()) return true;
+    return rowMatchesFilters(m.options.row || {});
+}
 
-    if (geocodedCount > 0) fireConfetti();
+// Reconstruye el grupo con los marcadores que pasan los filtros (y el calor / coroplético si están activos)
+function applyFilters() {
+    resetClusterGroup();
+    addMarkersToGroup(clusterGroup, markerIndex.refresh(markerMatchesFilters));
     updateVisibleCount();
+    if (viewMode !== 'markers') refreshViewLayers();
+    refreshSelection();
+    listState.limit = LIST_PAGE;
+    scheduleList();
+    scheduleHashUpdate();
+}
+
+// Opciones de Región/Barrio a partir de las columnas cargadas
+function buildFilterOptions(rows) {
+    const sortValues = values => Array.from(values).filter(Boolean)
+        .sort((a, b) => a.localeCompare(b, 'es', { numeric: true, sensitivity: 'base' }));
+    const regions = sortValues(new Set(rows.map(rowRegion)));
+    const barrios = sortValues(new Set(rows.map(rowBarrio)));
+    // Descartar selecciones que ya no existen en los datos nuevos
+    filters.regions = new Set(regions.filter(r => filters.regions.has(r)));
+    filters.barrios = new Set(barrios.filter(b => filters.barrios.has(b)));
 
-    if (failedAddresses.length) {
-        const uniques = Array.from(new Set(failedAddresses));
-        console.log('Direcciones sin coordenadas (%d):', uniques.length);
-        uniques.forEach(addr => console.log(addr));
+    const regionBox = document.getElementById('region-filter');
+    if (regionBox) {
+        regionBox.textContent = '';
+        for (const r of regions) {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'region-chip' + (filters.regions.has(r) ? ' active' : '');
+            chip.textContent = t('filters.region', { region: r });
+            chip.dataset.region = r;
+            chip.setAttribute('aria-pressed', String(filters.regions.has(r)));
+            chip.addEventListener('click', () => {
+                if (filters.regions.has(r)) filters.regions.delete(r); else filters.regions.add(r);
+                chip.classList.toggle('active', filters.regions.has(r));
+                chip.setAttribute('aria-pressed', String(filters.regions.has(r)));
+                applyFilters();
+            });
+            regionBox.append(chip);
+        }
+    }
+    const barrioSelect = document.getElementById('barrio-filter');
+    if (barrioSelect) {
+        barrioSelect.textContent = '';
+        for (const b of barrios) {
+            const opt = document.createElement('option');
+            opt.value = b; opt.textContent = b; opt.selected = filters.barrios.has(b);
+            barrioSelect.append(opt);
+        }
     }
 }
 
-function setupMap() {
-    map = L.map('map', {
-        zoomControl: true,
-        minZoom: MAP_INITIAL.minZoom,
-        maxZoom: MAP_INITIAL.maxZoom,
-        // Hacer el zoom con la ruedita más "lento" (menos sensible)
-        // Valor por defecto de Leaflet es ~60; aumentar requiere más movimiento de rueda por nivel
-        wheelPxPerZoomLevel: 150000,
-        // Pequeño debounce para que no acumule tan rápido eventos de rueda
-        wheelDebounceTime: 0,
-    }).setView(MAP_INITIAL.center, MAP_INITIAL.zoom);
-
-    // Base map: CARTO Positron (claro/blanco)
-    L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', {
-        attribution: '&copy; OpenStreetMap & CARTO',
-        subdomains: 'abcd',
-        maxZoom: 20
-    }).addTo(map);
+function clearFilters() {
+    stopTimeline();
+    filters = { text: '', regions: new Set(), barrios: new Set(), hidden: new Set(), area: null, time: null };
+    syncFilterInputs();
+    applyFilters();
+}
 
-    // Añadir imagen overlay a la derecha de Argentina (no interactiva)
-    // try { addRightSideImageOverlay(); } catch (_) { /* no crítico */ }
+// Refleja `filters` en el buscador, las regiones, los barrios, la leyenda y el área
+function syncFilterInputs() {
+    const search = document.getElementById('search-input');
+    if (search) search.value = filters.text;
+    document.querySelectorAll('#region-filter .region-chip').forEach(c => {
+        const active = filters.regions.has(c.dataset.region);
+        c.classList.toggle('active', active);
+        c.setAttribute('aria-pressed', String(active));
+    });
+    const barrioSelect = document.getElementById('barrio-filter');
+    if (barrioSelect) Array.from(barrioSelect.options).forEach(o => { o.selected = filters.barrios.has(o.value); });
+    renderLegend();
+    renderAreaFilter();
+    renderTimeline();
+}
 
-    // Crear cluster group inicial
-    clusterGroup = createClusterGroup();
-    attachClusterEvents(clusterGroup);
+// Chip del área elegida con click en el coroplético (se quita con la cruz)
+function renderAreaFilter() {
+    const box = document.getElementById('area-filter');
+    if (!box) return;
+    box.textContent = '';
+    box.hidden = !filters.area;
+    if (!filters.area) return;
+    box.append(el('button', {
+        type: 'button',
+        className: 'region-chip active',
+        textContent: `${t('filters.area', { name: filters.area.name })} ✕`,
+        title: t('filters.clearArea'),
+        onclick: () => { filters.area = null; renderAreaFilter(); applyFilters(); },
+    }));
+}
 
-    map.addLayer(clusterGroup);
+// --- Línea de tiempo ---
 
-    map.on('moveend zoomend', updateVisibleCount);
+function formatDate(time) {
+    const d = new Date(time);
+    const date = d.toLocaleDateString(I18n.intlLocale(), { day: '2-digit', month: '2-digit', year: 'numeric' });
+    // Las fechas sin hora quedan a las 00:00: no mostrarla
+    if (!d.getHours() && !d.getMinutes()) return date;
+    return t('date.withTime', { date, time: d.toLocaleTimeString(I18n.intlLocale(), { hour: '2-digit', minute: '2-digit', hour12: false }) });
 }
 
-// Añadir una imagen fija sobre el mapa (en coordenadas relativas a Argentina)
-function addRightSideImageOverlay() {
-    // Coordenadas aproximadas al este de Argentina para que la imagen aparezca 'a la derecha'
-    const lat = -22.0; // centro vertical aproximado
-    const lon = -61.5; // más al este para quedar a la derecha del país
+function formatMonth(time) {
+    return new Date(time).toLocaleDateString(I18n.intlLocale(), { month: 'short', year: 'numeric' });
+}
 
-    const html = `<div class="map-overlay-image"></div>`;
-    const icon = L.divIcon({
-        className: 'no-pointer',
-        html,
-        iconSize: [500, 500],
-        iconAnchor: [70, 70],
-    });
+// Desde hoy a las 00:00 cuenta como próximo: un encuentro de hoy todavía no pasó
+function isUpcoming(row) {
+    if (row._time == null) return false;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return row._time >= today.getTime();
+}
 
-    const marker = L.marker([lat, lon], { icon, interactive: false, keyboard: false, pane: 'overlayPane' });
-    marker.addTo(map);
-    // Tamaño geográfico en grados (lat/lon) — esto hará que la imagen escale con el zoom
-    const deltaLat = 90.0; // altura en grados
-    const deltaLon = 120.0; // anchura en grados
+// Columna de fecha en uso: la elegida si está en el archivo, si no la primera detectada
+function timeColumn() {
+    if (timeSettings.column === '') return '';
+    return dateColumns.includes(timeSettings.column) ? timeSettings.column : (dateColumns[0] || '');
+}
 
-    const southWest = [lat - deltaLat / 2, lon - deltaLon / 2];
-    const northEast = [lat + deltaLat / 2, lon + deltaLon / 2];
+// Solo se ofrecen las columnas que parecen fechas
+function buildTimeOptions(rows, fields) {
+    dateColumns = Timeline.detectDateColumns(rows, fields);
+    const select = document.getElementById('time-column');
+    if (!select) return;
+    select.replaceChildren(
+        el('option', { value: '', textContent: dateColumns.length ? t('timeline.noColumn') : t('timeline.noDateColumns') }),
+        ...dateColumns.map(f => el('option', { value: f, textContent: f })),
+    );
+    select.value = timeColumn();
+}
 
-    const overlay = L.imageOverlay('./mask.png', [southWest, northEast], { interactive: false, opacity: 1 });
-    overlay.addTo(map);
-    // Agregar clase para estilos (sombra, bordes). getElement() disponible tras addTo(map)
-    try {
-        const el = overlay.getElement();
-        if (el) el.classList.add('map-overlay-image');
-    } catch (e) { /* no crítico */ }
+/**
+ * refreshTimeline()
+ * Lee la fecha de cada fila (row._time) en la columna elegida, arma el histograma
+ * mensual y repinta los íconos (próximos vs. realizados; los popups se arman al abrirse).
+ */
+function refreshTimeline() {
+    const column = timeColumn();
+    const dayFirst = Timeline.guessDayFirst(column ? allData.map(r => r[column]) : []);
+    allData.forEach(row => { row._time = column ? Timeline.parseDate(row[column], { dayFirst }) : null; });
+    timelineBins = Timeline.monthlyHistogram(allData.map(r => r._time));
+    if (!timelineBins.length) filters.time = null;
+    allMarkers.forEach(m => m.setIcon(iconForRow(m.options.row || {})));
+    renderTimeline();
 }
 
-// Crear cluster group con radio actual
-function createClusterGroup() {
-    // Mapear 0..100 a pixeles de radio (0 => 0px, 100 => 200px por ejemplo)
-    const radiusPx = Math.round((clusterRadiusSetting / 100) * 200);
-    // Si el usuario puso 0, devolvemos un LayerGroup simple (sin clustering)
-    if (clusterRadiusSetting === 0) {
-        return L.layerGroup();
+function setTimeColumn(column, persist = true) {
+    stopTimeline();
+    timeSettings.column = column;
+    filters.time = null;
+    if (persist) {
+        try { localStorage.setItem(LS_KEYS.dateColumn, column); } catch (_) { /* ignore */ }
     }
+    refreshTimeline();
+    applyFilters();
+}
 
-    const opts = {
-        showCoverageOnHover: false,
-        spiderfyOnMaxZoom: true,
-        zoomToBoundsOnClick: true,
-        animateAddingMarkers: true,
-        chunkedLoading: true,
-        // Si radius es 0, desactivar clustering devolviendo -1
-        maxClusterRadius: radiusPx === 0 ? 1 : radiusPx,
-        iconCreateFunction: function (cluster) {
-            const count = cluster.getChildCount();
-            const c = count < 20 ? 'small' : count < 100 ? 'medium' : 'large';
-            return L.divIcon({ html: `<div><span>${count}</span></div>`, className: `marker-cluster marker-cluster-${c}`, iconSize: L.point(40, 40) });
-        },
+// Índices [desde, hasta] de los meses que cubre filters.time (todos si no hay filtro)
+function timelineRange() {
+    const last = timelineBins.length - 1;
+    if (!filters.time) return [0, last];
+    let from = timelineBins.findIndex(b => b.end > filters.time.from);
+    let to = -1;
+    timelineBins.forEach((b, i) => { if (b.start < filters.time.to) to = i; });
+    if (from < 0) from = last;
+    return [from, Math.max(from, to)];
+}
+
+function setTimeRange(from, to) {
+    const last = timelineBins.length - 1;
+    if (last < 0) return;
+    const a = Math.max(0, Math.min(last, from, to));
+    const b = Math.min(last, Math.max(0, from, to));
+    filters.time = a === 0 && b === last ? null : { from: timelineBins[a].start, to: timelineBins[b].end };
+    renderTimeline();
+    applyFilters();
+}
+
+// Reproduce el crecimiento: deja fijo el primer mes del rango y suma un mes por paso
+function playTimeline() {
+    if (timelinePlayer) return stopTimeline();
+    const last = timelineBins.length - 1;
+    if (last < 1) return;
+    const [from] = timelineRange();
+    let step = from;
+    const tick = () => {
+        setTimeRange(from, step);
+        if (step >= last) return stopTimeline();
+        step++;
     };
-    return L.markerClusterGroup(opts);
+    timelinePlayer = setInterval(tick, TIMELINE_STEP_MS);
+    tick();
 }
 
-// Asegurar comportamiento de zoom al hacer click en un cluster (y spiderfy si ya está muy cerca)
-function attachClusterEvents(group) {
-    // Sólo adjuntar eventos de cluster si el grupo es un MarkerClusterGroup
-    if (group && typeof group.getAllChildMarkers === 'function' && typeof group.on === 'function') {
-        group.on('clusterclick', function (a) {
-            // Zoom a límites del cluster
-            a.layer.zoomToBounds({ padding: [40, 40] });
-            // Si ya estamos muy cerca y sigue agrupado, spiderfy para separar
-            if (map.getZoom() >= 16) {
-                try { a.layer.spiderfy(); } catch (_) { }
-            }
-        });
-    }
+function stopTimeline() {
+    if (!timelinePlayer) return;
+    clearInterval(timelinePlayer);
+    timelinePlayer = null;
+    renderTimeline();
 }
 
-// Añadir marcadores a un grupo (MarkerClusterGroup tiene addLayers, LayerGroup no)
-function addMarkersToGroup(group, markers) {
-    if (!group || !markers || !markers.length) return;
-    if (typeof group.addLayers === 'function') {
-        group.addLayers(markers);
-        return;
-    }
-    // Fallback: añadir uno por uno
-    for (const m of markers) {
-        try { group.addLayer(m); } catch (_) { }
-    }
+// Barras por mes (las del rango resaltadas) y la curva del acumulado
+function timelineSVG(from, to) {
+    const w = 10, h = 56;
+    const maxCount = timelineBins.reduce((m, b) => Math.max(m, b.count), 1);
+    const total = timelineBins[timelineBins.length - 1].cumulative || 1;
+    const bars = timelineBins.map((b, i) => {
+        const bh = b.count ? Math.max(2, Math.round((b.count / maxCount) * (h - 4))) : 0;
+        return `<rect x="${i * w + 1}" y="${h - bh}" width="${w - 2}" height="${bh}"${i >= from && i <= to ? ' class="in"' : ''}>` +
+            `<title>${t('timeline.barTitle', { month: formatMonth(b.start), count: formatNumber(b.count), cumulative: formatNumber(b.cumulative) })}</title></rect>`;
+    }).join('');
+    const line = timelineBins.map((b, i) => `${i * w + w / 2},${(h - (b.cumulative / total) * (h - 4)).toFixed(1)}`).join(' ');
+    return `<svg viewBox="0 0 ${timelineBins.length * w} ${h}" preserveAspectRatio="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">` +
+        `${bars}<polyline class="timeline-cumulative" points="${line}" vector-effect="non-scaling-stroke"/></svg>`;
 }
 
-// Añadir capa GeoJSON para Argentina (polígono); usa un CDN público con GeoJSON simplificado
-async function addArgentinaLayer() {
-    // Fuente simplificada de países (Natural Earth simplificado) - ejemplo público
-    const url = 'https://raw.githubusercontent.com/datasets/geo-countries/master/data/countries.geojson';
-    try {
-        const res = await fetch(url);
-        if (!res.ok) return;
-        const geo = await res.json();
-        // Buscar feature de Argentina (ISO_A3 === ARG or ADMIN === 'Argentina')
-        const feat = geo.features.find(f => (f.properties && (f.properties.ISO_A3 === 'ARG' || f.properties.ADMIN === 'Argentina' || f.properties.NAME === 'Argentina')));
-        if (!feat) return;
-        const argentina = L.geoJSON(feat, {
-            style: {
-                color: '#0b74ff',
-                weight: 1,
-                fillColor: 'rgba(11, 116, 255, 0.08)',
-                fillOpacity: 0.35,
-            },
-            interactive: false,
-        });
-        // Añadir primero (detrás de capas de marcadores)
-        argentina.addTo(map);
-    } catch (e) {
-        // silencioso
-    }
+function renderTimeline() {
+    const box = document.getElementById('timeline');
+    if (!box) return;
+    box.hidden = !timelineBins.length;
+    if (box.hidden) return;
+    const [from, to] = timelineRange();
+    const fromInput = document.getElementById('timeline-from');
+    const toInput = document.getElementById('timeline-to');
+    fromInput.max = toInput.max = String(timelineBins.length - 1);
+    fromInput.value = String(from);
+    toInput.value = String(to);
+    const inRange = timelineBins.slice(from, to + 1).reduce((sum, b) => sum + b.count, 0);
+    document.getElementById('timeline-range').textContent = from === to
+        ? formatMonth(timelineBins[from].start)
+        : `${formatMonth(timelineBins[from].start)} – ${formatMonth(timelineBins[to].start)}`;
+    document.getElementById('timeline-total').textContent =
+        t('timeline.total', { inRange: formatNumber(inRange), cumulative: formatNumber(timelineBins[to].cumulative) });
+    const play = document.getElementById('timeline-play-btn');
+    play.textContent = timelinePlayer ? '❚❚' : '▶';
+    play.title = timelinePlayer ? t('progress.pause') : t('timeline.play');
+    play.setAttribute('aria-label', play.title);
+    document.getElementById('timeline-chart').innerHTML = timelineSVG(from, to);
 }
 
-function wireUI() {
-    // Sin buscador ni filtros
-    document.getElementById('toggle-panel-btn').addEventListener('click', () => {
-        controlPanel().classList.toggle('collapsed');
-        // Ajuste de mapa cuando el panel se oculta/muestra
-        setTimeout(() => map.invalidateSize(), 260);
-    });
-    // Velocidad fija por defecto (1 req/s); sin UI
-    // Selección manual de CSV
-    const selectCsvBtn = document.getElementById('select-csv-btn');
-    const csvInput = document.getElementById('csv-file-input');
-    if (selectCsvBtn && csvInput) {
-        selectCsvBtn.addEventListener('click', () => csvInput.click());
-        csvInput.addEventListener('change', async (e) => {
-            const file = e.target.files?.[0];
-            if (!file) return;
-            try {
-                // Limpiar mapa y estado previo para evitar duplicados
-                allData = [];
-                allMarkers = [];
-                if (clusterGroup) clusterGroup.clearLayers();
-                statVisible().textContent = '0';
-                setProgress(0, 0);
-                progressText().textContent = 'Cargando CSV...';
-                const { rows, fields } = await loadCSVFromFile(file);
-                originalRows = rows.slice();
-                originalFields = Array.isArray(fields) ? fields.slice() : Object.keys(originalRows[0] || {});
-                await processData(rows);
-            } catch (err) {
-                console.error(err);
-                alert('No se pudo leer el CSV.');
-            }
-        });
-    }
-    // Slider de agrupación
-    const clusterRange = document.getElementById('cluster-range');
-    if (clusterRange) {
-        // Set initial from persisted
-        const persistedCluster = localStorage.getItem(LS_KEYS.cluster);
-        if (persistedCluster !== null) {
-            const v = parseInt(persistedCluster, 10);
-            if (!Number.isNaN(v)) {
-                clusterRadiusSetting = v;
-                clusterRange.value = String(v);
-            }
-        } else {
-            clusterRange.value = String(clusterRadiusSetting);
-        }
-        clusterRange.addEventListener('input', () => {
-            clusterRadiusSetting = parseInt(clusterRange.value, 10) || 0;
-            localStorage.setItem(LS_KEYS.cluster, String(clusterRadiusSetting));
-            // Re-crear el cluster group manteniendo los marcadores
-            const prevMarkers = allMarkers.slice();
-            map.removeLayer(clusterGroup);
-            clusterGroup = createClusterGroup();
-            map.addLayer(clusterGroup);
-            attachClusterEvents(clusterGroup);
-            if (prevMarkers.length) addMarkersToGroup(clusterGroup, prevMarkers);
-            updateVisibleCount();
-        });
-    }
+// --- Colores por categoría y leyenda ---
 
-    // Guardar CSV
-    document.getElementById('save-csv-btn').addEventListener('click', () => {
-        // Exportar con el MISMO orden y cantidad de filas que el CSV original
-        // Tomamos los encabezados originales y agregamos Lat/Lon si no existen
-        const fields = originalFields && originalFields.length ? originalFields.slice() : Object.keys(originalRows[0] || {});
-        const hasLat = fields.some(f => /^lat$/i.test(f));
-        const hasLon = fields.some(f => /^(lon|lng|long)$/i.test(f));
-        const outFields = fields.slice();
-        if (!hasLat) outFields.push('Lat');
-        if (!hasLon) outFields.push('Lon');
-
-        const q = v => '"' + String(v ?? '').replace(/"/g, '""') + '"';
-        const lines = originalRows.map((origRow, idx) => {
-            // Buscar la fila correspondiente en allData por igualdad de índice (preservamos orden 1:1)
-            const r = allData[idx] || origRow;
-            // Construir objeto base copiando valores originales para no alterar orden ni contenido
-            const base = { ...origRow };
-            // Inyectar Lat/Lon desde _geo si existen
-            const latVal = r && r._geo ? r._geo.lat : base['Lat'] ?? base['lat'] ?? '';
-            const lonVal = r && r._geo ? r._geo.lon : base['Lon'] ?? base['lon'] ?? base['Lng'] ?? base['lng'] ?? '';
-            // Generar fila respetando outFields
-            const rowValues = outFields.map(f => {
-                if (/^lat$/i.test(f)) return latVal;
-                if (/^(lon|lng|long)$/i.test(f)) return lonVal;
-                return base[f] ?? '';
-            });
-            // Citar solo los campos de texto, dejar lat/lon como números si ya lo son
-            return rowValues.map((v, i) => {
-                const f = outFields[i];
-                if (/^(lat|lon|lng|long)$/i.test(f)) return String(v ?? '');
-                return q(v);
-            }).join(',');
-        });
+// Valor que define el estilo del marcador: la columna elegida o, por defecto, la región
+function categoryValue(row) {
+    if (styleSettings.column === LAYER_STYLE) return row._layer || '';
+    return styleSettings.column ? String(row[styleSettings.column] ?? '').trim() : rowRegion(row);
+}
 
-        const csv = outFields.join(',') + '\n' + lines.join('\n');
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
-        const a = document.createElement('a');
-        a.href = URL.createObjectURL(blob);
-        a.download = 'geocoded.csv';
-        a.click();
-        URL.revokeObjectURL(a.href);
-    });
+function categoryLabel(key) {
+    if (key === Categories.OTHER_KEY) return t('style.other');
+    if (key === '') return t('common.noData');
+    if (styleSettings.column === LAYER_STYLE) return layersById.has(key) ? layersById.get(key).name : key;
+    return !styleSettings.column && /^\d+$/.test(key) ? t('filters.region', { region: key }) : key;
+}
 
-    // Botón de recarga eliminado
-    document.getElementById('clear-cache-btn').addEventListener('click', () => {
-        Object.keys(localStorage).filter(k => k.startsWith('geo:') || k.startsWith('ui:')).forEach(k => localStorage.removeItem(k));
-        alert('Guardado borrado (coordenadas y preferencias).');
-    });
+// Recalcula la escala con los datos cargados y repinta marcadores y leyenda
+function refreshCategoryStyles() {
+    const palette = Categories.paletteColors(styleSettings.palette, styleSettings.custom);
+    // Por capa, cada una conserva su color
+    const colors = styleSettings.column === LAYER_STYLE ? Object.fromEntries(datasetLayers.map(l => [l.id, l.color])) : {};
+    categoryScale = Categories.createCategoryScale(allData.map(categoryValue), { palette, colors });
+    // Olvidar categorías apagadas que ya no existen
+    filters.hidden = new Set([...filters.hidden].filter(k => categoryScale.entries.some(e => e.key === k)));
+    allMarkers.forEach(m => m.setIcon(iconForRow(m.options.row || {})));
+    renderLegend();
+}
 
-    // Toggle confetti
-    const confettiBtn = document.getElementById('toggle-confetti-btn');
-    if (confettiBtn) {
-        const reflect = () => { confettiBtn.textContent = `Confetti: ${confettiEnabled ? 'On' : 'Off'}`; };
-        reflect();
-        confettiBtn.addEventListener('click', () => { confettiEnabled = !confettiEnabled; setConfettiEnabled(confettiEnabled, true); reflect(); });
+function setStyleSettings(next, persist = true) {
+    if ('column' in next && next.column !== styleSettings.column) filters.hidden.clear();
+    Object.assign(styleSettings, next);
+    if (persist) {
+        try {
+            localStorage.setItem(LS_KEYS.styleColumn, styleSettings.column);
+            localStorage.setItem(LS_KEYS.stylePalette, styleSettings.palette);
+            localStorage.setItem(LS_KEYS.styleCustom, styleSettings.custom);
+        } catch (_) { /* ignore */ }
     }
+    refreshCategoryStyles();
+    // Los clusters se recrean con los colores nuevos
+    applyFilters();
 }
 
-function setConfettiEnabled(enabled, persist = true) {
-    confettiEnabled = !!enabled;
-    if (persist) {
-        try { localStorage.setItem(LS_CONFETTI, confettiEnabled ? '1' : '0'); } catch (_) { }
+// Columnas disponibles para colorear (si la elegida no está en el archivo nuevo, vuelve a Región)
+function buildStyleOptions(fields) {
+    const select = document.getElementById('style-column');
+    if (!select) return;
+    const byLayer = styleSettings.column === LAYER_STYLE;
+    if (styleSettings.column && !(byLayer ? datasetLayers.length : fields.includes(styleSettings.column))) styleSettings.column = '';
+    select.replaceChildren(
+        el('option', { value: '', textContent: t('style.byRegion') }),
+        ...(datasetLayers.length ? [el('option', { value: LAYER_STYLE, textContent: t('style.byLayer') })] : []),
+        ...fields.map(f => el('option', { value: f, textContent: f })),
+    );
+    select.value = styleSettings.column;
+}
+
+function toggleCategory(key) {
+    if (filters.hidden.has(key)) filters.hidden.delete(key); else filters.hidden.add(key);
+    renderLegend();
+    applyFilters();
+}
+
+function legendTitle() {
+    return styleSettings.column === LAYER_STYLE ? t('field.layer') : styleSettings.column || t('field.region');
+}
+
+// Leyenda sobre el mapa: cada categoría es un botón que la muestra u oculta
+function renderLegend() {
+    if (!map) return;
+    if (!legendControl) {
+        legendControl = L.control({ position: 'bottomleft' });
+        legendControl.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-legend');
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            return div;
+        };
+        legendControl.addTo(map);
     }
-    if (confettiEnabled) {
-        fireConfetti({ continuous: true, interval: 500, duration: 0, particleCount: 80 });
-    } else {
-        stopConfetti();
+    const box = legendControl.getContainer();
+    const entries = categoryScale ? categoryScale.entries : [];
+    box.textContent = '';
+    // Solo tiene sentido con marcadores; el calor y el coroplético tienen su propia lectura
+    box.hidden = entries.length === 0 || viewMode !== 'markers';
+    if (box.hidden) return;
+    box.append(el('div', { className: 'map-legend-title', textContent: legendTitle() }));
+    for (const e of entries) {
+        const off = filters.hidden.has(e.key);
+        const swatch = el('span', { className: 'map-legend-swatch', innerHTML: Categories.markerSVG({ color: e.color, shape: e.shape }) });
+        const item = el('button', {
+            type: 'button',
+            className: 'map-legend-item' + (off ? ' off' : ''),
+            title: off ? t('legend.show') : t('legend.hide'),
+            onclick: () => toggleCategory(e.key),
+        }, [swatch, el('span', { textContent: categoryLabel(e.key) }), el('small', { textContent: String(e.count) })]);
+        item.setAttribute('aria-pressed', String(!off));
+        box.append(item);
+    }
+    if (filters.hidden.size) {
+        box.append(el('button', {
+            type: 'button',
+            className: 'btn ghost small',
+            textContent: t('legend.showAll'),
+            onclick: () => { filters.hidden.clear(); renderLegend(); applyFilters(); },
+        }));
     }
 }
 
-async function init(forceReload = false) {
-    // Si no se fuerza, mantenemos data en memoria
-    if (forceReload) {
-        allData = []; allMarkers = [];
-        clusterGroup && clusterGroup.clearLayers();
-        setProgress(0, 0);
+// Suma marcadores nuevos a allMarkers y al índice; al grupo van de una vez los que pasan los filtros
+function addMarkers(markers) {
+    const visible = [];
+    for (const m of markers) {
+        const match = markerMatchesFilters(m);
+        const p = m.getLatLng();
+        allMarkers.push(m);
+        markerIndex.add(m, p.lat, p.lng, match);
+        if (match) visible.push(m);
     }
+    if (visible.length) addMarkersToGroup(clusterGroup, visible);
+    if (selection) scheduleSelectionRefresh();
+    scheduleList();
+}
 
-    try {
-        // Leer preferencias persistidas antes de crear mapa
-        try {
-            const pCluster = localStorage.getItem(LS_KEYS.cluster);
-            if (pCluster !== null) {
+// Los geocodificados llegan de a uno (o de a muchos si salen de la cache): se agrupan antes de sumarlos
+function queueMarker(m) {
+    pendingMarkers.push(m);
+    if (!queueMarker._t) queueMarker._t = setTimeout(flushMarkers, 100);
+}
+
+function flushMarkers() {
+    clearTimeout(queueMarker._t);
+    queueMarker._t = null;
+    const batch = pendingMarkers;
+    pendingMarkers = [];
+    addMarkers(batch);
+    updateVisibleCount();
+    scheduleRenderLayers();
+}
+
+// Se resuelve cuando processData dibujó las filas con coordenadas y las que estaban en la cache,
+// sin esperar a que el proveedor resuelva el resto (con Nominatim puede llevar minutos)
+function whenDataDrawn() {
+    return new Promise(res => drawnWaiters.push(res));
+}
+
+function notifyDataDrawn() {
+    const waiters = drawnWaiters;
+    drawnWaiters = [];
+    waiters.forEach(res => res());
+}
+
+// Vacía marcadores, índice y grupo (al cambiar de archivo)
+function clearMarkers() {
+    clearTimeout(queueMarker._t);
+    queueMarker._t = null;
+    pendingMarkers = [];
+    allMarkers = [];
+    markerIndex.clear();
+    resetClusterGroup();
+}
+
+/**
+ * processData(layer)
+ * Dibuja y geocodifica las filas de una capa (ya en allData, ver loadDataset). Las demás capas
+ * siguen como estaban: sus marcadores, su geocodificación en curso y sus filas sin ubicar.
+ */
+async function processData(layer) {
+    // Una corrida nueva de la capa invalida la anterior: lo pendiente de la capa se cancela y
+    // los resultados que lleguen tarde se descartan comparando runId (currentRun corta todas)
+    geocodeQueue.cancel(layer.id);
+    const runId = ++layer.run;
+    const globalRun = currentRun;
+    geocodeQueue.resume();
+
+    const isCurrent = () => runId === layer.run && globalRun === currentRun && layersById.get(layer.id) === layer;
+    await geoCache.ready;
+    if (!isCurrent()) return;
+
+    const rows = layerRows(layer);
+    // Las estadísticas de búsqueda son de la última carga, salvo que otra capa siga geocodificando
+    if (!geocodingBusy()) lookupStats = { cache: 0, provider: 0 };
+    layer.progress = { done: 0, total: rows.length };
+    updateProgress();
+    refreshDataViews();
+
+    let geocodedCount = 0;
+    const progress = () => { layer.progress.done++; updateProgress(); };
+
+    // 1) Filas que ya traen coordenadas: marcadores por tandas, liberando el hilo entre una y otra
+    const pending = []; // filas a geocodificar
+    const seeds = []; // coordenadas del archivo para sembrar la cache (clave direccion+barrio), en una sola escritura
+    for (let start = 0; start < rows.length; start += MARKER_BATCH) {
+        const batch = [];
+        for (const row of rows.slice(start, start + MARKER_BATCH)) {
+            const coords = getCoordsFromRow(row);
+            if (!coords) { pending.push(row); continue; }
+            // Si el CSV ya viene de un export nuestro, conservar la calidad registrada
+            row._geo = readGeoColumns(row, coords);
+            const key = addressKey(row);
+            if (key) seeds.push({ key, value: row._geo, defaults: { provider: row._geo.matchType === 'manual' ? 'manual' : 'source' } });
+            batch.push(markerForRow(row, coords.lat, coords.lon));
+        }
+        addMarkers(batch);
+        geocodedCount += batch.length;
+        layer.progress.done += batch.length;
+        updateProgress();
+        updateVisibleCount();
+        await sleep(0);
+        if (!isCurrent()) return;
+    }
+    geoCache.setMany(seeds);
+
+    // 2) El resto se geocodifica con dirección/barrio (con consultas de respaldo)
+    const tasks = pending.map(async (row) => {
+        let cancelled = false;
+        try {
+            const queries = buildGeocodeQueries(row);
+            if (queries.length) {
+                const geo = await geocodeRow(row);
+                if (!isCurrent()) return;
+                if (geo) {
+                    row._geo = geo;
+                    geocodedCount++;
+                    queueMarker(markerForRow(row, geo.lat, geo.lon));
+                } else {
+                    addFailedRow(row, queries[0].query.text);
+                }
+            }
+        } catch (e) {
+            if (e && e.cancelled) { cancelled = true; return; }
+            const queries = buildGeocodeQueries(row);
+            console.warn('Geocode fallo', rowDireccion(row), e);
+            if (queries.length && isCurrent()) addFailedRow(row, queries[0].query.text, e && e.message);
+        } finally {
+            if (isCurrent() && !cancelled) progress();
+        }
+    });
+
+    // Las que estaban en la cache se resuelven sin pasar por la cola: se dibujan ya
+    await sleep(0);
+    if (!isCurrent()) return;
+    flushMarkers();
+    notifyDataDrawn();
+
+    await Promise.all(tasks);
+    if (!isCurrent()) return;
+    flushMarkers();
+
+    if (layer.progress.done < rows.length) {
+        // Cancelado desde el panel: dejar visible lo que se llegó a ubicar
+        progressText().textContent = t('progress.cancelled', { located: geocodedCount, total: rows.length });
+    } else if (geocodedCount > 0) {
+        fireConfetti();
+    }
+    updateVisibleCount();
+    renderLayers();
+    if (viewMode !== 'markers') refreshViewLayers();
+}
+
+// Progreso de todas las capas juntas (cada una lleva el suyo en layer.progress)
+function updateProgress() {
+    let done = 0; let total = 0;
+    datasetLayers.forEach(l => {
+        if (!l.progress) return;
+        done += l.progress.done;
+        total += l.progress.total;
+    });
+    setProgress(done, total);
+}
+
+// Listas de filtros, colores, timeline y grupo después de sumar o quitar filas de una capa
+function refreshDataViews() {
+    buildFilterOptions(allData);
+    refreshCategoryStyles();
+    refreshTimeline();
+    renderUnlocated();
+    applyFilters();
+}
+
+// --- Revisión de filas sin ubicar ---
+
+function addFailedRow(row, query, error) {
+    failedRows.push({ row, query, error: error || '' });
+    // Agrupar renders cuando fallan muchas filas seguidas
+    if (!addFailedRow._t) addFailedRow._t = setTimeout(() => { addFailedRow._t = null; renderUnlocated(); }, 200);
+}
+
+// Guarda coordenadas corregidas: fila, cache (consulta original y editada) y mapa
+function applyManualFix(row, geo, query) {
+    if (!row || !geo) return;
+    row._geo = { ...geo, lat: +geo.lat, lon: +geo.lon };
+    // Clave de la fila (la que consulta processData al recargar) y la búsqueda corregida
+    const keys = new Set([addressKey(row), normalizeAddressForKey(query)].filter(Boolean));
+    const provider = row._geo.matchType === 'manual' ? 'manual' : getGeocoder().id;
+    if (Dataset.canCache(provider)) keys.forEach(k => geoCache.set(k, row._geo, { provider }));
+    addMarkers([markerForRow(row, row._geo.lat, row._geo.lon)]);
+    failedRows = failedRows.filter(f => f.row !== row);
+    renderUnlocated();
+    updateVisibleCount();
+    scheduleDashboard();
+    if (viewMode !== 'markers') refreshViewLayers();
+}
+
+async function retryFailedRow(row, query) {
+    const entry = failedRows.find(f => f.row === row);
+    if (!entry || !query) return;
+    entry.busy = true; entry.error = '';
+    renderUnlocated();
+    try {
+        const hit = await geocodeAddress(query);
+        if (hit) return applyManualFix(row, qualifyGeo(hit, 'edited'), query);
+        entry.error = t('unlocated.noResults');
+    } catch (e) {
+        entry.error = e && e.cancelled ? t('unlocated.cancelled') : (e && e.message) || t('common.error');
+    } finally {
+        entry.busy = false;
+    }
+    renderUnlocated();
+}
+
+// Modo "ubicar a mano": un marcador temporal arrastrable que también sigue los clicks en el mapa
+function startPick(row) {
+    cancelPick();
+    const marker = L.marker(map.getCenter(), { draggable: true, icon: createCustomIcon(), zIndexOffset: 1000 }).addTo(map);
+    pickState = { row, marker };
+    map.on('click', onPickClick);
+    renderUnlocated();
+}
+
+function onPickClick(e) {
+    if (pickState) pickState.marker.setLatLng(e.latlng);
+}
+
+function cancelPick() {
+    if (!pickState) return;
+    map.off('click', onPickClick);
+    map.removeLayer(pickState.marker);
+    pickState = null;
+    renderUnlocated();
+}
+
+function confirmPick(query) {
+    if (!pickState) return;
+    const { row, marker } = pickState;
+    const { lat, lng } = marker.getLatLng();
+    cancelPick();
+    applyManualFix(row, { lat, lon: lng, matchType: 'manual', importance: null, displayName: '', lowConfidence: false }, query);
+}
+
+function renderUnlocated() {
+    const section = document.getElementById('unlocated-section');
+    const list = document.getElementById('unlocated-list');
+    if (!section || !list) return;
+    document.getElementById('unlocated-count').textContent = String(failedRows.length);
+    section.hidden = failedRows.length === 0;
+    list.textContent = '';
+    // Con miles de filas sin ubicar, el panel arma solo una tanda (la que se está ubicando a mano siempre)
+    const shown = failedRows.filter((entry, i) => i < unlocatedLimit || (pickState && pickState.row === entry.row));
+    for (const entry of shown) {
+        const { row } = entry;
+        const region = rowRegion(row);
+        const barrio = rowBarrio(row);
+        const direccion = rowDireccion(row);
+        const input = el('input', { className: 'input', type: 'text', value: entry.query, disabled: !!entry.busy });
+        const picking = pickState && pickState.row === entry.row;
+        const actions = picking
+            ? [
+                el('button', { className: 'btn small', textContent: t('common.confirm'), onclick: () => confirmPick(input.value.trim()) }),
+                el('button', { className: 'btn ghost small', textContent: t('common.cancel'), onclick: cancelPick }),
+            ]
+            : [
+                el('button', { className: 'btn small', textContent: entry.busy ? t('unlocated.searching') : t('unlocated.retry'), disabled: !!entry.busy, onclick: () => retryFailedRow(row, input.value.trim()) }),
+                el('button', { className: 'btn ghost small', textContent: t('unlocated.pick'), onclick: () => startPick(row) }),
+            ];
+        list.append(el('li', { className: 'unlocated-item' }, [
+            el('div', { className: 'unlocated-meta', textContent: [region && t('filters.region', { region }), barrio].filter(Boolean).join(' · ') }),
+            el('div', { className: 'unlocated-address', textContent: direccion }),
+            input,
+            picking ? el('small', { className: 'hint', textContent: t('unlocated.pickHint') }) : '',
+            entry.error ? el('small', { className: 'unlocated-error', textContent: entry.error }) : '',
+            el('div', { className: 'subtle unlocated-actions' }, actions),
+        ]));
+    }
+    if (failedRows.length > shown.length) {
+        list.append(el('li', {}, [el('button', {
+            className: 'btn ghost small',
+            textContent: t('common.showMore', { count: failedRows.length - shown.length }),
+            onclick: () => { unlocatedLimit += LIST_PAGE; renderUnlocated(); },
+        })]));
+    }
+}
+
+// --- Edición en el mapa ---
+// Los cambios se hacen sobre las mismas filas de originalRows/allData, así el export
+// conserva el orden y los incluye. Cada cambio se guarda con cómo deshacerlo.
+
+// Copia de los valores de la fila (sin las propiedades internas _*) y su ubicación
+function rowSnapshot(row) {
+    const values = {};
+    Object.keys(row).forEach(k => { if (!k.startsWith('_')) values[k] = row[k]; });
+    return { values, geo: row._geo ? { ...row._geo } : null };
+}
+
+function restoreRow(row, snap) {
+    const before = rowFacets(row);
+    Object.assign(row, snap.values);
+    row._geo = snap.geo ? { ...snap.geo } : null;
+    syncEditedRow(row, before);
+}
+
+// Lo que de una fila usan las listas de filtros, el timeline, la leyenda y las direcciones compartidas
+function rowFacets(row) {
+    const column = timeColumn();
+    return {
+        region: rowRegion(row),
+        barrio: rowBarrio(row),
+        date: column ? String(row[column] ?? '') : '',
+        category: categoryValue(row),
+        address: addressKey(row),
+    };
+}
+
+function markerOfRow(row) { return allMarkers.find(m => m.options.row === row) || null; }
+
+// Ubicación puesta a mano; si el archivo tiene columnas de coordenadas, también se escriben ahí
+function placeRow(row, latlng) {
+    row._geo = { lat: +latlng.lat, lon: +latlng.lng, matchType: 'manual', importance: null, displayName: '', lowConfidence: false };
+    const cols = Dataset.coordColumns(rowFields(row), mappingOf(row));
+    if (cols.lat && cols.lon) {
+        row[cols.lat] = row._geo.lat.toFixed(6);
+        row[cols.lon] = row._geo.lon.toFixed(6);
+    }
+}
+
+function pushEdit(entry) {
+    editHistory.undo.push(entry);
+    if (editHistory.undo.length > EDIT_HISTORY_LIMIT) editHistory.undo.shift();
+    editHistory.redo = [];
+    editsUnsaved = true;
+    renderEditControls();
+}
+
+function undoEdit() {
+    const entry = editHistory.undo.pop();
+    if (!entry) return;
+    entry.undo();
+    editHistory.redo.push(entry);
+    editsUnsaved = true;
+    renderEditControls();
+    setStatus(t('edit.undone', { label: t(entry.label) }));
+}
+
+function redoEdit() {
+    const entry = editHistory.redo.pop();
+    if (!entry) return;
+    entry.redo();
+    editHistory.undo.push(entry);
+    editsUnsaved = true;
+    renderEditControls();
+    setStatus(t('edit.redone', { label: t(entry.label) }));
+}
+
+// Cambia una fila guardando cómo estaba antes (before: si ya se tomó, p. ej. al empezar a arrastrar)
+function changeRow(row, label, change, before = rowSnapshot(row)) {
+    const facets = rowFacets(row);
+    change(row);
+    const after = rowSnapshot(row);
+    pushEdit({ label, undo: () => restoreRow(row, before), redo: () => restoreRow(row, after) });
+    syncEditedRow(row, facets);
+}
+
+function onMarkerMoved(m) {
+    const row = m.options.row;
+    const before = m._before || rowSnapshot(row);
+    m._before = null;
+    changeRow(row, 'edit.move', r => placeRow(r, m.getLatLng()), before);
+}
+
+// Lleva el marcador y la cache al estado de la fila (before: rowFacets antes del cambio)
+function syncEditedRow(row, before) {
+    const m = markerOfRow(row);
+    if (m && row._geo) {
+        const p = m.getLatLng();
+        markerIndex.remove(m, p.lat, p.lng);
+        if (p.lat !== row._geo.lat || p.lng !== row._geo.lon) m.setLatLng([row._geo.lat, row._geo.lon]);
+        markerIndex.add(m, row._geo.lat, row._geo.lon, markerMatchesFilters(m));
+    }
+    const key = addressKey(row);
+    const provider = row._geo && row._geo.matchType === 'manual' ? 'manual' : getGeocoder().id;
+    if (key && row._geo && Dataset.canCache(provider)) geoCache.set(key, row._geo, { provider });
+    refreshAfterEdit(row, before);
+}
+
+function insertRow(row, idx) {
+    cancelPick();
+    allData.splice(idx, 0, row);
+    originalRows.splice(idx, 0, row);
+    if (row._geo) {
+        const m = markerForRow(row, row._geo.lat, row._geo.lon);
+        allMarkers.push(m);
+        markerIndex.add(m, row._geo.lat, row._geo.lon, markerMatchesFilters(m));
+    }
+    renderUnlocated();
+    refreshAfterEdit(row, null);
+}
+
+// Devuelve la posición que tenía la fila (-1 si ya no estaba)
+function removeRow(row) {
+    const idx = allData.indexOf(row);
+    if (idx < 0) return -1;
+    cancelPick();
+    allData.splice(idx, 1);
+    originalRows.splice(idx, 1);
+    failedRows = failedRows.filter(f => f.row !== row);
+    const m = markerOfRow(row);
+    if (m) {
+        m.closePopup();
+        const p = m.getLatLng();
+        markerIndex.remove(m, p.lat, p.lng);
+        clusterGroup.removeLayer(m);
+        allMarkers.splice(allMarkers.indexOf(m), 1);
+    }
+    renderUnlocated();
+    refreshAfterEdit(row, null);
+    return idx;
+}
+
+function addRowAt(latlng) {
+    // Sin archivos cargados, los encuentros nuevos arman su propia capa
+    if (!activeLayer()) {
+        activeLayerId = createDatasetLayer(t('layers.newLayer'), NEW_DATASET_FIELDS.slice(), null, null).id;
+        applyLayerState();
+    }
+    const layer = activeLayer();
+    const row = { _layer: layer.id };
+    layer.fields.forEach(f => { row[f] = ''; });
+    placeRow(row, latlng);
+    const idx = allData.length;
+    insertRow(row, idx);
+    pushEdit({ label: 'edit.add', undo: () => removeRow(row), redo: () => insertRow(row, idx) });
+    // Abrir el formulario para completar los datos (los filtros activos pueden ocultarlo)
+    const m = markerOfRow(row);
+    if (m && !revealMarker(m)) setStatus(t('edit.addedHidden'));
+}
+
+function deleteRow(row) {
+    if (!confirm(t('edit.confirmDelete'))) return;
+    const idx = removeRow(row);
+    if (idx < 0) return;
+    pushEdit({ label: 'edit.delete', undo: () => insertRow(row, idx), redo: () => removeRow(row) });
+}
+
+/**
+ * refreshAfterEdit(row, before)
+ * Después de cambiar, agregar o quitar una fila (before = null si se agregó o se quitó).
+ * Las listas de Región/Barrio, el timeline, la leyenda y las direcciones compartidas se
+ * rearman solo si cambió el valor del que dependen; el grupo se rehace solo si eso puede
+ * cambiar qué otros marcadores pasan los filtros. Si no, se actualiza el marcador de la fila.
+ */
+function refreshAfterEdit(row, before) {
+    const now = rowFacets(row);
+    const changed = key => (before ? before[key] !== now[key] : now[key] !== '');
+    const filtersBefore = [filters.regions.size, filters.barrios.size, filters.hidden.size, !!filters.time].join();
+    let regroup = false;
+    if (changed('address')) {
+        findSharedAddresses();
+        regroup = regroup || compareLayers;
+    }
+    if (changed('region') || changed('barrio')) buildFilterOptions(allData);
+    if (changed('date')) refreshTimeline();
+    // La leyenda cuenta filas: también cambia al agregar o quitar una
+    if (!before || changed('category')) {
+        const colors = () => (categoryScale ? categoryScale.entries.map(e => `${e.key}:${e.color}:${e.shape}`).join('|') : '');
+        const colorsBefore = colors();
+        refreshCategoryStyles();
+        regroup = regroup || colors() !== colorsBefore; // los clusters se pintan con los colores de la escala
+    }
+    regroup = regroup || filtersBefore !== [filters.regions.size, filters.barrios.size, filters.hidden.size, !!filters.time].join();
+    if (!before) renderLayers();
+    if (regroup) applyFilters();
+    else refreshEditedMarker(row);
+    scheduleDashboard();
+    scheduleRevalidation();
+}
+
+// El marcador de la fila y su entrada del índice, sin tocar el resto del grupo
+function refreshEditedMarker(row) {
+    const m = markerOfRow(row);
+    if (m) {
+        const match = markerMatchesFilters(m);
+        const p = m.getLatLng();
+        m.setIcon(iconForRow(row));
+        markerIndex.remove(m, p.lat, p.lng);
+        markerIndex.add(m, p.lat, p.lng, match);
+        clusterGroup.removeLayer(m);
+        if (match) clusterGroup.addLayer(m);
+    }
+    updateVisibleCount();
+    if (viewMode !== 'markers') refreshViewLayers();
+    if (selection) scheduleSelectionRefresh();
+    scheduleList();
+}
+
+// La revisión de datos se recalcula después de una racha de cambios
+function scheduleRevalidation() {
+    clearTimeout(scheduleRevalidation._t);
+    scheduleRevalidation._t = setTimeout(validateActiveLayer, 500);
+}
+
+// Formulario del popup en modo edición: todas las columnas salvo coordenadas y calidad de geocodificación
+function editForm(row) {
+    const cols = Dataset.coordColumns(rowFields(row), mappingOf(row));
+    const fields = rowFields(row).filter(f => f !== cols.lat && f !== cols.lon && !Exporters.GEO_COLUMNS.includes(f));
+    const inputs = fields.map(f => el('input', { className: 'input', type: 'text', name: f, value: row[f] ?? '' }));
+    const save = (e) => {
+        e.preventDefault();
+        const values = {};
+        inputs.forEach((input, i) => { if (String(row[fields[i]] ?? '') !== input.value) values[fields[i]] = input.value; });
+        const m = markerOfRow(row);
+        if (m) m.closePopup();
+        if (Object.keys(values).length) changeRow(row, 'edit.change', r => Object.assign(r, values));
+    };
+    return el('form', {
+        className: 'edit-form',
+        onsubmit: save,
+        // Que las teclas no lleguen al mapa (+/- acercan) ni a los atajos de deshacer
+        onkeydown: (e) => e.stopPropagation(),
+    }, [
+        ...fields.map((f, i) => el('label', {}, [el('span', { textContent: f }), inputs[i]])),
+        el('small', { className: 'hint', textContent: t('edit.dragHint') }),
+        el('div', { className: 'popup-actions' }, [
+            el('button', { type: 'submit', className: 'btn small', textContent: t('common.save') }),
+            el('button', { type: 'button', className: 'btn ghost small danger', textContent: t('common.remove'), onclick: () => deleteRow(row) }),
+        ]),
+    ]);
+}
+
+function geocodingBusy() {
+    if (!geocodeQueue) return false;
+    const stats = geocodeQueue.stats();
+    return stats.pending + stats.running > 0;
+}
+
+function setEditMode(on) {
+    if (on && geocodingBusy()) {
+        setStatus(t('edit.busy'), 'error');
+        return;
+    }
+    editMode = !!on;
+    if (editMode) {
+        cancelPick();
+        if (viewMode !== 'markers') setViewMode('markers', /*persist*/ false);
+    }
+    map.closePopup();
+    allMarkers.forEach(m => {
+        m.options.draggable = editMode;
+        if (m.dragging) { if (editMode) m.dragging.enable(); else m.dragging.disable(); }
+    });
+    if (editMode) map.on('click', onEditMapClick); else map.off('click', onEditMapClick);
+    map.getContainer().classList.toggle('editing', editMode);
+    renderEditControls();
+}
+
+function onEditMapClick(e) {
+    if (pickState || selectionTool) return; // la ubicación manual y la selección usan el mismo click
+    addRowAt(e.latlng);
+}
+
+function renderEditControls() {
+    const toggle = document.getElementById('edit-mode-btn');
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const unsaved = document.getElementById('edit-unsaved');
+    const last = list => list[list.length - 1];
+    if (toggle) {
+        toggle.textContent = editMode ? t('edit.finish') : t('edit.start');
+        toggle.setAttribute('aria-pressed', String(editMode));
+    }
+    if (undoBtn) {
+        undoBtn.disabled = !editHistory.undo.length;
+        undoBtn.title = `${editHistory.undo.length ? t('edit.undoLabel', { label: t(last(editHistory.undo).label) }) : t('edit.undo')} (Ctrl+Z)`;
+    }
+    if (redoBtn) {
+        redoBtn.disabled = !editHistory.redo.length;
+        redoBtn.title = `${editHistory.redo.length ? t('edit.redoLabel', { label: t(last(editHistory.redo).label) }) : t('edit.redo')} (Ctrl+Shift+Z)`;
+    }
+    if (unsaved) unsaved.hidden = !editsUnsaved;
+}
+
+// Cortar la geocodificación en curso y limpiar mapa y estado previo (evita duplicados
+// y que lleguen marcadores del archivo anterior al grupo nuevo)
+function resetDataState() {
+    cancelGeocoding();
+    cancelPick();
+    resetEditHistory();
+    datasetLayers.forEach(l => { l.progress = null; });
+    lookupStats = { cache: 0, provider: 0 };
+    stopTimeline();
+    timelineBins = [];
+    renderTimeline();
+    clearNearest();
+    failedRows = [];
+    unlocatedLimit = LIST_PAGE;
+    renderUnlocated();
+    allData = [];
+    clearMarkers();
+    refreshSelection();
+    datasetIssues = [];
+    renderValidationButton();
+    statVisible().textContent = t('header.visibleCount', { visible: 0, total: 0 });
+    setProgress(0, 0);
+    scheduleList();
+}
+
+// Los cambios guardan posiciones de filas: al reemplazar o quitar una capa ya no valen
+function resetEditHistory() {
+    editHistory = { undo: [], redo: [] };
+    renderEditControls();
+}
+
+// Saca las filas de una capa: su geocodificación pendiente, sus marcadores y sus filas sin ubicar.
+// Las vistas compartidas (filtros, timeline, grupo) se rearman después, con las filas que quedan
+function removeLayerRows(layer) {
+    layer.run++;
+    geocodeQueue.cancel(layer.id);
+    layer.progress = null;
+    if (pickState && pickState.row._layer === layer.id) cancelPick();
+    const ofLayer = m => m.options.row && m.options.row._layer === layer.id;
+    if (nearestState && nearestState.results.some(r => ofLayer(r.item))) clearNearest();
+    pendingMarkers = pendingMarkers.filter(m => !ofLayer(m));
+    allMarkers = allMarkers.filter(m => {
+        if (!ofLayer(m)) return true;
+        const p = m.getLatLng();
+        markerIndex.remove(m, p.lat, p.lng);
+        return false;
+    });
+    failedRows = failedRows.filter(f => f.row._layer !== layer.id);
+    originalRows = originalRows.filter(r => r._layer !== layer.id);
+    allData = originalRows.slice();
+}
+
+// mapping: columnas por rol; si no se indica, la recordada para estos encabezados o la adivinada
+// remember: guardarlo como último dataset para abrirlo sin conexión (ver restoreLastDataset)
+// name, source: nombre de la capa y de dónde volver a cargarla ({ url } o { file }); replace: id de la capa a reemplazar
+async function loadDataset(rows, fields, mapping, { remember = true, name = 'Datos', source = null, replace = null } = {}) {
+    const layerFields = Array.isArray(fields) ? fields.slice() : Object.keys(rows[0] || {});
+    const layerMapping = mapping || mappingFor(layerFields);
+    let layer = layersById.get(replace);
+    if (layer) {
+        // Reemplazo: se van las filas viejas de la capa; las demás capas siguen como estaban
+        removeLayerRows(layer);
+        resetEditHistory();
+        Object.assign(layer, { fields: layerFields, mapping: layerMapping, source: source || layer.source });
+    } else {
+        // Capa nueva: sus filas van al final, así que los cambios hechos hasta acá se pueden deshacer
+        layer = createDatasetLayer(name, layerFields, layerMapping, source);
+    }
+    rows.forEach(r => { r._layer = layer.id; });
+    // Las filas de cada capa quedan juntas, en el orden en que se cargaron las capas
+    originalRows = datasetLayers.flatMap(l => (l === layer ? rows : originalRows.filter(r => r._layer === l.id)));
+    allData = originalRows.slice();
+    activeLayerId = layer.id;
+    if (remember) saveLastDataset(rows, layerFields, layerMapping, layer.name);
+    applyLayerState();
+    await processData(layer);
+}
+
+// --- Capas: un archivo por capa ---
+
+function activeLayer() { return layersById.get(activeLayerId) || null; }
+function layerRows(layer) { return originalRows.filter(r => r._layer === layer.id); }
+// Columnas de la capa de la fila (las de todas si no tiene)
+function rowFields(row) { const layer = layerOf(row); return layer ? layer.fields : originalFields; }
+
+function createDatasetLayer(name, fields, mapping, source) {
+    const palette = Categories.paletteColors(styleSettings.palette, styleSettings.custom);
+    let unique = name; let n = 2;
+    while (datasetLayers.some(l => l.name === unique)) unique = `${name} (${n++})`;
+    const layer = {
+        id: `capa-${++layerSeq}`,
+        name: unique,
+        color: palette[datasetLayers.length % palette.length],
+        visible: true,
+        run: 0, // corrida de processData de la capa; las anteriores quedan obsoletas
+        progress: null, // { done, total } de la última corrida (ver updateProgress)
+        fields,
+        mapping,
+        source,
+        // Capa vacía: solo representa al archivo en el control de Leaflet
+        overlay: L.layerGroup().addTo(map),
+    };
+    datasetLayers.push(layer);
+    layersById.set(layer.id, layer);
+    // Con dos archivos o más se colorea por capa, salvo que se haya elegido otra columna
+    if (datasetLayers.length === 2 && !styleSettings.column) styleSettings.column = LAYER_STYLE;
+    return layer;
+}
+
+// Columnas, mapeo activo, opciones del panel y revisión después de sumar, quitar o reemplazar una capa
+function applyLayerState() {
+    originalFields = [];
+    datasetLayers.forEach(l => l.fields.forEach(f => { if (!originalFields.includes(f)) originalFields.push(f); }));
+    const active = activeLayer();
+    fieldMapping = active ? active.mapping : null;
+    buildStyleOptions(originalFields);
+    buildTimeOptions(originalRows, originalFields);
+    findSharedAddresses();
+    validateActiveLayer();
+    refreshLayerControl();
+    renderLayers();
+}
+
+function validateActiveLayer() {
+    const layer = activeLayer();
+    datasetIssues = layer ? validateRows(layerRows(layer), layer.fields, layer.mapping) : [];
+    renderValidationButton();
+}
+
+function setActiveLayer(id) {
+    activeLayerId = id;
+    fieldMapping = activeLayer() ? activeLayer().mapping : null;
+    validateActiveLayer();
+    renderLayers();
+}
+
+// Direcciones (addressKey) que aparecen en más de una capa
+function findSharedAddresses() {
+    const byKey = new Map();
+    originalRows.forEach(r => {
+        const key = addressKey(r);
+        if (!key) return;
+        if (!byKey.has(key)) byKey.set(key, new Set());
+        byKey.get(key).add(r._layer);
+    });
+    sharedAddresses = new Map([...byKey].filter(([, ids]) => ids.size > 1));
+    if (compareLayers && datasetLayers.length < 2) compareLayers = false;
+}
+
+function setCompareLayers(on) {
+    compareLayers = !!on && datasetLayers.length > 1;
+    renderLayers();
+    applyFilters();
+}
+
+function layerLabel(layer) {
+    return `<span class="layer-swatch" style="background:${layer.color}"></span>${escapeHtml(layer.name)}`;
+}
+
+// El control se rearma al sumar o quitar capas y al cambiar un color (no al prenderlas o apagarlas)
+function refreshLayerControl() {
+    if (!map) return;
+    if (!layerControl) {
+        layerControl = L.control.layers(null, null, { position: 'topleft' }).addTo(map);
+        map.on('overlayadd overlayremove', onLayerToggle);
+    }
+    datasetLayers.forEach(l => layerControl.removeLayer(l.overlay));
+    datasetLayers.forEach(l => layerControl.addOverlay(l.overlay, layerLabel(l)));
+    layerControl.getContainer().hidden = datasetLayers.length === 0;
+}
+
+function onLayerToggle(e) {
+    const layer = datasetLayers.find(l => l.overlay === e.layer);
+    if (!layer) return;
+    layer.visible = e.type === 'overlayadd';
+    renderLayers();
+    applyFilters();
+}
+
+function setLayerColor(layer, color) {
+    layer.color = color;
+    refreshLayerControl();
+    if (styleSettings.column === LAYER_STYLE) {
+        refreshCategoryStyles();
+        applyFilters();
+    }
+}
+
+function removeDatasetLayer(layer) {
+    if (!confirm(t(editsUnsaved ? 'layers.confirmRemoveUnsaved' : 'layers.confirmRemove', { name: layer.name }))) return;
+    removeLayerRows(layer);
+    layerControl.removeLayer(layer.overlay);
+    map.removeLayer(layer.overlay);
+    datasetLayers = datasetLayers.filter(l => l !== layer);
+    layersById.delete(layer.id);
+    if (activeLayerId === layer.id) activeLayerId = datasetLayers.length ? datasetLayers[datasetLayers.length - 1].id : null;
+    resetEditHistory();
+    applyLayerState();
+    refreshDataViews();
+    updateProgress();
+    scheduleDashboard();
+}
+
+// Vuelve a leer el archivo de la capa: por URL si vino de una, si no eligiéndolo de nuevo
+async function reloadDatasetLayer(layer) {
+    if (editsUnsaved && !confirm(t('layers.confirmReload'))) return;
+    if (layer.source && layer.source.url) {
+        setStatus(t('layers.loading', { name: layer.name }));
+        try {
+            const parsed = await loadCSVFromUrl(layer.source.url);
+            if (!parsed || !parsed.rows.length) {
+                setStatus(t('layers.reloadFailed', { name: layer.name }), 'error');
+                return;
+            }
+            await loadDataset(parsed.rows, parsed.fields, undefined, { replace: layer.id });
+        } catch (e) {
+            console.error('No se pudo volver a cargar la capa', layer.source.url, e);
+            setStatus(`${t('layers.reloadFailed', { name: layer.name })}: ${e.message}`, 'error');
+        }
+        return;
+    }
+    const input = document.getElementById('csv-file-input');
+    input.dataset.replace = layer.id;
+    input.click();
+}
+
+function scheduleRenderLayers() {
+    clearTimeout(scheduleRenderLayers._t);
+    scheduleRenderLayers._t = setTimeout(renderLayers, 300);
+}
+
+// Sección "Capas": color, cantidades y acciones de cada archivo; también el alcance del export
+function renderLayers() {
+    const list = document.getElementById('layer-list');
+    if (!list) return;
+    const tally = (items, layerIdOf) => {
+        const counts = new Map();
+        items.forEach(x => { const id = layerIdOf(x); counts.set(id, (counts.get(id) || 0) + 1); });
+        return counts;
+    };
+    const totals = tally(originalRows, r => r._layer);
+    const located = tally(allMarkers, m => (m.options.row || {})._layer);
+    const sharedByLayer = new Map();
+    sharedAddresses.forEach(ids => ids.forEach(id => sharedByLayer.set(id, (sharedByLayer.get(id) || 0) + 1)));
+    list.replaceChildren(...datasetLayers.map(layer => {
+        const active = layer.id === activeLayerId;
+        const stats = [
+            t('layers.rows', { count: totals.get(layer.id) || 0, n: formatNumber(totals.get(layer.id) || 0) }),
+            t('layers.located', { n: formatNumber(located.get(layer.id) || 0) }),
+            datasetLayers.length > 1 ? t('layers.shared', { count: sharedByLayer.get(layer.id) || 0, n: formatNumber(sharedByLayer.get(layer.id) || 0) }) : '',
+        ].filter(Boolean).join(' · ');
+        return el('li', { className: 'layer-item' + (active ? ' active' : '') + (layer.visible ? '' : ' off') }, [
+            el('div', { className: 'layer-head' }, [
+                el('input', { type: 'color', className: 'layer-color', value: layer.color, title: t('layers.color'), onchange: (e) => setLayerColor(layer, e.target.value) }),
+                el('strong', { textContent: layer.name }),
+                active ? el('small', { className: 'hint', textContent: t('layers.active') }) : '',
+            ]),
+            el('small', { className: 'hint', textContent: stats }),
+            el('div', { className: 'subtle layer-actions' }, [
+                active ? '' : el('button', { className: 'btn ghost small', textContent: t('layers.activate'), title: t('layers.activateTitle'), onclick: () => setActiveLayer(layer.id) }),
+                layer.source ? el('button', { className: 'btn ghost small', textContent: t('layers.reload'), onclick: () => reloadDatasetLayer(layer) }) : '',
+                el('button', { className: 'btn ghost small', textContent: t('layers.remove'), onclick: () => removeDatasetLayer(layer) }),
+            ]),
+        ]);
+    }));
+    const compare = document.getElementById('layer-compare');
+    compare.checked = compareLayers;
+    compare.disabled = datasetLayers.length < 2;
+    document.getElementById('layer-summary').textContent = datasetLayers.length > 1
+        ? t('layers.summary', { rows: formatNumber(originalRows.length), layers: datasetLayers.length, shared: formatNumber(sharedAddresses.size) })
+        : '';
+    // Exportar y estadísticas: todas las capas juntas o una sola
+    fillLayerSelect(document.getElementById('export-layer'), t('export.allLayers'));
+    fillLayerSelect(document.getElementById('stats-layer'), t('stats.allLayers'));
+}
+
+// Opciones de capa ('' = todas), conservando la elegida si la capa sigue
+function fillLayerSelect(select, allLabel) {
+    const selected = select.value;
+    select.replaceChildren(
+        el('option', { value: '', textContent: allLabel }),
+        ...datasetLayers.map(l => el('option', { value: l.id, textContent: l.name })),
+    );
+    select.value = layersById.has(selected) ? selected : '';
+    select.hidden = datasetLayers.length < 2;
+}
+
+// --- Asistente de importación ---
+
+// Mapeo recordado para esta estructura de columnas, o uno adivinado por los nombres
+function mappingFor(fields) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LS_KEYS.mapping + Importers.headerSignature(fields)) || 'null');
+        // Solo sirve si las columnas recordadas siguen existiendo
+        if (saved && Object.values(saved).every(c => !c || fields.includes(c))) return saved;
+    } catch (_) { /* ignore */ }
+    return Importers.guessMapping(fields);
+}
+
+function rememberMapping(fields, mapping) {
+    try { localStorage.setItem(LS_KEYS.mapping + Importers.headerSignature(fields), JSON.stringify(mapping)); } catch (_) { }
+}
+
+/**
+ * openImportWizard(file)
+ * Muestra opciones de lectura, mapeo de columnas y vista previa del archivo.
+ * Resuelve con { rows, fields, mapping } al confirmar, o null si se cancela.
+ */
+async function openImportWizard(file) {
+    if (importState) closeImportWizard(null);
+    const buffer = await file.arrayBuffer();
+    const format = Importers.detectFormat(file.name, file.type);
+    importState = { buffer, format, options: { delimiter: '', encoding: 'auto', sheet: '' }, parsed: null, mapping: null };
+    document.getElementById('import-file-name').textContent = `${file.name} — ${t(`import.format.${format}`)}`;
+    document.getElementById('import-delimiter').value = '';
+    document.getElementById('import-encoding').value = 'auto';
+    document.getElementById('import-delimiter-wrap').hidden = format !== 'csv';
+    document.getElementById('import-encoding-wrap').hidden = format === 'sheet';
+    document.getElementById('import-sheet-wrap').hidden = format !== 'sheet';
+    reparseImport();
+    document.getElementById('import-wizard').hidden = false;
+    return new Promise(resolve => { importState.resolve = resolve; });
+}
+
+function closeImportWizard(result) {
+    if (!importState) return;
+    const { resolve } = importState;
+    importState = null;
+    document.getElementById('import-wizard').hidden = true;
+    if (resolve) resolve(result);
+}
+
+// Vuelve a leer el archivo con las opciones actuales (en el worker, ver parseData),
+// conservando las columnas ya elegidas que sigan existiendo
+async function reparseImport() {
+    const st = importState;
+    const errorEl = document.getElementById('import-error');
+    errorEl.textContent = '';
+    // Si cambian las opciones mientras se lee, vale solo la última lectura
+    const token = (st.parseToken = (st.parseToken || 0) + 1);
+    document.getElementById('import-confirm-btn').disabled = true; // hasta tener la lectura nueva
+    try {
+        const parsed = await parseData(st.buffer, st.format, st.options);
+        if (importState !== st || st.parseToken !== token) return;
+        st.parsed = parsed;
+        const { fields } = st.parsed;
+        const next = mappingFor(fields);
+        if (st.mapping) {
+            for (const [role, col] of Object.entries(st.mapping)) if (col && fields.includes(col)) next[role] = col;
+        }
+        st.mapping = next;
+    } catch (e) {
+        if (importState !== st || st.parseToken !== token) return;
+        console.warn('No se pudo leer el archivo', e);
+        st.parsed = null;
+        errorEl.textContent = t('import.readError', { message: e.message });
+    }
+    renderImportWizard();
+}
+
+function renderImportWizard() {
+    const st = importState;
+    const fields = st.parsed ? st.parsed.fields : [];
+    const rows = st.parsed ? st.parsed.rows : [];
+
+    const sheetSelect = document.getElementById('import-sheet');
+    if (st.format === 'sheet' && st.parsed) {
+        sheetSelect.replaceChildren(...st.parsed.sheets.map(n => el('option', { value: n, textContent: n })));
+        sheetSelect.value = st.parsed.sheet;
+    }
+
+    // Un selector por rol
+    const mappingEl = document.getElementById('import-mapping');
+    mappingEl.textContent = '';
+    for (const role of Importers.ROLES) {
+        const select = el('select', { className: 'select' }, [
+            el('option', { value: '', textContent: t('import.noColumn') }),
+            ...fields.map(f => el('option', { value: f, textContent: f })),
+        ]);
+        select.value = st.mapping ? st.mapping[role.id] || '' : '';
+        select.addEventListener('change', () => {
+            st.mapping[role.id] = select.value;
+            renderImportWizard();
+        });
+        mappingEl.append(el('label', { className: 'hint', textContent: labelFor('role', role.id, role.label) }, [select]));
+    }
+
+    // Vista previa: primeras filas, con el rol asignado sobre cada columna
+    const roleOf = {};
+    Importers.ROLES.forEach(r => { if (st.mapping && st.mapping[r.id]) roleOf[st.mapping[r.id]] = labelFor('role', r.id, r.label); });
+    const table = document.getElementById('import-preview');
+    table.textContent = '';
+    table.append(el('thead', {}, [el('tr', {}, fields.map(f => el('th', { className: roleOf[f] ? 'mapped' : '' }, [
+        f, roleOf[f] ? el('small', { textContent: roleOf[f] }) : '',
+    ])))]));
+    table.append(el('tbody', {}, rows.slice(0, 5).map(row => el('tr', {}, fields.map(f =>
+        el('td', { className: roleOf[f] ? 'mapped' : '', textContent: String(row[f] ?? '') }))))));
+    document.getElementById('import-row-count').textContent = t('import.rowCount', { count: rows.length });
+
+    // Hace falta algo para ubicar cada fila: dirección, barrio o el par Lat/Lon
+    const m = st.mapping || {};
+    const locatable = !!(m.address || m.barrio || (m.lat && m.lon));
+    const errorEl = document.getElementById('import-error');
+    if (st.parsed && !rows.length) errorEl.textContent = t('import.empty');
+    else if (st.parsed && !locatable) errorEl.textContent = t('import.notLocatable');
+    else if (st.parsed) errorEl.textContent = '';
+    document.getElementById('import-confirm-btn').disabled = !st.parsed || !rows.length || !locatable;
+}
+
+function confirmImport() {
+    const st = importState;
+    if (!st || !st.parsed) return;
+    rememberMapping(st.parsed.fields, st.mapping);
+    closeImportWizard({ rows: st.parsed.rows, fields: st.parsed.fields, mapping: { ...st.mapping } });
+}
+
+// --- Revisión de datos (ver validation.js) ---
+
+const VALIDATION_PAGE = 50; // problemas por tipo que se listan antes de "Ver más"
+
+function validationColumns(fields, mapping) {
+    const m = mapping || mappingFor(fields);
+    return { address: m.address, barrio: m.barrio, city: m.city, lat: m.lat, lon: m.lon };
+}
+
+function validateRows(rows, fields, mapping) {
+    return Validation.validate(rows, { fields, columns: validationColumns(fields, mapping), parseNumber: parseNumberFlexible });
+}
+
+/**
+ * openValidation(rows, fields, mapping, issues)
+ * Lista los problemas con su corrección o exclusión. Resuelve con { rows, changed }
+ * al continuar (sin las filas excluidas) o null si se cancela. Se trabaja sobre
+ * copias de las filas: cancelar no cambia nada.
+ */
+function openValidation(rows, fields, mapping, issues = validateRows(rows, fields, mapping)) {
+    if (validationState) closeValidation(null);
+    const copy = row => {
+        const out = {};
+        for (const k of Object.keys(row)) if (!k.startsWith('_')) out[k] = row[k];
+        return out;
+    };
+    validationState = {
+        rows: rows.map(copy),
+        columns: validationColumns(fields, mapping),
+        issues,
+        status: new Map(), // problema -> 'fixed' | 'excluded'
+        excluded: new Set(), // índices de filas
+        expanded: new Set(), // tipos con la lista completa a la vista
+        changed: false,
+    };
+    renderValidation();
+    document.getElementById('validation-dialog').hidden = false;
+    return new Promise(resolve => { validationState.resolve = resolve; });
+}
+
+function closeValidation(result) {
+    if (!validationState) return;
+    const { resolve } = validationState;
+    validationState = null;
+    document.getElementById('validation-dialog').hidden = true;
+    if (resolve) resolve(result);
+}
+
+function confirmValidation() {
+    const st = validationState;
+    if (!st) return;
+    closeValidation({ rows: st.rows.filter((_, i) => !st.excluded.has(i)), changed: st.changed });
+}
+
+function validationRowLabel(idx, empty = t('validation.noAddress')) {
+    const st = validationState;
+    const row = st.rows[idx] || {};
+    const { address, barrio, city } = st.columns;
+    return [address && row[address], barrio && row[barrio], city && row[city]].map(v => String(v ?? '').trim()).filter(Boolean).join(', ') || empty;
+}
+
+// De las repetidas se conserva la primera fila del grupo
+function isDuplicateIssue(issue) { return issue.type === 'duplicate' || issue.type === 'near-duplicate'; }
+
+function resolveIssues(issues, action) {
+    const st = validationState;
+    for (const issue of issues) {
+        if (st.status.has(issue)) continue;
+        if (action === 'fixed') {
+            if (!Validation.applyFix(st.rows[issue.rows[0]], issue, st.columns)) continue;
+        } else {
+            (isDuplicateIssue(issue) ? issue.rows.slice(1) : issue.rows).forEach(i => st.excluded.add(i));
+        }
+        st.status.set(issue, action);
+        st.changed = true;
+    }
+    renderValidation();
+}
+
+function validationIssueItem(issue) {
+    const st = validationState;
+    const status = st.status.get(issue);
+    const rowsText = issue.rows.slice(0, 6).map(i => i + 1).join(', ') + (issue.rows.length > 6 ? '…' : '');
+    const fix = issue.fix;
+    const fixLabel = !fix ? '' : fix.lat === '' ? t('validation.clearCoords') : t('validation.useCoords', { lat: (+fix.lat).toFixed(5), lon: (+fix.lon).toFixed(5) });
+    return el('li', { className: 'unlocated-item validation-issue' + (status ? ' resolved' : '') }, [
+        el('div', { className: 'unlocated-meta', textContent: t('validation.rows', { count: issue.rows.length, rows: rowsText }) }),
+        el('div', { className: 'unlocated-address', textContent: validationRowLabel(issue.rows[0]) }),
+        el('small', { className: 'hint', textContent: t(`validation.detail.${issue.type}`, issue.params) + (fix && fix.lat === '' ? ` — ${t('validation.canGeocode')}` : '') }),
+        status
+            ? el('small', { className: 'validation-status', textContent: t(`validation.status.${status}`) })
+            : el('div', { className: 'subtle unlocated-actions' }, [
+                fix ? el('button', { className: 'btn small', textContent: fixLabel, onclick: () => resolveIssues([issue], 'fixed') }) : '',
+                el('button', { className: 'btn ghost small', textContent: isDuplicateIssue(issue) ? t('validation.excludeDuplicates') : t('validation.excludeRow'), onclick: () => resolveIssues([issue], 'excluded') }),
+            ]),
+    ]);
+}
+
+function renderValidation() {
+    const st = validationState;
+    if (!st) return;
+    const pending = st.issues.filter(i => !st.status.has(i)).length;
+    document.getElementById('validation-summary').textContent = st.issues.length
+        ? t('validation.summary', { rows: formatNumber(st.rows.length), issues: st.issues.length, pending, excluded: st.excluded.size })
+        : t('validation.noIssues', { rows: formatNumber(st.rows.length) });
+    const groups = new Map();
+    st.issues.forEach(i => { if (!groups.has(i.type)) groups.set(i.type, []); groups.get(i.type).push(i); });
+    document.getElementById('validation-list').replaceChildren(...Array.from(groups, ([type, issues]) => {
+        const open = issues.filter(i => !st.status.has(i));
+        const shown = st.expanded.has(type) ? issues : issues.slice(0, VALIDATION_PAGE);
+        return el('div', { className: 'validation-group' }, [
+            el('h3', {}, [`${labelFor('validation.type', type, Validation.TYPES[type])} `, el('span', { className: 'badge', textContent: String(issues.length) })]),
+            open.length ? el('div', { className: 'subtle' }, [
+                open.some(i => i.fix) ? el('button', { className: 'btn ghost small', textContent: t('validation.fixAll'), onclick: () => resolveIssues(open.filter(i => i.fix), 'fixed') }) : '',
+                el('button', { className: 'btn ghost small', textContent: t('validation.excludeAll'), onclick: () => resolveIssues(open, 'excluded') }),
+            ]) : '',
+            el('ul', { className: 'unlocated-list' }, shown.map(validationIssueItem)),
+            shown.length < issues.length
+                ? el('button', { className: 'btn ghost small', textContent: t('common.showMore', { count: issues.length - shown.length }), onclick: () => { st.expanded.add(type); renderValidation(); } })
+                : '',
+        ]);
+    }));
+}
+
+function downloadValidationReport() {
+    const st = validationState;
+    if (!st) return;
+    // En el idioma elegido, con los mismos textos que el diálogo
+    const csv = Validation.toCSV(st.issues, {
+        rowLabel: idx => validationRowLabel(idx),
+        statusOf: i => t(`validation.status.${st.status.get(i) || 'pending'}`),
+        typeLabel: type => labelFor('validation.type', type, Validation.TYPES[type]),
+        detailOf: issue => t(`validation.detail.${issue.type}`, issue.params),
+        header: ['row', 'type', 'detail', 'status', 'data'].map(k => t(`validation.report.${k}`)),
+    });
+    downloadBlob(csv, 'revision-datos.csv', 'text/csv;charset=utf-8');
+}
+
+// Botón "Revisar datos" del panel con la cantidad de problemas del archivo cargado
+function renderValidationButton() {
+    const btn = document.getElementById('validation-open-btn');
+    if (!btn) return;
+    btn.hidden = datasetIssues.length === 0;
+    document.getElementById('validation-count').textContent = String(datasetIssues.length);
+}
+
+// Revisión del archivo ya cargado (p. ej. data.csv): si se corrigió o excluyó algo, se vuelve a cargar
+async function reviewLoadedDataset() {
+    const layer = activeLayer();
+    if (!layer) return;
+    const reviewed = await openValidation(layerRows(layer), layer.fields, layer.mapping, datasetIssues);
+    if (!reviewed || !reviewed.changed) return;
+    await loadDataset(reviewed.rows, layer.fields, layer.mapping, { replace: layer.id });
+}
+
+/**
+ * autoLoadDatasets()
+ * Carga al inicio la caché precalculada (geocoded.json) y el CSV configurado.
+ * Devuelve true si se cargó un CSV. Las fuentes por defecto son opcionales: si
+ * no están, la app sigue esperando que se elija un archivo.
+ */
+async function autoLoadDatasets() {
+    const src = resolveDatasetSources();
+    await geoCache.ready;
+    try {
+        if (!src.cache) throw new Error(t('load.foreignSource', { url: src.params.get('cache') }));
+        setStatus(t('load.cache'));
+        const res = await fetchOptional(src.cache);
+        if (res) await geoCache.importData(await res.json(), { provider: 'import' });
+        else if (src.explicitCache) setStatus(t('load.cacheNotFound', { url: src.cache }), 'error');
+    } catch (e) {
+        console.warn('No se pudo cargar la caché', src.cache, e);
+        if (src.explicitCache) setStatus(t('load.cacheError', { message: e.message }), 'error');
+    }
+
+    try {
+        if (!src.data) throw new Error(t('load.foreignSource', { url: src.params.get('data') }));
+        setStatus(t('load.data'));
+        const parsed = await loadCSVFromUrl(src.data);
+        if (!parsed) {
+            if (src.explicitData) setStatus(t('load.dataNotFound', { url: src.data }), 'error');
+            return false;
+        }
+        if (!parsed.rows.length) {
+            setStatus(t('load.empty'), 'error');
+            return false;
+        }
+        resetDataState();
+        await loadDataset(parsed.rows, parsed.fields, undefined, { name: datasetName(src.data), source: { url: src.data } });
+        return true;
+    } catch (e) {
+        console.error('No se pudo cargar el CSV', src.data, e);
+        setStatus(t('load.dataError', { message: e.message }), 'error');
+        return false;
+    }
+}
+
+function setupMap() {
+    map = L.map('map', {
+        zoomControl: true,
+        minZoom: MAP_INITIAL.minZoom,
+        maxZoom: MAP_INITIAL.maxZoom,
+        // Hacer el zoom con la ruedita más "lento" (menos sensible)
+        // Valor por defecto de Leaflet es ~60; aumentar requiere más movimiento de rueda por nivel
+        wheelPxPerZoomLevel: 150000,
+        // Pequeño debounce para que no acumule tan rápido eventos de rueda
+        wheelDebounceTime: 0,
+    }).setView(MAP_INITIAL.center, MAP_INITIAL.zoom);
+
+    L.tileLayer(BASEMAP.url, {
+        attribution: BASEMAP.attribution,
+        subdomains: BASEMAP.subdomains,
+        maxZoom: BASEMAP.maxZoom
+    }).addTo(map);
+
+    // Añadir imagen overlay a la derecha de Argentina (no interactiva)
+    // try { addRightSideImageOverlay(); } catch (_) { /* no crítico */ }
+
+    // Crear cluster group inicial
+    clusterGroup = createClusterGroup();
+    attachClusterEvents(clusterGroup);
+
+    map.addLayer(clusterGroup);
+
+    map.on('moveend zoomend', updateVisibleCount);
+    map.on('moveend', updateOfflineEstimate);
+}
+
+// --- Uso sin conexión (ver sw.js) ---
+
+function registerServiceWorker() {
+    // file:// no admite service workers; en ese caso la app sigue andando, solo que sin modo offline
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('./sw.js')
+        .catch(e => console.warn('No se pudo registrar el service worker', e));
+}
+
+function reflectOnlineState() {
+    const chip = document.getElementById('offline-indicator');
+    if (chip) chip.hidden = navigator.onLine !== false;
+}
+
+// Guarda filas, columnas y mapeo del último archivo para poder abrirlo sin conexión
+async function saveLastDataset(rows, fields, mapping, name) {
+    if (typeof caches === 'undefined') return;
+    try {
+        const cache = await caches.open(OFFLINE_CACHES.data);
+        const body = JSON.stringify({ savedAt: new Date().toISOString(), name, fields, mapping, rows });
+        await cache.put(LAST_DATASET_URL, new Response(body, { headers: { 'Content-Type': 'application/json' } }));
+    } catch (e) {
+        console.warn('No se pudo guardar el último dataset', e);
+    }
+}
+
+// Vuelve a cargar el último archivo guardado por saveLastDataset; devuelve true si había uno
+async function restoreLastDataset() {
+    if (typeof caches === 'undefined') return false;
+    let saved = null;
+    try {
+        const cache = await caches.open(OFFLINE_CACHES.data);
+        const res = await cache.match(LAST_DATASET_URL);
+        if (res) saved = await res.json();
+    } catch (e) {
+        console.warn('No se pudo leer el último dataset', e);
+    }
+    if (!saved || !Array.isArray(saved.rows) || !saved.rows.length) return false;
+    resetDataState();
+    await loadDataset(saved.rows, saved.fields, saved.mapping, { remember: false, name: saved.name || t('load.lastFile') });
+    const when = saved.savedAt ? new Date(saved.savedAt).toLocaleString(I18n.intlLocale()) : '';
+    setStatus(when ? t('load.restoredAt', { when }) : t('load.restored'));
+    return true;
+}
+
+function offlineBounds() {
+    const b = map.getBounds();
+    return { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() };
+}
+
+function setOfflineStatus(text) {
+    const node = document.getElementById('offline-status');
+    if (node) node.textContent = text;
+}
+
+// Cuántos mosaicos tiene el área visible en el rango elegido (y si se pueden bajar)
+function updateOfflineEstimate() {
+    const btn = document.getElementById('offline-download-btn');
+    if (!btn || !map || tileDownload) return;
+    if (typeof caches === 'undefined') {
+        btn.disabled = true;
+        setOfflineStatus(t('offline.unsupported'));
+        return;
+    }
+    const total = Tiles.countTiles(offlineBounds(), offlineZoom.min, offlineZoom.max);
+    btn.disabled = total > MAX_OFFLINE_TILES;
+    setOfflineStatus(total > MAX_OFFLINE_TILES
+        ? t('offline.tooMany', { total: formatNumber(total), max: formatNumber(MAX_OFFLINE_TILES) })
+        : t('offline.estimate', { total: formatNumber(total) }));
+}
+
+function setOfflineZoom(min, max, persist = true) {
+    const clamp = v => Math.max(MAP_INITIAL.minZoom, Math.min(MAP_INITIAL.maxZoom, v));
+    offlineZoom.min = clamp(Number.isFinite(min) ? min : offlineZoom.min);
+    offlineZoom.max = Math.max(offlineZoom.min, clamp(Number.isFinite(max) ? max : offlineZoom.max));
+    const minInput = document.getElementById('offline-min-zoom');
+    const maxInput = document.getElementById('offline-max-zoom');
+    if (minInput) minInput.value = String(offlineZoom.min);
+    if (maxInput) maxInput.value = String(offlineZoom.max);
+    if (persist) {
+        try {
+            localStorage.setItem(LS_KEYS.offlineMinZoom, String(offlineZoom.min));
+            localStorage.setItem(LS_KEYS.offlineMaxZoom, String(offlineZoom.max));
+        } catch (_) { /* ignore */ }
+    }
+    updateOfflineEstimate();
+}
+
+/**
+ * downloadTiles(bounds, minZoom, maxZoom)
+ * Baja a OFFLINE_CACHES.tiles los mosaicos del área en el rango de zoom; sw.js
+ * los sirve desde ahí. Los que ya están guardados no se vuelven a pedir.
+ */
+async function downloadTiles(bounds, minZoom, maxZoom) {
+    const urls = Tiles.tileUrls(bounds, minZoom, maxZoom, {
+        template: BASEMAP.url,
+        subdomains: BASEMAP.subdomains,
+        retina: L.Browser.retina,
+    });
+    const cache = await caches.open(OFFLINE_CACHES.tiles);
+    const queue = JobQueue.createJobQueue({ concurrency: 4, rateLimitMs: 25, maxRetries: 2 });
+    tileDownload = { queue };
+    setOfflineButtons(true);
+    const bar = document.getElementById('offline-progress-bar');
+    let done = 0, failed = 0, cancelled = false;
+    const report = () => {
+        if (bar) bar.style.width = `${Math.round(((done + failed) / (urls.length || 1)) * 100)}%`;
+        setOfflineStatus(t('offline.saving', { done: formatNumber(done + failed), total: formatNumber(urls.length) }));
+    };
+    report();
+    await Promise.all(urls.map(url => queue.push(async () => {
+        if (await cache.match(url, { ignoreVary: true })) return;
+        let res;
+        try {
+            res = await fetch(url, { mode: 'cors' });
+        } catch (_) {
+            // Sin CORS la respuesta es opaca, pero igual sirve para las <img> del mapa
+            res = await fetch(url, { mode: 'no-cors' });
+        }
+        if (!res.ok && res.type !== 'opaque') {
+            const err = new Error(`HTTP ${res.status}`);
+            err.status = res.status;
+            throw err;
+        }
+        await cache.put(url, res);
+    }).then(() => { done++; }, e => { if (e && e.cancelled) cancelled = true; else failed++; }).finally(report)));
+    tileDownload = null;
+    setOfflineButtons(false);
+    return { total: urls.length, done, failed, cancelled };
+}
+
+function setOfflineButtons(running) {
+    const download = document.getElementById('offline-download-btn');
+    const cancel = document.getElementById('offline-cancel-btn');
+    const clear = document.getElementById('offline-clear-btn');
+    if (download) download.disabled = running;
+    if (cancel) cancel.disabled = !running;
+    if (clear) clear.disabled = running;
+}
+
+async function saveVisibleArea() {
+    if (tileDownload || typeof caches === 'undefined') return;
+    const total = Tiles.countTiles(offlineBounds(), offlineZoom.min, offlineZoom.max);
+    if (total > MAX_OFFLINE_TILES) return updateOfflineEstimate();
+    try {
+        const r = await downloadTiles(offlineBounds(), offlineZoom.min, offlineZoom.max);
+        if (r.cancelled) setOfflineStatus(t('offline.cancelled', { done: formatNumber(r.done), total: formatNumber(r.total) }));
+        else if (r.failed) setOfflineStatus(t('offline.partial', { failed: formatNumber(r.failed), total: formatNumber(r.total) }));
+        else setOfflineStatus(t('offline.done', { total: formatNumber(r.total) }));
+    } catch (e) {
+        console.error('No se pudieron guardar los mosaicos', e);
+        tileDownload = null;
+        setOfflineButtons(false);
+        setOfflineStatus(t('offline.error', { message: e.message }));
+    }
+}
+
+async function clearSavedTiles() {
+    if (tileDownload || typeof caches === 'undefined') return;
+    await caches.delete(OFFLINE_CACHES.tiles);
+    const bar = document.getElementById('offline-progress-bar');
+    if (bar) bar.style.width = '0%';
+    setOfflineStatus(t('offline.cleared'));
+}
+
+// Añadir una imagen fija sobre el mapa (en coordenadas relativas a Argentina)
+function addRightSideImageOverlay() {
+    // Coordenadas aproximadas al este de Argentina para que la imagen aparezca 'a la derecha'
+    const lat = -22.0; // centro vertical aproximado
+    const lon = -61.5; // más al este para quedar a la derecha del país
+
+    const html = `<div class="map-overlay-image"></div>`;
+    const icon = L.divIcon({
+        className: 'no-pointer',
+        html,
+        iconSize: [500, 500],
+        iconAnchor: [70, 70],
+    });
+
+    const marker = L.marker([lat, lon], { icon, interactive: false, keyboard: false, pane: 'overlayPane' });
+    marker.addTo(map);
+    // Tamaño geográfico en grados (lat/lon) — esto hará que la imagen escale con el zoom
+    const deltaLat = 90.0; // altura en grados
+    const deltaLon = 120.0; // anchura en grados
+
+    const southWest = [lat - deltaLat / 2, lon - deltaLon / 2];
+    const northEast = [lat + deltaLat / 2, lon + deltaLon / 2];
+
+    const overlay = L.imageOverlay('./mask.png', [southWest, northEast], { interactive: false, opacity: 1 });
+    overlay.addTo(map);
+    // Agregar clase para estilos (sombra, bordes). getElement() disponible tras addTo(map)
+    try {
+        const el = overlay.getElement();
+        if (el) el.classList.add('map-overlay-image');
+    } catch (e) { /* no crítico */ }
+}
+
+// Crear cluster group con radio actual
+function createClusterGroup() {
+    // Mapear 0..100 a pixeles de radio (0 => 0px, 100 => 200px por ejemplo)
+    const radiusPx = Math.round((clusterRadiusSetting / 100) * 200);
+    // Si el usuario puso 0, devolvemos un LayerGroup simple (sin clustering)
+    if (clusterRadiusSetting === 0) {
+        return L.layerGroup();
+    }
+
+    const opts = {
+        showCoverageOnHover: false,
+        spiderfyOnMaxZoom: true,
+        zoomToBoundsOnClick: true,
+        animateAddingMarkers: false, // con miles de marcadores la animación traba la carga
+        // Si radius es 0, desactivar clustering devolviendo -1
+        maxClusterRadius: radiusPx === 0 ? 1 : radiusPx,
+        iconCreateFunction: function (cluster) {
+            const count = cluster.getChildCount();
+            const size = count < 20 ? 40 : count < 100 ? 48 : 56;
+            // Anillo con la mezcla de categorías de los marcadores agrupados
+            const counts = new Map();
+            for (const m of cluster.getAllChildMarkers()) {
+                const key = categoryScale ? categoryScale.keyOf(categoryValue(m.options.row || {})) : '';
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+            const parts = categoryScale
+                ? categoryScale.entries.map(e => ({ color: e.color, count: counts.get(e.key) || 0 }))
+                : [{ color: '#22c55e', count }];
+            return L.divIcon({ html: Categories.donutSVG(parts, { size, label: count }), className: 'marker-cluster-donut', iconSize: L.point(size, size) });
+        },
+    };
+    return L.markerClusterGroup(opts);
+}
+
+// Asegurar comportamiento de zoom al hacer click en un cluster (y spiderfy si ya está muy cerca)
+function attachClusterEvents(group) {
+    // Sólo adjuntar eventos de cluster si el grupo es un MarkerClusterGroup
+    if (group && typeof group.getAllChildMarkers === 'function' && typeof group.on === 'function') {
+        group.on('clusterclick', function (a) {
+            // Zoom a límites del cluster
+            a.layer.zoomToBounds({ padding: [40, 40] });
+            // Si ya estamos muy cerca y sigue agrupado, spiderfy para separar
+            if (map.getZoom() >= 16) {
+                try { a.layer.spiderfy(); } catch (_) { }
+            }
+        });
+    }
+}
+
+// Añadir marcadores a un grupo (MarkerClusterGroup tiene addLayers, LayerGroup no)
+// Muchos marcadores van por tandas para no trabar la página (el chunkedLoading de markercluster
+// no se puede cancelar); las tandas pendientes se descartan si el grupo se vació o cambió (ver resetClusterGroup)
+function addMarkersToGroup(group, markers) {
+    if (!group || !markers || !markers.length) return;
+    const loadId = groupLoadId;
+    const addBatch = (start) => {
+        if (loadId !== groupLoadId) return;
+        const batch = markers.slice(start, start + GROUP_BATCH);
+        if (typeof group.addLayers === 'function') {
+            group.addLayers(batch);
+        } else {
+            // Fallback: añadir uno por uno
+            for (const m of batch) {
+                try { group.addLayer(m); } catch (_) { }
+            }
+        }
+        if (start + GROUP_BATCH < markers.length) setTimeout(() => addBatch(start + GROUP_BATCH), 0);
+    };
+    addBatch(0);
+}
+
+// Vacía el grupo y cancela las tandas que le faltaban agregar
+function resetClusterGroup() {
+    groupLoadId++;
+    if (clusterGroup) clusterGroup.clearLayers();
+}
+
+// Rehace el grupo con el radio nuevo, manteniendo los marcadores filtrados
+function setClusterRadius(value, persist = true) {
+    clearTimeout(setClusterRadius._t); // un valor explícito gana sobre el del slider pendiente
+    setClusterRadius._t = null;
+    clusterRadiusSetting = Math.max(0, Math.min(100, parseInt(value, 10) || 0));
+    const clusterRange = document.getElementById('cluster-range');
+    if (clusterRange) clusterRange.value = String(clusterRadiusSetting);
+    if (persist) {
+        try { localStorage.setItem(LS_KEYS.cluster, String(clusterRadiusSetting)); } catch (_) { /* ignore */ }
+    }
+    const prevMarkers = allMarkers.filter(markerMatchesFilters);
+    groupLoadId++; // lo que faltaba agregar al grupo viejo ya no hace falta
+    map.removeLayer(clusterGroup);
+    clusterGroup = createClusterGroup();
+    if (viewMode === 'markers') map.addLayer(clusterGroup);
+    attachClusterEvents(clusterGroup);
+    if (prevMarkers.length) addMarkersToGroup(clusterGroup, prevMarkers);
+    updateVisibleCount();
+    scheduleHashUpdate();
+}
+
+// --- Enlaces permanentes (ver permalink.js) ---
+
+function permalinkState(markerKey = openMarkerKey) {
+    const center = map.getCenter();
+    return {
+        view: { zoom: map.getZoom(), lat: center.lat, lon: center.lng },
+        cluster: clusterRadiusSetting,
+        text: filters.text,
+        regions: Array.from(filters.regions),
+        barrios: Array.from(filters.barrios),
+        hidden: Array.from(filters.hidden),
+        area: filters.area && filters.area.level ? { level: filters.area.level, name: filters.area.name } : null,
+        time: filters.time ? { from: Timeline.monthKey(filters.time.from), to: Timeline.monthKey(filters.time.to - 1) } : null,
+        marker: markerKey,
+    };
+}
+
+function permalinkURL(state = permalinkState()) {
+    return `${location.href.split('#')[0]}#${Permalink.stringify(state)}`;
+}
+
+// Reescribe el hash sin sumar entradas al historial (agrupado: el mapa dispara muchos moveend)
+function scheduleHashUpdate() {
+    if (!permalinkReady) return;
+    clearTimeout(scheduleHashUpdate._t);
+    scheduleHashUpdate._t = setTimeout(() => {
+        try { history.replaceState(null, '', permalinkURL()); } catch (_) { /* ignore */ }
+    }, 300);
+}
+
+/**
+ * applyPermalink(state)
+ * Lleva el mapa al estado de un enlace (ver Permalink.parse): vista, agrupación,
+ * filtros y área. El marcador se abre aparte con openMarkerByKey, cuando ya están los datos.
+ */
+async function applyPermalink(state) {
+    if (state.view) map.setView([state.view.lat, state.view.lon], state.view.zoom);
+    // El enlace no pisa las preferencias guardadas de quien lo abre
+    if (state.cluster != null && state.cluster !== clusterRadiusSetting) setClusterRadius(state.cluster, /*persist*/ false);
+    filters = {
+        text: state.text || '',
+        regions: new Set(state.regions || []),
+        barrios: new Set(state.barrios || []),
+        hidden: new Set(state.hidden || []),
+        area: null,
+        time: null,
+    };
+    if (state.time) {
+        const from = Timeline.monthBounds(state.time.from);
+        const to = Timeline.monthBounds(state.time.to);
+        if (from && to && from.start < to.end) filters.time = { from: from.start, to: to.end };
+    }
+    if (state.area) {
+        try {
+            const data = await loadBoundaries(state.area.level);
+            const item = data && data.index.find(i => i.name === state.area.name);
+            if (item) filters.area = { name: item.name, geometry: item.feature.geometry, level: state.area.level };
+        } catch (e) {
+            console.warn('No se pudo aplicar el área del enlace', state.area, e);
+        }
+    }
+    syncFilterInputs();
+    applyFilters();
+}
+
+// Abre el marcador del enlace (una vez) y desde ahí los cambios de vista y filtros van al hash
+function finishPermalink(state) {
+    if (permalinkReady) return;
+    if (state.marker) openMarkerByKey(state.marker);
+    permalinkReady = true;
+    scheduleHashUpdate();
+}
+
+function openMarkerByKey(key) {
+    const m = allMarkers.find(x => addressKey(x.options.row || {}) === key);
+    return m ? revealMarker(m) : false;
+}
+
+// Muestra el marcador (saliendo del calor/coroplético si hace falta) y abre su popup
+function revealMarker(m) {
+    if (viewMode !== 'markers') setViewMode('markers', /*persist*/ false);
+    // Si está dentro de un cluster, acercar lo justo para que se vea
+    if (typeof clusterGroup.zoomToShowLayer === 'function' && clusterGroup.hasLayer(m)) clusterGroup.zoomToShowLayer(m, () => m.openPopup());
+    else if (map.hasLayer(m)) m.openPopup();
+    else return false;
+    return true;
+}
+
+// --- Tablero de estadísticas (ver stats.js) ---
+
+function setPanelTab(tab, persist = true) {
+    panelTab = ['stats', 'list'].includes(tab) ? tab : 'controls';
+    document.querySelectorAll('.panel-tab').forEach(btn => {
+        const on = btn.dataset.tab === panelTab;
+        btn.classList.toggle('active', on);
+        btn.setAttribute('aria-selected', String(on));
+    });
+    document.getElementById('panel-controls').hidden = panelTab !== 'controls';
+    document.getElementById('panel-stats').hidden = panelTab !== 'stats';
+    document.getElementById('panel-list').hidden = panelTab !== 'list';
+    if (persist) {
+        try { localStorage.setItem(LS_KEYS.panelTab, panelTab); } catch (_) { /* ignore */ }
+    }
+    if (panelTab === 'stats') renderDashboard();
+    if (panelTab === 'list') renderList();
+}
+
+// Se recalcula a medida que avanza processData, pero solo con la pestaña a la vista
+function scheduleDashboard() {
+    if (panelTab !== 'stats' || scheduleDashboard._t) return;
+    scheduleDashboard._t = setTimeout(() => { scheduleDashboard._t = null; renderDashboard(); }, 500);
+}
+
+// Todas las capas o la elegida en la pestaña; las búsquedas en cache/proveedor son de la carga entera
+function datasetSummary() {
+    const layer = layersById.get(document.getElementById('stats-layer').value);
+    let pending = geocodeProgress.total - geocodeProgress.done;
+    let rows = allData;
+    if (layer) {
+        rows = layerRows(layer);
+        const failed = new Set(failedRows.map(f => f.row));
+        pending = Math.min(pending, rows.filter(r => !r._geo && !failed.has(r)).length);
+    }
+    return Stats.summarize(rows, {
+        regionOf: rowRegion,
+        barrioOf: rowBarrio,
+        pending,
+        lookups: lookupStats,
+    });
+}
+
+const regionLabel = key => (key === '' ? t('stats.noRegion') : /^\d+$/.test(key) ? t('filters.region', { region: key }) : key);
+const formatRate = v => (v == null ? '—' : `${formatNumber(v * 100, 1)}%`);
+
+// Barras horizontales: [{ label, value, max, title }]
+function renderStatBars(box, items) {
+    const max = items.reduce((m, it) => Math.max(m, it.max ?? it.value), 1);
+    box.replaceChildren(...items.map(it => el('div', { className: 'stat-bar', title: it.title || '' }, [
+        el('span', { className: 'stat-bar-label', textContent: it.label }),
+        el('span', { className: 'stat-bar-track' }, [el('span', { className: 'stat-bar-fill', style: `width:${(it.value / max) * 100}%` })]),
+        el('small', { textContent: it.text ?? formatNumber(it.value) }),
+    ])));
+    if (!items.length) box.append(el('small', { className: 'hint', textContent: t('stats.empty') }));
+}
+
+function renderDashboard() {
+    const box = document.getElementById('panel-stats');
+    if (!box || box.hidden) return;
+    const summary = datasetSummary();
+    statTotal().textContent = formatNumber(summary.total);
+    statGeocoded().textContent = formatNumber(summary.geocoded);
+    statFailed().textContent = formatNumber(summary.failed);
+    document.getElementById('stat-pending').textContent = summary.pending
+        ? t('stats.pending', { n: formatNumber(summary.pending) })
+        : '';
+    renderStatBars(document.getElementById('stat-rates'), [
+        { label: t('stats.success'), value: summary.successRate || 0, max: 1, text: formatRate(summary.successRate), title: t('stats.successTitle', { located: formatNumber(summary.geocoded), processed: formatNumber(summary.geocoded + summary.failed) }) },
+        {
+            label: t('stats.cacheHits'), value: summary.cacheHitRate || 0, max: 1, text: formatRate(summary.cacheHitRate),
+            title: t('stats.cacheHitsTitle', { cache: formatNumber(summary.lookups.cache), provider: formatNumber(summary.lookups.provider) }),
+        },
+    ]);
+    renderStatBars(document.getElementById('stat-quality'), summary.byMatch.map(m => ({ label: matchLabel(m.type), value: m.count })));
+    document.getElementById('stat-low-confidence').textContent = summary.lowConfidence
+        ? t('stats.lowConfidence', { n: formatNumber(summary.lowConfidence) })
+        : '';
+    renderStatBars(document.getElementById('stat-regions'), summary.byRegion.map(r => ({
+        label: regionLabel(r.key),
+        value: r.count,
+        title: t('stats.regionTitle', { located: formatNumber(r.geocoded), total: formatNumber(r.count) }),
+    })));
+    renderStatBars(document.getElementById('stat-barrios'), summary.topBarrios.map(b => ({ label: b.key, value: b.count })));
+    document.getElementById('stat-barrio-count').textContent = summary.barrioCount > summary.topBarrios.length
+        ? t('stats.barrioCount', { shown: summary.topBarrios.length, total: formatNumber(summary.barrioCount) })
+        : '';
+}
+
+function downloadStatsSummary() {
+    // En el idioma elegido, como el tablero
+    const csv = Stats.toCSV(datasetSummary(), {
+        matchLabel,
+        regionLabel,
+        labels: Object.fromEntries(Object.keys(Stats.LABELS).map(k => [k, t(`stats.csv.${k}`)])),
+    });
+    downloadBlob(csv, 'resumen-encuentros.csv', 'text/csv;charset=utf-8');
+}
+
+// --- Lista de encuentros: la vista del mapa en una tabla accesible ---
+
+// Columnas de la lista; when decide si se muestra con los datos cargados
+const LIST_COLUMNS = [
+    { id: 'address', label: 'field.address', value: rowDireccion },
+    { id: 'barrio', label: 'field.barrio', value: rowBarrio },
+    { id: 'region', label: 'field.region', value: rowRegion },
+    { id: 'city', label: 'field.city', value: rowCity, when: rows => rows.some(r => rowCity(r)) },
+    { id: 'date', label: 'field.date', value: row => row._time, when: () => !!timeColumn() },
+    { id: 'layer', label: 'field.layer', value: row => (layerOf(row) || {}).name || '', when: () => datasetLayers.length > 1 },
+];
+const listButtons = new WeakMap(); // marcador -> botón de su fila (para devolverle el foco)
+
+// Se rearma con los filtros y los datos nuevos, pero solo con la pestaña a la vista
+function scheduleList() {
+    if (panelTab !== 'list' || scheduleList._t) return;
+    scheduleList._t = setTimeout(() => { scheduleList._t = null; renderList(); }, 300);
+}
+
+function setListSort(column) {
+    listState.dir = listState.sort === column ? -listState.dir : 1;
+    listState.sort = column;
+    renderList();
+}
+
+// Los vacíos van al final en cualquier sentido; los textos, en el orden del idioma ("Barrio 2" antes que "Barrio 10")
+function compareListValues(a, b, dir) {
+    const empty = v => v == null || v === '';
+    if (empty(a) || empty(b)) return empty(a) - empty(b);
+    if (typeof a === 'number' && typeof b === 'number') return (a - b) * dir;
+    return String(a).localeCompare(String(b), I18n.intlLocale(), { numeric: true, sensitivity: 'base' }) * dir;
+}
+
+// Lleva al marcador de la fila y le pasa el foco; al cerrar el popup vuelve a la fila (ver wireUI)
+function revealFromList(m) {
+    listState.returnTo = m;
+    if (revealMarker(m)) return;
+    listState.returnTo = null;
+    setListStatus(t('list.notOnMap'));
+}
+
+function setListStatus(text) {
+    const node = document.getElementById('list-status');
+    if (node) node.textContent = text;
+}
+
+// Resalta la fila del popup abierto (openMarkerKey)
+function markListRow() {
+    document.querySelectorAll('#encounter-list tbody tr').forEach(tr => {
+        const current = tr.dataset.key === openMarkerKey;
+        tr.classList.toggle('current', current);
+        if (current) tr.setAttribute('aria-current', 'true'); else tr.removeAttribute('aria-current');
+    });
+}
+
+/**
+ * renderList()
+ * Tabla con los encuentros ubicados que pasan los filtros (y, si se pidió, los que están
+ * en pantalla), ordenada por la columna elegida. Cada dirección es un botón que abre el
+ * marcador en el mapa.
+ */
+function renderList() {
+    const table = document.getElementById('encounter-list');
+    if (!table || panelTab !== 'list') return;
+    clearTimeout(scheduleList._t);
+    scheduleList._t = null;
+    const bounds = map.getBounds();
+    const markers = allMarkers.filter(m => markerMatchesFilters(m) && (!listState.inView || bounds.contains(m.getLatLng())));
+    const rows = markers.map(m => m.options.row || {});
+    const columns = LIST_COLUMNS.filter(c => !c.when || c.when(rows));
+    if (!columns.some(c => c.id === listState.sort)) { listState.sort = 'address'; listState.dir = 1; }
+    const sortColumn = columns.find(c => c.id === listState.sort);
+    const sorted = markers
+        .map(m => ({ m, row: m.options.row || {}, value: sortColumn.value(m.options.row || {}) }))
+        .sort((a, b) => compareListValues(a.value, b.value, listState.dir));
+    const shown = sorted.slice(0, listState.limit);
+    // Al reordenar, el foco sigue en el encabezado que se usó
+    const focusedSort = table.contains(document.activeElement) ? document.activeElement.dataset.sort : null;
+
+    const direction = listState.dir > 0 ? t('list.ascending') : t('list.descending');
+    const header = columns.map(c => {
+        const active = c.id === listState.sort;
+        const th = el('th', { scope: 'col' }, [el('button', {
+            type: 'button',
+            className: 'list-sort',
+            textContent: t(c.label) + (active ? (listState.dir > 0 ? ' ▲' : ' ▼') : ''),
+            title: t('list.sortBy', { column: t(c.label) }),
+            onclick: () => setListSort(c.id),
+        })]);
+        th.firstChild.dataset.sort = c.id;
+        th.setAttribute('aria-sort', active ? (listState.dir > 0 ? 'ascending' : 'descending') : 'none');
+        return th;
+    });
+    const body = shown.map(({ m, row }) => {
+        const cells = columns.map(c => {
+            const value = c.value(row);
+            if (c.id === 'date') return el('td', { textContent: value != null ? formatDate(value) : '' });
+            if (c.id !== 'address') return el('td', { textContent: String(value ?? '') });
+            const btn = el('button', {
+                type: 'button',
+                className: 'list-link',
+                textContent: value || t('validation.noAddress'),
+                title: t('nearest.reveal'),
+                onclick: () => revealFromList(m),
+            });
+            listButtons.set(m, btn);
+            return el('th', { scope: 'row' }, [btn]);
+        });
+        const tr = el('tr', {}, cells);
+        tr.dataset.key = addressKey(row);
+        return tr;
+    });
+    table.replaceChildren(
+        el('caption', { textContent: t('list.caption', { count: markers.length, n: formatNumber(markers.length), column: t(sortColumn.label), direction }) }),
+        el('thead', {}, [el('tr', {}, header)]),
+        el('tbody', {}, body),
+    );
+    markListRow();
+    if (focusedSort) table.querySelector(`[data-sort="${focusedSort}"]`)?.focus();
+
+    const more = document.getElementById('list-more-btn');
+    more.hidden = shown.length >= sorted.length;
+    setListStatus(!markers.length
+        ? t(allMarkers.length ? 'list.noneFiltered' : 'list.empty')
+        : shown.length < sorted.length ? t('list.showing', { shown: formatNumber(shown.length), total: formatNumber(sorted.length) }) : '');
+}
+
+// --- Póster para imprimir (ver poster.js) ---
+
+const POSTER_BRANDING = { left: './nuevoimpulso2.png', right: './nuevoImpulso1.png' };
+
+function openPoster() {
+    const title = document.getElementById('poster-title-input');
+    if (!title.value) title.value = document.querySelector('.brand h1')?.textContent.trim() || document.title;
+    setPosterStatus('');
+    posterState = { busy: false };
+    document.getElementById('poster-dialog').hidden = false;
+    title.focus();
+}
+
+function closePoster() {
+    if (!posterState || posterState.busy) return;
+    posterState = null;
+    document.getElementById('poster-dialog').hidden = true;
+}
+
+function setPosterStatus(text, error = false) {
+    const status = document.getElementById('poster-status');
+    status.textContent = text;
+    status.classList.toggle('error', error);
+}
+
+// Resuelve null si la imagen no carga (mosaico caído, sin conexión): el póster sale igual
+function loadImage(src, crossOrigin = null) {
+    return new Promise(resolve => {
+        const img = new Image();
+        if (crossOrigin) img.crossOrigin = crossOrigin;
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = src;
+    });
+}
+
+function loadMarkerImage(options) {
+    return loadImage('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(Categories.markerSVG(options)));
+}
+
+// Los mosaicos @2x de CARTO alcanzan para 150 dpi o más sin verse borrosos
+function posterTileUrl(t, retina) {
+    return BASEMAP.url
+        .replace('{s}', BASEMAP.subdomains[(t.x + t.y) % BASEMAP.subdomains.length])
+        .replace('{z}', t.z).replace('{x}', t.x).replace('{y}', t.y)
+        .replace('{r}', retina ? '@2x' : '');
+}
+
+// Achica la fuente hasta que el texto entre en el ancho
+function fitText(ctx, text, weight, size, maxWidth) {
+    let px = size;
+    do { ctx.font = `${weight} ${px}px Poppins, system-ui, sans-serif`; } while (ctx.measureText(text).width > maxWidth && --px > 6);
+    return px;
+}
+
+/**
+ * renderPoster({ title, paper, orientation, dpi, branding })
+ * Dibuja en un canvas la vista actual del mapa (mosaicos y encuentros que pasan los filtros)
+ * con el título, la leyenda, la cantidad, la fecha y la atribución. Resuelve con
+ * { canvas, size, missingTiles }.
+ */
+async function renderPoster({ title, paper, orientation, dpi, branding }) {
+    const size = Poster.pageSize(paper, orientation, dpi);
+    const box = Poster.layout(size);
+    const { mm } = box;
+    const { ratio } = size;
+    const canvas = el('canvas', { width: size.widthPx, height: size.heightPx });
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, size.widthPx, size.heightPx);
+    try { await document.fonts.load(`800 ${mm(8)}px Poppins`); } catch (_) { /* ignore */ }
+
+    // Mapa: la vista actual encuadrada en el área del póster
+    const b = map.getBounds();
+    const view = Poster.fitView({ south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() },
+        box.map.w / ratio, box.map.h / ratio, BASEMAP.maxZoom);
+    const tiles = Poster.tilesFor(view, BASEMAP.maxZoom);
+    const images = await Promise.all(tiles.map(t => loadImage(posterTileUrl(t, ratio > 1), 'anonymous')));
+    // Lo que entra en el área del póster, que con otra forma que la ventana cubre más que la pantalla
+    const extent = Poster.viewBounds(view);
+    const area = L.latLngBounds([extent.south, extent.west], [extent.north, extent.east]);
+    const visible = allMarkers.filter(m => markerMatchesFilters(m) && area.contains(m.getLatLng()));
+    // Un ícono por combinación de color, forma y estado, como createCustomIcon
+    const icons = new Map();
+    const iconKeys = visible.map(m => {
+        const options = iconOptionsForRow(m.options.row || {});
+        const key = [options.color, options.shape, !!options.warning, !!options.upcoming].join('|');
+        if (!icons.has(key)) icons.set(key, { options, img: loadMarkerImage(options) });
+        return key;
+    });
+    for (const icon of icons.values()) icon.img = await icon.img;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(box.map.x, box.map.y, box.map.w, box.map.h);
+    ctx.clip();
+    ctx.fillStyle = '#f2f0eb';
+    ctx.fillRect(box.map.x, box.map.y, box.map.w, box.map.h);
+    ctx.translate(box.map.x, box.map.y);
+    ctx.scale(ratio, ratio);
+    // +1 px para que no se vean las juntas entre mosaicos
+    tiles.forEach((t, i) => { if (images[i]) ctx.drawImage(images[i], t.left, t.top, t.size + 1, t.size + 1); });
+    const counts = new Map();
+    visible.forEach((m, i) => {
+        const p = m.getLatLng();
+        const pt = Poster.project(p.lat, p.lng, view.zoom);
+        const icon = icons.get(iconKeys[i]);
+        const pin = !icon.options.shape || icon.options.shape === 'pin';
+        const [w, h] = pin ? [28, 40] : [24, 24];
+        if (icon.img) ctx.drawImage(icon.img, pt.x - view.left - w / 2, pt.y - view.top - (pin ? h : h / 2), w, h);
+        if (categoryScale) {
+            const key = categoryScale.keyOf(categoryValue(m.options.row || {}));
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+    });
+    ctx.restore();
+    ctx.strokeStyle = '#18213a';
+    ctx.lineWidth = Math.max(1, mm(0.3));
+    ctx.strokeRect(box.map.x, box.map.y, box.map.w, box.map.h);
+
+    // Encabezado: título y, si se eligió, las imágenes de Nuevo Impulso a los costados
+    let textLeft = box.header.x, textRight = box.header.x + box.header.w;
+    if (branding) {
+        const [left, right] = await Promise.all([loadImage(POSTER_BRANDING.left), loadImage(POSTER_BRANDING.right)]);
+        const h = box.header.h - mm(4);
+        if (left) {
+            const w = (left.width / left.height) * h;
+            ctx.drawImage(left, box.header.x, box.header.y, w, h);
+            textLeft += w + mm(4);
+        }
+        if (right) {
+            const w = (right.width / right.height) * h;
+            ctx.drawImage(right, box.header.x + box.header.w - w, box.header.y, w, h);
+            textRight -= w + mm(4);
+        }
+    }
+    ctx.fillStyle = '#18213a';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = branding ? 'center' : 'left';
+    fitText(ctx, title, 800, mm(8), textRight - textLeft);
+    ctx.fillText(title, branding ? (textLeft + textRight) / 2 : textLeft, box.header.y + (box.header.h - mm(4)) / 2);
+
+    // Pie: leyenda con lo que hay en el póster, cantidad y fecha, atribución
+    ctx.textAlign = 'left';
+    const line = mm(5);
+    let x = box.footer.x, y = box.footer.y + mm(3) + line / 2;
+    const entries = categoryScale ? categoryScale.entries.filter(e => counts.get(e.key)) : [];
+    if (entries.length > 1) {
+        ctx.font = `800 ${mm(3)}px Poppins, system-ui, sans-serif`;
+        ctx.fillText(legendTitle(), x, y);
+        x += ctx.measureText(legendTitle()).width + mm(3);
+        for (const e of entries) {
+            const swatch = await loadMarkerImage({ color: e.color, shape: e.shape });
+            const label = `${categoryLabel(e.key)} (${formatNumber(counts.get(e.key))})`;
+            ctx.font = `400 ${mm(3)}px Poppins, system-ui, sans-serif`;
+            const width = mm(4) + mm(1) + ctx.measureText(label).width;
+            if (x + width > box.footer.x + box.footer.w) {
+                x = box.footer.x;
+                y += line;
+                if (y > box.footer.y + box.footer.h - line * 2) break; // sin lugar: las demás quedan afuera
+            }
+            if (swatch) ctx.drawImage(swatch, x, y - mm(2), (swatch.width / swatch.height) * mm(4), mm(4));
+            ctx.fillText(label, x + mm(5), y);
+            x += width + mm(4);
+        }
+    }
+    const bottom = box.footer.y + box.footer.h - mm(2);
+    ctx.font = `600 ${mm(3.5)}px Poppins, system-ui, sans-serif`;
+    ctx.fillText(`${t('poster.count', { count: visible.length, n: formatNumber(visible.length) })} · ${formatDate(Date.now()).split(' ')[0]}`, box.footer.x, bottom);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#5c6b8a';
+    ctx.font = `400 ${mm(2.5)}px Poppins, system-ui, sans-serif`;
+    ctx.fillText('© OpenStreetMap contributors © CARTO', box.footer.x + box.footer.w, bottom);
+    return { canvas, size, missingTiles: images.filter(img => !img).length };
+}
+
+function canvasBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('canvas vacío'))), type, quality);
+    });
+}
+
+async function generatePoster() {
+    if (!posterState || posterState.busy) return;
+    const value = id => document.getElementById(id).value;
+    const format = value('poster-format');
+    const options = {
+        title: value('poster-title-input').trim() || document.title,
+        paper: value('poster-paper'),
+        orientation: value('poster-orientation'),
+        dpi: Number(value('poster-dpi')) || Poster.SCREEN_DPI,
+        branding: document.getElementById('poster-branding').checked,
+    };
+    posterState.busy = true;
+    document.getElementById('poster-confirm-btn').disabled = true;
+    setPosterStatus(t('poster.rendering'));
+    try {
+        const { canvas, size, missingTiles } = await renderPoster(options);
+        // toBlob falla si algún mosaico ensució el canvas (servidor sin CORS)
+        if (format === 'pdf') {
+            const jpeg = new Uint8Array(await (await canvasBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer());
+            downloadBlob(Poster.imagePDF(jpeg, size), 'poster-encuentros.pdf', 'application/pdf');
+        } else {
+            const png = new Uint8Array(await (await canvasBlob(canvas, 'image/png')).arrayBuffer());
+            downloadBlob(Poster.pngWithDpi(png, size.dpi), 'poster-encuentros.png', 'image/png');
+        }
+        posterState.busy = false;
+        if (missingTiles) {
+            setPosterStatus(t('poster.missingTiles', { count: missingTiles }), true);
+        } else {
+            closePoster();
+        }
+    } catch (err) {
+        console.error(err);
+        setPosterStatus(t('poster.error'), true);
+    } finally {
+        if (posterState) posterState.busy = false;
+        document.getElementById('poster-confirm-btn').disabled = false;
+    }
+}
+
+// --- Encuentro más cercano (ver nearest.js) ---
+
+// Códigos de GeolocationPositionError: 1 permiso, 2 no disponible, 3 tiempo agotado (textos en nearest.geolocation.*)
+function currentPosition() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) return reject(new Error(t('nearest.geolocation.unsupported')));
+        navigator.geolocation.getCurrentPosition(
+            pos => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude }),
+            err => reject(new Error(labelFor('nearest.geolocation', err.code, err.message))),
+            { enableHighAccuracy: false, timeout: 15000, maximumAge: 60000 },
+        );
+    });
+}
+
+function setNearestStatus(text, kind = '') {
+    const node = document.getElementById('nearest-status');
+    if (!node) return;
+    node.textContent = text;
+    node.classList.toggle('error', kind === 'error');
+}
+
+async function findNearestFromLocation() {
+    setNearestStatus(t('nearest.locating'));
+    try {
+        showNearest(await currentPosition(), null);
+    } catch (e) {
+        setNearestStatus(e.message, 'error');
+    }
+}
+
+// La dirección pasa por el mismo geocodificador (y caché) que los datos
+async function findNearestFromAddress(text) {
+    if (!text) return;
+    setNearestStatus(t('nearest.searching'));
+    try {
+        const hit = await geocodeAddress(text);
+        if (!hit) return setNearestStatus(t('nearest.notFound'), 'error');
+        showNearest({ lat: +hit.lat, lon: +hit.lon }, text);
+    } catch (e) {
+        setNearestStatus(e && e.cancelled ? t('nearest.cancelled') : t('nearest.error', { message: e.message }), 'error');
+    }
+}
+
+/**
+ * showNearest(origin, label)
+ * label: la dirección buscada, o null si es la ubicación de quien usa la app.
+ * Lista los nearestLimit encuentros más cercanos a origin ({ lat, lon }) entre los
+ * que pasan los filtros, y los marca en el mapa con un anillo y una línea al origen.
+ */
+function showNearest(origin, label) {
+    clearNearest();
+    // Candidatos: los que pasan los filtros (el índice los tiene marcados desde applyFilters)
+    const results = markerIndex.nearest(origin, nearestLimit, Nearest.distanceKm);
+    const from = [origin.lat, origin.lon];
+    const layer = L.featureGroup([
+        ...results.map(r => L.polyline([from, r.item.getLatLng()], { color: '#ff9500', weight: 2, dashArray: '4 6', interactive: false })),
+        ...results.map(r => L.circleMarker(r.item.getLatLng(), { radius: 20, color: '#ff9500', weight: 3, fill: false, interactive: false })),
+        L.circleMarker(from, { radius: 8, color: '#ffffff', weight: 3, fillColor: '#0b74ff', fillOpacity: 1 })
+            .bindTooltip(label == null ? t('nearest.here') : escapeHtml(label)),
+    ]).addTo(map);
+    nearestState = { origin, label, results, layer };
+    renderNearest();
+    map.fitBounds(layer.getBounds(), { padding: [40, 40], maxZoom: 15 });
+}
+
+function clearNearest() {
+    if (nearestState) map.removeLayer(nearestState.layer);
+    nearestState = null;
+    renderNearest();
+}
+
+function renderNearest() {
+    const list = document.getElementById('nearest-list');
+    if (!list) return;
+    list.textContent = '';
+    document.getElementById('nearest-clear-btn').hidden = !nearestState;
+    if (!nearestState) return setNearestStatus('');
+    const { origin, label, results } = nearestState;
+    setNearestStatus(results.length
+        ? t('nearest.results', { count: results.length, origin: label == null ? t('nearest.yourLocation') : label })
+        : t('nearest.none'));
+    for (const { item, km } of results) {
+        const row = item.options.row || {};
+        const p = item.getLatLng();
+        const details = [rowBarrio(row), rowCity(row), row._time != null ? formatDate(row._time) : ''].filter(Boolean).join(' · ');
+        list.append(el('li', { className: 'nearest-item' }, [
+            el('div', { className: 'nearest-head' }, [
+                el('strong', { textContent: Nearest.formatDistance(km, I18n.intlLocale()) }),
+                el('span', { textContent: rowDireccion(row) || t('validation.noAddress') }),
+            ]),
+            ...(details ? [el('small', { className: 'hint', textContent: details })] : []),
+            el('div', { className: 'subtle nearest-actions' }, [
+                el('button', { type: 'button', className: 'btn ghost small', textContent: t('nearest.reveal'), onclick: () => revealMarker(item) }),
+                el('a', {
+                    className: 'btn ghost small',
+                    href: Nearest.directionsUrl(origin, { lat: p.lat, lon: p.lng }),
+                    target: '_blank',
+                    rel: 'noopener',
+                    textContent: t('nearest.directions'),
+                }),
+            ]),
+        ]));
+    }
+}
+
+async function copyLink(url, button) {
+    try {
+        await navigator.clipboard.writeText(url);
+    } catch (_) {
+        // Sin acceso al portapapeles (p. ej. fuera de HTTPS): que lo copien a mano
+        prompt(t('link.copyPrompt'), url);
+        return;
+    }
+    if (button) {
+        const label = button.textContent;
+        button.textContent = t('link.copied');
+        setTimeout(() => { button.textContent = label; }, 1500);
+    }
+}
+
+// --- Selección en el mapa: rectángulo, lazo y radio ---
+
+const SELECTION_TABLE_LIMIT = 200; // filas listadas en el panel (la exportación lleva todas)
+const SELECTION_COLOR = '#ff9500';
+
+function setSelectionTool(tool) {
+    if (selectionTool === tool) tool = null; // el mismo botón la apaga
+    cancelSelectionDraft();
+    selectionTool = tool;
+    // Para dibujar hay que arrastrar sobre el mapa: mientras tanto no se mueve
+    if (tool === 'rectangle' || tool === 'lasso') map.dragging.disable(); else map.dragging.enable();
+    map.getContainer().classList.toggle('selecting', !!tool);
+    renderSelectionControls();
+}
+
+function cancelSelectionDraft() {
+    if (selectionDraft) map.removeLayer(selectionDraft.layer);
+    selectionDraft = null;
+}
+
+function onSelectionStart(e) {
+    if (selectionTool !== 'rectangle' && selectionTool !== 'lasso') return;
+    cancelSelectionDraft();
+    const style = { color: SELECTION_COLOR, weight: 2, dashArray: '4 6', fill: selectionTool === 'rectangle', interactive: false };
+    const layer = selectionTool === 'rectangle'
+        ? L.rectangle(L.latLngBounds(e.latlng, e.latlng), style)
+        : L.polyline([e.latlng], style);
+    selectionDraft = { start: e.latlng, latlngs: [e.latlng], layer: layer.addTo(map) };
+}
+
+function onSelectionMove(e) {
+    if (!selectionDraft) return;
+    if (selectionTool === 'rectangle') return selectionDraft.layer.setBounds(L.latLngBounds(selectionDraft.start, e.latlng));
+    // Lazo: un punto cada pocos píxeles alcanza para seguir la mano
+    const last = selectionDraft.latlngs[selectionDraft.latlngs.length - 1];
+    if (map.latLngToContainerPoint(last).distanceTo(e.containerPoint) < 4) return;
+    selectionDraft.latlngs.push(e.latlng);
+    selectionDraft.layer.setLatLngs(selectionDraft.latlngs);
+}
+
+function onSelectionEnd(e) {
+    if (!selectionDraft) return;
+    const { start, latlngs } = selectionDraft;
+    cancelSelectionDraft();
+    if (selectionTool === 'rectangle') {
+        // Un click sin arrastrar no es una zona
+        if (map.latLngToContainerPoint(start).distanceTo(e.containerPoint) < 4) return;
+        setSelection({ type: 'rectangle', bounds: L.latLngBounds(start, e.latlng) });
+    } else if (latlngs.length >= 3) {
+        // Polígono GeoJSON cerrado, para usar el mismo cálculo que el filtro por área
+        const ring = latlngs.map(p => [p.lng, p.lat]);
+        ring.push(ring[0]);
+        setSelection({ type: 'lasso', latlngs, geometry: { type: 'Polygon', coordinates: [ring] } });
+    }
+}
+
+function onSelectionClick(e) {
+    if (selectionTool !== 'radius') return;
+    const km = Number(document.getElementById('selection-radius').value);
+    if (!(km > 0)) return setSelectionStatus(t('selection.badRadius'), 'error');
+    setSelection({ type: 'radius', center: e.latlng, km });
+}
+
+function selectionContains(shape, p) {
+    if (shape.type === 'rectangle') return shape.bounds.contains(p);
+    if (shape.type === 'radius') return Nearest.distanceKm({ lat: shape.center.lat, lon: shape.center.lng }, { lat: p.lat, lon: p.lng }) <= shape.km;
+    return Choropleth.pointInGeometry(shape.geometry, p.lng, p.lat);
+}
+
+function selectionOutline(shape) {
+    const style = { color: SELECTION_COLOR, weight: 2, fillOpacity: 0.08, interactive: false };
+    if (shape.type === 'rectangle') return L.rectangle(shape.bounds, style);
+    if (shape.type === 'radius') return L.circle(shape.center, { ...style, radius: shape.km * 1000 });
+    return L.polygon(shape.latlngs, style);
+}
+
+function setSelection(shape) {
+    clearSelection();
+    selection = { shape, outline: selectionOutline(shape).addTo(map), highlight: null, markers: [], rows: new Set() };
+    refreshSelection();
+}
+
+function clearSelection() {
+    if (selection) {
+        map.removeLayer(selection.outline);
+        if (selection.highlight) map.removeLayer(selection.highlight);
+    }
+    selection = null;
+    renderSelection();
+}
+
+function scheduleSelectionRefresh() {
+    if (scheduleSelectionRefresh._t) return;
+    scheduleSelectionRefresh._t = setTimeout(() => { scheduleSelectionRefresh._t = null; refreshSelection(); }, 300);
+}
+
+/**
+ * refreshSelection()
+ * Vuelve a buscar los encuentros dentro de la zona entre los que pasan los filtros
+ * (cambian los filtros, llegan marcadores nuevos o se mueve uno) y los resalta.
+ */
+function refreshSelection() {
+    if (!selection) return;
+    clearTimeout(scheduleSelectionRefresh._t);
+    scheduleSelectionRefresh._t = null;
+    const { shape } = selection;
+    selection.markers = allMarkers.filter(m => markerMatchesFilters(m) && selectionContains(shape, m.getLatLng()));
+    selection.rows = new Set(selection.markers.map(m => m.options.row));
+    if (selection.highlight) map.removeLayer(selection.highlight);
+    // Con canvas alcanza para miles de anillos
+    const renderer = refreshSelection.renderer || (refreshSelection.renderer = L.canvas({ padding: 0.5 }));
+    selection.highlight = L.layerGroup(selection.markers.map(m => L.circleMarker(m.getLatLng(), {
+        renderer, radius: 16, color: SELECTION_COLOR, weight: 3, fill: false, interactive: false,
+    }))).addTo(map);
+    renderSelection();
+}
+
+function setSelectionStatus(text, kind = '') {
+    const node = document.getElementById('selection-status');
+    if (!node) return;
+    node.textContent = text;
+    node.classList.toggle('error', kind === 'error');
+}
+
+function renderSelectionControls() {
+    document.querySelectorAll('.selection-tool').forEach(btn => {
+        const on = btn.dataset.tool === selectionTool;
+        btn.classList.toggle('active', on);
+        btn.setAttribute('aria-pressed', String(on));
+    });
+    document.getElementById('selection-hint').textContent = selectionTool ? t(`selection.hint.${selectionTool}`) : '';
+}
+
+function selectionLabel(shape) {
+    return t(`selection.within.${shape.type}`, { km: shape.type === 'radius' ? formatNumber(shape.km, shape.km % 1 ? 1 : 0) : '' });
+}
+
+// Tabla con las columnas del CSV de las filas seleccionadas; cada fila lleva a su marcador
+function renderSelection() {
+    const table = document.getElementById('selection-table');
+    if (!table) return;
+    table.textContent = '';
+    document.getElementById('selection-clear-btn').hidden = !selection;
+    document.getElementById('selection-export-btn').hidden = !selection;
+    const scopeOption = document.querySelector('#export-scope option[value="selection"]');
+    if (scopeOption) {
+        scopeOption.disabled = !selection;
+        if (!selection && scopeOption.selected) document.getElementById('export-scope').value = 'all';
+    }
+    table.parentElement.hidden = !selection || !selection.markers.length;
+    if (!selection) return setSelectionStatus('');
+    const { markers, shape } = selection;
+    const count = markers.length;
+    setSelectionStatus(count
+        ? t('selection.count', { count, n: formatNumber(count), where: selectionLabel(shape) }) +
+            (count > SELECTION_TABLE_LIMIT ? ` ${t('selection.truncated', { limit: SELECTION_TABLE_LIMIT })}` : '')
+        : t('selection.none', { where: selectionLabel(shape) }));
+    if (!count) return;
+    const fields = [...new Set(markers.flatMap(m => rowFields(m.options.row) || []))];
+    table.append(el('thead', {}, [el('tr', {}, fields.map(f => el('th', { textContent: f })))]));
+    table.append(el('tbody', {}, markers.slice(0, SELECTION_TABLE_LIMIT).map(m => el('tr', {
+        title: t('nearest.reveal'),
+        onclick: () => revealMarker(m),
+    }, fields.map(f => el('td', { textContent: m.options.row[f] ?? '' }))))));
+}
+
+// --- Modos de vista: marcadores, mapa de calor y coroplético ---
+
+/**
+ * loadBoundaries(level)
+ * Carga (una vez) los límites del nivel pedido y les asocia la población:
+ * la tabla del censo para provincias, o la propiedad poblacion/population del
+ * archivo en otros niveles. Devuelve null si el archivo no está publicado.
+ */
+async function loadBoundaries(level) {
+    if (boundaryCache[level]) return boundaryCache[level];
+    const res = await fetchOptional(BOUNDARY_SOURCES[level]);
+    if (!res) return null;
+    const index = Choropleth.indexFeatures(await res.json());
+    let table = {};
+    if (level === 'provincias') {
+        try {
+            const pop = await fetchOptional(POPULATION_SOURCE);
+            if (pop) table = (await pop.json()).poblacion || {};
+        } catch (e) { console.warn('No se pudo cargar la población por provincia', e); }
+    }
+    for (const item of index) {
+        const props = item.feature.properties || {};
+        const population = +(table[props.id] ?? props.poblacion ?? props.population ?? NaN);
+        item.population = Number.isFinite(population) && population > 0 ? population : null;
+    }
+    boundaryCache[level] = { index };
+    return boundaryCache[level];
+}
+
+// Los niveles opcionales (departamentos) se ofrecen solo si su archivo está publicado
+async function detectBoundaryLevels() {
+    const select = document.getElementById('choropleth-level');
+    if (!select) return;
+    for (const option of Array.from(select.options).filter(o => o.disabled)) {
+        let available = false;
+        try {
+            const res = await fetch(BOUNDARY_SOURCES[option.value], { method: 'HEAD', cache: 'no-cache' });
+            available = res.ok && !/text\/html/i.test((res.headers && res.headers.get('Content-Type')) || '');
+        } catch (_) { /* sin conexión: sigue oculto */ }
+        option.hidden = option.disabled = !available;
+    }
+    if (select.selectedOptions[0] && select.selectedOptions[0].disabled) {
+        select.value = 'provincias';
+        setChoroplethSettings({ level: 'provincias' });
+    }
+}
+
+// Puntos que pasan los filtros, para el calor y la agregación por áreas
+function filteredPoints() {
+    return allMarkers.filter(markerMatchesFilters).map(m => m.getLatLng());
+}
+
+async function setViewMode(mode, persist = true) {
+    viewMode = ['heatmap', 'choropleth'].includes(mode) ? mode : 'markers';
+    if (persist) {
+        try { localStorage.setItem(LS_KEYS.viewMode, viewMode); } catch (_) { /* ignore */ }
+    }
+    const select = document.getElementById('view-mode');
+    if (select) select.value = viewMode;
+    const options = document.getElementById('choropleth-options');
+    if (options) options.hidden = viewMode !== 'choropleth';
+    if (viewMode === 'markers') map.addLayer(clusterGroup);
+    else map.removeLayer(clusterGroup);
+    renderLegend();
+    await refreshViewLayers();
+}
+
+function setChoroplethSettings(next, persist = true) {
+    Object.assign(choroplethSettings, next);
+    if (persist) {
+        try {
+            localStorage.setItem(LS_KEYS.choroplethLevel, choroplethSettings.level);
+            localStorage.setItem(LS_KEYS.choroplethMetric, choroplethSettings.metric);
+        } catch (_) { /* ignore */ }
+    }
+    if (viewMode === 'choropleth') refreshViewLayers();
+}
+
+// Quita las capas del modo anterior y dibuja la del modo actual con los filtros vigentes
+async function refreshViewLayers() {
+    if (!map) return;
+    if (heatLayer) { map.removeLayer(heatLayer); heatLayer = null; }
+    if (viewMode !== 'choropleth') clearChoropleth();
+    if (viewMode === 'heatmap') {
+        if (typeof L.heatLayer !== 'function') {
+            setStatus(t('view.heatmapError'), 'error');
+            return;
+        }
+        heatLayer = L.heatLayer(filteredPoints().map(p => [p.lat, p.lng]), { radius: 22, blur: 18, minOpacity: 0.35, maxZoom: 12 }).addTo(map);
+    } else if (viewMode === 'choropleth') {
+        await renderChoropleth();
+    }
+}
+
+function clearChoropleth() {
+    if (choroplethLayer) { map.removeLayer(choroplethLayer); choroplethLayer = null; }
+    if (choroplethLegend) { map.removeControl(choroplethLegend); choroplethLegend = null; }
+}
+
+function formatNumber(v, decimals = 0) {
+    return Number(v).toLocaleString(I18n.intlLocale(), { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+async function renderChoropleth() {
+    const { level, metric } = choroplethSettings;
+    let data;
+    try {
+        data = await loadBoundaries(level);
+    } catch (e) {
+        console.error('No se pudieron cargar los límites', level, e);
+    }
+    // El modo o el nivel pudieron cambiar mientras se cargaba el archivo
+    if (viewMode !== 'choropleth' || choroplethSettings.level !== level) return;
+    clearChoropleth();
+    if (!data) {
+        setStatus(t('view.noBoundaries', { level: t(`view.${level}`), file: BOUNDARY_SOURCES[level] }), 'error');
+        return;
+    }
+
+    const { counts, outside } = Choropleth.aggregatePoints(data.index, filteredPoints().map(p => ({ lat: p.lat, lon: p.lng })));
+    const perCapita = metric === 'perCapita';
+    // Tasa cada 100.000 habitantes; sin población el área queda sin dato
+    const values = data.index.map((item, i) => perCapita ? (item.population ? counts[i] / item.population * 100000 : NaN) : counts[i]);
+    const breaks = Choropleth.quantileBreaks(values);
+    const positives = values.filter(v => Number.isFinite(v) && v > 0);
+    const max = positives.length ? Math.max(...positives) : 0;
+    // Con pocos encuentros las tasas son fracciones chicas: más decimales para distinguirlas
+    const decimals = perCapita ? (max < 1 ? 3 : 1) : 0;
+
+    const layers = data.index.map((item, i) => {
+        const style = { fillColor: Choropleth.colorFor(values[i], breaks), fillOpacity: 0.75, color: '#ffffff', weight: 1 };
+        const layer = L.geoJSON(item.feature, { style });
+        const lines = [`<strong>${escapeHtml(item.name)}</strong>`, t('view.countTooltip', { count: counts[i], n: formatNumber(counts[i]) })];
+        if (item.population) lines.push(t('view.rateTooltip', { rate: formatNumber(counts[i] / item.population * 100000, decimals || 1), population: formatNumber(item.population) }));
+        layer.bindTooltip(lines.join('<br>'), { sticky: true });
+        layer.on('mouseover', () => layer.setStyle({ weight: 2, color: '#18213a' }));
+        layer.on('mouseout', () => layer.setStyle(style));
+        layer.on('click', () => drillDown(item));
+        return layer;
+    });
+    const attribution = level === 'provincias' ? `${t('view.boundariesBy')}: <a href="https://www.amcharts.com/" target="_blank" rel="noopener">amCharts</a>` : '';
+    choroplethLayer = L.featureGroup(layers, { attribution }).addTo(map);
+
+    // Leyenda de clases: desde/hasta de cada color
+    const lows = [positives.length ? Math.min(...positives) : 0, ...breaks];
+    choroplethLegend = L.control({ position: 'bottomleft' });
+    choroplethLegend.onAdd = () => {
+        const box = L.DomUtil.create('div', 'map-legend');
+        box.append(el('div', { className: 'map-legend-title', textContent: perCapita ? t('view.legendPerCapita') : t('stats.total') }));
+        const item = (color, text) => el('div', { className: 'map-legend-item' }, [
+            el('span', { className: 'map-legend-box', style: `background:${color}` }),
+            el('span', { textContent: text }),
+        ]);
+        box.append(item(Choropleth.EMPTY_COLOR, perCapita ? t('view.legendEmpty') : '0'));
+        lows.forEach((low, k) => {
+            // Cada clase llega hasta el próximo corte (sin incluirlo); con cantidades, hasta el entero anterior
+            const high = k < breaks.length ? (perCapita ? breaks[k] : breaks[k] - 1) : max;
+            const text = low >= high ? formatNumber(low, decimals) : `${formatNumber(low, decimals)} – ${formatNumber(high, decimals)}`;
+            if (positives.length) box.append(item(Choropleth.colorFor(low, breaks), text));
+        });
+        if (outside) box.append(el('small', { className: 'hint', textContent: t('view.outside', { n: formatNumber(outside) }) }));
+        return box;
+    };
+    choroplethLegend.addTo(map);
+}
+
+// Click en un área: volver a los marcadores mostrando solo los de esa área
+function drillDown(item) {
+    filters.area = { name: item.name, geometry: item.feature.geometry, level: choroplethSettings.level };
+    renderAreaFilter();
+    setViewMode('markers');
+    applyFilters();
+    map.fitBounds(L.geoJSON(item.feature).getBounds(), { padding: [20, 20] });
+}
+
+function downloadBlob(content, filename, mime) {
+    const blob = new Blob([content], { type: mime });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+/**
+ * collectExportRecords(scope, layerId)
+ * Filas a exportar en el MISMO orden que el CSV original, como { row, geo }:
+ * row = valores originales (sin alterar orden ni contenido), geo = coordenadas de allData.
+ * scope: 'all' (todas), 'filtered' (las que pasan los filtros actuales) o 'selection'
+ * (las de la zona seleccionada en el mapa).
+ * layerId: solo las filas de esa capa ('' = todas).
+ */
+function collectExportRecords(scope = 'all', layerId = '') {
+    const records = [];
+    originalRows.forEach((origRow, idx) => {
+        // allData preserva el orden 1:1 con originalRows
+        const r = allData[idx] || origRow;
+        if (layerId && origRow._layer !== layerId) return;
+        if (scope === 'filtered' && filtersActive() && !rowMatchesFilters(r)) return;
+        if (scope === 'selection' && !(selection && selection.rows.has(r))) return;
+        records.push({ row: origRow, geo: r._geo || null });
+    });
+    return records;
+}
+
+// Exporta con el escritor del formato elegido (ver Exporters.FORMATS); la sección "Selección" usa CSV
+function exportData(format, scope = 'all', layerId = '') {
+    const layer = layersById.get(layerId) || null;
+    let records = collectExportRecords(scope, layer ? layer.id : '');
+    if (!records.length) {
+        alert(t('export.empty'));
+        return;
+    }
+    let fields = layer ? layer.fields.slice() : originalFields && originalFields.length ? originalFields.slice() : Object.keys(originalRows[0] || {});
+    // Coordenadas en las columnas del mapeo (las de la primera capa si se exportan varias)
+    const coordLayer = layer || datasetLayers[0] || null;
+    const coordColumns = coordLayer ? Dataset.coordColumns(coordLayer.fields, coordLayer.mapping) : null;
+    // Varias capas juntas: una columna con el nombre de la capa de cada fila
+    if (!layer && datasetLayers.length > 1) {
+        const addLayerName = !fields.includes('Capa');
+        if (addLayerName) fields = ['Capa', ...fields];
+        records = records.map(rec => {
+            const row = { ...rec.row };
+            if (addLayerName) row.Capa = (layerOf(rec.row) || {}).name || '';
+            // Las coordenadas propias de las filas de otras capas, en las columnas de la primera
+            const own = Dataset.coordColumns(rowFields(rec.row), mappingOf(rec.row));
+            if (coordColumns && coordColumns.lat && own.lat && own.lat !== coordColumns.lat) row[coordColumns.lat] = rec.row[own.lat];
+            if (coordColumns && coordColumns.lon && own.lon && own.lon !== coordColumns.lon) row[coordColumns.lon] = rec.row[own.lon];
+            return { ...rec, row };
+        });
+    }
+    try {
+        const out = Exporters.exportAs(format, {
+            fields,
+            records,
+            coordColumns,
+            regionOf: rowRegion,
+            nameOf: row => rowDireccion(row) || rowBarrio(row),
+        });
+        downloadBlob(out.content, `${scope === 'selection' ? 'seleccion' : 'geocoded'}.${out.ext}`, out.mime);
+        // Exportado todo, los cambios hechos en el mapa quedan guardados en el archivo
+        if (scope === 'all' && (!layer || datasetLayers.length === 1)) { editsUnsaved = false; renderEditControls(); }
+    } catch (err) {
+        console.error(err);
+        alert(t('export.error'));
+    }
+}
+
+// --- Idioma (ver i18n.js y locales/) ---
+
+function setLocale(id, persist = true) {
+    const locale = I18n.setLocale(id);
+    if (persist) {
+        try { localStorage.setItem(LS_KEYS.locale, locale); } catch (_) { /* ignore */ }
+    }
+    applyLocale();
+}
+
+// Opciones que trae otro módulo (paletas, proveedores, formatos): se rotulan con el catálogo
+function labelModuleOptions() {
+    const relabel = (id, prefix, items) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        Array.from(select.options).forEach(o => {
+            const item = items.find(i => i.id === o.value);
+            if (item) o.textContent = labelFor(prefix, item.id, item.label);
+        });
+    };
+    relabel('style-palette', 'palette', Categories.PALETTES);
+    relabel('geocoder-select', 'provider', Geocoders.PROVIDERS);
+    relabel('export-format', 'format', Exporters.FORMATS);
+}
+
+/**
+ * applyLocale()
+ * Traduce el HTML (data-i18n) y vuelve a dibujar lo que arma el código con textos:
+ * leyendas, listas, estados y el coroplético. Los popups se arman al abrirse.
+ */
+function applyLocale() {
+    document.documentElement.lang = I18n.getLocale();
+    I18n.translateDOM(document);
+    const select = document.getElementById('language-select');
+    if (select) select.value = I18n.getLocale();
+    labelModuleOptions();
+    renderConfettiButton();
+    buildFilterOptions(allData);
+    buildStyleOptions(originalFields);
+    buildTimeOptions(originalRows, originalFields);
+    syncFilterInputs();
+    updateVisibleCount();
+    renderLayers();
+    renderEditControls();
+    renderUnlocated();
+    renderNearest();
+    renderSelectionControls();
+    renderSelection();
+    updateOfflineEstimate();
+    renderDashboard();
+    renderList();
+    if (importState && importState.parsed) renderImportWizard();
+    renderValidation();
+    if (viewMode === 'choropleth') refreshViewLayers();
+    map.closePopup();
+}
+
+function wireUI() {
+    // Buscador y filtros
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => { filters.text = searchInput.value.trim(); applyFilters(); }, 200);
+        });
+    }
+    const barrioSelect = document.getElementById('barrio-filter');
+    if (barrioSelect) {
+        barrioSelect.addEventListener('change', () => {
+            filters.barrios = new Set(Array.from(barrioSelect.selectedOptions).map(o => o.value));
+            applyFilters();
+        });
+    }
+    document.getElementById('clear-filters-btn').addEventListener('click', clearFilters);
+    document.getElementById('copy-link-btn').addEventListener('click', (e) => copyLink(permalinkURL(), e.currentTarget));
+    // Enlaces: popup abierto y cambios de hash (pegar otro enlace en la misma pestaña)
+    map.on('popupopen', (e) => {
+        const source = e.popup._source;
+        if (!source || !source.options.row) return;
+        openMarkerKey = addressKey(source.options.row);
+        const btn = e.popup.getElement() && e.popup.getElement().querySelector('.popup-copy-link');
+        const key = openMarkerKey;
+        if (btn) btn.onclick = () => copyLink(permalinkURL(permalinkState(key)), btn);
+        // Abierto desde la lista: el foco pasa al marcador
+        if (source === listState.returnTo && source.getElement()) source.getElement().focus();
+        markListRow();
+        scheduleHashUpdate();
+    });
+    map.on('popupclose', (e) => {
+        openMarkerKey = null;
+        markListRow();
+        // ...y al cerrarse vuelve a la fila de la lista
+        if (e.popup._source && e.popup._source === listState.returnTo) {
+            const btn = listButtons.get(listState.returnTo);
+            listState.returnTo = null;
+            if (btn && btn.isConnected) btn.focus();
+        }
+        scheduleHashUpdate();
+    });
+    map.on('moveend', scheduleHashUpdate);
+    window.addEventListener('hashchange', async () => {
+        const state = Permalink.parse(location.hash);
+        await applyPermalink(state);
+        if (state.marker) openMarkerByKey(state.marker);
+    });
+
+    document.getElementById('toggle-panel-btn').addEventListener('click', () => {
+        controlPanel().classList.toggle('collapsed');
+        // Ajuste de mapa cuando el panel se oculta/muestra
+        setTimeout(() => map.invalidateSize(), 260);
+    });
+    // Cola de geocodificación: concurrencia, intervalo y controles de corrida
+    const concurrencyInput = document.getElementById('geocode-concurrency');
+    const rateLimitInput = document.getElementById('geocode-rate-limit');
+    if (concurrencyInput && rateLimitInput) {
+        concurrencyInput.value = String(queueSettings.concurrency);
+        rateLimitInput.value = queueSettings.rateLimitMs == null ? '' : String(queueSettings.rateLimitMs);
+        concurrencyInput.addEventListener('change', () => {
+            const v = Math.min(16, Math.max(1, parseInt(concurrencyInput.value, 10) || PARALLEL_REQUESTS));
+            concurrencyInput.value = String(v);
+            applyQueueSettings({ concurrency: v });
+        });
+        rateLimitInput.addEventListener('change', () => {
+            const v = parseInt(rateLimitInput.value, 10);
+            applyQueueSettings({ rateLimitMs: Number.isNaN(v) ? null : Math.max(0, v) });
+        });
+    }
+    document.getElementById('pause-geocode-btn').addEventListener('click', () => {
+        geocodeQueue.pause();
+        setProgress(geocodeProgress.done, geocodeProgress.total);
+    });
+    document.getElementById('resume-geocode-btn').addEventListener('click', () => {
+        geocodeQueue.resume();
+        setProgress(geocodeProgress.done, geocodeProgress.total);
+    });
+    document.getElementById('cancel-geocode-btn').addEventListener('click', () => geocodeQueue.cancel());
+    reflectQueueState(geocodeQueue.stats());
+    // Importar archivo (CSV, planilla, GeoJSON o KML) con el asistente
+    const selectCsvBtn = document.getElementById('select-csv-btn');
+    const csvInput = document.getElementById('csv-file-input');
+    if (selectCsvBtn && csvInput) {
+        // Cada archivo se suma como una capa; "Recargar" de una capa deja su id en data-replace
+        selectCsvBtn.addEventListener('click', () => { delete csvInput.dataset.replace; csvInput.click(); });
+        csvInput.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            const replace = csvInput.dataset.replace || null;
+            delete csvInput.dataset.replace;
+            if (!file) return;
+            try {
+                const imported = await openImportWizard(file);
+                if (!imported) return;
+                // Antes de geocodificar: revisar datos faltantes, coordenadas y repetidas
+                let { rows } = imported;
+                const issues = validateRows(rows, imported.fields, imported.mapping);
+                if (issues.length) {
+                    const reviewed = await openValidation(rows, imported.fields, imported.mapping, issues);
+                    if (!reviewed) return;
+                    rows = reviewed.rows;
+                }
+                setStatus(t('load.data'));
+                await loadDataset(rows, imported.fields, imported.mapping, { name: file.name, source: { file: file.name }, replace });
+            } catch (err) {
+                console.error(err);
+                alert(t('import.error'));
+            } finally {
+                // Permite volver a elegir el mismo archivo
+                csvInput.value = '';
+            }
+        });
+    }
+    // Sin conexión: indicador y mosaicos guardados
+    window.addEventListener('online', reflectOnlineState);
+    window.addEventListener('offline', reflectOnlineState);
+    reflectOnlineState();
+    const offlineMin = document.getElementById('offline-min-zoom');
+    const offlineMax = document.getElementById('offline-max-zoom');
+    if (offlineMin && offlineMax) {
+        const onZoomChange = () => setOfflineZoom(parseInt(offlineMin.value, 10), parseInt(offlineMax.value, 10));
+        offlineMin.addEventListener('change', onZoomChange);
+        offlineMax.addEventListener('change', onZoomChange);
+        setOfflineZoom(offlineZoom.min, offlineZoom.max, /*persist*/ false);
+    }
+    document.getElementById('offline-download-btn')?.addEventListener('click', saveVisibleArea);
+    document.getElementById('offline-cancel-btn')?.addEventListener('click', () => tileDownload && tileDownload.queue.cancel());
+    document.getElementById('offline-clear-btn')?.addEventListener('click', clearSavedTiles);
+    const delimiterSelect = document.getElementById('import-delimiter');
+    delimiterSelect.addEventListener('change', () => {
+        importState.options.delimiter = delimiterSelect.value === '\\t' ? '\t' : delimiterSelect.value;
+        reparseImport();
+    });
+    const encodingSelect = document.getElementById('import-encoding');
+    encodingSelect.addEventListener('change', () => {
+        importState.options.encoding = encodingSelect.value;
+        reparseImport();
+    });
+    const sheetSelect = document.getElementById('import-sheet');
+    sheetSelect.addEventListener('change', () => {
+        importState.options.sheet = sheetSelect.value;
+        reparseImport();
+    });
+    document.getElementById('import-cancel-btn').addEventListener('click', () => closeImportWizard(null));
+    document.getElementById('import-confirm-btn').addEventListener('click', confirmImport);
+    const wizard = document.getElementById('import-wizard');
+    wizard.addEventListener('click', (e) => { if (e.target === wizard) closeImportWizard(null); });
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && importState) closeImportWizard(null); });
+    // Revisión de datos
+    document.getElementById('validation-open-btn').addEventListener('click', reviewLoadedDataset);
+    document.getElementById('validation-cancel-btn').addEventListener('click', () => closeValidation(null));
+    document.getElementById('validation-confirm-btn').addEventListener('click', confirmValidation);
+    document.getElementById('validation-download-btn').addEventListener('click', downloadValidationReport);
+    const validation = document.getElementById('validation-dialog');
+    validation.addEventListener('click', (e) => { if (e.target === validation) closeValidation(null); });
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && validationState) closeValidation(null); });
+    // Póster para imprimir
+    document.getElementById('poster-open-btn').addEventListener('click', openPoster);
+    document.getElementById('poster-cancel-btn').addEventListener('click', closePoster);
+    document.getElementById('poster-confirm-btn').addEventListener('click', generatePoster);
+    const poster = document.getElementById('poster-dialog');
+    poster.addEventListener('click', (e) => { if (e.target === poster) closePoster(); });
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && posterState) closePoster(); });
+    // Pestañas del panel y tablero de estadísticas
+    document.querySelectorAll('.panel-tab').forEach(btn => btn.addEventListener('click', () => setPanelTab(btn.dataset.tab)));
+    document.getElementById('stats-download-btn').addEventListener('click', downloadStatsSummary);
+    document.getElementById('stats-layer').addEventListener('change', renderDashboard);
+    let savedTab = 'controls';
+    try { savedTab = localStorage.getItem(LS_KEYS.panelTab) || savedTab; } catch (_) { /* ignore */ }
+    setPanelTab(savedTab, false);
+    // Lista de encuentros
+    document.getElementById('list-in-view').addEventListener('change', (e) => {
+        listState.inView = e.target.checked;
+        listState.limit = LIST_PAGE;
+        renderList();
+    });
+    document.getElementById('list-more-btn').addEventListener('click', () => {
+        listState.limit += LIST_PAGE;
+        renderList();
+    });
+    map.on('moveend', () => { if (listState.inView) scheduleList(); });
+    // Con el foco en el marcador (abierto desde la lista), Escape cierra el popup
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && listState.returnTo && !importState && !validationState && !posterState) map.closePopup(); });
+    // Idioma
+    const languageSelect = document.getElementById('language-select');
+    languageSelect.replaceChildren(...Object.entries(I18n.LOCALES).map(([id, l]) => el('option', { value: id, textContent: l.label })));
+    languageSelect.addEventListener('change', () => setLocale(languageSelect.value));
+    // Capas
+    document.getElementById('layer-compare').addEventListener('change', (e) => setCompareLayers(e.target.checked));
+    renderLayers();
+    // Edición en el mapa
+    document.getElementById('edit-mode-btn').addEventListener('click', () => setEditMode(!editMode));
+    document.getElementById('undo-btn').addEventListener('click', undoEdit);
+    document.getElementById('redo-btn').addEventListener('click', redoEdit);
+    document.addEventListener('keydown', (e) => {
+        if (!editMode || !(e.ctrlKey || e.metaKey) || importState || validationState || posterState) return;
+        if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return; // el deshacer propio del campo
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) { e.preventDefault(); undoEdit(); }
+        else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redoEdit(); }
+    });
+    window.addEventListener('beforeunload', (e) => {
+        if (!editsUnsaved) return;
+        e.preventDefault();
+        e.returnValue = '';
+    });
+    renderEditControls();
+    // Selección en el mapa
+    document.querySelectorAll('.selection-tool').forEach(btn => btn.addEventListener('click', () => setSelectionTool(btn.dataset.tool)));
+    document.getElementById('selection-clear-btn').addEventListener('click', clearSelection);
+    document.getElementById('selection-export-btn').addEventListener('click', () => exportData('csv', 'selection'));
+    document.getElementById('selection-radius').addEventListener('change', (e) => {
+        const km = Number(e.target.value);
+        if (selection && selection.shape.type === 'radius' && km > 0) setSelection({ ...selection.shape, km });
+    });
+    map.on('mousedown', onSelectionStart);
+    map.on('mousemove', onSelectionMove);
+    map.on('mouseup', onSelectionEnd);
+    map.on('click', onSelectionClick);
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape' && selectionTool && !importState && !validationState && !posterState) setSelectionTool(null); });
+    renderSelectionControls();
+    renderSelection();
+    // Slider de agrupación
+    const clusterRange = document.getElementById('cluster-range');
+    if (clusterRange) {
+        // El valor persistido ya se leyó en init
+        clusterRange.value = String(clusterRadiusSetting);
+        // Rearmar el grupo es caro con muchos puntos: se espera a que el slider se quede quieto
+        clusterRange.addEventListener('input', () => {
+            clearTimeout(setClusterRadius._t);
+            setClusterRadius._t = setTimeout(() => setClusterRadius(clusterRange.value), 250);
+        });
+    }
+
+    // Encuentro más cercano: ubicación del navegador o una dirección
+    document.getElementById('nearest-locate-btn').addEventListener('click', findNearestFromLocation);
+    const nearestInput = document.getElementById('nearest-address');
+    document.getElementById('nearest-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        findNearestFromAddress(nearestInput.value.trim());
+    });
+    const nearestSelect = document.getElementById('nearest-limit');
+    nearestSelect.value = String(nearestLimit);
+    nearestSelect.addEventListener('change', () => {
+        nearestLimit = parseInt(nearestSelect.value, 10) || 5;
+        try { localStorage.setItem(LS_KEYS.nearestLimit, String(nearestLimit)); } catch (_) { /* ignore */ }
+        if (nearestState) showNearest(nearestState.origin, nearestState.label);
+    });
+    document.getElementById('nearest-clear-btn').addEventListener('click', clearNearest);
+
+    // Línea de tiempo: columna de fecha, rango, reproducción y click en un mes
+    const timeSelect = document.getElementById('time-column');
+    if (timeSelect) timeSelect.addEventListener('change', () => setTimeColumn(timeSelect.value));
+    const timelineFrom = document.getElementById('timeline-from');
+    const timelineTo = document.getElementById('timeline-to');
+    const onTimelineInput = () => { stopTimeline(); setTimeRange(parseInt(timelineFrom.value, 10), parseInt(timelineTo.value, 10)); };
+    timelineFrom.addEventListener('input', onTimelineInput);
+    timelineTo.addEventListener('input', onTimelineInput);
+    document.getElementById('timeline-play-btn').addEventListener('click', playTimeline);
+    document.getElementById('timeline-all-btn').addEventListener('click', () => { stopTimeline(); setTimeRange(0, timelineBins.length - 1); });
+    const timelineChart = document.getElementById('timeline-chart');
+    timelineChart.addEventListener('click', (e) => {
+        const rect = timelineChart.getBoundingClientRect();
+        if (!rect.width || !timelineBins.length) return;
+        const i = Math.floor(((e.clientX - rect.left) / rect.width) * timelineBins.length);
+        stopTimeline();
+        setTimeRange(i, i);
+    });
+
+    // Modo de vista y opciones del coroplético
+    const viewSelect = document.getElementById('view-mode');
+    const levelSelect = document.getElementById('choropleth-level');
+    const metricSelect = document.getElementById('choropleth-metric');
+    if (viewSelect && levelSelect && metricSelect) {
+        levelSelect.value = choroplethSettings.level;
+        metricSelect.value = choroplethSettings.metric;
+        viewSelect.addEventListener('change', () => setViewMode(viewSelect.value));
+        levelSelect.addEventListener('change', () => setChoroplethSettings({ level: levelSelect.value }));
+        metricSelect.addEventListener('change', () => setChoroplethSettings({ metric: metricSelect.value }));
+    }
+
+    // Colores de marcadores: columna y paleta
+    const styleColumn = document.getElementById('style-column');
+    const stylePalette = document.getElementById('style-palette');
+    const styleCustom = document.getElementById('style-custom-palette');
+    if (styleColumn && stylePalette && styleCustom) {
+        stylePalette.replaceChildren(...Categories.PALETTES.map(p => el('option', { value: p.id, textContent: labelFor('palette', p.id, p.label) })));
+        stylePalette.value = styleSettings.palette;
+        styleCustom.value = styleSettings.custom;
+        const reflectCustom = () => { styleCustom.style.display = stylePalette.value === 'custom' ? '' : 'none'; };
+        reflectCustom();
+        styleColumn.addEventListener('change', () => setStyleSettings({ column: styleColumn.value }));
+        stylePalette.addEventListener('change', () => {
+            reflectCustom();
+            setStyleSettings({ palette: stylePalette.value });
+        });
+        styleCustom.addEventListener('change', () => setStyleSettings({ custom: styleCustom.value.trim() }));
+    }
+
+    // Proveedor de geocodificación
+    const geocoderSelect = document.getElementById('geocoder-select');
+    const geocoderUrl = document.getElementById('geocoder-url');
+    if (geocoderSelect && geocoderUrl) {
+        geocoderSelect.replaceChildren(...Geocoders.PROVIDERS.map(p => el('option', { value: p.id, textContent: labelFor('provider', p.id, p.label) })));
+        geocoderSelect.value = geocoderSetting.id;
+        geocoderUrl.value = geocoderSetting.url;
+        const reflectUrl = () => {
+            const meta = Geocoders.PROVIDERS.find(p => p.id === geocoderSelect.value);
+            geocoderUrl.style.display = meta && meta.needsUrl ? '' : 'none';
+        };
+        reflectUrl();
+        geocoderSelect.addEventListener('change', () => {
+            reflectUrl();
+            setGeocoderSetting(geocoderSelect.value, geocoderUrl.value);
+        });
+        geocoderUrl.addEventListener('change', () => setGeocoderSetting(geocoderSelect.value, geocoderUrl.value));
+    }
+
+    // Exportar (CSV, GeoJSON, KML, GPX, XLSX)
+    const exportFormat = document.getElementById('export-format');
+    if (exportFormat) exportFormat.replaceChildren(...Exporters.FORMATS.map(f => el('option', { value: f.id, textContent: labelFor('format', f.id, f.label) })));
+    document.getElementById('export-btn').addEventListener('click', () => {
+        exportData(exportFormat.value, document.getElementById('export-scope').value, document.getElementById('export-layer').value);
+    });
+
+    // Cache de coordenadas: exportar / importar / borrar (independiente de las preferencias)
+    document.getElementById('export-cache-btn').addEventListener('click', () => {
+        downloadBlob(JSON.stringify(geoCache.exportData(), null, 2), 'geocoded.json', 'application/json');
+    });
+    const cacheInput = document.getElementById('cache-file-input');
+    document.getElementById('import-cache-btn').addEventListener('click', () => cacheInput.click());
+    cacheInput.addEventListener('change', async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        try {
+            const count = await geoCache.importData(JSON.parse(await file.text()));
+            alert(t('cache.imported', { count }));
+        } catch (err) {
+            console.error(err);
+            alert(t('cache.importError'));
+        } finally {
+            cacheInput.value = '';
+        }
+    });
+    document.getElementById('clear-geocache-btn').addEventListener('click', async () => {
+        if (!confirm(t('cache.confirmClear'))) return;
+        await geoCache.clear();
+        alert(t('cache.cleared'));
+    });
+    document.getElementById('clear-cache-btn').addEventListener('click', () => {
+        Object.keys(localStorage).filter(k => k.startsWith('ui:')).forEach(k => localStorage.removeItem(k));
+        alert(t('prefs.cleared'));
+    });
+
+    // Toggle confetti
+    const confettiBtn = document.getElementById('toggle-confetti-btn');
+    if (confettiBtn) {
+        renderConfettiButton();
+        confettiBtn.addEventListener('click', () => { confettiEnabled = !confettiEnabled; setConfettiEnabled(confettiEnabled, true); renderConfettiButton(); });
+    }
+}
+
+function renderConfettiButton() {
+    const btn = document.getElementById('toggle-confetti-btn');
+    if (btn) btn.textContent = confettiEnabled ? t('confetti.on') : t('confetti.off');
+}
+
+function setConfettiEnabled(enabled, persist = true) {
+    confettiEnabled = !!enabled;
+    if (persist) {
+        try { localStorage.setItem(LS_CONFETTI, confettiEnabled ? '1' : '0'); } catch (_) { }
+    }
+    if (confettiEnabled) {
+        fireConfetti({ continuous: true, interval: 500, duration: 0, particleCount: 80 });
+    } else {
+        stopConfetti();
+    }
+}
+
+async function init(forceReload = false) {
+    // Si no se fuerza, mantenemos data en memoria
+    if (forceReload) {
+        allData = [];
+        clearMarkers();
+        setProgress(0, 0);
+    }
+
+    try {
+        // Leer preferencias persistidas antes de crear mapa
+        try {
+            const pCluster = localStorage.getItem(LS_KEYS.cluster);
+            if (pCluster !== null) {
                 const v = parseInt(pCluster, 10);
                 if (!Number.isNaN(v)) clusterRadiusSetting = v;
             }
         } catch (_) { /* ignore */ }
+        // Proveedor de geocodificación persistido
+        try {
+            const pGeocoder = localStorage.getItem(LS_KEYS.geocoder);
+            if (pGeocoder) setGeocoderSetting(pGeocoder, localStorage.getItem(LS_KEYS.geocoderUrl), /*persist*/ false);
+        } catch (_) { /* ignore */ }
+        // Ajustes de la cola persistidos
+        try {
+            const pConc = parseInt(localStorage.getItem(LS_KEYS.concurrency), 10);
+            if (!Number.isNaN(pConc)) queueSettings.concurrency = pConc;
+            const pRate = parseInt(localStorage.getItem(LS_KEYS.rateLimit), 10);
+            if (!Number.isNaN(pRate)) queueSettings.rateLimitMs = pRate;
+        } catch (_) { /* ignore */ }
+        // Estilo de marcadores persistido
+        try {
+            styleSettings.column = localStorage.getItem(LS_KEYS.styleColumn) || '';
+            styleSettings.palette = localStorage.getItem(LS_KEYS.stylePalette) || styleSettings.palette;
+            styleSettings.custom = localStorage.getItem(LS_KEYS.styleCustom) || '';
+        } catch (_) { /* ignore */ }
+        // Cantidad de cercanos a listar
+        try {
+            const pNearest = parseInt(localStorage.getItem(LS_KEYS.nearestLimit), 10);
+            if ([3, 5, 10].includes(pNearest)) nearestLimit = pNearest;
+        } catch (_) { /* ignore */ }
+        // Columna de fecha persistida ('' = sin línea de tiempo)
+        try {
+            const pDate = localStorage.getItem(LS_KEYS.dateColumn);
+            if (pDate !== null) timeSettings.column = pDate;
+        } catch (_) { /* ignore */ }
+        // Modo de vista persistido
+        try {
+            viewMode = localStorage.getItem(LS_KEYS.viewMode) || viewMode;
+            choroplethSettings.level = localStorage.getItem(LS_KEYS.choroplethLevel) || choroplethSettings.level;
+            choroplethSettings.metric = localStorage.getItem(LS_KEYS.choroplethMetric) || choroplethSettings.metric;
+        } catch (_) { /* ignore */ }
+        if (!geocodeQueue) setupGeocodeQueue();
+        if (!geoCache) geoCache = GeoCache.createGeoCache({ ttlMs: GEOCACHE_TTL_DAYS * 24 * 3600 * 1000 });
+        // Rango de zoom para guardar sin conexión
+        try {
+            const pMin = parseInt(localStorage.getItem(LS_KEYS.offlineMinZoom), 10);
+            const pMax = parseInt(localStorage.getItem(LS_KEYS.offlineMaxZoom), 10);
+            if (!Number.isNaN(pMin)) offlineZoom.min = pMin;
+            if (!Number.isNaN(pMax)) offlineZoom.max = pMax;
+        } catch (_) { /* ignore */ }
+        // Idioma elegido, o el del navegador
+        let pLocale = null;
+        try { pLocale = localStorage.getItem(LS_KEYS.locale); } catch (_) { /* ignore */ }
+        I18n.setLocale(pLocale || I18n.detectLocale(navigator.languages || [navigator.language]));
+        registerServiceWorker();
         if (!map) setupMap();
         wireUI();
+        detectBoundaryLevels();
+        applyLocale();
+        setStatus(t('progress.waiting'));
+        setViewMode(viewMode, /*persist*/ false);
         // Leer preferencia de confetti
         try {
             const v = localStorage.getItem(LS_CONFETTI);
             confettiEnabled = v === '1';
         } catch (_) { confettiEnabled = false; }
         setConfettiEnabled(confettiEnabled, /*persist*/ false);
+        // Enlace compartido: vista y filtros antes de cargar los datos; el popup y el hash,
+        // apenas se dibuja lo que no hay que geocodificar (o al terminar, si no hay datos)
+        const linked = Permalink.parse(location.hash);
+        await applyPermalink(linked);
+        whenDataDrawn().then(() => finishPermalink(linked));
+        // Dataset publicado (data.csv / ?data=): si está, no hace falta el modo solo-caché
+        let autoLoaded = await autoLoadDatasets();
+        // Sin data.csv (o sin conexión): el último archivo que se cargó en este navegador
+        if (!autoLoaded && !resolveDatasetSources().explicitData) autoLoaded = await restoreLastDataset();
         // Si hay direcciones cacheadas previas, dibujarlas sin CSV para no esperar
-        if (initialCacheOnly) {
-            // Mostrar puntos desde cache si existen claves geo:*
-            const keys = Object.keys(localStorage).filter(k => k.startsWith('geo:'));
-            if (keys.length) {
-                for (const k of keys) {
-                    try {
-                        const val = JSON.parse(localStorage.getItem(k));
-                        if (val && typeof val.lat === 'number' && typeof val.lon === 'number') {
-                            // Crear marcador y enlazar popup mínimo con la clave (si no hay CSV cargado)
-                            const m = L.marker([val.lat, val.lon], { icon: createCustomIcon() });
-                            const addr = k.replace(/^geo:/, '');
-                            m.bindPopup(`<div><div><strong>Dirección:</strong> ${addr}</div></div>`, { offset: L.point(0, -46) });
-                            m.on('click', function () { try { this.openPopup(); } catch (_) { } });
-                            allMarkers.push(m);
-                        }
-                    } catch (_) { }
-                }
-                if (allMarkers.length) {
-                    addMarkersToGroup(clusterGroup, allMarkers);
-                    updateVisibleCount();
-                    progressText().textContent = 'Mostrando posiciones desde caché. Seleccioná un CSV para ver detalles.';
-                } else {
-                    progressText().textContent = 'Seleccioná un CSV para cargar los datos.';
-                }
+        if (initialCacheOnly && !autoLoaded && !progressText().classList.contains('error')) {
+            // Mostrar puntos desde cache (solo entradas de filas; las de consultas sueltas no)
+            await geoCache.ready;
+            const cached = [];
+            for (const entry of geoCache.all()) {
+                if (entry.matchType === 'query' || !Dataset.usableCacheEntry(entry, getGeocoder().id)) continue;
+                // Sin CSV solo conocemos la dirección (la clave de cache): alcanza para el buscador
+                const addr = entry.key;
+                const m = L.marker([entry.lat, entry.lon], { icon: createCustomIcon(), row: { Direccion: addr } });
+                m.bindPopup(() => `<div><div><strong>${t('field.address')}:</strong> ${escapeHtml(addr)}</div></div>`, { offset: L.point(0, -46) });
+                m.on('click', function () { try { this.openPopup(); } catch (_) { } });
+                cached.push(m);
+            }
+            if (cached.length) {
+                addMarkers(cached);
+                updateVisibleCount();
+                setStatus(t('load.cacheOnly'));
             } else {
-                progressText().textContent = 'Seleccioná un CSV para cargar los datos.';
+                setStatus(t('load.choose'));
             }
         }
+        finishPermalink(linked);
     } catch (e) {
-        progressText().textContent = 'Error al cargar o procesar el CSV';
+        setStatus(t('load.error'), 'error');
         console.error(e);
-        alert('Hubo un problema al cargar data.csv. Ver la consola para más detalles.');
+        alert(t('load.errorAlert'));
     }
+    finishPermalink({});
 }
 
 // Kickoff
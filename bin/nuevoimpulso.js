@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/*
+  Línea de comandos: geocodifica y revisa archivos sin abrir el mapa, con los mismos
+  módulos que la página (dataset.js, geocoders.js, queue.js, geocache.js, importers.js,
+  exporters.js, validation.js).
+    nuevoimpulso geocode entrada.csv -o salida.csv --cache cache.json --provider nominatim
+    nuevoimpulso validate entrada.csv --report revision.csv
+  El progreso y los resúmenes van a stderr; sin -o, geocode escribe el CSV en stdout.
+  Códigos de salida: 0 bien, 1 demasiadas filas sin ubicar (geocode) o problemas
+  encontrados (validate), 2 error de uso o de lectura, 130 interrumpido con Ctrl+C.
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const Dataset = require('../dataset.js');
+const Geocoders = require('../geocoders.js');
+const JobQueue = require('../queue.js');
+const GeoCache = require('../geocache.js');
+const Importers = require('../importers.js');
+const Exporters = require('../exporters.js');
+const Validation = require('../validation.js');
+const { version } = require('../package.json');
+
+const GEOCACHE_TTL_DAYS = 180; // igual que la página
+const CACHE_SAVE_MS = 15000; // cada cuánto se guarda la cache durante una corrida larga
+const LIST_LIMIT = 20; // filas que se listan en el resumen (el resto, en los informes CSV)
+const MAX_CONCURRENCY = 16; // igual que el panel de la página
+const OUTPUT_FORMATS = { '.csv': 'csv', '.geojson': 'geojson', '.json': 'geojson', '.kml': 'kml', '.gpx': 'gpx', '.xlsx': 'xlsx' };
+
+const USAGE = `Uso:
+  nuevoimpulso geocode <entrada> [-o salida] [opciones]
+  nuevoimpulso validate <entrada> [--report revision.csv] [opciones]
+
+Entrada: CSV/TSV/TXT, XLSX/XLS/ODS o GeoJSON.
+
+Opciones comunes:
+  --map rol=columna        columna de cada rol (address, barrio, region, city, lat, lon);
+                           se puede repetir. Por defecto se adivina por el encabezado
+  --delimiter <c>          separador del CSV (por defecto automático)
+  --encoding <nombre>      codificación (por defecto UTF-8 o windows-1252)
+  --sheet <nombre>         hoja de la planilla (por defecto la primera)
+
+geocode:
+  -o, --output <archivo>   salida; el formato sale de la extensión (.csv, .geojson, .kml, .gpx, .xlsx)
+  --format <id>            forzar el formato de salida
+  --cache <archivo.json>   cache de coordenadas: se lee al empezar y se guarda al terminar
+  --provider <id>          ${Geocoders.PROVIDERS.map(p => p.id).join(', ')} (por defecto nominatim)
+  --url <url>              URL del proveedor (instancias propias, static)
+  --email <email>          contacto para Nominatim (recomendado por su política de uso)
+  --concurrency <n>        consultas en paralelo (por defecto 1, hasta ${MAX_CONCURRENCY}; siempre 1
+                           con los servicios públicos que piden espera entre consultas)
+  --rate-limit <ms>        espera entre consultas (por defecto y como mínimo, la del proveedor)
+  --max-failure-rate <p>   proporción de filas sin ubicar tolerada, 0-1 o "10%" (por defecto 0.1)
+  --failures <archivo>     CSV con las filas sin ubicar
+  -q, --quiet              sin barra de progreso
+
+validate:
+  --report <archivo>       CSV con el detalle (como "Descargar informe" en la página)
+`;
+
+class UsageError extends Error {}
+
+function log(message = '') { process.stderr.write(`${message}\n`); }
+
+function percent(n, total) {
+    return `${(total ? (n / total) * 100 : 0).toFixed(1).replace('.', ',')}%`;
+}
+
+function parseRate(value) {
+    const s = String(value).trim();
+    const n = s.endsWith('%') ? parseFloat(s) / 100 : parseFloat(s);
+    if (!Number.isFinite(n) || n < 0 || n > 1) throw new UsageError(`--max-failure-rate inválido: ${value}`);
+    return n;
+}
+
+function parseCount(value, name, min) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) throw new UsageError(`${name} inválido: ${value}`);
+    return n;
+}
+
+// Archivo -> { rows, fields, mapping } con el mapeo adivinado y los --map aplicados encima
+function readInput(file, options) {
+    if (!file) throw new UsageError('Falta el archivo de entrada');
+    const format = Importers.detectFormat(file);
+    if (format === 'kml') throw new UsageError('KML solo se puede importar desde la página (necesita DOMParser)');
+    let buffer;
+    try { buffer = fs.readFileSync(file); } catch (e) { throw new UsageError(`No se pudo leer ${file}: ${e.message}`); }
+    const parsed = Importers.parseFile(new Uint8Array(buffer), format, {
+        delimiter: options.delimiter || '',
+        encoding: options.encoding || 'auto',
+        sheet: options.sheet,
+    });
+    const fields = parsed.fields;
+    const rows = Importers.normalizeRows(parsed.rows, fields);
+    const mapping = Importers.guessMapping(fields);
+    for (const pair of options.map || []) {
+        const [role, ...rest] = pair.split('=');
+        const column = rest.join('=');
+        if (!Importers.ROLES.some(r => r.id === role)) throw new UsageError(`Rol desconocido en --map: ${role}`);
+        if (column && !fields.includes(column)) throw new UsageError(`La columna "${column}" no está en ${file}`);
+        mapping[role] = column;
+    }
+    return { rows, fields, mapping };
+}
+
+function describeMapping(mapping) {
+    return Importers.ROLES.map(r => `${r.id}=${mapping[r.id] || '-'}`).join(' ');
+}
+
+function rowLabel(row, mapping) {
+    return ['address', 'barrio', 'city'].map(r => Dataset.rowText(row, mapping, r)).filter(Boolean).join(', ') || '(sin dirección)';
+}
+
+function csvLine(values) {
+    return values.map(v => '"' + String(v ?? '').replace(/"/g, '""') + '"').join(',');
+}
+
+// En una terminal, una sola línea que se reescribe; redirigido, una línea cada tanto
+function createProgress(total, quiet) {
+    const tty = process.stderr.isTTY;
+    let last = 0;
+    return {
+        update(done, failed) {
+            if (quiet) return;
+            const now = Date.now();
+            if (done < total && now - last < (tty ? 200 : 5000)) return;
+            last = now;
+            const text = `${done}/${total} (${percent(done, total)}) · ${failed} sin ubicar`;
+            if (tty) process.stderr.write(`\r${text}\x1b[K`);
+            else log(text);
+        },
+        end() { if (!quiet && tty) process.stderr.write('\n'); },
+    };
+}
+
+async function loadCache(file) {
+    const cache = GeoCache.createGeoCache({ ttlMs: GEOCACHE_TTL_DAYS * 24 * 60 * 60 * 1000, legacyStorage: null });
+    await cache.ready;
+    if (file && fs.existsSync(file)) {
+        try {
+            const n = await cache.importData(JSON.parse(fs.readFileSync(file, 'utf8')));
+            log(`Cache: ${n} direcciones de ${file}`);
+        } catch (e) {
+            throw new UsageError(`No se pudo leer la cache ${file}: ${e.message}`);
+        }
+    }
+    return cache;
+}
+
+// Se escribe a un temporal y se renombra: un corte a mitad de camino no deja la cache rota
+function saveCache(cache, file) {
+    if (!file) return;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cache.exportData()));
+    fs.renameSync(tmp, file);
+}
+
+function outputFormat(options) {
+    if (options.format) {
+        if (!Exporters.FORMATS.some(f => f.id === options.format)) throw new UsageError(`Formato desconocido: ${options.format}`);
+        return options.format;
+    }
+    return (options.output && OUTPUT_FORMATS[path.extname(options.output).toLowerCase()]) || 'csv';
+}
+
+// Como effectiveRateLimit en la página: la espera del proveedor (p. ej. la política de
+// Nominatim) es un mínimo, y los servicios que la piden reciben una consulta a la vez
+function queueOptions(provider, options) {
+    const providerMin = provider.rateLimitMs || 0;
+    let rateLimitMs = providerMin;
+    if (options['rate-limit'] != null) {
+        rateLimitMs = Math.max(providerMin, parseCount(options['rate-limit'], '--rate-limit', 0));
+        if (rateLimitMs > Number(options['rate-limit'])) log(`--rate-limit: ${provider.label} pide al menos ${providerMin} ms entre consultas`);
+    }
+    const maxConcurrency = providerMin ? 1 : MAX_CONCURRENCY;
+    let concurrency = 1;
+    if (options.concurrency != null) {
+        concurrency = Math.min(maxConcurrency, parseCount(options.concurrency, '--concurrency', 1));
+        if (concurrency < Number(options.concurrency)) log(`--concurrency: con ${provider.label} se ${maxConcurrency === 1 ? 'hace una consulta' : `hacen hasta ${maxConcurrency} consultas`} a la vez`);
+    }
+    return { concurrency, rateLimitMs };
+}
+
+async function geocode(file, options) {
+    const maxFailureRate = options['max-failure-rate'] != null ? parseRate(options['max-failure-rate']) : 0.1;
+    const format = outputFormat(options);
+    if (!options.output && format === 'xlsx') throw new UsageError('XLSX necesita -o');
+    // Un id mal escrito no puede terminar mandando todas las direcciones al Nominatim público
+    const providerId = options.provider || 'nominatim';
+    if (!Geocoders.PROVIDERS.some(p => p.id === providerId)) throw new UsageError(`Proveedor desconocido: ${providerId}`);
+    const { rows, fields, mapping } = readInput(file, options);
+    log(`${rows.length} filas en ${file} · columnas: ${describeMapping(mapping)}`);
+    if (!mapping.address && !mapping.barrio && !(mapping.lat && mapping.lon)) {
+        throw new UsageError('No hay columnas de dirección, barrio ni Lat/Lon (ver --map)');
+    }
+
+    let provider;
+    try {
+        provider = Geocoders.createProvider(providerId, {
+            url: options.url || '',
+            email: options.email || '',
+            userAgent: `nuevoimpulso/${version}${options.email ? ` (${options.email})` : ''}`,
+        });
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+    const cache = await loadCache(options.cache);
+    const queue = JobQueue.createJobQueue(queueOptions(provider, options));
+    const geocoder = Dataset.createRowGeocoder({ cache, queue, provider });
+
+    let interrupted = false;
+    const onInterrupt = () => {
+        if (interrupted) process.exit(130);
+        interrupted = true;
+        log('\nInterrumpido: se guarda lo ubicado hasta ahora (Ctrl+C otra vez para salir ya)');
+        queue.cancel();
+    };
+    process.on('SIGINT', onInterrupt);
+
+    // 1) Filas con coordenadas: se conservan y siembran la cache, como en la página
+    const records = rows.map(row => ({ row, geo: null }));
+    const pending = [];
+    const seeds = [];
+    let fromSource = 0;
+    records.forEach((rec, idx) => {
+        const coords = Dataset.coordsOf(rec.row, mapping);
+        if (!coords) { pending.push(idx); return; }
+        rec.geo = Dataset.readGeoColumns(rec.row, coords);
+        fromSource++;
+        const key = Dataset.addressKey(rec.row, mapping);
+        if (key) seeds.push({ key, value: rec.geo, defaults: { provider: rec.geo.matchType === 'manual' ? 'manual' : 'source' } });
+    });
+    await cache.setMany(seeds);
+
+    // 2) El resto, con el proveedor
+    const failures = []; // [{ idx, query, error }]
+    const progress = createProgress(rows.length, options.quiet);
+    let done = fromSource;
+    let lastSave = Date.now();
+    progress.update(done, 0);
+    await Promise.all(pending.map(async (idx) => {
+        const rec = records[idx];
+        const queries = Dataset.geocodeQueries(rec.row, mapping);
+        const query = queries.length ? queries[0].query.text : '';
+        try {
+            if (!queries.length) {
+                failures.push({ idx, query, error: 'Sin dirección ni barrio' });
+                return;
+            }
+            rec.geo = await geocoder.geocodeRow(rec.row, mapping);
+            if (!rec.geo) failures.push({ idx, query, error: 'Sin resultados' });
+        } catch (e) {
+            if (e && e.cancelled) return;
+            failures.push({ idx, query, error: (e && e.message) || String(e) });
+        } finally {
+            done++;
+            progress.update(done, failures.length);
+            if (options.cache && Date.now() - lastSave > CACHE_SAVE_MS) {
+                lastSave = Date.now();
+                saveCache(cache, options.cache);
+            }
+        }
+    }));
+    progress.end();
+    process.removeListener('SIGINT', onInterrupt);
+    saveCache(cache, options.cache);
+
+    const out = Exporters.exportAs(format, {
+        fields,
+        records,
+        coordColumns: Dataset.coordColumns(fields, mapping),
+        regionOf: row => Dataset.rowText(row, mapping, 'region'),
+        nameOf: row => Dataset.rowText(row, mapping, 'address') || Dataset.rowText(row, mapping, 'barrio'),
+    });
+    if (options.output) fs.writeFileSync(options.output, typeof out.content === 'string' ? out.content : Buffer.from(out.content));
+    else process.stdout.write(out.content.endsWith('\n') ? out.content : `${out.content}\n`);
+
+    failures.sort((a, b) => a.idx - b.idx);
+    if (options.failures) {
+        const lines = failures.map(f => csvLine([f.idx + 1, f.query, f.error, rowLabel(rows[f.idx], mapping)]));
+        fs.writeFileSync(options.failures, ['Fila,Consulta,Error,Datos', ...lines].join('\n'));
+    }
+
+    const located = records.filter(r => r.geo).length;
+    const lowConfidence = records.filter(r => r.geo && r.geo.lowConfidence).length;
+    const unlocated = rows.length - located;
+    log(`${located} de ${rows.length} ubicadas (${fromSource} con coordenadas del archivo, ${lowConfidence} para revisar) · ${unlocated} sin ubicar (${percent(unlocated, rows.length)})`);
+    failures.slice(0, LIST_LIMIT).forEach(f => log(`  Fila ${f.idx + 1}: ${f.query || rowLabel(rows[f.idx], mapping)} — ${f.error}`));
+    if (failures.length > LIST_LIMIT) log(`  ... y ${failures.length - LIST_LIMIT} más${options.failures ? ` (ver ${options.failures})` : ' (ver --failures)'}`);
+    if (options.output) log(`Guardado en ${options.output}`);
+
+    if (interrupted) return 130;
+    if (rows.length && unlocated / rows.length > maxFailureRate) {
+        log(`Error: ${percent(unlocated, rows.length)} sin ubicar supera el máximo de ${percent(maxFailureRate, 1)}`);
+        return 1;
+    }
+    return 0;
+}
+
+function validate(file, options) {
+    const { rows, fields, mapping } = readInput(file, options);
+    log(`${rows.length} filas en ${file} · columnas: ${describeMapping(mapping)}`);
+    const columns = { address: mapping.address, barrio: mapping.barrio, city: mapping.city, lat: mapping.lat, lon: mapping.lon };
+    const issues = Validation.validate(rows, { fields, columns, parseNumber: Dataset.parseNumberFlexible });
+
+    const byType = new Map();
+    issues.forEach(issue => byType.set(issue.type, (byType.get(issue.type) || 0) + 1));
+    if (!issues.length) log('Sin problemas');
+    byType.forEach((n, type) => log(`  ${Validation.TYPES[type] || type}: ${n}`));
+    issues.slice(0, LIST_LIMIT).forEach(issue => {
+        const which = issue.rows.map(idx => idx + 1).join(', ');
+        log(`  Fila${issue.rows.length > 1 ? 's' : ''} ${which}: ${issue.message}${issue.fix ? ' (tiene corrección automática)' : ''}`);
+    });
+    if (issues.length > LIST_LIMIT) log(`  ... y ${issues.length - LIST_LIMIT} más${options.report ? ` (ver ${options.report})` : ' (ver --report)'}`);
+
+    if (options.report) {
+        fs.writeFileSync(options.report, Validation.toCSV(issues, {
+            rowLabel: idx => rowLabel(rows[idx], mapping),
+            statusOf: () => 'Pendiente',
+        }));
+        log(`Informe en ${options.report}`);
+    }
+    return issues.length ? 1 : 0;
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            format: { type: 'string' },
+            cache: { type: 'string' },
+            provider: { type: 'string' },
+            url: { type: 'string' },
+            email: { type: 'string' },
+            concurrency: { type: 'string' },
+            'rate-limit': { type: 'string' },
+            'max-failure-rate': { type: 'string' },
+            failures: { type: 'string' },
+            report: { type: 'string' },
+            map: { type: 'string', multiple: true },
+            delimiter: { type: 'string' },
+            encoding: { type: 'string' },
+            sheet: { type: 'string' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean', short: 'h' },
+            version: { type: 'boolean', short: 'v' },
+        },
+    });
+    if (values.version) { log(version); return 0; }
+    const [command, file] = positionals;
+    if (values.help || !command) { log(USAGE); return values.help ? 0 : 2; }
+    switch (command) {
+        case 'geocode': return geocode(file, values);
+        case 'validate': return validate(file, values);
+        default: throw new UsageError(`Comando desconocido: ${command}`);
+    }
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; }, (err) => {
+    // parseArgs avisa de opciones desconocidas con ERR_PARSE_ARGS_*
+    const usage = err instanceof UsageError || (err && String(err.code).startsWith('ERR_PARSE_ARGS'));
+    if (usage) log(`nuevoimpulso: ${err.message}\nVer nuevoimpulso --help`);
+    else console.error(err);
+    process.exitCode = 2;
+});
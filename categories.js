@@ -0,0 +1,148 @@
+/*
+  Estilo por categoría: a cada valor de una columna (por defecto la Región) le
+  toca un color de la paleta y, cuando los colores no alcanzan, una forma distinta.
+  - PALETTES: paletas predefinidas (la primera es la de la marca)
+  - createCategoryScale(values, options): escala valor -> { color, shape }
+  - donutSVG(parts, options): ícono de cluster con la proporción de cada categoría
+  - markerSVG({ color, shape, warning, upcoming }): ícono de un encuentro
+*/
+(function (root) {
+    const PALETTES = [
+        { id: 'nuevo-impulso', label: 'Nuevo Impulso', colors: ['#ff3b30', '#ffcc00', '#0b74ff', '#34c759', '#af52de', '#ff9500', '#5ac8fa', '#ff2d55'] },
+        { id: 'okabe-ito', label: 'Apta daltonismo', colors: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#000000'] },
+        { id: 'tableau', label: 'Tableau 10', colors: ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'] },
+        { id: 'custom', label: 'Personalizada', colors: [] },
+    ];
+    // Formas en el orden en que se usan cuando se repiten los colores
+    const SHAPES = ['pin', 'circle', 'square', 'diamond', 'triangle'];
+    const OTHER_KEY = '__otros__';
+    const OTHER_COLOR = '#8e8e93';
+
+    function naturalCompare(a, b) { return a.localeCompare(b, 'es', { numeric: true, sensitivity: 'base' }); }
+
+    // "#e63946, #2a9d8f 264653" -> ['#e63946', '#2a9d8f', '#264653'] (descarta lo que no es un color hex)
+    function parseCustomPalette(text) {
+        return String(text || '').split(/[\s,;]+/)
+            .map(c => c.trim().replace(/^(?!#)/, '#'))
+            .filter(c => /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(c));
+    }
+
+    function paletteColors(id, custom = '') {
+        if (id === 'custom') {
+            const colors = parseCustomPalette(custom);
+            if (colors.length) return colors;
+        }
+        const p = PALETTES.find(x => x.id === id && x.colors.length) || PALETTES[0];
+        return p.colors;
+    }
+
+    /**
+     * createCategoryScale(values, { palette, maxCategories, colors })
+     * Una entrada por valor distinto ({ key, count, color, shape }), en orden natural
+     * ('' = sin dato, al final). Si hay más de maxCategories, las menos frecuentes se
+     * agrupan en "Otros" (OTHER_KEY) para que la leyenda siga siendo legible.
+     * colors: { valor: color } fijos que reemplazan a la paleta (p. ej. el color de cada capa).
+     */
+    function createCategoryScale(values, { palette = PALETTES[0].colors, maxCategories = 24, colors = {} } = {}) {
+        const counts = new Map();
+        for (const v of values) {
+            const k = String(v ?? '').trim();
+            counts.set(k, (counts.get(k) || 0) + 1);
+        }
+        let keys = Array.from(counts.keys());
+        let overflow = [];
+        if (keys.length > maxCategories) {
+            const kept = keys.slice().sort((a, b) => counts.get(b) - counts.get(a)).slice(0, maxCategories - 1);
+            overflow = keys.filter(k => !kept.includes(k));
+            keys = kept;
+        }
+        keys.sort((a, b) => (a === '') - (b === '') || naturalCompare(a, b));
+        const entries = keys.map((key, i) => ({
+            key,
+            count: counts.get(key),
+            color: colors[key] || palette[i % palette.length],
+            shape: colors[key] ? 'pin' : SHAPES[Math.floor(i / palette.length) % SHAPES.length],
+        }));
+        if (overflow.length) {
+            entries.push({ key: OTHER_KEY, count: overflow.reduce((s, k) => s + counts.get(k), 0), color: OTHER_COLOR, shape: 'pin', other: true });
+        }
+        const byKey = new Map(entries.map(e => [e.key, e]));
+        const keyOf = v => {
+            const k = String(v ?? '').trim();
+            return byKey.has(k) || !overflow.length ? k : OTHER_KEY;
+        };
+        return {
+            entries,
+            keyOf,
+            styleOf(v) { return byKey.get(keyOf(v)) || { color: OTHER_COLOR, shape: 'pin' }; },
+        };
+    }
+
+    // SVG del marcador; shape: una de SHAPES, warning: "!" de baja confianza, upcoming: hueco (encuentro por venir)
+    function markerSVG({ color = '#0b74ff', shape = 'pin', warning = false, upcoming = false } = {}) {
+        const badge = warning
+            ? `<circle cx="19" cy="4.5" r="4.5" fill="#ffcc00" stroke="#18213a" stroke-width="0.8"/>
+                    <text x="19" y="7.2" font-size="7" font-weight="800" text-anchor="middle" fill="#18213a">!</text>`
+            : '';
+        if (shape === 'pin') {
+            return `
+                <svg width="28" height="40" viewBox="0 0 24 34" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                    <path d="M12 0C7 0 3.5 3.5 3.5 8.5c0 6.5 8.5 18 8.5 18s8.5-11.5 8.5-18C20.5 3.5 17 0 12 0z"
+                        ${upcoming ? `fill="#ffffff" stroke="${color}" stroke-width="2.4"` : `fill="${color}"`}/>
+                    <circle cx="12" cy="8.5" r="3.2" fill="${upcoming ? color : '#ffffff'}"/>
+                    ${badge}
+                </svg>`;
+        }
+        const body = {
+            circle: `<circle cx="12" cy="12" r="8.5"/>`,
+            square: `<rect x="4" y="4" width="16" height="16" rx="2"/>`,
+            diamond: `<path d="M12 2.5L21.5 12 12 21.5 2.5 12z"/>`,
+            triangle: `<path d="M12 3l9.5 17h-19z"/>`,
+        }[shape] || `<circle cx="12" cy="12" r="8.5"/>`;
+        return `
+                <svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                    <g ${upcoming ? `fill="#ffffff" stroke="${color}" stroke-width="2.6"` : `fill="${color}" stroke="#ffffff" stroke-width="2"`}>${body}</g>
+                    ${badge}
+                </svg>`;
+    }
+
+    /**
+     * donutSVG(parts, { size, thickness, label })
+     * parts = [{ color, count }] en el orden de la leyenda; el centro muestra label
+     * (por defecto el total).
+     */
+    function donutSVG(parts, { size = 40, thickness = 8, label } = {}) {
+        const total = parts.reduce((s, p) => s + p.count, 0) || 1;
+        const half = size / 2;
+        const r = half - thickness / 2;
+        const circ = 2 * Math.PI * r;
+        let offset = 0;
+        const arcs = parts.filter(p => p.count > 0).map(p => {
+            const len = circ * p.count / total;
+            const arc = `<circle cx="${half}" cy="${half}" r="${r}" fill="none" stroke="${p.color}" stroke-width="${thickness}"` +
+                ` stroke-dasharray="${len.toFixed(2)} ${(circ - len).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}"/>`;
+            offset += len;
+            return arc;
+        }).join('');
+        const text = label ?? total;
+        return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">` +
+            `<g transform="rotate(-90 ${half} ${half})">${arcs}</g>` +
+            `<circle cx="${half}" cy="${half}" r="${r - thickness / 2}" fill="#ffffff"/>` +
+            `<text x="${half}" y="${half}" dy="0.35em" text-anchor="middle" font-size="${Math.round(size / 3.4)}" font-weight="800" fill="#18213a">${text}</text>` +
+            `</svg>`;
+    }
+
+    const api = {
+        PALETTES,
+        SHAPES,
+        OTHER_KEY,
+        OTHER_COLOR,
+        parseCustomPalette,
+        paletteColors,
+        createCategoryScale,
+        donutSVG,
+        markerSVG,
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Categories = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,124 @@
+/*
+  Agregación por áreas para el modo coroplético.
+  - indexFeatures(geojson): precalcula la caja de cada polígono
+  - aggregatePoints(index, points): cuántos puntos caen en cada área
+  - quantileBreaks / colorFor: clases de color sobre los valores
+  Trabaja con Polygon y MultiPolygon (con huecos) en [lon, lat], como GeoJSON.
+*/
+(function (root) {
+    // Secuencial de claro a oscuro, en los tonos cálidos del encabezado
+    const SEQUENTIAL = ['#fff1c7', '#ffd97a', '#ffb347', '#ff8a3d', '#f25c3b', '#c62828'];
+    const EMPTY_COLOR = '#eef3ff';
+
+    // Ray casting sobre un anillo [[lon, lat], ...]
+    function inRing(ring, x, y) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    // polygon = [exterior, ...huecos]
+    function inPolygon(polygon, x, y) {
+        if (!polygon.length || !inRing(polygon[0], x, y)) return false;
+        for (let k = 1; k < polygon.length; k++) if (inRing(polygon[k], x, y)) return false;
+        return true;
+    }
+
+    function pointInGeometry(geometry, lon, lat) {
+        if (!geometry) return false;
+        if (geometry.type === 'Polygon') return inPolygon(geometry.coordinates, lon, lat);
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates.some(p => inPolygon(p, lon, lat));
+        return false;
+    }
+
+    function geometryBBox(geometry) {
+        const box = [Infinity, Infinity, -Infinity, -Infinity];
+        (function walk(c) {
+            if (typeof c[0] === 'number') {
+                box[0] = Math.min(box[0], c[0]); box[1] = Math.min(box[1], c[1]);
+                box[2] = Math.max(box[2], c[0]); box[3] = Math.max(box[3], c[1]);
+            } else c.forEach(walk);
+        })((geometry && geometry.coordinates) || []);
+        return box;
+    }
+
+    // Nombre visible del área (los archivos del IGN usan "nam"/"nombre"; amCharts usa "name")
+    function featureName(props = {}) {
+        return String(props.nombre ?? props.name ?? props.nam ?? props.NAME ?? props.departamento ?? props.id ?? '').trim();
+    }
+
+    function indexFeatures(geojson) {
+        const features = (geojson && geojson.features) || [];
+        return features
+            .filter(f => f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'))
+            .map(f => ({ feature: f, bbox: geometryBBox(f.geometry), name: featureName(f.properties) }));
+    }
+
+    // Primera área que contiene el punto (o null)
+    function locate(index, lon, lat) {
+        for (const item of index) {
+            const [w, s, e, n] = item.bbox;
+            if (lon < w || lon > e || lat < s || lat > n) continue;
+            if (pointInGeometry(item.feature.geometry, lon, lat)) return item;
+        }
+        return null;
+    }
+
+    /**
+     * aggregatePoints(index, points)
+     * points = [{ lat, lon }]; devuelve un array paralelo a index con la cantidad
+     * de puntos de cada área, y outside con los que no cayeron en ninguna.
+     */
+    function aggregatePoints(index, points) {
+        const counts = new Array(index.length).fill(0);
+        const pos = new Map(index.map((item, i) => [item, i]));
+        let outside = 0;
+        for (const p of points) {
+            const item = locate(index, +p.lon, +p.lat);
+            if (item) counts[pos.get(item)]++;
+            else outside++;
+        }
+        return { counts, outside };
+    }
+
+    // Cortes por cuantiles sobre los valores positivos (los ceros van aparte, con EMPTY_COLOR)
+    function quantileBreaks(values, classes = SEQUENTIAL.length) {
+        const sorted = values.filter(v => Number.isFinite(v) && v > 0).sort((a, b) => a - b);
+        if (!sorted.length) return [];
+        const breaks = [];
+        for (let i = 1; i < classes; i++) {
+            const b = sorted[Math.min(sorted.length - 1, Math.floor((i / classes) * sorted.length))];
+            // Cortes repetidos o iguales al mínimo dejarían clases vacías
+            if (b > sorted[0] && (!breaks.length || b > breaks[breaks.length - 1])) breaks.push(b);
+        }
+        return breaks;
+    }
+
+    // breaks = límites inferiores de cada clase a partir de la segunda
+    function colorFor(value, breaks, palette = SEQUENTIAL) {
+        if (!Number.isFinite(value) || value <= 0) return EMPTY_COLOR;
+        let cls = 0;
+        while (cls < breaks.length && value >= breaks[cls]) cls++;
+        // Con pocas clases se reparten en toda la paleta para que el contraste no dependa de la cantidad
+        const idx = breaks.length ? Math.round(cls * (palette.length - 1) / breaks.length) : palette.length - 1;
+        return palette[idx];
+    }
+
+    const api = {
+        SEQUENTIAL,
+        EMPTY_COLOR,
+        pointInGeometry,
+        featureName,
+        indexFeatures,
+        locate,
+        aggregatePoints,
+        quantileBreaks,
+        colorFor,
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Choropleth = api;
+})(typeof self !== 'undefined' ? self : this);
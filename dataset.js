@@ -0,0 +1,209 @@
+/*
+  Lectura y geocodificación de filas, sin DOM: la usan la app y la línea de comandos (bin/).
+  - mapping = { address, barrio, region, city, lat, lon } (nombres de columna, ver Importers.guessMapping);
+    sin mapping se buscan los nombres habituales (Direccion, Barrio, Region, Lat, Lon...)
+  - rowText(row, mapping, role), addressKey(row, mapping): clave de cache "direccion, barrio[, localidad]"
+  - coordsOf(row, mapping): { lat, lon } si la fila trae coordenadas; readGeoColumns(row, coords)
+  - coordColumns(fields, mapping): { lat, lon } nombres de las columnas de coordenadas (o null)
+  - geocodeQueries(row, mapping): consultas de la más precisa a la más gruesa
+  - createRowGeocoder({ cache, queue, provider, onLookup }): geocodeAddress(query) y geocodeRow(row, mapping)
+    con cache (ver geocache.js) y cola (ver queue.js)
+  - canCache(providerId), usableCacheEntry(entry, providerId): qué resultados se guardan y cuáles se reusan
+*/
+(function (root) {
+    const LOW_IMPORTANCE = 0.3; // por debajo de esta importancia la coincidencia se marca para revisar
+    // Cómo se obtuvo cada coordenada (se exporta en la columna GeoMatch)
+    const MATCH_LABELS = {
+        full: 'Dirección completa',
+        'street-barrio': 'Calle y barrio',
+        barrio: 'Solo barrio (aproximada)',
+        edited: 'Búsqueda corregida',
+        manual: 'Ubicada a mano',
+        source: 'Coordenadas del archivo',
+    };
+    const UNCACHED_PROVIDERS = ['mock']; // resultados inventados: nunca van a la cache
+    // Entradas que sirven con cualquier proveedor: ubicadas a mano, del archivo o importadas sin
+    // saber de qué proveedor vienen (geocoded.json plano, claves geo: viejas)
+    const SHARED_PROVIDERS = ['manual', 'source', 'import', 'legacy', 'unknown'];
+    // Nombres habituales de cada columna cuando no hay mapeo (con o sin tildes / en minúsculas)
+    const FALLBACKS = {
+        address: ['Direccion', 'Dirección', 'direccion'],
+        barrio: ['Barrio', 'barrio'],
+        region: ['Region', 'Región', 'region'],
+        city: ['Localidad', 'localidad', 'Ciudad', 'ciudad'],
+        lat: ['Lat', 'lat', 'LAT', 'Latitude', 'latitude', 'Latitud', 'latitud', 'Y', 'y'],
+        lon: ['Lon', 'lon', 'LON', 'Lng', 'lng', 'Long', 'long', 'Longitude', 'longitude', 'Longitud', 'longitud', 'X', 'x'],
+    };
+
+    function parseNumberFlexible(v) {
+        if (v == null) return NaN;
+        const s = String(v).trim().replace(',', '.');
+        return parseFloat(s);
+    }
+
+    function normalizeAddressForKey(address) { return (address || '').toLowerCase().trim(); }
+
+    // Valor de la columna asignada a un rol; sin mapeo, el primero de los nombres habituales
+    function mappedValue(row, mapping, role) {
+        if (mapping) return mapping[role] ? row[mapping[role]] : undefined;
+        for (const k of FALLBACKS[role] || []) if (row[k] != null) return row[k];
+        return undefined;
+    }
+
+    function rowText(row, mapping, role) { return String(mappedValue(row, mapping, role) ?? '').trim(); }
+
+    // La misma clave para filas con y sin coordenadas
+    function addressKey(row, mapping) {
+        return normalizeAddressForKey(['address', 'barrio', 'city'].map(r => rowText(row, mapping, r)).filter(Boolean).join(', '));
+    }
+
+    // Calidad de geocodificación guardada en las columnas Geo* de un export (ver exporters.js)
+    function readGeoColumns(row, coords) {
+        const importance = parseNumberFlexible(row['GeoImportance']);
+        return {
+            ...coords,
+            matchType: MATCH_LABELS[row['GeoMatch']] ? row['GeoMatch'] : 'source',
+            importance: Number.isFinite(importance) ? importance : null,
+            displayName: row['GeoDisplayName'] || '',
+            lowConfidence: /^(1|true|si|sí)$/i.test(String(row['GeoLowConfidence'] ?? '').trim()),
+        };
+    }
+
+    function coordsOf(row, mapping) {
+        let lat; let lon;
+        if (mapping) {
+            if (!mapping.lat || !mapping.lon) return null;
+            lat = parseNumberFlexible(row[mapping.lat]);
+            lon = parseNumberFlexible(row[mapping.lon]);
+        } else {
+            // Sin mapeo: la primera columna habitual que tenga valor
+            const first = keys => { for (const k of keys) if (row[k] != null && row[k] !== '') return parseNumberFlexible(row[k]); return NaN; };
+            lat = first(FALLBACKS.lat);
+            lon = first(FALLBACKS.lon);
+        }
+        return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+    }
+
+    // Columnas donde escribir coordenadas corregidas; sin mapeo, la primera habitual que exista
+    function coordColumns(fields, mapping) {
+        if (mapping) return { lat: mapping.lat || null, lon: mapping.lon || null };
+        const pick = keys => keys.find(k => fields.includes(k)) || null;
+        return { lat: pick(FALLBACKS.lat), lon: pick(FALLBACKS.lon) };
+    }
+
+    /**
+     * geocodeQueries(row, mapping)
+     * Consultas de la más precisa a la más gruesa:
+     *   full: dirección + barrio + localidad (+ región si es un nombre)
+     *   street-barrio: dirección + barrio + localidad
+     *   barrio: solo el barrio (+ localidad y región), centroide aproximado
+     * La Región del CSV suele ser un número interno, así que solo se suma cuando es texto.
+     * Se descartan consultas repetidas (p. ej. si no hay región, full y street-barrio coinciden).
+     * Cada consulta lleva sus partes por separado (street, barrio, city, state: la región si la
+     * consulta la usa) y region, la de la fila, para descartar resultados de otra (ver geocoders.js).
+     */
+    function geocodeQueries(row, mapping) {
+        const street = rowText(row, mapping, 'address');
+        const barrio = rowText(row, mapping, 'barrio');
+        const city = rowText(row, mapping, 'city');
+        const regionRaw = rowText(row, mapping, 'region');
+        const region = regionRaw && !/^\d+$/.test(regionRaw) ? regionRaw : '';
+        const candidates = [
+            { matchType: 'full', needs: street, parts: { street, barrio, city, state: region } },
+            { matchType: 'street-barrio', needs: street && barrio, parts: { street, barrio, city, state: '' } },
+            { matchType: 'barrio', needs: barrio, parts: { street: '', barrio, city, state: region } },
+        ];
+        const seen = new Set();
+        return candidates
+            .map(c => ({ ...c, text: [c.parts.street, c.parts.barrio, c.parts.city, c.parts.state].filter(Boolean).join(', ') }))
+            .filter(c => c.needs && c.text && !seen.has(c.text) && seen.add(c.text))
+            .map(({ matchType, text, parts }) => ({ matchType, query: { text, ...parts, region } }));
+    }
+
+    // Completa un resultado del proveedor con cómo se obtuvo y si conviene revisarlo
+    function qualifyGeo(hit, matchType, lowImportance = LOW_IMPORTANCE) {
+        const importance = hit.importance ?? null;
+        const lowConfidence = matchType === 'street-barrio' || matchType === 'barrio'
+            || (importance != null && importance < lowImportance);
+        return {
+            lat: +hit.lat,
+            lon: +hit.lon,
+            matchType,
+            importance,
+            displayName: hit.displayName || '',
+            lowConfidence,
+        };
+    }
+
+    function canCache(providerId) { return !UNCACHED_PROVIDERS.includes(providerId); }
+
+    // Al cambiar de proveedor, lo que resolvió otro se vuelve a consultar
+    function usableCacheEntry(entry, providerId) {
+        return !!entry && (entry.provider === providerId || SHARED_PROVIDERS.includes(entry.provider));
+    }
+
+    /**
+     * createRowGeocoder({ cache, queue, provider, onLookup })
+     * provider: el proveedor (geocoders.js) o una función que devuelve el activo
+     * (la app lo cambia desde el panel). La cola aplica concurrencia, rate-limit y reintentos.
+     * onLookup(source): opcional, 'cache' o 'provider' por cada búsqueda (para las estadísticas)
+     * Solo se reusan las entradas del proveedor activo (ver usableCacheEntry) y los resultados
+     * del simulado no se guardan.
+     */
+    function createRowGeocoder({ cache, queue, provider, onLookup }) {
+        const current = () => (typeof provider === 'function' ? provider() : provider);
+        const notify = source => { if (typeof onLookup === 'function') onLookup(source); };
+
+        // q: texto o consulta estructurada { text, street, barrio, city, state, region }
+        async function geocodeAddress(q) {
+            const text = typeof q === 'string' ? q : String((q && q.text) || '');
+            const p = current();
+            const cached = cache.get(text);
+            if (usableCacheEntry(cached, p.id)) { notify('cache'); return cached; }
+            notify('provider');
+            const item = await queue.push(() => p.search(q));
+            // matchType 'query': resultado crudo de una consulta, no de una fila (no se dibuja sin CSV)
+            if (item && canCache(p.id)) cache.set(text, item, { provider: p.id, matchType: 'query' });
+            return item;
+        }
+
+        // Prueba las consultas de geocodeQueries en orden; null si ninguna encuentra algo
+        async function geocodeRow(row, mapping) {
+            const key = addressKey(row, mapping);
+            const cached = key && cache.get(key);
+            if (usableCacheEntry(cached, current().id) && cached.matchType !== 'query') { notify('cache'); return cached; }
+            for (const { matchType, query } of geocodeQueries(row, mapping)) {
+                const hit = await geocodeAddress(query);
+                if (hit) {
+                    const geo = qualifyGeo(hit, matchType);
+                    const providerId = current().id;
+                    if (key && canCache(providerId)) cache.set(key, geo, { provider: providerId });
+                    return geo;
+                }
+            }
+            return null;
+        }
+
+        return { geocodeAddress, geocodeRow };
+    }
+
+    const api = {
+        LOW_IMPORTANCE,
+        MATCH_LABELS,
+        parseNumberFlexible,
+        normalizeAddressForKey,
+        mappedValue,
+        rowText,
+        addressKey,
+        readGeoColumns,
+        coordsOf,
+        coordColumns,
+        geocodeQueries,
+        qualifyGeo,
+        canCache,
+        usableCacheEntry,
+        createRowGeocoder,
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Dataset = api;
+})(typeof self !== 'undefined' ? self : this);
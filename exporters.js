@@ -0,0 +1,205 @@
+/*
+  Exportadores: CSV, GeoJSON, KML, GPX y XLSX.
+  Todos reciben lo mismo:
+    {
+      fields,            // encabezados originales, en orden
+      records,           // [{ row, geo }] row = valores originales, geo = row._geo (o null)
+      regionOf(row),     // para agrupar (carpetas del KML)
+      nameOf(row),       // título del punto (KML/GPX)
+      coordColumns,      // { lat, lon } columnas de coordenadas del mapeo (ver Dataset.coordColumns)
+    }
+  y devuelven { content, mime, ext }. Cada formato lleva todas las columnas
+  originales y las coordenadas en las columnas del mapeo (Lat/Lon si la fila no
+  tenía), más las columnas de calidad de geocodificación.
+*/
+(function (root) {
+    // Columnas de calidad que se agregan al exportar; al recargar ese CSV se leen de vuelta
+    const GEO_COLUMNS = ['GeoMatch', 'GeoImportance', 'GeoDisplayName', 'GeoLowConfidence'];
+    const LAT_RE = /^lat$/i;
+    const LON_RE = /^(lon|lng|long)$/i;
+
+    const FORMATS = [
+        { id: 'csv', label: 'CSV' },
+        { id: 'geojson', label: 'GeoJSON' },
+        { id: 'kml', label: 'KML (Google My Maps)' },
+        { id: 'gpx', label: 'GPX (apps de GPS)' },
+        { id: 'xlsx', label: 'Excel (XLSX)' },
+    ];
+
+    function geoColumnValue(geo, field) {
+        if (!geo) return '';
+        switch (field) {
+            case 'GeoMatch': return geo.matchType || '';
+            case 'GeoImportance': return geo.importance ?? '';
+            case 'GeoDisplayName': return geo.displayName || '';
+            case 'GeoLowConfidence': return geo.lowConfidence ? 'true' : 'false';
+            default: return '';
+        }
+    }
+
+    // Columnas donde van las coordenadas: las del mapeo o, sin mapeo, Lat/Lon (o lat, lng...) si ya estaban
+    function resolveCoordColumns(fields, coordColumns) {
+        const cols = coordColumns || {};
+        return {
+            lat: cols.lat || fields.find(f => LAT_RE.test(f)) || 'Lat',
+            lon: cols.lon || fields.find(f => LON_RE.test(f)) || 'Lon',
+        };
+    }
+
+    function isCoordColumn(f, cols) { return f === cols.lat || f === cols.lon; }
+
+    // Encabezados de salida: los originales + las columnas de coordenadas si no estaban + columnas de calidad
+    function outputFields(fields, coordColumns) {
+        const cols = resolveCoordColumns(fields, coordColumns);
+        const out = fields.slice();
+        if (!out.includes(cols.lat)) out.push(cols.lat);
+        if (!out.includes(cols.lon)) out.push(cols.lon);
+        GEO_COLUMNS.forEach(f => { if (!out.includes(f)) out.push(f); });
+        return out;
+    }
+
+    // Coordenadas del registro: las geocodificadas o, si no hay, las que traía la fila
+    function coordsOf({ row, geo }, cols) {
+        if (geo) return { lat: geo.lat, lon: geo.lon };
+        return { lat: row[cols.lat] ?? '', lon: row[cols.lon] ?? '' };
+    }
+
+    // Valores de un registro como objeto { campo: valor } según outputFields
+    function recordObject(rec, outFields, cols) {
+        const { lat, lon } = coordsOf(rec, cols);
+        const obj = {};
+        for (const f of outFields) {
+            if (f === cols.lat) obj[f] = lat;
+            else if (f === cols.lon) obj[f] = lon;
+            else if (GEO_COLUMNS.includes(f) && rec.geo) obj[f] = geoColumnValue(rec.geo, f);
+            else obj[f] = rec.row[f] ?? '';
+        }
+        return obj;
+    }
+
+    function hasPoint(rec, cols) {
+        const { lat, lon } = coordsOf(rec, cols);
+        return lat !== '' && lon !== '' && Number.isFinite(+lat) && Number.isFinite(+lon);
+    }
+
+    function xmlEscape(v) {
+        return String(v ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+    }
+
+    function toCSV({ fields, records, coordColumns }) {
+        const cols = resolveCoordColumns(fields, coordColumns);
+        const outFields = outputFields(fields, cols);
+        const q = v => '"' + String(v ?? '').replace(/"/g, '""') + '"';
+        const lines = records.map(rec => {
+            const obj = recordObject(rec, outFields, cols);
+            // Citar solo los campos de texto, dejar lat/lon como números si ya lo son
+            return outFields.map(f => isCoordColumn(f, cols) ? String(obj[f] ?? '') : q(obj[f])).join(',');
+        });
+        return { content: outFields.join(',') + '\n' + lines.join('\n'), mime: 'text/csv;charset=utf-8', ext: 'csv' };
+    }
+
+    function toGeoJSON({ fields, records, coordColumns }) {
+        const cols = resolveCoordColumns(fields, coordColumns);
+        const outFields = outputFields(fields, cols).filter(f => !isCoordColumn(f, cols));
+        const features = records.map(rec => {
+            const { lat, lon } = coordsOf(rec, cols);
+            // Las filas sin ubicar se conservan con geometry null (GeoJSON válido)
+            return {
+                type: 'Feature',
+                geometry: hasPoint(rec, cols) ? { type: 'Point', coordinates: [+lon, +lat] } : null,
+                properties: recordObject(rec, outFields, cols),
+            };
+        });
+        const content = JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+        return { content, mime: 'application/geo+json', ext: 'geojson' };
+    }
+
+    function toKML({ fields, records, regionOf = () => '', nameOf = () => '', title = 'Encuentros Nuevo Impulso', coordColumns }) {
+        const cols = resolveCoordColumns(fields, coordColumns);
+        const outFields = outputFields(fields, cols).filter(f => !isCoordColumn(f, cols));
+        // Una carpeta por región, en orden natural (1, 2, 10)
+        const folders = new Map();
+        for (const rec of records.filter(r => hasPoint(r, cols))) {
+            const region = String(regionOf(rec.row) || '').trim() || 'Sin región';
+            if (!folders.has(region)) folders.set(region, []);
+            folders.get(region).push(rec);
+        }
+        const names = Array.from(folders.keys()).sort((a, b) => a.localeCompare(b, 'es', { numeric: true }));
+        const placemark = rec => {
+            const { lat, lon } = coordsOf(rec, cols);
+            const obj = recordObject(rec, outFields, cols);
+            const data = outFields.map(f => `<Data name="${xmlEscape(f)}"><value>${xmlEscape(obj[f])}</value></Data>`).join('');
+            return `<Placemark><name>${xmlEscape(nameOf(rec.row))}</name><ExtendedData>${data}</ExtendedData>` +
+                `<Point><coordinates>${+lon},${+lat},0</coordinates></Point></Placemark>`;
+        };
+        const body = names.map(name => {
+            const label = /^\d+$/.test(name) ? `Región ${name}` : name;
+            return `<Folder><name>${xmlEscape(label)}</name>\n${folders.get(name).map(placemark).join('\n')}\n</Folder>`;
+        }).join('\n');
+        const content = `<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${xmlEscape(title)}</name>\n${body}\n</Document></kml>\n`;
+        return { content, mime: 'application/vnd.google-earth.kml+xml', ext: 'kml' };
+    }
+
+    function toGPX({ fields, records, nameOf = () => '', regionOf = () => '', coordColumns }) {
+        const cols = resolveCoordColumns(fields, coordColumns);
+        const outFields = outputFields(fields, cols).filter(f => !isCoordColumn(f, cols));
+        const wpts = records.filter(r => hasPoint(r, cols)).map(rec => {
+            const { lat, lon } = coordsOf(rec, cols);
+            const obj = recordObject(rec, outFields, cols);
+            // desc legible para apps de GPS; extensions con todas las columnas para reimportar
+            const desc = outFields.filter(f => obj[f] !== '').map(f => `${f}: ${obj[f]}`).join('\n');
+            const ext = outFields.map(f => `<ni:field name="${xmlEscape(f)}">${xmlEscape(obj[f])}</ni:field>`).join('');
+            return `<wpt lat="${+lat}" lon="${+lon}"><name>${xmlEscape(nameOf(rec.row))}</name>` +
+                `<desc>${xmlEscape(desc)}</desc><type>${xmlEscape(regionOf(rec.row))}</type>` +
+                `<extensions>${ext}</extensions></wpt>`;
+        });
+        const content = `<?xml version="1.0" encoding="UTF-8"?>\n<gpx version="1.1" creator="Mapa Nuevo Impulso" ` +
+            `xmlns="http://www.topografix.com/GPX/1/1" xmlns:ni="urn:nuevoimpulso:gpx">\n${wpts.join('\n')}\n</gpx>\n`;
+        return { content, mime: 'application/gpx+xml', ext: 'gpx' };
+    }
+
+    // Requiere SheetJS (global XLSX en el navegador; en Node, la copia de vendor/)
+    function toXLSX({ fields, records, coordColumns }) {
+        const X = root.XLSX || (typeof require === 'function' ? require('./vendor/xlsx/xlsx.full.min.js') : null);
+        if (!X) throw new Error('La librería XLSX no está cargada');
+        const cols = resolveCoordColumns(fields, coordColumns);
+        const outFields = outputFields(fields, cols);
+        const objects = records.map(rec => {
+            const obj = recordObject(rec, outFields, cols);
+            // Lat/Lon como números para que la planilla pueda operar con ellos
+            outFields.forEach(f => {
+                if ((isCoordColumn(f, cols) || f === 'GeoImportance') && obj[f] !== '' && Number.isFinite(+obj[f])) obj[f] = +obj[f];
+            });
+            return obj;
+        });
+        const sheet = X.utils.json_to_sheet(objects, { header: outFields });
+        const book = X.utils.book_new();
+        X.utils.book_append_sheet(book, sheet, 'Encuentros');
+        const content = X.write(book, { bookType: 'xlsx', type: 'array' });
+        return { content, mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' };
+    }
+
+    const WRITERS = { csv: toCSV, geojson: toGeoJSON, kml: toKML, gpx: toGPX, xlsx: toXLSX };
+
+    function exportAs(format, options) {
+        const writer = WRITERS[format];
+        if (!writer) throw new Error(`Formato desconocido: ${format}`);
+        return writer(options);
+    }
+
+    const api = {
+        FORMATS,
+        GEO_COLUMNS,
+        exportAs,
+        toCSV,
+        toGeoJSON,
+        toKML,
+        toGPX,
+        toXLSX,
+        outputFields,
+        geoColumnValue,
+        xmlEscape,
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Exporters = api;
+})(typeof self !== 'undefined' ? self : this);
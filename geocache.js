@@ -0,0 +1,215 @@
+/*
+  Cache de geocodificación sobre IndexedDB.
+  - Una entrada por dirección normalizada:
+      { key, lat, lon, provider, ts, matchType, importance, displayName, lowConfidence }
+  - Todo se espeja en memoria al abrir, así get() es sincrónico; las escrituras
+    van a memoria y a IndexedDB (si IndexedDB no está disponible, queda solo en memoria).
+    setMany() escribe un lote entero en una sola transacción
+  - TTL: las entradas de proveedores vencen; las manuales y las que vienen del
+    archivo (provider 'manual' / 'source') no
+  - Migra las claves viejas `geo:<direccion>` de localStorage la primera vez
+  - exportData()/importData() con formato versionado (ver CACHE_SCHEMA)
+*/
+(function (root) {
+    const DB_NAME = 'nuevoimpulso-geocache';
+    const DB_VERSION = 1; // versión del esquema de IndexedDB (object stores)
+    const STORE = 'entries';
+    const CACHE_SCHEMA = 1; // versión del formato de exportación
+    const LEGACY_PREFIX = 'geo:';
+    const PERMANENT_PROVIDERS = ['manual', 'source'];
+
+    function promisify(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function openDB(name) {
+        const idb = root.indexedDB;
+        if (!idb) return Promise.resolve(null);
+        return new Promise((resolve) => {
+            const req = idb.open(name, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                // v1: store por clave normalizada
+                if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'key' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            // Modo privado / bloqueado: seguimos solo en memoria
+            req.onerror = () => resolve(null);
+            req.onblocked = () => resolve(null);
+        });
+    }
+
+    function normalizeKey(k) { return String(k || '').toLowerCase().trim(); }
+
+    // Acepta { lat, lon } sueltos (formato de geocoded.json / claves geo:) o entradas completas
+    function toEntry(key, value, defaults = {}) {
+        if (!value) return null;
+        const lat = +value.lat;
+        const lon = +(value.lon ?? value.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+        return {
+            key: normalizeKey(value.key ?? key),
+            lat,
+            lon,
+            provider: value.provider || defaults.provider || 'unknown',
+            ts: Number.isFinite(+value.ts) && +value.ts > 0 ? +value.ts : Date.now(),
+            matchType: value.matchType || defaults.matchType || null,
+            importance: value.importance ?? null,
+            displayName: value.displayName || '',
+            lowConfidence: !!value.lowConfidence,
+        };
+    }
+
+    /**
+     * createGeoCache({ dbName, ttlMs, legacyStorage })
+     * - ttlMs: vencimiento de entradas de proveedores (0 = nunca)
+     * - legacyStorage: de dónde migrar las claves geo: (por defecto localStorage)
+     * Devuelve el cache; esperar cache.ready antes de la primera lectura.
+     */
+    function createGeoCache({ dbName = DB_NAME, ttlMs = 0, legacyStorage = root.localStorage } = {}) {
+        const mem = new Map();
+        let db = null;
+
+        function expired(entry) {
+            if (!ttlMs || PERMANENT_PROVIDERS.includes(entry.provider)) return false;
+            return Date.now() - entry.ts > ttlMs;
+        }
+
+        async function write(entries) {
+            if (!db || !entries.length) return;
+            const tx = db.transaction(STORE, 'readwrite');
+            const store = tx.objectStore(STORE);
+            entries.forEach(e => store.put(e));
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        async function remove(keys) {
+            if (!db || !keys.length) return;
+            const tx = db.transaction(STORE, 'readwrite');
+            keys.forEach(k => tx.objectStore(STORE).delete(k));
+            await new Promise(resolve => { tx.oncomplete = resolve; tx.onerror = resolve; });
+        }
+
+        // Pasa las claves geo: de localStorage al cache y las borra de localStorage una vez
+        // guardadas en IndexedDB. Sin IndexedDB se usan desde memoria y se dejan donde están
+        async function migrateLegacy() {
+            if (!legacyStorage) return 0;
+            let keys;
+            try { keys = Object.keys(legacyStorage).filter(k => k.startsWith(LEGACY_PREFIX)); } catch (_) { return 0; }
+            if (!keys.length) return 0;
+            const entries = [];
+            for (const k of keys) {
+                try {
+                    const entry = toEntry(k.slice(LEGACY_PREFIX.length), JSON.parse(legacyStorage.getItem(k)), { provider: 'legacy' });
+                    if (entry && !mem.has(entry.key)) entries.push(entry);
+                } catch (_) { /* entrada corrupta: se descarta */ }
+            }
+            entries.forEach(e => mem.set(e.key, e));
+            if (!db) return entries.length;
+            await write(entries); // si la transacción falla, rechaza y las claves quedan para la próxima
+            keys.forEach(k => legacyStorage.removeItem(k));
+            return entries.length;
+        }
+
+        const ready = (async () => {
+            db = await openDB(dbName);
+            if (db) {
+                const stored = await promisify(db.transaction(STORE, 'readonly').objectStore(STORE).getAll());
+                const stale = [];
+                for (const e of stored) {
+                    if (expired(e)) stale.push(e.key);
+                    else mem.set(e.key, e);
+                }
+                remove(stale);
+            }
+            await migrateLegacy();
+        })().catch(err => { console.warn('Cache de geocodificación solo en memoria', err); db = null; });
+
+        return {
+            ready,
+            get(key) {
+                const k = normalizeKey(key);
+                const entry = mem.get(k);
+                if (!entry) return null;
+                if (expired(entry)) {
+                    mem.delete(k);
+                    remove([k]);
+                    return null;
+                }
+                return entry;
+            },
+            set(key, value, defaults) {
+                const entry = toEntry(key, value, defaults);
+                if (!entry || !entry.key) return Promise.resolve(null);
+                mem.set(entry.key, entry);
+                return write([entry]).then(() => entry, () => entry);
+            },
+            // Varias entradas [{ key, value, defaults }] en una sola transacción (p. ej. las coordenadas de un archivo grande)
+            setMany(items) {
+                const entries = [];
+                for (const { key, value, defaults } of items) {
+                    const entry = toEntry(key, value, defaults);
+                    if (!entry || !entry.key) continue;
+                    mem.set(entry.key, entry);
+                    entries.push(entry);
+                }
+                return write(entries).then(() => entries.length, () => entries.length);
+            },
+            all() { return Array.from(mem.values()).filter(e => !expired(e)); },
+            get size() { return mem.size; },
+            async clear() {
+                mem.clear();
+                if (db) {
+                    const tx = db.transaction(STORE, 'readwrite');
+                    tx.objectStore(STORE).clear();
+                    await new Promise(resolve => { tx.oncomplete = resolve; tx.onerror = resolve; });
+                }
+            },
+            exportData() {
+                return { schema: CACHE_SCHEMA, exportedAt: new Date().toISOString(), entries: this.all() };
+            },
+            /**
+             * importData(data, { overwrite })
+             * Acepta el formato exportado ({ schema, entries }) y el formato plano
+             * { "direccion": { lat, lon } } de geocoded.json. Por defecto no pisa
+             * entradas existentes más nuevas. Devuelve cuántas entradas se guardaron.
+             */
+            async importData(data, { overwrite = false, provider = 'import' } = {}) {
+                let raw;
+                if (data && Array.isArray(data.entries)) {
+                    if (data.schema > CACHE_SCHEMA) throw new Error(`Formato de cache no soportado (v${data.schema})`);
+                    raw = data.entries.map(e => [e.key, e]);
+                } else if (Array.isArray(data)) {
+                    raw = data.map(e => [e.key ?? e.address ?? e.direccion, e]);
+                } else {
+                    raw = Object.entries(data || {});
+                }
+                const entries = [];
+                for (const [k, v] of raw) {
+                    const entry = toEntry(k, v, { provider });
+                    if (!entry || !entry.key) continue;
+                    const prev = mem.get(entry.key);
+                    // Sin fecha no sabemos si es más nueva: se respeta la existente
+                    const dated = v && Number.isFinite(+v.ts) && +v.ts > 0;
+                    if (!overwrite && prev && (!dated || prev.ts >= entry.ts)) continue;
+                    mem.set(entry.key, entry);
+                    entries.push(entry);
+                }
+                await write(entries);
+                return entries.length;
+            },
+            migrateLegacy,
+        };
+    }
+
+    const api = { createGeoCache, CACHE_SCHEMA, normalizeKey };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.GeoCache = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,268 @@
+/*
+  Proveedores de geocodificación intercambiables.
+  Todos exponen la misma interfaz:
+    {
+      id, label,
+      rateLimitMs,        // espera mínima entre requests (0 = sin límite)
+      search(query)       // Promise<{ lat, lon, importance, displayName } | null>
+    }
+  query puede ser un texto o una consulta estructurada
+    { text, street, barrio, city, state, region }
+  donde text es la versión en una línea (la que se usa como clave de cache), street,
+  barrio, city y state son sus partes (Nominatim las recibe por separado) y region es
+  la provincia de la fila: se descartan los candidatos de otra y, entre los que quedan,
+  se prefiere el que cae en el barrio pedido.
+  importance va de 0 a 1 (null si el proveedor no lo informa).
+  - nominatim: servicio público de OSM
+  - nominatim-custom: instancia propia de Nominatim (URL configurable)
+  - photon: Photon de Komoot (o instancia propia)
+  - pelias: instancia propia de Pelias (URL configurable)
+  - static: archivo JSON con direcciones ya resueltas
+  - mock: proveedor local, determinístico y sin red (para pruebas)
+*/
+(function (root) {
+    const NOMINATIM_ENDPOINT = 'https://nominatim.openstreetmap.org/search';
+    const PHOTON_ENDPOINT = 'https://photon.komoot.io/api/';
+
+    // Caja aproximada de la zona poblada de Argentina (usada por el mock)
+    const MOCK_BOUNDS = { south: -38.5, north: -24.5, west: -68.5, east: -57.5 };
+
+    // Catálogo para armar el selector del panel
+    const PROVIDERS = [
+        { id: 'nominatim', label: 'Nominatim (OSM público)', needsUrl: false },
+        { id: 'photon', label: 'Photon (Komoot)', needsUrl: false },
+        { id: 'nominatim-custom', label: 'Nominatim propio (URL)', needsUrl: true },
+        { id: 'pelias', label: 'Pelias propio (URL)', needsUrl: true },
+        { id: 'static', label: 'Archivo JSON (URL)', needsUrl: true },
+        { id: 'mock', label: 'Simulado (sin red)', needsUrl: false },
+    ];
+
+    function normalizeQuery(q) { return String(q || '').toLowerCase().trim(); }
+
+    // Retry-After puede venir en segundos o como fecha HTTP
+    function parseRetryAfter(value) {
+        if (value == null || value === '') return undefined;
+        const secs = Number(value);
+        if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+        const when = Date.parse(value);
+        return Number.isFinite(when) ? Math.max(0, when - Date.now()) : undefined;
+    }
+
+    // Los errores HTTP llevan status y retryAfterMs para que la cola decida si reintentar
+    async function fetchJSON(url, init) {
+        const res = await fetch(url, init);
+        if (!res.ok) {
+            const err = new Error(`Geocoding error ${res.status}`);
+            err.status = res.status;
+            err.retryAfterMs = parseRetryAfter(res.headers && res.headers.get('Retry-After'));
+            throw err;
+        }
+        return res.json();
+    }
+
+    function toPoint(lat, lon) {
+        const p = { lat: +lat, lon: +lon };
+        return Number.isFinite(p.lat) && Number.isFinite(p.lon) ? p : null;
+    }
+
+    function toResult(lat, lon, { importance = null, displayName = '' } = {}) {
+        const p = toPoint(lat, lon);
+        if (!p) return null;
+        const imp = importance == null || importance === '' ? null : +importance;
+        return { ...p, importance: Number.isFinite(imp) ? imp : null, displayName: String(displayName || '') };
+    }
+
+    function queryText(query) { return typeof query === 'string' ? query : String((query && query.text) || ''); }
+
+    // Minúsculas y sin tildes, para comparar nombres de barrios
+    function fold(v) { return String(v ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim(); }
+
+    // Sin región pedida o sin la del candidato no se puede descartar
+    function inRegion(query, state) {
+        const region = typeof query === 'object' && query ? fold(query.region) : '';
+        const other = fold(state);
+        return !region || !other || other.includes(region) || region.includes(other);
+    }
+
+    /**
+     * pickCandidate(candidates, query, describe, stateOf)
+     * Descarta los resultados de otra región (stateOf(c): provincia del candidato) y entre
+     * los demás prefiere el que menciona el barrio pedido (describe(c) devuelve el texto
+     * del candidato); si ninguno lo hace, el primero.
+     */
+    function pickCandidate(candidates, query, describe, stateOf = () => '') {
+        candidates = candidates.filter(c => inRegion(query, stateOf(c)));
+        if (!candidates.length) return null;
+        const barrio = typeof query === 'object' && query ? fold(query.barrio) : '';
+        if (barrio) {
+            const hit = candidates.find(c => fold(describe(c)).includes(barrio));
+            if (hit) return hit;
+        }
+        return candidates[0];
+    }
+
+    function nominatimProvider({ id = 'nominatim', label = 'Nominatim', endpoint = NOMINATIM_ENDPOINT, email = '', userAgent = '', rateLimitMs = 1200 } = {}) {
+        return {
+            id, label, rateLimitMs,
+            async search(query) {
+                const params = new URLSearchParams({ format: 'json', addressdetails: '1', limit: '5', countrycodes: 'ar' });
+                if (typeof query === 'object' && query && query.street) {
+                    // Búsqueda estructurada: la calle no se confunde con un barrio o una localidad del mismo nombre
+                    params.set('street', query.street);
+                    if (query.city || query.barrio) params.set('city', query.city || query.barrio);
+                    if (query.state) params.set('state', query.state);
+                } else {
+                    params.set('q', queryText(query));
+                }
+                if (email && email.includes('@')) params.set('email', email);
+                // El navegador manda su propio User-Agent; fuera de él (bin/) la política de OSM pide identificarse
+                const headers = { 'Accept-Language': 'es' };
+                if (userAgent) headers['User-Agent'] = userAgent;
+                const data = await fetchJSON(`${endpoint}?${params.toString()}`, { headers });
+                const best = pickCandidate(Array.isArray(data) ? data : [], query, c => c.display_name, c => c.address && c.address.state);
+                return best ? toResult(best.lat, best.lon, { importance: best.importance, displayName: best.display_name }) : null;
+            },
+        };
+    }
+
+    function photonProvider({ endpoint = PHOTON_ENDPOINT, rateLimitMs = 500 } = {}) {
+        return {
+            id: 'photon', label: 'Photon', rateLimitMs,
+            async search(query) {
+                // Photon no filtra por país: pedimos varios y nos quedamos con el primero de Argentina
+                const params = new URLSearchParams({ q: queryText(query), limit: '5', lang: 'es' });
+                const data = await fetchJSON(`${endpoint}?${params.toString()}`);
+                const features = ((data && data.features) || []).filter(f => f.properties && f.properties.countrycode === 'AR' && f.geometry);
+                const describe = f => ['name', 'street', 'housenumber', 'district', 'locality', 'city', 'state']
+                    .map(k => f.properties[k]).filter(Boolean).join(', ');
+                const feat = pickCandidate(features, query, describe, f => f.properties.state);
+                if (!feat) return null;
+                const [lon, lat] = feat.geometry.coordinates;
+                // Photon no informa importancia
+                return toResult(lat, lon, { displayName: describe(feat) });
+            },
+        };
+    }
+
+    function peliasProvider({ endpoint, rateLimitMs = 0 } = {}) {
+        if (!endpoint) throw new Error('Pelias requiere una URL');
+        const base = endpoint.replace(/\/+$/, '');
+        return {
+            id: 'pelias', label: 'Pelias', rateLimitMs,
+            async search(query) {
+                const params = new URLSearchParams({ text: queryText(query), size: '5', 'boundary.country': 'ARG' });
+                const data = await fetchJSON(`${base}/v1/search?${params.toString()}`);
+                const features = ((data && data.features) || []).filter(f => f.geometry);
+                const feat = pickCandidate(features, query, f => (f.properties && f.properties.label) || '', f => f.properties && f.properties.region);
+                if (!feat) return null;
+                const [lon, lat] = feat.geometry.coordinates;
+                const props = feat.properties || {};
+                return toResult(lat, lon, { importance: props.confidence, displayName: props.label });
+            },
+        };
+    }
+
+    /**
+     * staticFileProvider({ endpoint })
+     * Resuelve contra un JSON con alguno de estos formatos:
+     *   { "direccion": { "lat": -34.6, "lon": -58.4 }, ... }
+     *   [ { "address": "direccion", "lat": -34.6, "lon": -58.4 }, ... ]
+     *   { "schema": 1, "entries": [ { "key": "direccion", ... } ] }  (export del cache)
+     * Las claves se comparan normalizadas (minúsculas, sin espacios extremos).
+     */
+    function staticFileProvider({ endpoint } = {}) {
+        if (!endpoint) throw new Error('El proveedor de archivo requiere una URL');
+        let lookup = null;
+        async function load() {
+            if (lookup) return lookup;
+            const data = await fetchJSON(endpoint);
+            lookup = new Map();
+            // También acepta el JSON que exporta el cache de la app ({ schema, entries })
+            const list = Array.isArray(data) ? data : (data && Array.isArray(data.entries) ? data.entries : null);
+            const entries = list
+                ? list.map(d => [d.key ?? d.address ?? d.direccion ?? d.query, d])
+                : Object.entries(data || {});
+            for (const [addr, val] of entries) {
+                const p = val && toResult(val.lat, val.lon ?? val.lng, { importance: val.importance ?? 1, displayName: val.displayName ?? addr });
+                if (addr && p) lookup.set(normalizeQuery(addr), p);
+            }
+            return lookup;
+        }
+        return {
+            id: 'static', label: 'Archivo JSON', rateLimitMs: 0,
+            async search(query) {
+                const table = await load();
+                return table.get(normalizeQuery(queryText(query))) || null;
+            },
+        };
+    }
+
+    // Hash FNV-1a de 32 bits: misma dirección => mismo punto
+    function hash32(str) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * mockProvider({ latencyMs, failPattern })
+     * Devuelve un punto determinístico dentro de Argentina para cada dirección,
+     * sin usar la red. Las direcciones que coinciden con failPattern no se resuelven,
+     * lo que permite probar el circuito de fallos. La importancia también sale del
+     * hash, así algunas coincidencias quedan marcadas como de baja confianza.
+     */
+    function mockProvider({ latencyMs = 30, failPattern = /sin\s*ubicar|^\?+$/i } = {}) {
+        return {
+            id: 'mock', label: 'Simulado', rateLimitMs: 0,
+            async search(query) {
+                const q = normalizeQuery(queryText(query));
+                if (latencyMs) await new Promise(res => setTimeout(res, latencyMs));
+                if (!q || failPattern.test(q)) return null;
+                const h1 = hash32(q);
+                const h2 = hash32(`${q}#lon`);
+                const lat = MOCK_BOUNDS.south + (h1 / 0xffffffff) * (MOCK_BOUNDS.north - MOCK_BOUNDS.south);
+                const lon = MOCK_BOUNDS.west + (h2 / 0xffffffff) * (MOCK_BOUNDS.east - MOCK_BOUNDS.west);
+                const importance = (((h1 ^ h2) >>> 0) % 1000) / 1000;
+                return toResult(lat.toFixed(6), lon.toFixed(6), { importance, displayName: `${queryText(query)} (simulado)` });
+            },
+        };
+    }
+
+    /**
+     * createProvider(id, { url, email, userAgent })
+     * Fábrica usada por la app y la línea de comandos: traduce la selección a un proveedor.
+     */
+    function createProvider(id, { url = '', email = '', userAgent = '' } = {}) {
+        switch (id) {
+            case 'photon': return photonProvider(url ? { endpoint: url } : {});
+            case 'nominatim-custom':
+                if (!url) throw new Error('Nominatim propio requiere una URL');
+                return nominatimProvider({ id, label: 'Nominatim propio', endpoint: url, email, userAgent, rateLimitMs: 0 });
+            case 'pelias': return peliasProvider({ endpoint: url });
+            case 'static': return staticFileProvider({ endpoint: url });
+            case 'mock': return mockProvider();
+            case 'nominatim':
+            default:
+                return nominatimProvider({ email, userAgent });
+        }
+    }
+
+    const api = {
+        PROVIDERS,
+        NOMINATIM_ENDPOINT,
+        createProvider,
+        nominatimProvider,
+        photonProvider,
+        peliasProvider,
+        staticFileProvider,
+        mockProvider,
+        normalizeQuery,
+        queryText,
+        parseRetryAfter,
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Geocoders = api;
+})(typeof self !== 'undefined' ? self : this);
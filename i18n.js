@@ -0,0 +1,79 @@
+/*
+  Textos de la interfaz en varios idiomas. Los catálogos están en locales/ (uno por idioma).
+  - LOCALES: idiomas disponibles { id: { label, intl } }; el español es el de base
+  - addMessages(locale, messages): suma un catálogo (lo llama cada archivo de locales/)
+  - setLocale(id) / getLocale(): idioma actual (uno que no está vuelve al de base)
+  - intlLocale(): el código para toLocaleString / Intl (p. ej. 'es-AR')
+  - detectLocale(languages): el primero de navigator.languages que tengamos
+  - t(key, params): el mensaje con {nombre} reemplazado por params.nombre. Si el mensaje es
+    { one, other }, la forma sale de params.count. Lo que falta en un idioma sale en español.
+  - translateDOM(root): aplica data-i18n (texto) y data-i18n-title / -placeholder / -aria-label / -alt
+  - missingKeys(locale): claves del español que le faltan a un catálogo
+*/
+(function (root) {
+    const DEFAULT_LOCALE = 'es';
+    const LOCALES = {
+        es: { label: 'Español', intl: 'es-AR' },
+        en: { label: 'English', intl: 'en-US' },
+        pt: { label: 'Português', intl: 'pt-BR' },
+    };
+    const ATTRIBUTES = ['title', 'placeholder', 'aria-label', 'alt'];
+    const catalogs = {};
+    let current = DEFAULT_LOCALE;
+
+    function addMessages(locale, messages) {
+        catalogs[locale] = { ...(catalogs[locale] || {}), ...messages };
+    }
+
+    function setLocale(id) {
+        current = LOCALES[id] ? id : DEFAULT_LOCALE;
+        return current;
+    }
+
+    function getLocale() { return current; }
+
+    function intlLocale() { return LOCALES[current].intl; }
+
+    // "pt-BR" -> 'pt'; sin coincidencias, el de base
+    function detectLocale(languages = []) {
+        for (const lang of languages) {
+            const id = String(lang || '').toLowerCase().split('-')[0];
+            if (LOCALES[id]) return id;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    function lookup(key) {
+        const own = catalogs[current] && catalogs[current][key];
+        if (own != null) return own;
+        const base = catalogs[DEFAULT_LOCALE] && catalogs[DEFAULT_LOCALE][key];
+        return base != null ? base : key;
+    }
+
+    function t(key, params = {}) {
+        let msg = lookup(key);
+        if (typeof msg === 'object') {
+            const form = new Intl.PluralRules(intlLocale()).select(Number(params.count) || 0);
+            msg = msg[form] ?? msg.other;
+        }
+        return String(msg).replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+    }
+
+    function translateDOM(rootNode) {
+        rootNode.querySelectorAll('[data-i18n]').forEach(node => { node.textContent = t(node.dataset.i18n); });
+        for (const attr of ATTRIBUTES) {
+            rootNode.querySelectorAll(`[data-i18n-${attr}]`).forEach(node => {
+                node.setAttribute(attr, t(node.getAttribute(`data-i18n-${attr}`)));
+            });
+        }
+    }
+
+    function missingKeys(locale) {
+        const own = catalogs[locale] || {};
+        return Object.keys(catalogs[DEFAULT_LOCALE] || {}).filter(k => !(k in own));
+    }
+
+    const api = { DEFAULT_LOCALE, LOCALES, addMessages, setLocale, getLocale, intlLocale, detectLocale, t, translateDOM, missingKeys };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.I18n = api;
+})(typeof self !== 'undefined' ? self : this);
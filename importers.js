@@ -0,0 +1,251 @@
+/*
+  Importadores: convierten un archivo en { rows, fields } (mismo formato que PapaParse con header).
+  - CSV/TSV/TXT: delimitador y codificación configurables (o automáticos)
+  - XLSX/XLS/ODS: requiere SheetJS (global XLSX); se elige la hoja
+  - GeoJSON: una fila por feature (propiedades + Lat/Lon)
+  - KML: una fila por Placemark (nombre, descripción, ExtendedData + Lat/Lon); requiere DOMParser
+  normalizeRows(rows, fields): descarta filas sin ningún valor y las celdas sobrantes de PapaParse.
+  Además: adivinar qué columna es cada cosa (guessMapping) y una firma de
+  encabezados para recordar el mapeo elegido (headerSignature).
+*/
+(function (root) {
+    // Roles que la app necesita de cada fila
+    const ROLES = [
+        { id: 'address', label: 'Dirección' },
+        { id: 'barrio', label: 'Barrio' },
+        { id: 'region', label: 'Región / Provincia' },
+        { id: 'city', label: 'Ciudad / Localidad' },
+        { id: 'lat', label: 'Latitud' },
+        { id: 'lon', label: 'Longitud' },
+    ];
+
+    // Nombres de columna conocidos por rol (ya normalizados: minúsculas, sin tildes)
+    const SYNONYMS = {
+        address: ['direccion', 'domicilio', 'calle', 'address', 'street', 'endereco', 'ubicacion'],
+        barrio: ['barrio', 'vecindario', 'neighborhood', 'neighbourhood', 'bairro', 'suburb'],
+        region: ['region', 'provincia', 'province', 'state', 'estado', 'zona'],
+        city: ['localidad', 'ciudad', 'city', 'municipio', 'partido', 'departamento', 'town', 'cidade'],
+        lat: ['lat', 'latitud', 'latitude', 'y'],
+        lon: ['lon', 'lng', 'long', 'longitud', 'longitude', 'x'],
+    };
+
+    const FORMATS = {
+        csv: /\.(csv|tsv|txt)$/i,
+        sheet: /\.(xlsx|xlsm|xls|ods)$/i,
+        geojson: /\.(geojson|json)$/i,
+        kml: /\.kml$/i,
+    };
+
+    // Global en la página y el worker; en Node (bin/) las mismas copias de vendor/
+    function vendorLib(name, path) {
+        if (root[name]) return root[name];
+        return typeof require === 'function' ? require(path) : null;
+    }
+
+    function fold(v) { return String(v ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim(); }
+
+    function detectFormat(name = '', mime = '') {
+        for (const [id, re] of Object.entries(FORMATS)) if (re.test(name)) return id;
+        if (/spreadsheet|excel|opendocument/i.test(mime)) return 'sheet';
+        if (/kml/i.test(mime)) return 'kml';
+        if (/json/i.test(mime)) return 'geojson';
+        return 'csv';
+    }
+
+    /**
+     * decodeText(buffer, encoding)
+     * encoding 'auto': UTF-8 si el contenido es válido, si no windows-1252
+     * (lo típico de un CSV guardado desde Excel en castellano).
+     */
+    function decodeText(buffer, encoding = 'auto') {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        let text;
+        if (encoding === 'auto') {
+            try {
+                text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            } catch (_) {
+                text = new TextDecoder('windows-1252').decode(bytes);
+            }
+        } else {
+            text = new TextDecoder(encoding).decode(bytes);
+        }
+        return text.replace(/^\uFEFF/, '');
+    }
+
+    // options = { delimiter: '' (auto) | ',' | ';' | '\t' | '|', encoding }
+    function parseCSV(buffer, { delimiter = '', encoding = 'auto' } = {}) {
+        const Papa = vendorLib('Papa', './vendor/papaparse/papaparse.min.js');
+        const text = typeof buffer === 'string' ? buffer : decodeText(buffer, encoding);
+        const results = Papa.parse(text, { header: true, skipEmptyLines: true, delimiter });
+        const rows = results.data || [];
+        const fields = (results.meta && results.meta.fields) ? results.meta.fields : Object.keys(rows[0] || {});
+        return { rows, fields, delimiter: results.meta && results.meta.delimiter };
+    }
+
+    function sheetNames(buffer) {
+        const X = vendorLib('XLSX', './vendor/xlsx/xlsx.full.min.js');
+        if (!X) throw new Error('La librería XLSX no está cargada');
+        return X.read(buffer, { type: 'array', bookSheets: true }).SheetNames;
+    }
+
+    function parseSheet(buffer, { sheet } = {}) {
+        const X = vendorLib('XLSX', './vendor/xlsx/xlsx.full.min.js');
+        if (!X) throw new Error('La librería XLSX no está cargada');
+        // dateNF: las fechas con el formato por defecto de Excel (m/d/yy) salen como ISO, sin ambigüedad día/mes
+        const book = X.read(buffer, { type: 'array', dateNF: 'yyyy-mm-dd' });
+        const name = sheet && book.SheetNames.includes(sheet) ? sheet : book.SheetNames[0];
+        // header: 1 => matriz; la primera fila son los encabezados
+        const matrix = X.utils.sheet_to_json(book.Sheets[name], { header: 1, defval: '', raw: false, blankrows: false });
+        const header = (matrix[0] || []).map((h, i) => String(h || '').trim() || `Columna ${i + 1}`);
+        const rows = matrix.slice(1).map(cells => {
+            const row = {};
+            header.forEach((h, i) => { row[h] = cells[i] ?? ''; });
+            return row;
+        });
+        return { rows, fields: header, sheet: name, sheets: book.SheetNames };
+    }
+
+    // Punto representativo de cualquier geometría (centro del bbox si no es Point)
+    function representativePoint(geometry) {
+        if (!geometry) return null;
+        if (geometry.type === 'Point') return geometry.coordinates;
+        // Caja recorriendo los vértices (sin Math.min(...xs): un polígono detallado desborda la pila)
+        let west = Infinity, east = -Infinity, south = Infinity, north = -Infinity;
+        (function walk(c) {
+            if (typeof c[0] === 'number') {
+                if (c[0] < west) west = c[0];
+                if (c[0] > east) east = c[0];
+                if (c[1] < south) south = c[1];
+                if (c[1] > north) north = c[1];
+            } else c.forEach(walk);
+        })(geometry.coordinates || (geometry.geometries || []).map(g => representativePoint(g)).filter(Boolean));
+        if (west === Infinity) return null;
+        return [(west + east) / 2, (south + north) / 2];
+    }
+
+    function parseGeoJSON(buffer, { encoding = 'auto' } = {}) {
+        const data = JSON.parse(typeof buffer === 'string' ? buffer : decodeText(buffer, encoding));
+        const features = data.type === 'FeatureCollection' ? data.features : (data.type === 'Feature' ? [data] : []);
+        if (!Array.isArray(features)) throw new Error('El JSON no es GeoJSON');
+        const fields = [];
+        const rows = features.map(f => {
+            const row = {};
+            for (const [k, v] of Object.entries(f.properties || {})) {
+                row[k] = v == null ? '' : (typeof v === 'object' ? JSON.stringify(v) : v);
+                if (!fields.includes(k)) fields.push(k);
+            }
+            const p = representativePoint(f.geometry);
+            row.Lat = p ? p[1] : '';
+            row.Lon = p ? p[0] : '';
+            return row;
+        });
+        ['Lat', 'Lon'].forEach(f => { if (!fields.includes(f)) fields.push(f); });
+        return { rows, fields };
+    }
+
+    function parseKML(buffer, { encoding = 'auto' } = {}) {
+        if (!root.DOMParser) throw new Error('KML requiere DOMParser');
+        const doc = new root.DOMParser().parseFromString(typeof buffer === 'string' ? buffer : decodeText(buffer, encoding), 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) throw new Error('El KML no es XML válido');
+        const text = (el, tag) => {
+            const node = el.getElementsByTagName(tag)[0];
+            return node ? node.textContent.trim() : '';
+        };
+        const fields = ['Nombre', 'Descripcion'];
+        const rows = Array.from(doc.getElementsByTagName('Placemark')).map(pm => {
+            const row = { Nombre: text(pm, 'name'), Descripcion: text(pm, 'description') };
+            // Carpeta contenedora (p. ej. la región en los KML que exporta esta app)
+            const folder = pm.parentNode && pm.parentNode.nodeName === 'Folder' ? text(pm.parentNode, 'name') : '';
+            if (folder) {
+                row.Carpeta = folder;
+                if (!fields.includes('Carpeta')) fields.push('Carpeta');
+            }
+            for (const d of Array.from(pm.getElementsByTagName('Data'))) {
+                const k = d.getAttribute('name');
+                if (!k) continue;
+                row[k] = text(d, 'value');
+                if (!fields.includes(k)) fields.push(k);
+            }
+            for (const d of Array.from(pm.getElementsByTagName('SimpleData'))) {
+                const k = d.getAttribute('name');
+                if (!k) continue;
+                row[k] = d.textContent.trim();
+                if (!fields.includes(k)) fields.push(k);
+            }
+            const coords = text(pm, 'coordinates').split(/\s+/)[0] || '';
+            const [lon, lat] = coords.split(',').map(Number);
+            row.Lat = Number.isFinite(lat) ? lat : '';
+            row.Lon = Number.isFinite(lon) ? lon : '';
+            return row;
+        });
+        ['Lat', 'Lon'].forEach(f => { if (!fields.includes(f)) fields.push(f); });
+        return { rows, fields };
+    }
+
+    /**
+     * parseFile(buffer, format, options)
+     * format: 'csv' | 'sheet' | 'geojson' | 'kml' (ver detectFormat)
+     */
+    function parseFile(buffer, format, options = {}) {
+        switch (format) {
+            case 'sheet': return parseSheet(buffer, options);
+            case 'geojson': return parseGeoJSON(buffer, options);
+            case 'kml': return parseKML(buffer, options);
+            case 'csv':
+            default: return parseCSV(buffer, options);
+        }
+    }
+
+    // Filas con alguna celda no vacía y solo con las columnas del encabezado
+    // (PapaParse junta las celdas de más en __parsed_extra; ",,," no es una fila vacía para él)
+    function normalizeRows(rows, fields) {
+        const out = [];
+        for (const row of rows) {
+            if (!row) continue;
+            if (!fields.some(f => String(row[f] ?? '').trim() !== '')) continue;
+            if ('__parsed_extra' in row) delete row.__parsed_extra;
+            out.push(row);
+        }
+        return out;
+    }
+
+    // Primera columna cuyo nombre coincide con un sinónimo del rol (exacto antes que parcial)
+    function guessMapping(fields) {
+        const mapping = {};
+        const used = new Set();
+        for (const { id } of ROLES) {
+            const names = SYNONYMS[id];
+            const exact = fields.find(f => !used.has(f) && names.includes(fold(f)));
+            // Parcial solo para nombres largos ("Dirección del encuentro"), nunca para x/y
+            const partial = exact || fields.find(f => !used.has(f) && names.some(n => n.length > 3 && fold(f).includes(n)));
+            mapping[id] = partial || '';
+            if (mapping[id]) used.add(mapping[id]);
+        }
+        return mapping;
+    }
+
+    // Firma de encabezados para recordar el mapeo de archivos con la misma estructura
+    function headerSignature(fields) {
+        const key = fields.map(fold).sort().join('|');
+        let h = 0x811c9dc5;
+        for (let i = 0; i < key.length; i++) { h ^= key.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+        return (h >>> 0).toString(36);
+    }
+
+    const api = {
+        ROLES,
+        detectFormat,
+        decodeText,
+        parseCSV,
+        parseSheet,
+        sheetNames,
+        parseGeoJSON,
+        parseKML,
+        parseFile,
+        normalizeRows,
+        guessMapping,
+        headerSignature,
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Importers = api;
+})(typeof self !== 'undefined' ? self : this);
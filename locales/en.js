@@ -0,0 +1,444 @@
+/*
+  Textos en inglés. Mismas claves que locales/es.js; los {nombres} entre llaves no se traducen.
+*/
+(function (root) {
+    const messages = {
+        'app.title': 'Nuevo Impulso Gatherings - Argentina',
+
+        'header.offline': 'Offline',
+        'header.offlineTitle': 'Offline: showing saved data and tiles',
+        'header.visibleTitle': 'Visible points',
+        'header.visibleSuffix': 'Nuevo Impulso gatherings!',
+        'header.language': 'Language',
+        'header.togglePanel': 'Show/hide panel',
+        'header.visibleCount': '{visible} of {total}',
+
+        'timeline.title': 'Timeline',
+        'timeline.play': 'Play month by month',
+        'timeline.all': 'All',
+        'timeline.past': 'Held',
+        'timeline.upcoming': 'Upcoming',
+        'timeline.chartTitle': 'Click a month to see only that month',
+        'timeline.from': 'From',
+        'timeline.to': 'To',
+        'timeline.column': 'Date of each gathering',
+        'timeline.hint': 'Only columns that contain dates are offered. Upcoming gatherings are shown hollow.',
+        'timeline.noColumn': 'No date',
+        'timeline.noDateColumns': 'No columns with dates',
+        'timeline.barTitle': '{month}: {count} ({cumulative} in total)',
+        'timeline.total': '{inRange} in range · {cumulative} cumulative',
+
+        'tabs.map': 'Map',
+        'tabs.stats': 'Statistics',
+        'tabs.list': 'List',
+
+        'filters.title': 'Filters',
+        'filters.searchPlaceholder': 'Search address, neighborhood...',
+        'filters.search': 'Search',
+        'filters.regions': 'Regions',
+        'filters.barrios': 'Neighborhoods (Ctrl/Cmd to pick several)',
+        'filters.clear': 'Clear filters',
+        'filters.copyLink': 'Copy link',
+        'filters.copyLinkTitle': 'Link to this map view, with the active filters',
+        'filters.region': 'Region {region}',
+        'filters.area': 'Area: {name}',
+        'filters.clearArea': 'Remove area filter',
+
+        'nearest.title': 'Nearest gathering',
+        'nearest.locate': 'Use my location',
+        'nearest.show': 'Show',
+        'nearest.addressPlaceholder': 'Or type an address',
+        'nearest.addressLabel': 'Starting address',
+        'nearest.search': 'Search',
+        'nearest.hint': 'Straight-line distances, among the gatherings that pass the filters.',
+        'nearest.clear': 'Remove from map',
+        'nearest.geolocation.unsupported': 'This browser cannot get your location.',
+        'nearest.geolocation.1': 'Permission to use your location was denied.',
+        'nearest.geolocation.2': 'Your location could not be determined.',
+        'nearest.geolocation.3': 'Timed out while getting your location.',
+        'nearest.locating': 'Finding your location...',
+        'nearest.searching': 'Looking up the address...',
+        'nearest.notFound': 'That address was not found.',
+        'nearest.cancelled': 'Search cancelled.',
+        'nearest.error': 'Could not look up the address: {message}',
+        'nearest.here': 'You are here',
+        'nearest.results': { one: 'The nearest to {origin}:', other: 'The {count} nearest to {origin}:' },
+        'nearest.yourLocation': 'your location',
+        'nearest.none': 'No located gatherings pass the filters.',
+        'nearest.reveal': 'Show on map',
+        'nearest.directions': 'Directions',
+
+        'selection.title': 'Selection',
+        'selection.rectangle': 'Rectangle',
+        'selection.lasso': 'Lasso',
+        'selection.radius': 'Radius',
+        'selection.radiusLabel': 'Radius in km',
+        'selection.export': 'Export selection (CSV)',
+        'selection.clear': 'Clear selection',
+        'selection.badRadius': 'Enter a radius greater than 0 km.',
+        'selection.hint.rectangle': 'Drag on the map to draw a rectangle.',
+        'selection.hint.lasso': 'Draw the area on the map while holding the button down.',
+        'selection.hint.radius': 'Click the center of the area.',
+        'selection.within.radius': 'within {km} km',
+        'selection.within.rectangle': 'in the rectangle',
+        'selection.within.lasso': 'in the drawn area',
+        'selection.count': { one: '{n} gathering {where}', other: '{n} gatherings {where}' },
+        'selection.truncated': '({limit} listed; export to see them all)',
+        'selection.none': 'No gatherings pass the filters {where}.',
+
+        'view.title': 'View',
+        'view.mode': 'View mode',
+        'view.markers': 'Markers',
+        'view.heatmap': 'Heat map',
+        'view.choropleth': 'Choropleth (by area)',
+        'view.areas': 'Areas',
+        'view.provincias': 'Provinces',
+        'view.departamentos': 'Departments / neighborhoods',
+        'view.metric': 'Measure',
+        'view.count': 'Count',
+        'view.perCapita': 'Per 100,000 inhabitants',
+        'view.choroplethHint': 'Click an area to see its gatherings.',
+        'view.heatmapError': 'The heat map could not be loaded.',
+        'view.noBoundaries': 'No {level} boundaries: {file} is missing.',
+        'view.countTooltip': { one: '{n} gathering', other: '{n} gatherings' },
+        'view.rateTooltip': '{rate} per 100,000 inhabitants ({population} inhabitants)',
+        'view.boundariesBy': 'Boundaries',
+        'view.legendPerCapita': 'Gatherings per 100,000 inhabitants',
+        'view.legendEmpty': '0 or no population',
+        'view.outside': '{n} outside the areas',
+
+        'cluster.title': 'Clustering',
+        'cluster.hint': '0 = no clustering, 100 = cluster everything into one point',
+
+        'style.title': 'Colors',
+        'style.column': 'Color by',
+        'style.palette': 'Palette',
+        'style.customPalette': 'Custom palette colors',
+        'style.hint': 'The map legend lets you hide or show each category.',
+        'style.other': 'Other',
+        'style.byRegion': 'Region (default)',
+        'style.byLayer': 'Layer (file)',
+
+        'data.title': 'Data',
+        'data.import': 'Import file',
+        'data.review': 'Review data',
+
+        'layers.title': 'Layers',
+        'layers.hint': 'Each imported file is added as a layer. Show or hide them from the map control.',
+        'layers.compare': 'Compare: only addresses that appear in more than one layer',
+        'layers.newLayer': 'New gatherings',
+        'layers.confirmRemove': 'Remove the layer "{name}"?',
+        'layers.confirmRemoveUnsaved': 'There are unexported changes. Remove the layer "{name}" anyway?',
+        'layers.confirmReload': 'There are unexported changes. Reload the layer anyway?',
+        'layers.loading': 'Loading {name}...',
+        'layers.reloadFailed': 'Could not reload {name}',
+        'layers.rows': { one: '{n} gathering', other: '{n} gatherings' },
+        'layers.located': '{n} on the map',
+        'layers.shared': { one: '{n} address in other layers', other: '{n} addresses in other layers' },
+        'layers.color': 'Layer color',
+        'layers.active': 'active',
+        'layers.activate': 'Activate',
+        'layers.activateTitle': 'Review its data and add new gatherings to it',
+        'layers.reload': 'Reload',
+        'layers.remove': 'Remove',
+        'layers.summary': '{rows} gatherings in {layers} layers · {shared} addresses appear in more than one',
+
+        'progress.title': 'Progress',
+        'progress.pause': 'Pause',
+        'progress.resume': 'Resume',
+        'progress.status': '{done}/{total} geocoded ({pct}%)',
+        'progress.cancelled': 'Cancelled: {located} of {total} located',
+        'progress.paused': 'paused',
+        'progress.waiting': 'Waiting for a CSV to be selected...',
+
+        'common.cancel': 'Cancel',
+        'common.export': 'Export',
+        'common.import': 'Import',
+        'common.delete': 'Delete',
+        'common.noData': 'No data',
+        'common.error': 'Error',
+        'common.confirm': 'Confirm',
+        'common.save': 'Save',
+        'common.remove': 'Delete',
+        'common.showMore': 'Show {count} more',
+
+        'edit.title': 'Editing',
+        'edit.undo': 'Undo',
+        'edit.redo': 'Redo',
+        'edit.hint': 'While editing: drag a marker to move it, open it to fix its data or delete it, or click the map to add a gathering.',
+        'edit.unsaved': 'There are unexported changes. Export all rows to keep them.',
+        'edit.undone': 'Undone: {label}',
+        'edit.redone': 'Redone: {label}',
+        'edit.move': 'Move gathering',
+        'edit.add': 'Add gathering',
+        'edit.delete': 'Delete gathering',
+        'edit.change': 'Edit gathering',
+        'edit.addedHidden': 'Gathering added (hidden by the active filters)',
+        'edit.confirmDelete': 'Delete this gathering?',
+        'edit.dragHint': 'Drag the marker to move it.',
+        'edit.busy': 'Wait for geocoding to finish before editing',
+        'edit.finish': 'Finish editing',
+        'edit.start': 'Edit map',
+        'edit.undoLabel': 'Undo: {label}',
+        'edit.redoLabel': 'Redo: {label}',
+
+        'unlocated.title': 'Not located',
+        'unlocated.hint': 'Fix the search and retry, or place the address on the map by hand.',
+        'unlocated.noResults': 'No results',
+        'unlocated.cancelled': 'Cancelled',
+        'unlocated.searching': 'Searching...',
+        'unlocated.retry': 'Retry',
+        'unlocated.pick': 'Place on map',
+        'unlocated.pickHint': 'Click the map or drag the marker, then confirm.',
+
+        'geocoder.title': 'Geolocation',
+        'geocoder.provider': 'Provider',
+        'geocoder.urlPlaceholder': 'Service or JSON file URL',
+        'geocoder.concurrency': 'Concurrency',
+        'geocoder.interval': 'Interval (ms)',
+        'geocoder.intervalPlaceholder': 'provider default',
+
+        'export.title': 'Export',
+        'export.format': 'Format',
+        'export.scope': 'What to export',
+        'export.all': 'All rows',
+        'export.filtered': 'Filtered rows only',
+        'export.selection': 'Map selection only',
+        'export.layer': 'Layer',
+        'export.allLayers': 'All layers',
+        'export.empty': 'There are no rows to export.',
+        'export.error': 'The file could not be generated.',
+
+        'poster.open': 'Printable poster…',
+        'poster.openTitle': 'Image or PDF of the current view, with title and legend',
+        'poster.title': 'Printable poster',
+        'poster.hint': 'Built from the current map view and the applied filters.',
+        'poster.titleLabel': 'Title',
+        'poster.paper': 'Paper',
+        'poster.letter': 'Letter',
+        'poster.orientation': 'Orientation',
+        'poster.portrait': 'Portrait',
+        'poster.landscape': 'Landscape',
+        'poster.resolution': 'Resolution',
+        'poster.dpiScreen': 'Screen (96 dpi)',
+        'poster.dpiPrint': 'Print (150 dpi)',
+        'poster.dpiHigh': 'High quality (300 dpi)',
+        'poster.format': 'Format',
+        'poster.png': 'PNG image',
+        'poster.branding': 'Nuevo Impulso images in the header',
+        'poster.generate': 'Generate',
+        'poster.count': { one: '{n} gathering', other: '{n} gatherings' },
+        'poster.rendering': 'Building the poster…',
+        'poster.missingTiles': 'Done. {count} map tiles did not load (offline?) and were left blank.',
+        'poster.error': 'The poster could not be generated. Try a lower resolution.',
+
+        'cache.title': 'Coordinate cache',
+        'cache.hint': 'Export the cache to share already geocoded addresses with the team.',
+        'cache.imported': 'Cache imported: {count} new or updated addresses.',
+        'cache.importError': 'The cache could not be imported (is it a JSON exported from this app?).',
+        'cache.confirmClear': 'Delete all saved coordinates? They will be geocoded again.',
+        'cache.cleared': 'Saved coordinates deleted.',
+
+        'offline.title': 'Offline',
+        'offline.hint': 'Save the tiles of the visible map area to use it without signal. The last loaded file and the coordinate cache are kept automatically.',
+        'offline.minZoom': 'Zoom from',
+        'offline.maxZoom': 'to',
+        'offline.download': 'Save visible area',
+        'offline.clear': 'Delete tiles',
+        'offline.unsupported': 'This browser cannot save tiles.',
+        'offline.tooMany': '{total} tiles: too many (max. {max}). Zoom in or lower the maximum zoom.',
+        'offline.estimate': '{total} tiles for the visible area.',
+        'offline.saving': 'Saving tiles: {done} of {total}...',
+        'offline.cancelled': 'Download cancelled: {done} of {total} tiles saved.',
+        'offline.partial': 'Done, but {failed} of {total} tiles could not be downloaded.',
+        'offline.done': 'Done: {total} tiles available offline.',
+        'offline.error': 'The tiles could not be saved: {message}',
+        'offline.cleared': 'Saved tiles deleted.',
+
+        'confetti.title': 'Celebration',
+        'confetti.on': 'Confetti: On',
+        'confetti.off': 'Confetti: Off',
+
+        'prefs.clear': 'Clear preferences',
+        'prefs.cleared': 'Preferences cleared.',
+
+        'stats.summary': 'Summary',
+        'stats.layer': 'Layer',
+        'stats.allLayers': 'All layers combined',
+        'stats.total': 'Gatherings',
+        'stats.geocoded': 'Located',
+        'stats.failed': 'Not located',
+        'stats.geocoding': 'Geocoding',
+        'stats.cacheHint': 'Cache hits: lookups in the last load that did not query the provider.',
+        'stats.quality': 'Coordinate quality',
+        'stats.regions': 'Gatherings by region',
+        'stats.barrios': 'Neighborhoods with the most gatherings',
+        'stats.download': 'Download summary (CSV)',
+        'stats.noRegion': 'No region',
+        'stats.empty': 'No data yet.',
+        'stats.pending': '{n} being geocoded…',
+        'stats.success': 'Success',
+        'stats.successTitle': '{located} located out of {processed} processed',
+        'stats.cacheHits': 'Cache hits',
+        'stats.cacheHitsTitle': '{cache} cache lookups and {provider} provider queries in this load',
+        'stats.lowConfidence': '{n} to review (low confidence)',
+        'stats.regionTitle': '{located} of {total} located',
+        'stats.barrioCount': '{shown} of {total} neighborhoods',
+        'stats.csv.section': 'Section',
+        'stats.csv.item': 'Item',
+        'stats.csv.value': 'Value',
+        'stats.csv.totals': 'Totals',
+        'stats.csv.total': 'Gatherings',
+        'stats.csv.geocoded': 'Located',
+        'stats.csv.failed': 'Not located',
+        'stats.csv.pending': 'Pending',
+        'stats.csv.geocoding': 'Geocoding',
+        'stats.csv.successRate': 'Success rate',
+        'stats.csv.cacheLookups': 'Lookups resolved from the cache',
+        'stats.csv.providerLookups': 'Provider requests',
+        'stats.csv.cacheHitRate': 'Cache hits',
+        'stats.csv.lowConfidence': 'To review (low confidence)',
+        'stats.csv.quality': 'Quality',
+        'stats.csv.region': 'Region',
+        'stats.csv.barrio': 'Neighborhood',
+
+        'import.title': 'Import data',
+        'import.delimiter': 'Delimiter',
+        'import.autoDelimiter': 'Automatic',
+        'import.comma': 'Comma (,)',
+        'import.semicolon': 'Semicolon (;)',
+        'import.tab': 'Tab',
+        'import.pipe': 'Pipe (|)',
+        'import.encoding': 'Encoding',
+        'import.autoEncoding': 'Automatic',
+        'import.sheet': 'Sheet',
+        'import.columns': 'Columns',
+        'import.columnsHint': 'Choose which column holds each piece of data. With Lat/Lon no geocoding is needed.',
+        'import.preview': 'Preview',
+        'import.format.csv': 'Delimited text (CSV)',
+        'import.format.sheet': 'Spreadsheet (Excel / ODS)',
+        'import.format.geojson': 'GeoJSON',
+        'import.format.kml': 'KML',
+        'import.readError': 'The file could not be read: {message}',
+        'import.noColumn': '— none —',
+        'import.rowCount': { one: '{count} row', other: '{count} rows' },
+        'import.empty': 'The file has no rows.',
+        'import.notLocatable': 'Choose the address or neighborhood column, or the Lat/Lon ones.',
+        'import.error': 'The file could not be read.',
+
+        'validation.hint': 'Rows without data to locate them, coordinates outside Argentina or swapped, and duplicate rows. Fix or exclude each case, or continue with the data as is.',
+        'validation.download': 'Download report',
+        'validation.confirm': 'Continue',
+        'validation.status.fixed': 'Fixed',
+        'validation.status.excluded': 'Excluded',
+        'validation.status.pending': 'Pending',
+        'validation.type.missing': 'No data to locate',
+        'validation.type.bad-coords': 'Incomplete coordinates',
+        'validation.type.outside': 'Outside Argentina',
+        'validation.type.swapped': 'Lat/Lon swapped',
+        'validation.type.decimal': 'Missing decimal separator',
+        'validation.type.duplicate': 'Duplicate rows',
+        'validation.type.near-duplicate': 'Possible duplicates',
+        'validation.detail.missing': 'No address, neighborhood or coordinates',
+        'validation.detail.bad-coords': 'Incomplete or unreadable Lat/Lon ({lat} / {lon})',
+        'validation.detail.outside': 'Coordinates outside Argentina ({lat}, {lon})',
+        'validation.detail.swapped': 'Lat/Lon swapped ({lat}, {lon})',
+        'validation.detail.decimal': 'Coordinates without decimal separator ({lat}, {lon})',
+        'validation.detail.duplicate': { one: '{count} identical row', other: '{count} identical rows' },
+        'validation.detail.near-duplicate': { one: '{count} row with the same address', other: '{count} rows with the same address' },
+        'validation.noAddress': '(no address)',
+        'validation.clearCoords': 'Clear coordinates',
+        'validation.useCoords': 'Use {lat}, {lon}',
+        'validation.rows': { one: 'Row {rows}', other: 'Rows {rows}' },
+        'validation.canGeocode': 'can be geocoded by address',
+        'validation.excludeDuplicates': 'Exclude duplicates',
+        'validation.excludeRow': 'Exclude row',
+        'validation.summary': '{rows} rows · {issues} issues, {pending} unresolved · {excluded} rows excluded',
+        'validation.noIssues': '{rows} rows, no issues.',
+        'validation.report.row': 'Row',
+        'validation.report.type': 'Issue',
+        'validation.report.detail': 'Detail',
+        'validation.report.status': 'Status',
+        'validation.report.data': 'Data',
+        'validation.fixAll': 'Fix all',
+        'validation.excludeAll': 'Exclude all',
+
+        'match.full': 'Full address',
+        'match.street-barrio': 'Street and neighborhood',
+        'match.barrio': 'Neighborhood only (approximate)',
+        'match.edited': 'Corrected search',
+        'match.manual': 'Placed by hand',
+        'match.source': 'Coordinates from the file',
+
+        'field.layer': 'Layer',
+        'field.address': 'Address',
+        'field.barrio': 'Neighborhood',
+        'field.city': 'Town',
+        'field.region': 'Region',
+        'field.date': 'Date',
+
+        'popup.upcoming': 'Upcoming',
+        'popup.alsoIn': 'Also in: {layers}',
+        'popup.review': 'Review',
+
+        'date.withTime': '{date} {time}',
+
+        'legend.show': 'Show',
+        'legend.hide': 'Hide',
+        'legend.showAll': 'Show all',
+
+        'role.address': 'Address',
+        'role.barrio': 'Neighborhood',
+        'role.region': 'Region / Province',
+        'role.city': 'City / Town',
+        'role.lat': 'Latitude',
+        'role.lon': 'Longitude',
+
+        'provider.nominatim': 'Nominatim (public OSM)',
+        'provider.photon': 'Photon (Komoot)',
+        'provider.nominatim-custom': 'Self-hosted Nominatim (URL)',
+        'provider.pelias': 'Self-hosted Pelias (URL)',
+        'provider.static': 'JSON file (URL)',
+        'provider.mock': 'Simulated (offline)',
+
+        'format.kml': 'KML (Google My Maps)',
+        'format.gpx': 'GPX (GPS apps)',
+        'format.xlsx': 'Excel (XLSX)',
+
+        'palette.okabe-ito': 'Colorblind-safe',
+        'palette.custom': 'Custom',
+
+        'load.cache': 'Loading precomputed coordinates...',
+        'load.cacheNotFound': 'Cache {url} not found',
+        'load.cacheError': 'The cache could not be loaded: {message}',
+        'load.data': 'Loading data...',
+        'load.dataNotFound': 'CSV {url} not found',
+        'load.empty': 'The CSV has no rows.',
+        'load.dataError': 'The data could not be loaded: {message}',
+        'load.foreignSource': 'Only files from this site can be loaded: {url}',
+        'load.lastFile': 'Last file',
+        'load.restoredAt': 'Showing the last loaded file ({when}).',
+        'load.restored': 'Showing the last loaded file.',
+        'load.cacheOnly': 'Showing positions from the cache. Select a CSV to see details.',
+        'load.choose': 'Select a CSV to load the data.',
+        'load.error': 'Error loading or processing the CSV',
+        'load.errorAlert': 'There was a problem loading data.csv. See the console for details.',
+
+        'link.copyPrompt': 'Copy this link:',
+        'link.copied': 'Copied!',
+
+        'list.title': 'Gatherings',
+        'list.inView': 'Only those visible on the map',
+        'list.more': 'Show more',
+        'list.notOnMap': 'That gathering is not on the map (hidden by the filters?).',
+        'list.ascending': 'ascending',
+        'list.descending': 'descending',
+        'list.sortBy': 'Sort by {column}',
+        'list.caption': { one: '{n} gathering, sorted by {column} ({direction})', other: '{n} gatherings, sorted by {column} ({direction})' },
+        'list.noneFiltered': 'No located gatherings pass the filters.',
+        'list.empty': 'No gatherings located yet.',
+        'list.showing': 'Showing {shown} of {total}.',
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = messages;
+    else root.I18n.addMessages('en', messages);
+})(typeof self !== 'undefined' ? self : this);
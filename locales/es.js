@@ -0,0 +1,445 @@
+/*
+  Textos en español: el catálogo de base. Cada clave nueva de la interfaz va primero acá;
+  lo que falta en los otros idiomas se muestra en español (ver I18n.missingKeys).
+*/
+(function (root) {
+    const messages = {
+        'app.title': 'Encuentros Nuevo Impulso - Argentina',
+
+        'header.offline': 'Sin conexión',
+        'header.offlineTitle': 'Sin conexión: se muestran los datos y mosaicos guardados',
+        'header.visibleTitle': 'Puntos visibles',
+        'header.visibleSuffix': 'Encuentros de nuevo impulso!',
+        'header.language': 'Idioma',
+        'header.togglePanel': 'Mostrar/Ocultar panel',
+        'header.visibleCount': '{visible} de {total}',
+
+        'timeline.title': 'Línea de tiempo',
+        'timeline.play': 'Reproducir mes a mes',
+        'timeline.all': 'Todo',
+        'timeline.past': 'Realizados',
+        'timeline.upcoming': 'Próximos',
+        'timeline.chartTitle': 'Click en un mes para ver solo ese mes',
+        'timeline.from': 'Desde',
+        'timeline.to': 'Hasta',
+        'timeline.column': 'Fecha de cada encuentro',
+        'timeline.hint': 'Se ofrecen las columnas que tienen fechas. Los encuentros por venir se ven huecos.',
+        'timeline.noColumn': 'Sin fecha',
+        'timeline.noDateColumns': 'No hay columnas con fechas',
+        'timeline.barTitle': '{month}: {count} ({cumulative} en total)',
+        'timeline.total': '{inRange} en el rango · {cumulative} acumulados',
+
+        'tabs.map': 'Mapa',
+        'tabs.stats': 'Estadísticas',
+        'tabs.list': 'Lista',
+
+        'filters.title': 'Filtros',
+        'filters.searchPlaceholder': 'Buscar dirección, barrio...',
+        'filters.search': 'Buscar',
+        'filters.regions': 'Regiones',
+        'filters.barrios': 'Barrios (Ctrl/Cmd para elegir varios)',
+        'filters.clear': 'Limpiar filtros',
+        'filters.copyLink': 'Copiar enlace',
+        'filters.copyLinkTitle': 'Enlace a esta vista del mapa, con los filtros activos',
+        'filters.region': 'Región {region}',
+        'filters.area': 'Área: {name}',
+        'filters.clearArea': 'Quitar filtro de área',
+
+        'nearest.title': 'Encuentro más cercano',
+        'nearest.locate': 'Usar mi ubicación',
+        'nearest.show': 'Mostrar',
+        'nearest.addressPlaceholder': 'O escribí una dirección',
+        'nearest.addressLabel': 'Dirección de partida',
+        'nearest.search': 'Buscar',
+        'nearest.hint': 'Distancias en línea recta, entre los encuentros que pasan los filtros.',
+        'nearest.clear': 'Quitar del mapa',
+        'nearest.geolocation.unsupported': 'Este navegador no permite obtener la ubicación.',
+        'nearest.geolocation.1': 'No se dio permiso para usar tu ubicación.',
+        'nearest.geolocation.2': 'No se pudo obtener tu ubicación.',
+        'nearest.geolocation.3': 'Se agotó el tiempo para obtener tu ubicación.',
+        'nearest.locating': 'Buscando tu ubicación...',
+        'nearest.searching': 'Buscando la dirección...',
+        'nearest.notFound': 'No se encontró esa dirección.',
+        'nearest.cancelled': 'Búsqueda cancelada.',
+        'nearest.error': 'No se pudo buscar la dirección: {message}',
+        'nearest.here': 'Estás acá',
+        'nearest.results': { one: 'El más cercano a {origin}:', other: 'Los {count} más cercanos a {origin}:' },
+        'nearest.yourLocation': 'tu ubicación',
+        'nearest.none': 'No hay encuentros ubicados que pasen los filtros.',
+        'nearest.reveal': 'Ver en el mapa',
+        'nearest.directions': 'Cómo llegar',
+
+        'selection.title': 'Selección',
+        'selection.rectangle': 'Rectángulo',
+        'selection.lasso': 'Lazo',
+        'selection.radius': 'Radio',
+        'selection.radiusLabel': 'Radio en km',
+        'selection.export': 'Exportar selección (CSV)',
+        'selection.clear': 'Quitar selección',
+        'selection.badRadius': 'Indicá un radio mayor a 0 km.',
+        'selection.hint.rectangle': 'Arrastrá sobre el mapa para marcar un rectángulo.',
+        'selection.hint.lasso': 'Dibujá la zona sobre el mapa manteniendo apretado el botón.',
+        'selection.hint.radius': 'Hacé click en el centro de la zona.',
+        'selection.within.radius': 'a menos de {km} km',
+        'selection.within.rectangle': 'en el rectángulo',
+        'selection.within.lasso': 'en la zona dibujada',
+        'selection.count': { one: '{n} encuentro {where}', other: '{n} encuentros {where}' },
+        'selection.truncated': '(se listan {limit}; exportá para verlos todos)',
+        'selection.none': 'No hay encuentros que pasen los filtros {where}.',
+
+        'view.title': 'Vista',
+        'view.mode': 'Modo de vista',
+        'view.markers': 'Marcadores',
+        'view.heatmap': 'Mapa de calor',
+        'view.choropleth': 'Coroplético (por área)',
+        'view.areas': 'Áreas',
+        'view.provincias': 'Provincias',
+        'view.departamentos': 'Departamentos / barrios',
+        'view.metric': 'Medida',
+        'view.count': 'Cantidad',
+        'view.perCapita': 'Cada 100.000 hab.',
+        'view.choroplethHint': 'Click en un área para ver sus encuentros.',
+        'view.heatmapError': 'No se pudo cargar el mapa de calor.',
+        'view.noBoundaries': 'No hay límites de {level}: falta {file}.',
+        'view.countTooltip': { one: '{n} encuentro', other: '{n} encuentros' },
+        'view.rateTooltip': '{rate} cada 100.000 hab. ({population} hab.)',
+        'view.boundariesBy': 'Límites',
+        'view.legendPerCapita': 'Encuentros cada 100.000 hab.',
+        'view.legendEmpty': '0 o sin población',
+        'view.outside': '{n} fuera de las áreas',
+
+        'cluster.title': 'Agrupación',
+        'cluster.hint': '0 = sin agrupar, 100 = agrupar todo en un punto',
+
+        'style.title': 'Colores',
+        'style.column': 'Colorear por',
+        'style.palette': 'Paleta',
+        'style.customPalette': 'Colores de la paleta personalizada',
+        'style.hint': 'La leyenda del mapa permite ocultar o mostrar cada categoría.',
+        'style.other': 'Otros',
+        'style.byRegion': 'Región (predeterminado)',
+        'style.byLayer': 'Capa (archivo)',
+
+        'data.title': 'Datos',
+        'data.import': 'Importar archivo',
+        'data.review': 'Revisar datos',
+
+        'layers.title': 'Capas',
+        'layers.hint': 'Cada archivo importado se suma como una capa. Se muestran u ocultan desde el control del mapa.',
+        'layers.compare': 'Comparar: solo las direcciones que están en más de una capa',
+        'layers.newLayer': 'Encuentros nuevos',
+        'layers.confirmRemove': '¿Quitar la capa "{name}"?',
+        'layers.confirmRemoveUnsaved': 'Hay cambios sin exportar. ¿Quitar la capa "{name}" igual?',
+        'layers.confirmReload': 'Hay cambios sin exportar. ¿Volver a cargar la capa igual?',
+        'layers.loading': 'Cargando {name}...',
+        'layers.reloadFailed': 'No se pudo volver a cargar {name}',
+        'layers.rows': { one: '{n} encuentro', other: '{n} encuentros' },
+        'layers.located': '{n} en el mapa',
+        'layers.shared': { one: '{n} dirección en otras capas', other: '{n} direcciones en otras capas' },
+        'layers.color': 'Color de la capa',
+        'layers.active': 'activa',
+        'layers.activate': 'Activar',
+        'layers.activateTitle': 'Revisar sus datos y sumarle los encuentros nuevos',
+        'layers.reload': 'Recargar',
+        'layers.remove': 'Quitar',
+        'layers.summary': '{rows} encuentros en {layers} capas · {shared} direcciones aparecen en más de una',
+
+        'progress.title': 'Progreso',
+        'progress.pause': 'Pausar',
+        'progress.resume': 'Reanudar',
+        'progress.status': '{done}/{total} geocodificados ({pct}%)',
+        'progress.cancelled': 'Cancelado: {located} ubicados de {total}',
+        'progress.paused': 'en pausa',
+        'progress.waiting': 'Esperando selección de CSV...',
+
+        'common.cancel': 'Cancelar',
+        'common.export': 'Exportar',
+        'common.import': 'Importar',
+        'common.delete': 'Borrar',
+        'common.noData': 'Sin dato',
+        'common.error': 'Error',
+        'common.confirm': 'Confirmar',
+        'common.save': 'Guardar',
+        'common.remove': 'Eliminar',
+        'common.showMore': 'Ver {count} más',
+
+        'edit.title': 'Edición',
+        'edit.undo': 'Deshacer',
+        'edit.redo': 'Rehacer',
+        'edit.hint': 'Con la edición activa: arrastrá un marcador para moverlo, abrilo para corregir sus datos o eliminarlo, o hacé click en el mapa para agregar un encuentro.',
+        'edit.unsaved': 'Hay cambios sin exportar. Exportá todas las filas para guardarlos.',
+        'edit.undone': 'Deshecho: {label}',
+        'edit.redone': 'Rehecho: {label}',
+        'edit.move': 'Mover encuentro',
+        'edit.add': 'Agregar encuentro',
+        'edit.delete': 'Eliminar encuentro',
+        'edit.change': 'Editar encuentro',
+        'edit.addedHidden': 'Encuentro agregado (los filtros activos lo ocultan)',
+        'edit.confirmDelete': '¿Eliminar este encuentro?',
+        'edit.dragHint': 'Arrastrá el marcador para moverlo.',
+        'edit.busy': 'Esperá a que termine la geocodificación para editar',
+        'edit.finish': 'Terminar edición',
+        'edit.start': 'Editar mapa',
+        'edit.undoLabel': 'Deshacer: {label}',
+        'edit.redoLabel': 'Rehacer: {label}',
+
+        'unlocated.title': 'Sin ubicar',
+        'unlocated.hint': 'Corregí la búsqueda y reintentá, o ubicá la dirección a mano en el mapa.',
+        'unlocated.noResults': 'Sin resultados',
+        'unlocated.cancelled': 'Cancelado',
+        'unlocated.searching': 'Buscando...',
+        'unlocated.retry': 'Reintentar',
+        'unlocated.pick': 'Ubicar en mapa',
+        'unlocated.pickHint': 'Hacé click en el mapa o arrastrá el marcador y confirmá.',
+
+        'geocoder.title': 'Geolocalización',
+        'geocoder.provider': 'Proveedor',
+        'geocoder.urlPlaceholder': 'URL del servicio o del archivo JSON',
+        'geocoder.concurrency': 'Concurrencia',
+        'geocoder.interval': 'Intervalo (ms)',
+        'geocoder.intervalPlaceholder': 'según proveedor',
+
+        'export.title': 'Exportar',
+        'export.format': 'Formato',
+        'export.scope': 'Qué exportar',
+        'export.all': 'Todas las filas',
+        'export.filtered': 'Solo las filtradas',
+        'export.selection': 'Solo la selección del mapa',
+        'export.layer': 'Capa',
+        'export.allLayers': 'Todas las capas',
+        'export.empty': 'No hay filas para exportar.',
+        'export.error': 'No se pudo generar el archivo.',
+
+        'poster.open': 'Póster para imprimir…',
+        'poster.openTitle': 'Imagen o PDF de la vista actual, con título y leyenda',
+        'poster.title': 'Póster para imprimir',
+        'poster.hint': 'Se arma con la vista actual del mapa y los filtros aplicados.',
+        'poster.titleLabel': 'Título',
+        'poster.paper': 'Papel',
+        'poster.letter': 'Carta',
+        'poster.orientation': 'Orientación',
+        'poster.portrait': 'Vertical',
+        'poster.landscape': 'Horizontal',
+        'poster.resolution': 'Resolución',
+        'poster.dpiScreen': 'Pantalla (96 dpi)',
+        'poster.dpiPrint': 'Impresión (150 dpi)',
+        'poster.dpiHigh': 'Alta calidad (300 dpi)',
+        'poster.format': 'Formato',
+        'poster.png': 'Imagen PNG',
+        'poster.branding': 'Imágenes de Nuevo Impulso en el encabezado',
+        'poster.generate': 'Generar',
+        'poster.count': { one: '{n} encuentro', other: '{n} encuentros' },
+        'poster.rendering': 'Armando el póster…',
+        'poster.missingTiles': 'Listo. {count} mosaicos del mapa no cargaron (¿sin conexión?) y quedaron en blanco.',
+        'poster.error': 'No se pudo generar el póster. Probá con una resolución menor.',
+
+        'cache.title': 'Caché de coordenadas',
+        'cache.hint': 'Exportá la caché para compartir direcciones ya geocodificadas con el equipo.',
+        'cache.imported': 'Caché importada: {count} direcciones nuevas o actualizadas.',
+        'cache.importError': 'No se pudo importar la caché (¿es un JSON exportado desde esta app?).',
+        'cache.confirmClear': '¿Borrar todas las coordenadas guardadas? Se van a volver a geocodificar.',
+        'cache.cleared': 'Coordenadas guardadas borradas.',
+
+        'offline.title': 'Sin conexión',
+        'offline.hint': 'Guardá los mosaicos del área visible del mapa para usarla sin señal. El último archivo cargado y la caché de coordenadas quedan disponibles solos.',
+        'offline.minZoom': 'Zoom desde',
+        'offline.maxZoom': 'hasta',
+        'offline.download': 'Guardar área visible',
+        'offline.clear': 'Borrar mosaicos',
+        'offline.unsupported': 'Este navegador no permite guardar mosaicos.',
+        'offline.tooMany': '{total} mosaicos: demasiados (máx. {max}). Acercá el mapa o bajá el zoom máximo.',
+        'offline.estimate': '{total} mosaicos para el área visible.',
+        'offline.saving': 'Guardando mosaicos: {done} de {total}...',
+        'offline.cancelled': 'Descarga cancelada: {done} de {total} mosaicos guardados.',
+        'offline.partial': 'Listo, pero {failed} de {total} mosaicos no se pudieron bajar.',
+        'offline.done': 'Listo: {total} mosaicos disponibles sin conexión.',
+        'offline.error': 'No se pudieron guardar los mosaicos: {message}',
+        'offline.cleared': 'Se borraron los mosaicos guardados.',
+
+        'confetti.title': 'Celebración',
+        'confetti.on': 'Confetti: On',
+        'confetti.off': 'Confetti: Off',
+
+        'prefs.clear': 'Borrar preferencias',
+        'prefs.cleared': 'Preferencias borradas.',
+
+        'stats.summary': 'Resumen',
+        'stats.layer': 'Capa',
+        'stats.allLayers': 'Todas las capas juntas',
+        'stats.total': 'Encuentros',
+        'stats.geocoded': 'Ubicados',
+        'stats.failed': 'Sin ubicar',
+        'stats.geocoding': 'Geocodificación',
+        'stats.cacheHint': 'Aciertos de caché: búsquedas de la última carga que no consultaron al proveedor.',
+        'stats.quality': 'Calidad de las coordenadas',
+        'stats.regions': 'Encuentros por región',
+        'stats.barrios': 'Barrios con más encuentros',
+        'stats.download': 'Descargar resumen (CSV)',
+        'stats.noRegion': 'Sin región',
+        'stats.empty': 'Sin datos todavía.',
+        'stats.pending': '{n} geocodificándose…',
+        'stats.success': 'Éxito',
+        'stats.successTitle': '{located} ubicados de {processed} procesados',
+        'stats.cacheHits': 'Aciertos de caché',
+        'stats.cacheHitsTitle': '{cache} búsquedas con la caché y {provider} consultas al proveedor en esta carga',
+        'stats.lowConfidence': '{n} para revisar (baja confianza)',
+        'stats.regionTitle': '{located} de {total} ubicados',
+        'stats.barrioCount': '{shown} de {total} barrios',
+        'stats.csv.section': 'Sección',
+        'stats.csv.item': 'Dato',
+        'stats.csv.value': 'Valor',
+        'stats.csv.totals': 'Totales',
+        'stats.csv.total': 'Encuentros',
+        'stats.csv.geocoded': 'Ubicados',
+        'stats.csv.failed': 'Sin ubicar',
+        'stats.csv.pending': 'Pendientes',
+        'stats.csv.geocoding': 'Geocodificación',
+        'stats.csv.successRate': 'Tasa de éxito',
+        'stats.csv.cacheLookups': 'Búsquedas resueltas con la caché',
+        'stats.csv.providerLookups': 'Consultas al proveedor',
+        'stats.csv.cacheHitRate': 'Aciertos de la caché',
+        'stats.csv.lowConfidence': 'Para revisar (baja confianza)',
+        'stats.csv.quality': 'Calidad',
+        'stats.csv.region': 'Región',
+        'stats.csv.barrio': 'Barrio',
+
+        'import.title': 'Importar datos',
+        'import.delimiter': 'Separador',
+        'import.autoDelimiter': 'Automático',
+        'import.comma': 'Coma (,)',
+        'import.semicolon': 'Punto y coma (;)',
+        'import.tab': 'Tabulación',
+        'import.pipe': 'Barra (|)',
+        'import.encoding': 'Codificación',
+        'import.autoEncoding': 'Automática',
+        'import.sheet': 'Hoja',
+        'import.columns': 'Columnas',
+        'import.columnsHint': 'Indicá qué columna tiene cada dato. Con Lat/Lon no hace falta geocodificar.',
+        'import.preview': 'Vista previa',
+        'import.format.csv': 'Texto delimitado (CSV)',
+        'import.format.sheet': 'Planilla (Excel / ODS)',
+        'import.format.geojson': 'GeoJSON',
+        'import.format.kml': 'KML',
+        'import.readError': 'No se pudo leer el archivo: {message}',
+        'import.noColumn': '— ninguna —',
+        'import.rowCount': { one: '{count} fila', other: '{count} filas' },
+        'import.empty': 'El archivo no tiene filas.',
+        'import.notLocatable': 'Elegí la columna de dirección o barrio, o las de Lat/Lon.',
+        'import.error': 'No se pudo leer el archivo.',
+
+        'validation.hint': 'Filas sin datos para ubicar, coordenadas fuera de Argentina o invertidas y filas repetidas. Corregí o excluí cada caso, o seguí con los datos como están.',
+        'validation.download': 'Descargar informe',
+        'validation.confirm': 'Continuar',
+        'validation.status.fixed': 'Corregido',
+        'validation.status.excluded': 'Excluido',
+        'validation.status.pending': 'Pendiente',
+        'validation.type.missing': 'Sin datos para ubicar',
+        'validation.type.bad-coords': 'Coordenadas incompletas',
+        'validation.type.outside': 'Fuera de Argentina',
+        'validation.type.swapped': 'Lat/Lon invertidas',
+        'validation.type.decimal': 'Sin separador decimal',
+        'validation.type.duplicate': 'Filas repetidas',
+        'validation.type.near-duplicate': 'Posibles repetidas',
+        'validation.detail.missing': 'Sin dirección, barrio ni coordenadas',
+        'validation.detail.bad-coords': 'Lat/Lon incompletas o ilegibles ({lat} / {lon})',
+        'validation.detail.outside': 'Coordenadas fuera de Argentina ({lat}, {lon})',
+        'validation.detail.swapped': 'Lat/Lon invertidas ({lat}, {lon})',
+        'validation.detail.decimal': 'Coordenadas sin separador decimal ({lat}, {lon})',
+        'validation.detail.duplicate': { one: '{count} fila idéntica', other: '{count} filas idénticas' },
+        'validation.detail.near-duplicate': { one: '{count} fila con la misma dirección', other: '{count} filas con la misma dirección' },
+        'validation.noAddress': '(sin dirección)',
+        'validation.clearCoords': 'Borrar coordenadas',
+        'validation.useCoords': 'Usar {lat}, {lon}',
+        'validation.rows': { one: 'Fila {rows}', other: 'Filas {rows}' },
+        'validation.canGeocode': 'se puede geocodificar por dirección',
+        'validation.excludeDuplicates': 'Excluir repetidas',
+        'validation.excludeRow': 'Excluir fila',
+        'validation.summary': '{rows} filas · {issues} problemas, {pending} sin resolver · {excluded} filas excluidas',
+        'validation.noIssues': '{rows} filas, sin problemas.',
+        'validation.report.row': 'Fila',
+        'validation.report.type': 'Problema',
+        'validation.report.detail': 'Detalle',
+        'validation.report.status': 'Estado',
+        'validation.report.data': 'Datos',
+        'validation.fixAll': 'Corregir todas',
+        'validation.excludeAll': 'Excluir todas',
+
+        'match.full': 'Dirección completa',
+        'match.street-barrio': 'Calle y barrio',
+        'match.barrio': 'Solo barrio (aproximada)',
+        'match.edited': 'Búsqueda corregida',
+        'match.manual': 'Ubicada a mano',
+        'match.source': 'Coordenadas del archivo',
+
+        'field.layer': 'Capa',
+        'field.address': 'Dirección',
+        'field.barrio': 'Barrio',
+        'field.city': 'Localidad',
+        'field.region': 'Región',
+        'field.date': 'Fecha',
+
+        'popup.upcoming': 'Próximo',
+        'popup.alsoIn': 'También en: {layers}',
+        'popup.review': 'Revisar',
+
+        'date.withTime': '{date} {time} h',
+
+        'legend.show': 'Mostrar',
+        'legend.hide': 'Ocultar',
+        'legend.showAll': 'Mostrar todas',
+
+        'role.address': 'Dirección',
+        'role.barrio': 'Barrio',
+        'role.region': 'Región / Provincia',
+        'role.city': 'Ciudad / Localidad',
+        'role.lat': 'Latitud',
+        'role.lon': 'Longitud',
+
+        'provider.nominatim': 'Nominatim (OSM público)',
+        'provider.photon': 'Photon (Komoot)',
+        'provider.nominatim-custom': 'Nominatim propio (URL)',
+        'provider.pelias': 'Pelias propio (URL)',
+        'provider.static': 'Archivo JSON (URL)',
+        'provider.mock': 'Simulado (sin red)',
+
+        'format.kml': 'KML (Google My Maps)',
+        'format.gpx': 'GPX (apps de GPS)',
+        'format.xlsx': 'Excel (XLSX)',
+
+        'palette.okabe-ito': 'Apta daltonismo',
+        'palette.custom': 'Personalizada',
+
+        'load.cache': 'Cargando coordenadas precalculadas...',
+        'load.cacheNotFound': 'No se encontró la caché {url}',
+        'load.cacheError': 'No se pudo cargar la caché: {message}',
+        'load.data': 'Cargando datos...',
+        'load.dataNotFound': 'No se encontró el CSV {url}',
+        'load.empty': 'El CSV no tiene filas.',
+        'load.dataError': 'No se pudieron cargar los datos: {message}',
+        'load.foreignSource': 'Solo se cargan archivos de este sitio: {url}',
+        'load.lastFile': 'Último archivo',
+        'load.restoredAt': 'Mostrando el último archivo cargado ({when}).',
+        'load.restored': 'Mostrando el último archivo cargado.',
+        'load.cacheOnly': 'Mostrando posiciones desde caché. Seleccioná un CSV para ver detalles.',
+        'load.choose': 'Seleccioná un CSV para cargar los datos.',
+        'load.error': 'Error al cargar o procesar el CSV',
+        'load.errorAlert': 'Hubo un problema al cargar data.csv. Ver la consola para más detalles.',
+
+        'link.copyPrompt': 'Copiá este enlace:',
+        'link.copied': '¡Copiado!',
+
+        'list.title': 'Encuentros',
+        'list.inView': 'Solo los que se ven en el mapa',
+        'list.more': 'Mostrar más',
+        'list.notOnMap': 'Ese encuentro no está en el mapa (¿lo ocultan los filtros?).',
+        'list.ascending': 'ascendente',
+        'list.descending': 'descendente',
+        'list.sortBy': 'Ordenar por {column}',
+        'list.caption': { one: '{n} encuentro, ordenado por {column} ({direction})', other: '{n} encuentros, ordenados por {column} ({direction})' },
+        'list.noneFiltered': 'No hay encuentros ubicados que pasen los filtros.',
+        'list.empty': 'Todavía no hay encuentros ubicados.',
+        'list.showing': 'Se muestran {shown} de {total}.',
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = messages;
+    else root.I18n.addMessages('es', messages);
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,444 @@
+/*
+  Textos en portugués (Brasil). Mismas claves que locales/es.js; los {nombres} entre llaves no se traducen.
+*/
+(function (root) {
+    const messages = {
+        'app.title': 'Encontros Nuevo Impulso - Argentina',
+
+        'header.offline': 'Sem conexão',
+        'header.offlineTitle': 'Sem conexão: mostrando dados e mapas salvos',
+        'header.visibleTitle': 'Pontos visíveis',
+        'header.visibleSuffix': 'encontros Nuevo Impulso!',
+        'header.language': 'Idioma',
+        'header.togglePanel': 'Mostrar/ocultar painel',
+        'header.visibleCount': '{visible} de {total}',
+
+        'timeline.title': 'Linha do tempo',
+        'timeline.play': 'Reproduzir mês a mês',
+        'timeline.all': 'Todos',
+        'timeline.past': 'Realizados',
+        'timeline.upcoming': 'Próximos',
+        'timeline.chartTitle': 'Clique em um mês para ver só esse mês',
+        'timeline.from': 'De',
+        'timeline.to': 'Até',
+        'timeline.column': 'Data de cada encontro',
+        'timeline.hint': 'Só aparecem as colunas que têm datas. Os próximos encontros são mostrados vazados.',
+        'timeline.noColumn': 'Sem data',
+        'timeline.noDateColumns': 'Não há colunas com datas',
+        'timeline.barTitle': '{month}: {count} ({cumulative} no total)',
+        'timeline.total': '{inRange} no intervalo · {cumulative} acumulados',
+
+        'tabs.map': 'Mapa',
+        'tabs.stats': 'Estatísticas',
+        'tabs.list': 'Lista',
+
+        'filters.title': 'Filtros',
+        'filters.searchPlaceholder': 'Buscar endereço, bairro...',
+        'filters.search': 'Buscar',
+        'filters.regions': 'Regiões',
+        'filters.barrios': 'Bairros (Ctrl/Cmd para escolher vários)',
+        'filters.clear': 'Limpar filtros',
+        'filters.copyLink': 'Copiar link',
+        'filters.copyLinkTitle': 'Link para esta vista do mapa, com os filtros ativos',
+        'filters.region': 'Região {region}',
+        'filters.area': 'Área: {name}',
+        'filters.clearArea': 'Remover filtro de área',
+
+        'nearest.title': 'Encontro mais próximo',
+        'nearest.locate': 'Usar minha localização',
+        'nearest.show': 'Mostrar',
+        'nearest.addressPlaceholder': 'Ou digite um endereço',
+        'nearest.addressLabel': 'Endereço de partida',
+        'nearest.search': 'Buscar',
+        'nearest.hint': 'Distâncias em linha reta, entre os encontros que passam pelos filtros.',
+        'nearest.clear': 'Remover do mapa',
+        'nearest.geolocation.unsupported': 'Este navegador não consegue obter sua localização.',
+        'nearest.geolocation.1': 'A permissão para usar sua localização foi negada.',
+        'nearest.geolocation.2': 'Não foi possível determinar sua localização.',
+        'nearest.geolocation.3': 'O tempo para obter sua localização se esgotou.',
+        'nearest.locating': 'Buscando sua localização...',
+        'nearest.searching': 'Buscando o endereço...',
+        'nearest.notFound': 'Esse endereço não foi encontrado.',
+        'nearest.cancelled': 'Busca cancelada.',
+        'nearest.error': 'Não foi possível buscar o endereço: {message}',
+        'nearest.here': 'Você está aqui',
+        'nearest.results': { one: 'O mais próximo de {origin}:', other: 'Os {count} mais próximos de {origin}:' },
+        'nearest.yourLocation': 'sua localização',
+        'nearest.none': 'Não há encontros localizados que passem pelos filtros.',
+        'nearest.reveal': 'Ver no mapa',
+        'nearest.directions': 'Como chegar',
+
+        'selection.title': 'Seleção',
+        'selection.rectangle': 'Retângulo',
+        'selection.lasso': 'Laço',
+        'selection.radius': 'Raio',
+        'selection.radiusLabel': 'Raio em km',
+        'selection.export': 'Exportar seleção (CSV)',
+        'selection.clear': 'Limpar seleção',
+        'selection.badRadius': 'Informe um raio maior que 0 km.',
+        'selection.hint.rectangle': 'Arraste no mapa para desenhar um retângulo.',
+        'selection.hint.lasso': 'Desenhe a área no mapa mantendo o botão pressionado.',
+        'selection.hint.radius': 'Clique no centro da área.',
+        'selection.within.radius': 'a até {km} km',
+        'selection.within.rectangle': 'no retângulo',
+        'selection.within.lasso': 'na área desenhada',
+        'selection.count': { one: '{n} encontro {where}', other: '{n} encontros {where}' },
+        'selection.truncated': '({limit} listados; exporte para ver todos)',
+        'selection.none': 'Não há encontros que passem pelos filtros {where}.',
+
+        'view.title': 'Visualização',
+        'view.mode': 'Modo de visualização',
+        'view.markers': 'Marcadores',
+        'view.heatmap': 'Mapa de calor',
+        'view.choropleth': 'Coroplético (por área)',
+        'view.areas': 'Áreas',
+        'view.provincias': 'Províncias',
+        'view.departamentos': 'Departamentos / bairros',
+        'view.metric': 'Medida',
+        'view.count': 'Quantidade',
+        'view.perCapita': 'Por 100.000 habitantes',
+        'view.choroplethHint': 'Clique em uma área para ver seus encontros.',
+        'view.heatmapError': 'Não foi possível carregar o mapa de calor.',
+        'view.noBoundaries': 'Sem limites de {level}: falta {file}.',
+        'view.countTooltip': { one: '{n} encontro', other: '{n} encontros' },
+        'view.rateTooltip': '{rate} por 100.000 habitantes ({population} habitantes)',
+        'view.boundariesBy': 'Limites',
+        'view.legendPerCapita': 'Encontros por 100.000 habitantes',
+        'view.legendEmpty': '0 ou sem população',
+        'view.outside': '{n} fora das áreas',
+
+        'cluster.title': 'Agrupamento',
+        'cluster.hint': '0 = sem agrupar, 100 = agrupar tudo em um ponto',
+
+        'style.title': 'Cores',
+        'style.column': 'Colorir por',
+        'style.palette': 'Paleta',
+        'style.customPalette': 'Cores da paleta personalizada',
+        'style.hint': 'A legenda do mapa permite ocultar ou mostrar cada categoria.',
+        'style.other': 'Outros',
+        'style.byRegion': 'Região (padrão)',
+        'style.byLayer': 'Camada (arquivo)',
+
+        'data.title': 'Dados',
+        'data.import': 'Importar arquivo',
+        'data.review': 'Revisar dados',
+
+        'layers.title': 'Camadas',
+        'layers.hint': 'Cada arquivo importado é adicionado como uma camada. Mostre ou oculte-as pelo controle do mapa.',
+        'layers.compare': 'Comparar: só endereços que aparecem em mais de uma camada',
+        'layers.newLayer': 'Novos encontros',
+        'layers.confirmRemove': 'Remover a camada "{name}"?',
+        'layers.confirmRemoveUnsaved': 'Há alterações não exportadas. Remover a camada "{name}" mesmo assim?',
+        'layers.confirmReload': 'Há alterações não exportadas. Recarregar a camada mesmo assim?',
+        'layers.loading': 'Carregando {name}...',
+        'layers.reloadFailed': 'Não foi possível recarregar {name}',
+        'layers.rows': { one: '{n} encontro', other: '{n} encontros' },
+        'layers.located': '{n} no mapa',
+        'layers.shared': { one: '{n} endereço em outras camadas', other: '{n} endereços em outras camadas' },
+        'layers.color': 'Cor da camada',
+        'layers.active': 'ativa',
+        'layers.activate': 'Ativar',
+        'layers.activateTitle': 'Revisar seus dados e adicionar novos encontros a ela',
+        'layers.reload': 'Recarregar',
+        'layers.remove': 'Remover',
+        'layers.summary': '{rows} encontros em {layers} camadas · {shared} endereços aparecem em mais de uma',
+
+        'progress.title': 'Progresso',
+        'progress.pause': 'Pausar',
+        'progress.resume': 'Retomar',
+        'progress.status': '{done}/{total} geocodificados ({pct}%)',
+        'progress.cancelled': 'Cancelado: {located} de {total} localizados',
+        'progress.paused': 'pausado',
+        'progress.waiting': 'Aguardando a seleção de um CSV...',
+
+        'common.cancel': 'Cancelar',
+        'common.export': 'Exportar',
+        'common.import': 'Importar',
+        'common.delete': 'Excluir',
+        'common.noData': 'Sem dados',
+        'common.error': 'Erro',
+        'common.confirm': 'Confirmar',
+        'common.save': 'Salvar',
+        'common.remove': 'Excluir',
+        'common.showMore': 'Mostrar mais {count}',
+
+        'edit.title': 'Edição',
+        'edit.undo': 'Desfazer',
+        'edit.redo': 'Refazer',
+        'edit.hint': 'Editando: arraste um marcador para movê-lo, abra-o para corrigir seus dados ou excluí-lo, ou clique no mapa para adicionar um encontro.',
+        'edit.unsaved': 'Há alterações não exportadas. Exporte todas as linhas para mantê-las.',
+        'edit.undone': 'Desfeito: {label}',
+        'edit.redone': 'Refeito: {label}',
+        'edit.move': 'Mover encontro',
+        'edit.add': 'Adicionar encontro',
+        'edit.delete': 'Excluir encontro',
+        'edit.change': 'Editar encontro',
+        'edit.addedHidden': 'Encontro adicionado (oculto pelos filtros ativos)',
+        'edit.confirmDelete': 'Excluir este encontro?',
+        'edit.dragHint': 'Arraste o marcador para movê-lo.',
+        'edit.busy': 'Aguarde o fim da geocodificação para editar',
+        'edit.finish': 'Terminar edição',
+        'edit.start': 'Editar mapa',
+        'edit.undoLabel': 'Desfazer: {label}',
+        'edit.redoLabel': 'Refazer: {label}',
+
+        'unlocated.title': 'Não localizados',
+        'unlocated.hint': 'Corrija a busca e tente de novo, ou posicione o endereço no mapa manualmente.',
+        'unlocated.noResults': 'Sem resultados',
+        'unlocated.cancelled': 'Cancelado',
+        'unlocated.searching': 'Buscando...',
+        'unlocated.retry': 'Tentar de novo',
+        'unlocated.pick': 'Posicionar no mapa',
+        'unlocated.pickHint': 'Clique no mapa ou arraste o marcador e depois confirme.',
+
+        'geocoder.title': 'Geolocalização',
+        'geocoder.provider': 'Provedor',
+        'geocoder.urlPlaceholder': 'URL do serviço ou do arquivo JSON',
+        'geocoder.concurrency': 'Concorrência',
+        'geocoder.interval': 'Intervalo (ms)',
+        'geocoder.intervalPlaceholder': 'padrão do provedor',
+
+        'export.title': 'Exportar',
+        'export.format': 'Formato',
+        'export.scope': 'O que exportar',
+        'export.all': 'Todas as linhas',
+        'export.filtered': 'Só as linhas filtradas',
+        'export.selection': 'Só a seleção do mapa',
+        'export.layer': 'Camada',
+        'export.allLayers': 'Todas as camadas',
+        'export.empty': 'Não há linhas para exportar.',
+        'export.error': 'Não foi possível gerar o arquivo.',
+
+        'poster.open': 'Pôster para imprimir…',
+        'poster.openTitle': 'Imagem ou PDF da vista atual, com título e legenda',
+        'poster.title': 'Pôster para imprimir',
+        'poster.hint': 'É gerado a partir da vista atual do mapa e dos filtros aplicados.',
+        'poster.titleLabel': 'Título',
+        'poster.paper': 'Papel',
+        'poster.letter': 'Carta',
+        'poster.orientation': 'Orientação',
+        'poster.portrait': 'Retrato',
+        'poster.landscape': 'Paisagem',
+        'poster.resolution': 'Resolução',
+        'poster.dpiScreen': 'Tela (96 dpi)',
+        'poster.dpiPrint': 'Impressão (150 dpi)',
+        'poster.dpiHigh': 'Alta qualidade (300 dpi)',
+        'poster.format': 'Formato',
+        'poster.png': 'Imagem PNG',
+        'poster.branding': 'Imagens do Nuevo Impulso no cabeçalho',
+        'poster.generate': 'Gerar',
+        'poster.count': { one: '{n} encontro', other: '{n} encontros' },
+        'poster.rendering': 'Gerando o pôster…',
+        'poster.missingTiles': 'Pronto. {count} partes do mapa não carregaram (sem conexão?) e ficaram em branco.',
+        'poster.error': 'Não foi possível gerar o pôster. Tente uma resolução menor.',
+
+        'cache.title': 'Cache de coordenadas',
+        'cache.hint': 'Exporte o cache para compartilhar com a equipe os endereços já geocodificados.',
+        'cache.imported': 'Cache importado: {count} endereços novos ou atualizados.',
+        'cache.importError': 'Não foi possível importar o cache (é um JSON exportado deste app?).',
+        'cache.confirmClear': 'Excluir todas as coordenadas salvas? Elas serão geocodificadas de novo.',
+        'cache.cleared': 'Coordenadas salvas excluídas.',
+
+        'offline.title': 'Sem conexão',
+        'offline.hint': 'Salve as partes do mapa da área visível para usá-lo sem sinal. O último arquivo carregado e o cache de coordenadas são mantidos automaticamente.',
+        'offline.minZoom': 'Zoom de',
+        'offline.maxZoom': 'até',
+        'offline.download': 'Salvar área visível',
+        'offline.clear': 'Excluir partes do mapa',
+        'offline.unsupported': 'Este navegador não consegue salvar partes do mapa.',
+        'offline.tooMany': '{total} partes do mapa: são demais (máx. {max}). Aproxime o mapa ou reduza o zoom máximo.',
+        'offline.estimate': '{total} partes do mapa para a área visível.',
+        'offline.saving': 'Salvando partes do mapa: {done} de {total}...',
+        'offline.cancelled': 'Download cancelado: {done} de {total} partes do mapa salvas.',
+        'offline.partial': 'Pronto, mas {failed} de {total} partes do mapa não puderam ser baixadas.',
+        'offline.done': 'Pronto: {total} partes do mapa disponíveis sem conexão.',
+        'offline.error': 'Não foi possível salvar as partes do mapa: {message}',
+        'offline.cleared': 'Partes do mapa salvas excluídas.',
+
+        'confetti.title': 'Festa',
+        'confetti.on': 'Confete: Ligado',
+        'confetti.off': 'Confete: Desligado',
+
+        'prefs.clear': 'Limpar preferências',
+        'prefs.cleared': 'Preferências limpas.',
+
+        'stats.summary': 'Resumo',
+        'stats.layer': 'Camada',
+        'stats.allLayers': 'Todas as camadas juntas',
+        'stats.total': 'Encontros',
+        'stats.geocoded': 'Localizados',
+        'stats.failed': 'Não localizados',
+        'stats.geocoding': 'Geocodificação',
+        'stats.cacheHint': 'Acertos do cache: buscas da última carga que não consultaram o provedor.',
+        'stats.quality': 'Qualidade das coordenadas',
+        'stats.regions': 'Encontros por região',
+        'stats.barrios': 'Bairros com mais encontros',
+        'stats.download': 'Baixar resumo (CSV)',
+        'stats.noRegion': 'Sem região',
+        'stats.empty': 'Ainda não há dados.',
+        'stats.pending': '{n} sendo geocodificados…',
+        'stats.success': 'Sucesso',
+        'stats.successTitle': '{located} localizados de {processed} processados',
+        'stats.cacheHits': 'Acertos do cache',
+        'stats.cacheHitsTitle': '{cache} buscas no cache e {provider} consultas ao provedor nesta carga',
+        'stats.lowConfidence': '{n} para revisar (baixa confiança)',
+        'stats.regionTitle': '{located} de {total} localizados',
+        'stats.barrioCount': '{shown} de {total} bairros',
+        'stats.csv.section': 'Seção',
+        'stats.csv.item': 'Dado',
+        'stats.csv.value': 'Valor',
+        'stats.csv.totals': 'Totais',
+        'stats.csv.total': 'Encontros',
+        'stats.csv.geocoded': 'Localizados',
+        'stats.csv.failed': 'Não localizados',
+        'stats.csv.pending': 'Pendentes',
+        'stats.csv.geocoding': 'Geocodificação',
+        'stats.csv.successRate': 'Taxa de sucesso',
+        'stats.csv.cacheLookups': 'Buscas resolvidas pelo cache',
+        'stats.csv.providerLookups': 'Consultas ao provedor',
+        'stats.csv.cacheHitRate': 'Acertos do cache',
+        'stats.csv.lowConfidence': 'Para revisar (baixa confiança)',
+        'stats.csv.quality': 'Qualidade',
+        'stats.csv.region': 'Região',
+        'stats.csv.barrio': 'Bairro',
+
+        'import.title': 'Importar dados',
+        'import.delimiter': 'Separador',
+        'import.autoDelimiter': 'Automático',
+        'import.comma': 'Vírgula (,)',
+        'import.semicolon': 'Ponto e vírgula (;)',
+        'import.tab': 'Tabulação',
+        'import.pipe': 'Barra vertical (|)',
+        'import.encoding': 'Codificação',
+        'import.autoEncoding': 'Automática',
+        'import.sheet': 'Planilha',
+        'import.columns': 'Colunas',
+        'import.columnsHint': 'Escolha qual coluna tem cada dado. Com Lat/Lon não é preciso geocodificar.',
+        'import.preview': 'Pré-visualização',
+        'import.format.csv': 'Texto separado (CSV)',
+        'import.format.sheet': 'Planilha (Excel / ODS)',
+        'import.format.geojson': 'GeoJSON',
+        'import.format.kml': 'KML',
+        'import.readError': 'Não foi possível ler o arquivo: {message}',
+        'import.noColumn': '— nenhuma —',
+        'import.rowCount': { one: '{count} linha', other: '{count} linhas' },
+        'import.empty': 'O arquivo não tem linhas.',
+        'import.notLocatable': 'Escolha a coluna de endereço ou de bairro, ou as de Lat/Lon.',
+        'import.error': 'Não foi possível ler o arquivo.',
+
+        'validation.hint': 'Linhas sem dados para localizá-las, coordenadas fora da Argentina ou trocadas e linhas repetidas. Corrija ou exclua cada caso, ou continue com os dados como estão.',
+        'validation.download': 'Baixar relatório',
+        'validation.confirm': 'Continuar',
+        'validation.status.fixed': 'Corrigido',
+        'validation.status.excluded': 'Excluído',
+        'validation.status.pending': 'Pendente',
+        'validation.type.missing': 'Sem dados para localizar',
+        'validation.type.bad-coords': 'Coordenadas incompletas',
+        'validation.type.outside': 'Fora da Argentina',
+        'validation.type.swapped': 'Lat/Lon trocadas',
+        'validation.type.decimal': 'Falta o separador decimal',
+        'validation.type.duplicate': 'Linhas repetidas',
+        'validation.type.near-duplicate': 'Possíveis duplicados',
+        'validation.detail.missing': 'Sem endereço, bairro nem coordenadas',
+        'validation.detail.bad-coords': 'Lat/Lon incompletas ou ilegíveis ({lat} / {lon})',
+        'validation.detail.outside': 'Coordenadas fora da Argentina ({lat}, {lon})',
+        'validation.detail.swapped': 'Lat/Lon invertidas ({lat}, {lon})',
+        'validation.detail.decimal': 'Coordenadas sem separador decimal ({lat}, {lon})',
+        'validation.detail.duplicate': { one: '{count} linha idêntica', other: '{count} linhas idênticas' },
+        'validation.detail.near-duplicate': { one: '{count} linha com o mesmo endereço', other: '{count} linhas com o mesmo endereço' },
+        'validation.noAddress': '(sem endereço)',
+        'validation.clearCoords': 'Apagar coordenadas',
+        'validation.useCoords': 'Usar {lat}, {lon}',
+        'validation.rows': { one: 'Linha {rows}', other: 'Linhas {rows}' },
+        'validation.canGeocode': 'pode ser geocodificada pelo endereço',
+        'validation.excludeDuplicates': 'Excluir repetidas',
+        'validation.excludeRow': 'Excluir linha',
+        'validation.summary': '{rows} linhas · {issues} problemas, {pending} sem resolver · {excluded} linhas excluídas',
+        'validation.noIssues': '{rows} linhas, sem problemas.',
+        'validation.report.row': 'Linha',
+        'validation.report.type': 'Problema',
+        'validation.report.detail': 'Detalhe',
+        'validation.report.status': 'Status',
+        'validation.report.data': 'Dados',
+        'validation.fixAll': 'Corrigir todos',
+        'validation.excludeAll': 'Excluir todos',
+
+        'match.full': 'Endereço completo',
+        'match.street-barrio': 'Rua e bairro',
+        'match.barrio': 'Só o bairro (aproximado)',
+        'match.edited': 'Busca corrigida',
+        'match.manual': 'Posicionado manualmente',
+        'match.source': 'Coordenadas do arquivo',
+
+        'field.layer': 'Camada',
+        'field.address': 'Endereço',
+        'field.barrio': 'Bairro',
+        'field.city': 'Localidade',
+        'field.region': 'Região',
+        'field.date': 'Data',
+
+        'popup.upcoming': 'Próximo',
+        'popup.alsoIn': 'Também em: {layers}',
+        'popup.review': 'Revisar',
+
+        'date.withTime': '{date} {time}',
+
+        'legend.show': 'Mostrar',
+        'legend.hide': 'Ocultar',
+        'legend.showAll': 'Mostrar todas',
+
+        'role.address': 'Endereço',
+        'role.barrio': 'Bairro',
+        'role.region': 'Região / Província',
+        'role.city': 'Cidade / Localidade',
+        'role.lat': 'Latitude',
+        'role.lon': 'Longitude',
+
+        'provider.nominatim': 'Nominatim (OSM público)',
+        'provider.photon': 'Photon (Komoot)',
+        'provider.nominatim-custom': 'Nominatim próprio (URL)',
+        'provider.pelias': 'Pelias próprio (URL)',
+        'provider.static': 'Arquivo JSON (URL)',
+        'provider.mock': 'Simulado (sem conexão)',
+
+        'format.kml': 'KML (Google My Maps)',
+        'format.gpx': 'GPX (apps de GPS)',
+        'format.xlsx': 'Excel (XLSX)',
+
+        'palette.okabe-ito': 'Para daltonismo',
+        'palette.custom': 'Personalizada',
+
+        'load.cache': 'Carregando coordenadas pré-calculadas...',
+        'load.cacheNotFound': 'Cache {url} não encontrado',
+        'load.cacheError': 'Não foi possível carregar o cache: {message}',
+        'load.data': 'Carregando dados...',
+        'load.dataNotFound': 'CSV {url} não encontrado',
+        'load.empty': 'O CSV não tem linhas.',
+        'load.dataError': 'Não foi possível carregar os dados: {message}',
+        'load.foreignSource': 'Só são carregados arquivos deste site: {url}',
+        'load.lastFile': 'Último arquivo',
+        'load.restoredAt': 'Mostrando o último arquivo carregado ({when}).',
+        'load.restored': 'Mostrando o último arquivo carregado.',
+        'load.cacheOnly': 'Mostrando posições do cache. Selecione um CSV para ver os detalhes.',
+        'load.choose': 'Selecione um CSV para carregar os dados.',
+        'load.error': 'Erro ao carregar ou processar o CSV',
+        'load.errorAlert': 'Houve um problema ao carregar data.csv. Veja o console para mais detalhes.',
+
+        'link.copyPrompt': 'Copie este link:',
+        'link.copied': 'Copiado!',
+
+        'list.title': 'Encontros',
+        'list.inView': 'Só os visíveis no mapa',
+        'list.more': 'Mostrar mais',
+        'list.notOnMap': 'Esse encontro não está no mapa (oculto pelos filtros?).',
+        'list.ascending': 'crescente',
+        'list.descending': 'decrescente',
+        'list.sortBy': 'Ordenar por {column}',
+        'list.caption': { one: '{n} encontro, ordenado por {column} ({direction})', other: '{n} encontros, ordenados por {column} ({direction})' },
+        'list.noneFiltered': 'Não há encontros localizados que passem pelos filtros.',
+        'list.empty': 'Ainda não há encontros localizados.',
+        'list.showing': 'Mostrando {shown} de {total}.',
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = messages;
+    else root.I18n.addMessages('pt', messages);
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,36 @@
+/*
+  Distancias para los encuentros más cercanos, solo con los datos cargados (sin servicio de ruteo).
+  La búsqueda de los más cercanos la hace el índice espacial (spatial.js, nearest()).
+  - distanceKm(a, b): distancia en línea recta (haversine) entre { lat, lon }
+  - formatDistance(km, locale): "850 m" / "3,2 km" / "120 km" (el separador decimal del idioma, 'es-AR' por defecto)
+  - directionsUrl(origin, destination): indicaciones en Google Maps (se abre en otra pestaña)
+*/
+(function (root) {
+    const EARTH_RADIUS_KM = 6371.0088;
+    const rad = d => d * Math.PI / 180;
+
+    function distanceKm(a, b) {
+        const dLat = rad(b.lat - a.lat);
+        const dLon = rad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    function formatDistance(km, locale = 'es-AR') {
+        if (km < 1) return `${Math.max(10, Math.round(km * 100) * 10)} m`;
+        const decimals = km < 10 ? 1 : 0;
+        const value = (decimals ? +km.toFixed(1) : Math.round(km)).toLocaleString(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+        return `${value} km`;
+    }
+
+    function directionsUrl(origin, destination) {
+        const fmt = p => `${(+p.lat).toFixed(6)},${(+p.lon).toFixed(6)}`;
+        const params = new URLSearchParams({ api: '1', destination: fmt(destination) });
+        if (origin) params.set('origin', fmt(origin));
+        return `https://www.google.com/maps/dir/?${params.toString()}`;
+    }
+
+    const api = { distanceKm, formatDistance, directionsUrl };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Nearest = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,20 @@
+/*
+  Worker de lectura: parsea y normaliza el archivo fuera del hilo principal,
+  así la página no se congela con archivos de decenas de miles de filas.
+  Mensaje { id, buffer, format, options } -> { id, result } o { id, error }
+  (result como Importers.parseFile). KML no pasa por acá: necesita DOMParser.
+*/
+importScripts('./vendor/papaparse/papaparse.min.js', './importers.js');
+
+self.onmessage = (event) => {
+    const { id, buffer, format, options } = event.data;
+    try {
+        // SheetJS pesa: se carga recién cuando llega la primera planilla
+        if (format === 'sheet' && !self.XLSX) importScripts('./vendor/xlsx/xlsx.full.min.js');
+        const result = Importers.parseFile(buffer, format, options);
+        result.rows = Importers.normalizeRows(result.rows, result.fields);
+        self.postMessage({ id, result });
+    } catch (e) {
+        self.postMessage({ id, error: e.message || String(e) });
+    }
+};
@@ -0,0 +1,66 @@
+/*
+  Enlaces permanentes: el estado de la vista viaja en el hash de la URL.
+  #map=<zoom>/<lat>/<lon>&cluster=40&q=texto&region=1&region=2&barrio=Palermo&hidden=3&area=provincias:Córdoba
+   &from=2024-03&to=2024-12&marker=<clave>   (from/to: meses de la línea de tiempo, ambos incluidos)
+  - parse(hash): estado con lo que trae el enlace (lo que falta o no se entiende se omite)
+  - stringify(state): hash sin el '#', con los valores legibles ('/', ':', ',' y espacios sin escapar)
+  Los valores repetidos (region, barrio, hidden) van como parámetros repetidos.
+*/
+(function (root) {
+    const LISTS = [['region', 'regions'], ['barrio', 'barrios'], ['hidden', 'hidden']];
+
+    function parse(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const state = {};
+        const view = (params.get('map') || '').split('/').map(Number);
+        if (view.length === 3 && view.every(Number.isFinite) && Math.abs(view[1]) <= 90 && Math.abs(view[2]) <= 180) {
+            state.view = { zoom: view[0], lat: view[1], lon: view[2] };
+        }
+        const cluster = parseInt(params.get('cluster'), 10);
+        if (!Number.isNaN(cluster)) state.cluster = Math.max(0, Math.min(100, cluster));
+        if (params.get('q')) state.text = params.get('q');
+        for (const [key, name] of LISTS) {
+            const values = params.getAll(key);
+            if (values.length) state[name] = values;
+        }
+        const area = params.get('area');
+        if (area) {
+            // "nivel:nombre"; sin nivel se asume provincias
+            const i = area.indexOf(':');
+            state.area = i > 0 ? { level: area.slice(0, i), name: area.slice(i + 1) } : { level: 'provincias', name: area };
+        }
+        const month = /^\d{4}-\d{2}$/;
+        if (month.test(params.get('from') || '') && month.test(params.get('to') || '')) {
+            state.time = { from: params.get('from'), to: params.get('to') };
+        }
+        if (params.get('marker')) state.marker = params.get('marker');
+        return state;
+    }
+
+    function encode(v) {
+        return encodeURIComponent(String(v)).replace(/%2F/gi, '/').replace(/%3A/gi, ':').replace(/%2C/gi, ',').replace(/%20/g, '+');
+    }
+
+    function stringify(state = {}) {
+        const parts = [];
+        const add = (key, value) => parts.push(`${key}=${encode(value)}`);
+        if (state.view) {
+            const { zoom, lat, lon } = state.view;
+            parts.push(`map=${Math.round(zoom)}/${(+lat).toFixed(5)}/${(+lon).toFixed(5)}`);
+        }
+        if (state.cluster != null) add('cluster', state.cluster);
+        if (state.text) add('q', state.text);
+        for (const [key, name] of LISTS) (state[name] || []).forEach(v => add(key, v));
+        if (state.area) add('area', `${state.area.level}:${state.area.name}`);
+        if (state.time) {
+            add('from', state.time.from);
+            add('to', state.time.to);
+        }
+        if (state.marker) add('marker', state.marker);
+        return parts.join('&');
+    }
+
+    const api = { parse, stringify };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Permalink = api;
+})(typeof self !== 'undefined' ? self : this);
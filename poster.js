@@ -0,0 +1,171 @@
+/*
+  Póster del mapa para imprimir, armado en el navegador (sin servicios de impresión).
+  - PAPER_SIZES, pageSize(paper, orientation, dpi): tamaño de la hoja en píxeles y en puntos PDF
+  - layout(size): rectángulos del encabezado (título), el mapa y el pie (leyenda, cantidad, fecha, atribución)
+  - project(lat, lon, zoom) / unproject(x, y, zoom): píxel Web Mercator (mosaicos de 256) y vuelta
+  - fitView(bounds, width, height, maxZoom): zoom con decimales y esquina para que la caja entre en el área
+  - viewBounds(view): { south, west, north, east } de lo que cubre la vista (más que la caja si la forma difiere)
+  - tilesFor(view, maxZoom): mosaicos que cubren la vista { z, x, y, left, top, size }
+  - imagePDF(jpeg, size): PDF de una página con la imagen JPEG ocupando toda la hoja
+  - pngWithDpi(png, dpi): agrega la resolución (chunk pHYs) para que se imprima al tamaño elegido
+*/
+(function (root) {
+    const MM_PER_INCH = 25.4;
+    const PT_PER_INCH = 72;
+    const SCREEN_DPI = 96; // a esta resolución un píxel del póster es uno de la pantalla
+    const PAPER_SIZES = {
+        a4: { label: 'A4', width: 210, height: 297 },
+        a3: { label: 'A3', width: 297, height: 420 },
+        letter: { label: 'Carta', width: 215.9, height: 279.4 },
+    };
+    const MAX_LAT = 85.0511287798; // límite de Web Mercator
+
+    function pageSize(paper, orientation, dpi) {
+        const p = PAPER_SIZES[paper] || PAPER_SIZES.a4;
+        const short = Math.min(p.width, p.height), long = Math.max(p.width, p.height);
+        const [wMm, hMm] = orientation === 'landscape' ? [long, short] : [short, long];
+        return {
+            dpi,
+            ratio: dpi / SCREEN_DPI,
+            widthPx: Math.round((wMm / MM_PER_INCH) * dpi),
+            heightPx: Math.round((hMm / MM_PER_INCH) * dpi),
+            widthPt: (wMm / MM_PER_INCH) * PT_PER_INCH,
+            heightPt: (hMm / MM_PER_INCH) * PT_PER_INCH,
+        };
+    }
+
+    // Márgenes y bandas en milímetros, para que se vean igual en cualquier resolución
+    function layout(size) {
+        const mm = v => Math.round((v / MM_PER_INCH) * size.dpi);
+        const margin = mm(8);
+        const header = mm(20);
+        const footer = mm(28);
+        const w = size.widthPx - 2 * margin;
+        return {
+            mm,
+            header: { x: margin, y: margin, w, h: header },
+            map: { x: margin, y: margin + header, w, h: size.heightPx - 2 * margin - header - footer },
+            footer: { x: margin, y: size.heightPx - margin - footer, w, h: footer },
+        };
+    }
+
+    function project(lat, lon, zoom) {
+        const scale = 256 * Math.pow(2, zoom);
+        const sin = Math.sin((Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * Math.PI) / 180);
+        return {
+            x: ((lon + 180) / 360) * scale,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+        };
+    }
+
+    function unproject(x, y, zoom) {
+        const scale = 256 * Math.pow(2, zoom);
+        const n = Math.PI - (2 * Math.PI * y) / scale;
+        return { lat: (180 / Math.PI) * Math.atan(Math.sinh(n)), lon: (x / scale) * 360 - 180 };
+    }
+
+    // bounds = { south, west, north, east }; width/height en píxeles de pantalla (ver SCREEN_DPI)
+    function fitView({ south, west, north, east }, width, height, maxZoom = 20) {
+        const a = project(north, west, 0);
+        const b = project(south, east, 0);
+        const zoom = Math.min(maxZoom,
+            Math.log2(width / Math.max(b.x - a.x, 1e-9)),
+            Math.log2(height / Math.max(b.y - a.y, 1e-9)));
+        const s = Math.pow(2, zoom);
+        return { zoom, left: ((a.x + b.x) / 2) * s - width / 2, top: ((a.y + b.y) / 2) * s - height / 2, width, height };
+    }
+
+    function viewBounds(view) {
+        const nw = unproject(view.left, view.top, view.zoom);
+        const se = unproject(view.left + view.width, view.top + view.height, view.zoom);
+        return { south: se.lat, west: nw.lon, north: nw.lat, east: se.lon };
+    }
+
+    // Mosaicos del zoom entero más cercano, escalados al zoom de la vista
+    function tilesFor(view, maxZoom = 20) {
+        const z = Math.max(0, Math.min(maxZoom, Math.round(view.zoom)));
+        const size = 256 * Math.pow(2, view.zoom - z);
+        const n = Math.pow(2, z);
+        const tiles = [];
+        const y0 = Math.max(0, Math.floor(view.top / size));
+        const y1 = Math.min(n - 1, Math.floor((view.top + view.height) / size));
+        for (let y = y0; y <= y1; y++) {
+            for (let x = Math.floor(view.left / size); x <= Math.floor((view.left + view.width) / size); x++) {
+                tiles.push({ z, x: ((x % n) + n) % n, y, left: x * size - view.left, top: y * size - view.top, size });
+            }
+        }
+        return tiles;
+    }
+
+    function concatBytes(parts) {
+        const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        let offset = 0;
+        parts.forEach(p => { out.set(p, offset); offset += p.length; });
+        return out;
+    }
+
+    /**
+     * imagePDF(jpeg, { widthPx, heightPx, widthPt, heightPt })
+     * jpeg: Uint8Array (p. ej. de canvas.toBlob(..., 'image/jpeg')). El JPEG va tal cual (DCTDecode).
+     */
+    function imagePDF(jpeg, { widthPx, heightPx, widthPt, heightPt }) {
+        const enc = new TextEncoder();
+        const w = widthPt.toFixed(2), h = heightPt.toFixed(2);
+        const content = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+        const objects = [
+            ['<< /Type /Catalog /Pages 2 0 R >>'],
+            ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+            [`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`],
+            [`<< /Type /XObject /Subtype /Image /Width ${widthPx} /Height ${heightPx} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, '\nendstream'],
+            [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`],
+        ];
+        const parts = [enc.encode('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+        let offset = parts[0].length;
+        const offsets = [];
+        objects.forEach((chunks, i) => {
+            offsets.push(offset);
+            [`${i + 1} 0 obj\n`, ...chunks, '\nendobj\n'].forEach(c => {
+                const bytes = typeof c === 'string' ? enc.encode(c) : c;
+                parts.push(bytes);
+                offset += bytes.length;
+            });
+        });
+        const xref = ['xref', `0 ${objects.length + 1}`, '0000000000 65535 f ',
+            ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `)].join('\n');
+        parts.push(enc.encode(`${xref}\ntrailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`));
+        return concatBytes(parts);
+    }
+
+    let crcTable = null;
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // El chunk pHYs va después de IHDR (firma de 8 bytes + IHDR de 25)
+    function pngWithDpi(png, dpi) {
+        const ppm = Math.round(dpi / (MM_PER_INCH / 1000));
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        view.setUint32(8, ppm);
+        view.setUint32(12, ppm);
+        chunk[16] = 1; // unidad: metro
+        view.setUint32(17, crc32(chunk.subarray(4, 17)));
+        return concatBytes([png.subarray(0, 33), chunk, png.subarray(33)]);
+    }
+
+    const api = { PAPER_SIZES, SCREEN_DPI, pageSize, layout, project, unproject, fitView, viewBounds, tilesFor, imagePDF, pngWithDpi };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Poster = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,183 @@
+/*
+  Cola de trabajos con concurrencia y rate-limit configurables.
+  - concurrency: cuántos trabajos corren a la vez
+  - rateLimitMs: separación mínima entre el inicio de dos trabajos
+  - Reintenta con backoff exponencial (+ jitter) los errores transitorios:
+    HTTP 429 / 5xx y fallas de red. Si el error trae retryAfterMs (cabecera
+    Retry-After) se respeta, y en un 429 se frena toda la cola ese tiempo.
+  - pause(), resume() y cancel() para controlar la corrida desde la UI; cancel(group) descarta
+    solo los trabajos encolados con ese grupo (p. ej. los de una capa que se quita)
+*/
+(function (root) {
+    function cancelledError() {
+        const err = new Error('Trabajo cancelado');
+        err.name = 'CancelledError';
+        err.cancelled = true;
+        return err;
+    }
+
+    function isRetryable(err) {
+        if (!err || err.cancelled) return false;
+        if (typeof err.status === 'number') return err.status === 429 || err.status >= 500;
+        // fetch rechaza con TypeError ante fallas de red
+        return err.name === 'TypeError';
+    }
+
+    /**
+     * createJobQueue(options)
+     * options = { concurrency, rateLimitMs, maxRetries, baseDelayMs, maxDelayMs, onChange }
+     * - onChange(stats): se llama cada vez que cambia el estado de la cola
+     * push(fn, group) encola fn(attempt) y devuelve una promesa con su resultado;
+     * group (opcional) permite cancelarlo junto con los demás del grupo.
+     */
+    function createJobQueue(options = {}) {
+        const settings = {
+            concurrency: 1,
+            rateLimitMs: 0,
+            maxRetries: 4,
+            baseDelayMs: 1000,
+            maxDelayMs: 60000,
+            ...options,
+        };
+        const pending = []; // { fn, group, attempt, notBefore, resolve, reject }
+        const active = new Set(); // trabajos en curso
+        let running = 0;
+        let completed = 0;
+        let failed = 0;
+        let paused = false;
+        let nextStartAt = 0; // próximo inicio permitido por rate-limit
+        let holdUntil = 0; // freno global (Retry-After en 429)
+        let timer = null;
+        let idleWaiters = [];
+
+        function stats() {
+            return { pending: pending.length, running, completed, failed, paused };
+        }
+
+        function notify() {
+            if (typeof settings.onChange === 'function') {
+                try { settings.onChange(stats()); } catch (_) { }
+            }
+            if (!pending.length && !running && idleWaiters.length) {
+                const waiters = idleWaiters;
+                idleWaiters = [];
+                waiters.forEach(res => res());
+            }
+        }
+
+        function schedule(ms) {
+            if (timer) return;
+            timer = setTimeout(() => { timer = null; pump(); }, Math.max(0, ms));
+        }
+
+        function backoffFor(err, attempt) {
+            if (err && Number.isFinite(err.retryAfterMs)) return Math.min(err.retryAfterMs, settings.maxDelayMs);
+            const exp = settings.baseDelayMs * Math.pow(2, attempt);
+            return Math.min(exp + Math.random() * settings.baseDelayMs, settings.maxDelayMs);
+        }
+
+        function pump() {
+            if (paused) return;
+            while (running < Math.max(1, settings.concurrency) && pending.length) {
+                const now = Date.now();
+                const gate = Math.max(nextStartAt, holdUntil);
+                if (now < gate) { schedule(gate - now); return; }
+                // Primer trabajo listo (los reintentos esperan su notBefore)
+                const idx = pending.findIndex(j => j.notBefore <= now);
+                if (idx === -1) {
+                    let next = Infinity; // sin Math.min(...pending): con muchas filas desborda la pila
+                    for (const j of pending) if (j.notBefore < next) next = j.notBefore;
+                    schedule(next - now);
+                    return;
+                }
+                const job = pending.splice(idx, 1)[0];
+                nextStartAt = now + Math.max(0, settings.rateLimitMs);
+                run(job);
+            }
+        }
+
+        async function run(job) {
+            running++;
+            active.add(job);
+            notify();
+            try {
+                const result = await job.fn(job.attempt);
+                if (job.cancelled) throw cancelledError();
+                completed++;
+                job.resolve(result);
+            } catch (err) {
+                if (job.cancelled) {
+                    job.reject(cancelledError());
+                } else if (isRetryable(err) && job.attempt < settings.maxRetries) {
+                    const delay = backoffFor(err, job.attempt);
+                    if (err.status === 429) holdUntil = Math.max(holdUntil, Date.now() + delay);
+                    job.attempt++;
+                    job.notBefore = Date.now() + delay;
+                    pending.push(job);
+                } else {
+                    failed++;
+                    job.reject(err);
+                }
+            } finally {
+                active.delete(job);
+                running--;
+                notify();
+                pump();
+            }
+        }
+
+        return {
+            push(fn, group = null) {
+                return new Promise((resolve, reject) => {
+                    pending.push({ fn, group, attempt: 0, notBefore: 0, resolve, reject });
+                    notify();
+                    pump();
+                });
+            },
+            pause() {
+                paused = true;
+                notify();
+            },
+            resume() {
+                if (!paused) return;
+                paused = false;
+                notify();
+                pump();
+            },
+            // Descarta lo pendiente; lo que ya está corriendo termina pero se reporta como cancelado
+            cancel(group = null) {
+                if (group != null) {
+                    // Solo los de ese grupo: el resto de la corrida sigue con su freno y sus contadores
+                    for (let i = pending.length - 1; i >= 0; i--) {
+                        if (pending[i].group === group) pending.splice(i, 1)[0].reject(cancelledError());
+                    }
+                    active.forEach(job => { if (job.group === group) job.cancelled = true; });
+                    notify();
+                    return;
+                }
+                const dropped = pending.splice(0, pending.length);
+                dropped.forEach(job => job.reject(cancelledError()));
+                active.forEach(job => { job.cancelled = true; });
+                if (timer) { clearTimeout(timer); timer = null; }
+                // El freno de un 429 y el rate-limit eran de la corrida cancelada
+                holdUntil = 0; nextStartAt = 0;
+                completed = 0; failed = 0;
+                notify();
+            },
+            configure(next = {}) {
+                Object.assign(settings, next);
+                pump();
+            },
+            onIdle() {
+                if (!pending.length && !running) return Promise.resolve();
+                return new Promise(res => idleWaiters.push(res));
+            },
+            stats,
+            get paused() { return paused; },
+        };
+    }
+
+    const api = { createJobQueue, isRetryable, cancelledError };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.JobQueue = api;
+})(typeof self !== 'undefined' ? self : this);
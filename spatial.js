@@ -0,0 +1,140 @@
+/*
+  Índice espacial en grilla (celdas de cellDeg grados) para decenas de miles de puntos.
+  - add(item, lat, lon, matched): suma un punto; matched = si pasa los filtros
+  - remove(item, lat, lon): lo saca; lat/lon es dónde se sumó (si cambió, se busca en todas las celdas)
+  - refresh(predicate): vuelve a evaluar los filtros; devuelve los items que pasan
+  - countInBounds({ south, west, north, east }): cuántos de los que pasan están en la caja.
+    Las celdas que quedan enteras dentro suman su cuenta sin recorrer sus puntos.
+  - nearest({ lat, lon }, k, distanceKm): los k más cercanos que pasan, recorriendo anillos
+    de celdas alrededor del origen hasta que ninguna celda más lejana pueda mejorar el resultado
+*/
+(function (root) {
+    const KM_PER_DEG = 111.32;
+
+    function createGridIndex({ cellDeg = 0.25 } = {}) {
+        let cells = new Map(); // "i:j" -> { i, j, items, lats, lons, flags, matched }
+        let size = 0;
+        const cellOf = (lat, lon) => [Math.floor(lat / cellDeg), Math.floor(lon / cellDeg)];
+
+        function add(item, lat, lon, matched = true) {
+            const [i, j] = cellOf(lat, lon);
+            const key = `${i}:${j}`;
+            let c = cells.get(key);
+            if (!c) cells.set(key, c = { i, j, items: [], lats: [], lons: [], flags: [], matched: 0 });
+            c.items.push(item);
+            c.lats.push(lat);
+            c.lons.push(lon);
+            c.flags.push(!!matched);
+            if (matched) c.matched++;
+            size++;
+        }
+
+        function remove(item, lat, lon) {
+            const drop = c => {
+                const k = c.items.indexOf(item);
+                if (k < 0) return false;
+                if (c.flags[k]) c.matched--;
+                [c.items, c.lats, c.lons, c.flags].forEach(a => a.splice(k, 1));
+                if (!c.items.length) cells.delete(`${c.i}:${c.j}`);
+                size--;
+                return true;
+            };
+            const [i, j] = cellOf(lat, lon);
+            const c = cells.get(`${i}:${j}`);
+            if (c && drop(c)) return true;
+            for (const other of cells.values()) if (other !== c && drop(other)) return true;
+            return false;
+        }
+
+        function refresh(predicate) {
+            const out = [];
+            for (const c of cells.values()) {
+                c.matched = 0;
+                for (let k = 0; k < c.items.length; k++) {
+                    const ok = !!predicate(c.items[k]);
+                    c.flags[k] = ok;
+                    if (ok) { c.matched++; out.push(c.items[k]); }
+                }
+            }
+            return out;
+        }
+
+        function countInBounds({ south, west, north, east }) {
+            const [i0, j0] = cellOf(south, west);
+            const [i1, j1] = cellOf(north, east);
+            let n = 0;
+            const visit = c => {
+                if (c.i < i0 || c.i > i1 || c.j < j0 || c.j > j1 || !c.matched) return;
+                if (c.i > i0 && c.i < i1 && c.j > j0 && c.j < j1) { n += c.matched; return; }
+                // Celda del borde: punto por punto
+                for (let k = 0; k < c.items.length; k++) {
+                    if (c.flags[k] && c.lats[k] >= south && c.lats[k] <= north && c.lons[k] >= west && c.lons[k] <= east) n++;
+                }
+            };
+            // Con la caja chica conviene buscar celda por celda; con la caja grande, recorrer las que existen
+            if ((i1 - i0 + 1) * (j1 - j0 + 1) < cells.size) {
+                for (let i = i0; i <= i1; i++) {
+                    for (let j = j0; j <= j1; j++) {
+                        const c = cells.get(`${i}:${j}`);
+                        if (c) visit(c);
+                    }
+                }
+            } else {
+                cells.forEach(visit);
+            }
+            return n;
+        }
+
+        function nearest(origin, k, distanceKm) {
+            if (!size || k <= 0) return [];
+            const [ci, cj] = cellOf(origin.lat, origin.lon);
+            let maxRing = 0;
+            cells.forEach(c => { maxRing = Math.max(maxRing, Math.abs(c.i - ci), Math.abs(c.j - cj)); });
+            const best = []; // [{ item, km }] ordenado, a lo sumo k
+            const consider = c => {
+                if (!c || !c.matched) return;
+                for (let x = 0; x < c.items.length; x++) {
+                    if (!c.flags[x]) continue;
+                    const km = distanceKm(origin, { lat: c.lats[x], lon: c.lons[x] });
+                    if (best.length >= k && km >= best[best.length - 1].km) continue;
+                    let pos = best.length;
+                    while (pos > 0 && best[pos - 1].km > km) pos--;
+                    best.splice(pos, 0, { item: c.items[x], km });
+                    if (best.length > k) best.pop();
+                }
+            };
+            for (let r = 0; r <= maxRing; r++) {
+                if (best.length >= k && r > 1) {
+                    // Cota inferior de la distancia a cualquier celda del anillo r (en longitud, que es la más corta)
+                    const lat = Math.min(89, Math.abs(origin.lat) + (r + 1) * cellDeg);
+                    const minKm = (r - 1) * cellDeg * KM_PER_DEG * Math.cos(lat * Math.PI / 180);
+                    if (minKm > best[best.length - 1].km) break;
+                }
+                if (r === 0) { consider(cells.get(`${ci}:${cj}`)); continue; }
+                for (let j = cj - r; j <= cj + r; j++) {
+                    consider(cells.get(`${ci - r}:${j}`));
+                    consider(cells.get(`${ci + r}:${j}`));
+                }
+                for (let i = ci - r + 1; i <= ci + r - 1; i++) {
+                    consider(cells.get(`${i}:${cj - r}`));
+                    consider(cells.get(`${i}:${cj + r}`));
+                }
+            }
+            return best;
+        }
+
+        return {
+            add,
+            remove,
+            refresh,
+            countInBounds,
+            nearest,
+            clear() { cells = new Map(); size = 0; },
+            get size() { return size; },
+        };
+    }
+
+    const api = { createGridIndex };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Spatial = api;
+})(typeof self !== 'undefined' ? self : this);
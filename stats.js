@@ -0,0 +1,94 @@
+/*
+  Números del tablero de estadísticas, sin DOM.
+  - summarize(rows, options): totales, tasa de éxito de la geocodificación y de aciertos de la cache,
+    calidad de las coordenadas, encuentros por región y barrios con más encuentros
+  - toCSV(summary, { matchLabel, regionLabel, labels }): el resumen para descargar (Sección, Dato, Valor)
+*/
+(function (root) {
+    const TOP_BARRIOS = 10;
+
+    // Textos del resumen descargado (en español; toCSV recibe los de otro idioma en labels)
+    const LABELS = {
+        section: 'Sección', item: 'Dato', value: 'Valor',
+        totals: 'Totales', total: 'Encuentros', geocoded: 'Ubicados', failed: 'Sin ubicar', pending: 'Pendientes',
+        geocoding: 'Geocodificación', successRate: 'Tasa de éxito', cacheLookups: 'Búsquedas resueltas con la caché',
+        providerLookups: 'Consultas al proveedor', cacheHitRate: 'Aciertos de la caché', lowConfidence: 'Para revisar (baja confianza)',
+        quality: 'Calidad', region: 'Región', barrio: 'Barrio',
+    };
+
+    function naturalCompare(a, b) { return a.localeCompare(b, 'es', { numeric: true, sensitivity: 'base' }); }
+
+    function countBy(rows, keyOf) {
+        const counts = new Map();
+        rows.forEach(r => { const k = keyOf(r); counts.set(k, (counts.get(k) || 0) + 1); });
+        return counts;
+    }
+
+    const rate = (part, whole) => (whole > 0 ? part / whole : null);
+
+    /**
+     * summarize(rows, { regionOf, barrioOf, pending, lookups, topBarrios })
+     * rows: las filas cargadas (ubicadas las que tienen row._geo); pending: cuántas se están geocodificando.
+     * Las que no están ubicadas ni pendientes cuentan como sin ubicar.
+     * lookups = { cache, provider }: búsquedas resueltas con la cache y consultas al proveedor.
+     */
+    function summarize(rows, { regionOf, barrioOf, pending = 0, lookups = { cache: 0, provider: 0 }, topBarrios = TOP_BARRIOS } = {}) {
+        const total = rows.length;
+        const located = rows.filter(r => r._geo);
+        const geocoded = located.length;
+        pending = Math.max(0, Math.min(pending, total - geocoded));
+        const failed = total - geocoded - pending;
+        const byMatch = Array.from(countBy(located, r => r._geo.matchType || ''), ([type, count]) => ({ type, count }))
+            .sort((a, b) => b.count - a.count);
+        const regionGeocoded = countBy(located, regionOf);
+        const byRegion = Array.from(countBy(rows, regionOf), ([key, count]) => ({ key, count, geocoded: regionGeocoded.get(key) || 0 }))
+            .sort((a, b) => (a.key === '') - (b.key === '') || naturalCompare(a.key, b.key));
+        const barrios = Array.from(countBy(rows, barrioOf), ([key, count]) => ({ key, count }))
+            .filter(b => b.key)
+            .sort((a, b) => b.count - a.count || naturalCompare(a.key, b.key));
+        return {
+            total,
+            geocoded,
+            failed,
+            pending,
+            successRate: rate(geocoded, geocoded + failed),
+            lookups: { cache: lookups.cache, provider: lookups.provider },
+            cacheHitRate: rate(lookups.cache, lookups.cache + lookups.provider),
+            lowConfidence: located.filter(r => r._geo.lowConfidence).length,
+            byMatch,
+            byRegion,
+            topBarrios: barrios.slice(0, topBarrios),
+            barrioCount: barrios.length,
+        };
+    }
+
+    /**
+     * toCSV(summary, { matchLabel, regionLabel, labels })
+     * Una línea por número; las tasas van como porcentaje ("87.5%", vacío si todavía no hay datos).
+     * labels: los textos de LABELS que se quieran cambiar (p. ej. los del idioma elegido).
+     */
+    function toCSV(summary, { matchLabel = t => t, regionLabel = k => k, labels = {} } = {}) {
+        const l = { ...LABELS, ...labels };
+        const q = v => '"' + String(v ?? '').replace(/"/g, '""') + '"';
+        const pct = v => (v == null ? '' : `${(v * 100).toFixed(1)}%`);
+        const lines = [
+            [l.totals, l.total, summary.total],
+            [l.totals, l.geocoded, summary.geocoded],
+            [l.totals, l.failed, summary.failed],
+            [l.totals, l.pending, summary.pending],
+            [l.geocoding, l.successRate, pct(summary.successRate)],
+            [l.geocoding, l.cacheLookups, summary.lookups.cache],
+            [l.geocoding, l.providerLookups, summary.lookups.provider],
+            [l.geocoding, l.cacheHitRate, pct(summary.cacheHitRate)],
+            [l.geocoding, l.lowConfidence, summary.lowConfidence],
+            ...summary.byMatch.map(m => [l.quality, matchLabel(m.type), m.count]),
+            ...summary.byRegion.map(r => [l.region, regionLabel(r.key), r.count]),
+            ...summary.topBarrios.map(b => [l.barrio, b.key, b.count]),
+        ];
+        return [[l.section, l.item, l.value].join(','), ...lines.map(line => line.map(q).join(','))].join('\n');
+    }
+
+    const api = { TOP_BARRIOS, LABELS, summarize, toCSV };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Stats = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,130 @@
+/*
+  Service worker: la app funciona sin conexión.
+  - App shell (HTML, CSS, JS, librerías de vendor/, límites) precacheada al instalar
+  - Mosaicos del mapa: primero los guardados desde el panel; los que solo se ven van a la red sin guardarse
+  - Datos (data.csv, geocoded.json, data/): primero red y, sin conexión, la última copia
+  - Geocodificadores y demás orígenes: siempre a la red
+  Los nombres de cache de mosaicos y datos son los mismos que usa app.js (OFFLINE_CACHES).
+  Al cambiar algo del shell, subir VERSION para que los clientes lo actualicen.
+*/
+const VERSION = 'v15';
+const SHELL_CACHE = `nuevoimpulso-shell-${VERSION}`;
+const TILE_CACHE = 'nuevoimpulso-tiles';
+const DATA_CACHE = 'nuevoimpulso-data';
+const RUNTIME_CACHE = 'nuevoimpulso-runtime'; // fuentes de Google
+
+const SHELL = [
+    './',
+    './index.html',
+    './styles.css',
+    './manifest.webmanifest',
+    './app.js',
+    './geocoders.js',
+    './queue.js',
+    './geocache.js',
+    './exporters.js',
+    './importers.js',
+    './categories.js',
+    './choropleth.js',
+    './tiles.js',
+    './permalink.js',
+    './timeline.js',
+    './nearest.js',
+    './spatial.js',
+    './parse-worker.js',
+    './validation.js',
+    './stats.js',
+    './poster.js',
+    './i18n.js',
+    './locales/es.js',
+    './locales/en.js',
+    './locales/pt.js',
+    './dataset.js',
+    './data/provincias.geojson',
+    './data/poblacion-provincias.json',
+    './earth.png',
+    './impulsito.png',
+    './nuevoImpulso1.png',
+    './nuevoimpulso2.png',
+    './vendor/leaflet/leaflet.js',
+    './vendor/leaflet/leaflet.css',
+    './vendor/leaflet/images/layers.png',
+    './vendor/leaflet/images/layers-2x.png',
+    './vendor/leaflet/images/marker-icon.png',
+    './vendor/leaflet/images/marker-icon-2x.png',
+    './vendor/leaflet/images/marker-shadow.png',
+    './vendor/leaflet.markercluster/leaflet.markercluster.js',
+    './vendor/leaflet.markercluster/MarkerCluster.css',
+    './vendor/leaflet.markercluster/MarkerCluster.Default.css',
+    './vendor/leaflet.heat/leaflet-heat.js',
+    './vendor/papaparse/papaparse.min.js',
+    './vendor/canvas-confetti/confetti.browser.js',
+    './vendor/xlsx/xlsx.full.min.js',
+];
+
+const TILE_HOSTS = /(^|\.)basemaps\.cartocdn\.com$/;
+const FONT_HOSTS = /^fonts\.(googleapis|gstatic)\.com$/;
+const DATA_PATHS = /\/(data\.csv|geocoded\.json|data\/.+)$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    // Borrar shells de versiones anteriores (mosaicos y datos se conservan)
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(k => k.startsWith('nuevoimpulso-shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+// Solo lee la cache: lo que se guarda es lo que se eligió bajar (con tope, ver MAX_OFFLINE_TILES en app.js)
+async function savedFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    // ignoreVary: los mosaicos guardados desde el panel se pidieron con otro Origin que los <img>
+    const hit = await cache.match(request, { ignoreVary: true });
+    // Una copia opaca no sirve para un pedido con CORS (el póster dibuja los mosaicos en un canvas)
+    if (hit && !(hit.type === 'opaque' && request.mode === 'cors')) return hit;
+    return fetch(request).catch(err => { if (hit) return hit; throw err; });
+}
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+    const cache = await caches.open(cacheName);
+    try {
+        const res = await fetch(request);
+        if (res.ok) cache.put(request, res.clone());
+        return res;
+    } catch (err) {
+        // La última copia, la del shell (p. ej. data/provincias.geojson) o la página base
+        const hit = await cache.match(request, { ignoreSearch: !!fallbackUrl })
+            || await caches.match(request)
+            || (fallbackUrl && await caches.match(fallbackUrl));
+        if (hit) return hit;
+        throw err;
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const hit = await cache.match(request);
+    const refresh = fetch(request).then(res => {
+        if (res.ok) cache.put(request, res.clone());
+        return res;
+    }).catch(() => hit);
+    return hit || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (TILE_HOSTS.test(url.hostname)) {
+        event.respondWith(savedFirst(request, TILE_CACHE));
+    } else if (FONT_HOSTS.test(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+    } else if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') event.respondWith(networkFirst(request, SHELL_CACHE, './index.html'));
+        else if (DATA_PATHS.test(url.pathname)) event.respondWith(networkFirst(request, DATA_CACHE));
+        else event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
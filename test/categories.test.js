@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Categories = require('../categories.js');
+
+test('createCategoryScale: orden natural, sin dato al final y formas cuando se repiten los colores', () => {
+    const palette = ['#111111', '#222222'];
+    const scale = Categories.createCategoryScale(['10', '2', '', '2', 'Centro', ' 10 '], { palette });
+    assert.deepStrictEqual(scale.entries.map(e => [e.key, e.count, e.color, e.shape]), [
+        ['2', 2, '#111111', 'pin'],
+        ['10', 2, '#222222', 'pin'],
+        ['Centro', 1, '#111111', 'circle'],
+        ['', 1, '#222222', 'circle'],
+    ]);
+    assert.strictEqual(scale.styleOf(' Centro').shape, 'circle');
+});
+
+test('con más valores que maxCategories los menos frecuentes van a "Otros"', () => {
+    const scale = Categories.createCategoryScale(['a', 'a', 'a', 'b', 'b', 'c', 'd'], { maxCategories: 3 });
+    assert.deepStrictEqual(scale.entries.map(e => [e.key, e.count]), [['a', 3], ['b', 2], [Categories.OTHER_KEY, 2]]);
+    assert.strictEqual(scale.keyOf('d'), Categories.OTHER_KEY);
+    assert.strictEqual(scale.styleOf('c').color, Categories.OTHER_COLOR);
+});
+
+test('los colores fijos reemplazan a la paleta y usan el pin', () => {
+    const scale = Categories.createCategoryScale(['capa-1', 'capa-2'], { palette: ['#111111'], colors: { 'capa-2': '#123456' } });
+    assert.deepStrictEqual(scale.entries.map(e => [e.key, e.color, e.shape]), [['capa-1', '#111111', 'pin'], ['capa-2', '#123456', 'pin']]);
+});
+
+test('paleta personalizada: solo colores hex, y la de la marca si no queda ninguno', () => {
+    assert.deepStrictEqual(Categories.parseCustomPalette('#e63946, 2a9d8f;rojo 264653 #abc'), ['#e63946', '#2a9d8f', '#264653', '#abc']);
+    assert.deepStrictEqual(Categories.paletteColors('custom', 'azul'), Categories.PALETTES[0].colors);
+    assert.deepStrictEqual(Categories.paletteColors('desconocida'), Categories.PALETTES[0].colors);
+    assert.strictEqual(Categories.paletteColors('okabe-ito')[0], '#e69f00');
+});
+
+test('donutSVG: un arco por categoría con cantidad y el total en el centro', () => {
+    const svg = Categories.donutSVG([{ color: '#ff0000', count: 3 }, { color: '#00ff00', count: 0 }, { color: '#0000ff', count: 1 }]);
+    assert.strictEqual((svg.match(/stroke-dasharray/g) || []).length, 2);
+    assert.ok(!svg.includes('#00ff00'));
+    assert.match(svg, />4<\/text>/);
+    assert.match(Categories.donutSVG([{ color: '#ff0000', count: 3 }], { label: '3+' }), />3\+<\/text>/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Choropleth = require('../choropleth.js');
+
+const square = (w, s, e, n) => [[w, s], [e, s], [e, n], [w, n], [w, s]];
+const areas = {
+    type: 'FeatureCollection',
+    features: [
+        // Con un hueco en el medio
+        { type: 'Feature', properties: { nombre: 'Anillo' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] } },
+        { type: 'Feature', properties: { nam: 'Islas' }, geometry: { type: 'MultiPolygon', coordinates: [[square(20, 0, 22, 2)], [square(30, 0, 32, 2)]] } },
+        { type: 'Feature', properties: { name: 'Punto' }, geometry: { type: 'Point', coordinates: [1, 1] } },
+    ],
+};
+
+test('pointInGeometry respeta los huecos y las partes de un MultiPolygon', () => {
+    const [ring, islands] = areas.features.map(f => f.geometry);
+    assert.strictEqual(Choropleth.pointInGeometry(ring, 2, 2), true);
+    assert.strictEqual(Choropleth.pointInGeometry(ring, 5, 5), false);
+    assert.strictEqual(Choropleth.pointInGeometry(islands, 31, 1), true);
+    assert.strictEqual(Choropleth.pointInGeometry(islands, 25, 1), false);
+    assert.strictEqual(Choropleth.pointInGeometry(null, 2, 2), false);
+});
+
+test('indexFeatures deja solo polígonos, con su nombre y su caja', () => {
+    const index = Choropleth.indexFeatures(areas);
+    assert.deepStrictEqual(index.map(i => [i.name, i.bbox]), [['Anillo', [0, 0, 10, 10]], ['Islas', [20, 0, 32, 2]]]);
+    assert.strictEqual(Choropleth.locate(index, 21, 1).name, 'Islas');
+    assert.strictEqual(Choropleth.locate(index, 5, 5), null);
+});
+
+test('aggregatePoints cuenta los puntos de cada área y los que quedan afuera', () => {
+    const index = Choropleth.indexFeatures(areas);
+    const points = [{ lat: 1, lon: 1 }, { lat: '9', lon: '9' }, { lat: 5, lon: 5 }, { lat: 1, lon: 31 }, { lat: 50, lon: 50 }];
+    assert.deepStrictEqual(Choropleth.aggregatePoints(index, points), { counts: [2, 1], outside: 2 });
+});
+
+test('quantileBreaks y colorFor: clases sobre los valores positivos, los ceros sin color', () => {
+    const breaks = Choropleth.quantileBreaks([0, 1, 2, 3, 4, 5, 6], 3);
+    assert.deepStrictEqual(breaks, [3, 5]);
+    const { SEQUENTIAL, EMPTY_COLOR } = Choropleth;
+    assert.deepStrictEqual([0, 1, 4, 6].map(v => Choropleth.colorFor(v, breaks)), [EMPTY_COLOR, SEQUENTIAL[0], SEQUENTIAL[3], SEQUENTIAL[5]]);
+    // Todos iguales: una sola clase, con el tono más fuerte
+    assert.deepStrictEqual(Choropleth.quantileBreaks([5, 5, 5]), []);
+    assert.strictEqual(Choropleth.colorFor(5, []), SEQUENTIAL[SEQUENTIAL.length - 1]);
+});
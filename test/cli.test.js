@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+const BIN = path.join(__dirname, '..', 'bin', 'nuevoimpulso.js');
+
+test('geocode --provider mock: sin red, con salida y sin resultados inventados en la cache', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nuevoimpulso-'));
+    try {
+        const input = path.join(dir, 'in.csv');
+        fs.writeFileSync(input, 'Region,Barrio,Direccion,Lat,Lon\n1,Palermo,Santa Fe 3200,,\n2,Centro,Calle 1,-34.6,-58.4\n');
+        const out = path.join(dir, 'out.csv');
+        const cache = path.join(dir, 'cache.json');
+        execFileSync(process.execPath, [BIN, 'geocode', input, '--provider', 'mock', '-o', out, '--cache', cache, '--quiet'], { stdio: 'pipe' });
+        const lines = fs.readFileSync(out, 'utf8').trim().split(/\r?\n/);
+        assert.strictEqual(lines.length, 3);
+        assert.match(lines[1], /Santa Fe 3200",-?\d+\.\d+,-?\d+\.\d+/);
+        const entries = JSON.parse(fs.readFileSync(cache, 'utf8')).entries;
+        assert.deepStrictEqual(entries.map(e => e.provider), ['source']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('geocode con un proveedor desconocido es un error de uso', () => {
+    const input = path.join(__dirname, '..', 'package.json');
+    assert.throws(
+        () => execFileSync(process.execPath, [BIN, 'geocode', input, '--provider', 'mokc'], { stdio: 'pipe' }),
+        err => err.status === 2 && /Proveedor desconocido: mokc/.test(String(err.stderr)),
+    );
+});
+
+test('geocode no baja la espera ni sube el paralelismo que pide Nominatim, y el CSV a stdout termina en salto de línea', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nuevoimpulso-'));
+    try {
+        // Todas las filas traen coordenadas: no se consulta al proveedor
+        const input = path.join(dir, 'in.csv');
+        fs.writeFileSync(input, 'Direccion,Lat,Lon\nCalle 1,-34.6,-58.4\n');
+        const res = spawnSync(process.execPath, [BIN, 'geocode', input, '--rate-limit', '0', '--concurrency', '8', '--quiet'], { encoding: 'utf8' });
+        assert.strictEqual(res.status, 0);
+        assert.match(res.stderr, /--rate-limit: Nominatim pide al menos 1200 ms/);
+        assert.match(res.stderr, /--concurrency: con Nominatim se hace una consulta a la vez/);
+        assert.ok(res.stdout.endsWith('\n'));
+        assert.strictEqual(res.stdout.trim().split('\n').length, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
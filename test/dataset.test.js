@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Dataset = require('../dataset.js');
+const GeoCache = require('../geocache.js');
+const JobQueue = require('../queue.js');
+const Geocoders = require('../geocoders.js');
+
+function setup(provider) {
+    const cache = GeoCache.createGeoCache({ legacyStorage: null });
+    const queue = JobQueue.createJobQueue({ concurrency: 2 });
+    let current = provider;
+    const lookups = { cache: 0, provider: 0 };
+    const geocoder = Dataset.createRowGeocoder({ cache, queue, provider: () => current, onLookup: s => { lookups[s]++; } });
+    return { cache, geocoder, lookups, use(p) { current = p; } };
+}
+
+// Proveedor de prueba que cuenta las consultas
+function fakeProvider(id, point = { lat: -34.6, lon: -58.4 }) {
+    const calls = [];
+    return { id, calls, async search(q) { calls.push(q); return { lat: point.lat, lon: point.lon, importance: 0.9, displayName: id }; } };
+}
+
+const row = { Region: '1', Barrio: 'Palermo', Direccion: 'Santa Fe 3200' };
+
+test('el simulado geocodifica sin red y no guarda nada en la cache', async () => {
+    const { cache, geocoder } = setup(Geocoders.mockProvider({ latencyMs: 0 }));
+    await cache.ready;
+    const geo = await geocoder.geocodeRow(row);
+    assert.ok(geo && Number.isFinite(geo.lat) && Number.isFinite(geo.lon));
+    assert.strictEqual(geo.matchType, 'full');
+    assert.strictEqual(cache.size, 0);
+});
+
+test('las entradas de otro proveedor se vuelven a consultar', async () => {
+    const nominatim = fakeProvider('nominatim');
+    const photon = fakeProvider('photon', { lat: -34.5, lon: -58.5 });
+    const { cache, geocoder, lookups, use } = setup(nominatim);
+    await cache.ready;
+    await geocoder.geocodeRow(row);
+    await geocoder.geocodeRow(row);
+    assert.strictEqual(nominatim.calls.length, 1);
+    assert.strictEqual(lookups.cache, 1);
+    use(photon);
+    const geo = await geocoder.geocodeRow(row);
+    assert.strictEqual(photon.calls.length, 1);
+    assert.strictEqual(geo.lat, -34.5);
+    assert.strictEqual(cache.get(Dataset.addressKey(row)).provider, 'photon');
+});
+
+test('las entradas a mano, del archivo o importadas sirven con cualquier proveedor', async () => {
+    const photon = fakeProvider('photon');
+    const { cache, geocoder } = setup(photon);
+    await cache.ready;
+    const key = Dataset.addressKey(row);
+    for (const provider of ['manual', 'source', 'import']) {
+        await cache.set(key, { lat: -30, lon: -60 }, { provider });
+        assert.strictEqual((await geocoder.geocodeRow(row)).lat, -30);
+    }
+    await cache.set(key, { lat: -30, lon: -60 }, { provider: 'mock' });
+    await geocoder.geocodeRow(row);
+    assert.strictEqual(photon.calls.length, 1);
+});
+
+test('geocodeQueries va de la consulta más precisa a la más gruesa', () => {
+    const queries = Dataset.geocodeQueries({ ...row, Region: 'Buenos Aires' });
+    assert.deepStrictEqual(queries.map(q => q.matchType), ['full', 'street-barrio', 'barrio']);
+    assert.strictEqual(queries[0].query.text, 'Santa Fe 3200, Palermo, Buenos Aires');
+    // La región numérica no se suma: full y street-barrio coinciden
+    assert.deepStrictEqual(Dataset.geocodeQueries(row).map(q => q.matchType), ['full', 'barrio']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Exporters = require('../exporters.js');
+const Importers = require('../importers.js');
+const Dataset = require('../dataset.js');
+
+const geo = (lat, lon) => ({ lat, lon, matchType: 'Dirección completa', importance: 0.8, displayName: 'San Martín 10', lowConfidence: false });
+
+test('las coordenadas van a las columnas del mapeo, sin agregar Lat/Lon', () => {
+    const fields = ['Domicilio', 'Latitud', 'Longitud'];
+    const records = [
+        { row: { Domicilio: 'San Martín 10', Latitud: '', Longitud: '' }, geo: geo(-31.4, -64.2) },
+        // Sin geocodificar: conserva las coordenadas que traía
+        { row: { Domicilio: 'Belgrano 5', Latitud: '-34.6', Longitud: '-58.4' }, geo: null },
+    ];
+    const { content } = Exporters.toCSV({ fields, records, coordColumns: { lat: 'Latitud', lon: 'Longitud' } });
+    const [header, ...lines] = content.split('\n');
+    assert.strictEqual(header, ['Domicilio', 'Latitud', 'Longitud', ...Exporters.GEO_COLUMNS].join(','));
+    assert.ok(lines[0].startsWith('"San Martín 10",-31.4,-64.2,'));
+    assert.ok(lines[1].startsWith('"Belgrano 5",-34.6,-58.4,'));
+});
+
+test('con columnas X/Y la geometría sale de ellas y no quedan como propiedades', () => {
+    const fields = ['Nombre', 'X', 'Y'];
+    const records = [{ row: { Nombre: 'Plaza', X: '-58.4', Y: '-34.6' }, geo: null }, { row: { Nombre: 'Sin datos', X: '', Y: '' }, geo: null }];
+    const { features } = JSON.parse(Exporters.toGeoJSON({ fields, records, coordColumns: { lat: 'Y', lon: 'X' } }).content);
+    assert.deepStrictEqual(features[0].geometry, { type: 'Point', coordinates: [-58.4, -34.6] });
+    assert.strictEqual(features[1].geometry, null);
+    assert.deepStrictEqual(Object.keys(features[0].properties), ['Nombre', ...Exporters.GEO_COLUMNS]);
+});
+
+test('sin mapeo se usan Lat/Lon, agregadas si el archivo no las tenía', () => {
+    assert.deepStrictEqual(Exporters.outputFields(['Dirección']), ['Dirección', 'Lat', 'Lon', ...Exporters.GEO_COLUMNS]);
+    assert.deepStrictEqual(Exporters.outputFields(['lat', 'lng']), ['lat', 'lng', ...Exporters.GEO_COLUMNS]);
+});
+
+test('el CSV exportado se vuelve a leer con el mismo mapeo y las mismas coordenadas', () => {
+    const { rows, fields } = Importers.parseCSV('Dirección,Barrio,Latitude,Longitude\nSan Martín 10,Centro,,\nBelgrano 5,Norte,-34.6,-58.4\n');
+    const mapping = Importers.guessMapping(fields);
+    const records = [{ row: rows[0], geo: geo(-31.4, -64.2) }, { row: rows[1], geo: null }];
+    const out = Exporters.toCSV({ fields, records, coordColumns: Dataset.coordColumns(fields, mapping) });
+
+    const again = Importers.parseCSV(out.content);
+    assert.deepStrictEqual(Importers.guessMapping(again.fields), mapping);
+    assert.deepStrictEqual(again.rows.map(r => Dataset.coordsOf(r, mapping)), [{ lat: -31.4, lon: -64.2 }, { lat: -34.6, lon: -58.4 }]);
+    assert.strictEqual(again.rows[0].GeoDisplayName, 'San Martín 10');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GeoCache = require('../geocache.js');
+
+// localStorage mínimo (Object.keys devuelve las claves guardadas, como en el navegador)
+function memoryStorage(items = {}) {
+    const storage = {};
+    Object.defineProperties(storage, {
+        getItem: { value: k => (k in storage ? storage[k] : null) },
+        setItem: { value: (k, v) => { storage[k] = String(v); } },
+        removeItem: { value: k => { delete storage[k]; } },
+    });
+    Object.entries(items).forEach(([k, v]) => storage.setItem(k, v));
+    return storage;
+}
+
+test('sin IndexedDB las claves geo: viejas se usan pero no se borran', async () => {
+    const legacyStorage = memoryStorage({ 'geo:santa fe 3200, palermo': JSON.stringify({ lat: -34.58, lng: -58.41 }), other: 'x' });
+    const cache = GeoCache.createGeoCache({ legacyStorage });
+    await cache.ready;
+    const entry = cache.get('Santa Fe 3200, Palermo');
+    assert.deepStrictEqual([entry.lat, entry.lon, entry.provider], [-34.58, -58.41, 'legacy']);
+    assert.ok(legacyStorage.getItem('geo:santa fe 3200, palermo'));
+});
+
+test('las entradas de proveedores vencen; las manuales y las del archivo no', async () => {
+    const cache = GeoCache.createGeoCache({ ttlMs: 1000, legacyStorage: null });
+    await cache.ready;
+    const old = Date.now() - 5000;
+    cache.set('a', { lat: -34.6, lon: -58.4, ts: old }, { provider: 'nominatim' });
+    cache.set('b', { lat: -34.6, lon: -58.4, ts: old }, { provider: 'manual' });
+    cache.set('c', { lat: -34.6, lon: -58.4, ts: old }, { provider: 'source' });
+    cache.set('d', { lat: -34.6, lon: -58.4 }, { provider: 'nominatim' });
+    assert.strictEqual(cache.get('a'), null);
+    assert.deepStrictEqual(['b', 'c', 'd'].map(k => cache.get(k) && cache.get(k).provider), ['manual', 'source', 'nominatim']);
+    assert.deepStrictEqual(cache.all().map(e => e.key).sort(), ['b', 'c', 'd']);
+});
+
+test('importar no pisa entradas más nuevas ni las existentes sin fecha', async () => {
+    const cache = GeoCache.createGeoCache({ legacyStorage: null });
+    await cache.ready;
+    const now = Date.now();
+    cache.set('Santa Fe 3200', { lat: 1, lon: 1, ts: now }, { provider: 'nominatim' });
+    cache.set('Corrientes 100', { lat: 1, lon: 1, ts: now - 1000 }, { provider: 'nominatim' });
+    const saved = await cache.importData({
+        schema: GeoCache.CACHE_SCHEMA,
+        entries: [
+            { key: 'santa fe 3200', lat: 2, lon: 2, ts: now - 5000, provider: 'photon' },
+            { key: 'corrientes 100', lat: 3, lon: 3, ts: now, provider: 'photon' },
+        ],
+    });
+    assert.strictEqual(saved, 1);
+    assert.strictEqual(cache.get('santa fe 3200').lat, 1);
+    assert.deepStrictEqual([cache.get('corrientes 100').lat, cache.get('corrientes 100').provider], [3, 'photon']);
+    // geocoded.json plano: sin fecha ni proveedor, solo suma lo que falta
+    assert.strictEqual(await cache.importData({ 'Santa Fe 3200': { lat: 9, lng: 9 }, 'Cabildo 50': { lat: 4, lng: 4 } }), 1);
+    assert.deepStrictEqual([cache.get('santa fe 3200').lat, cache.get('cabildo 50').provider], [1, 'import']);
+    assert.strictEqual(await cache.importData({ 'Santa Fe 3200': { lat: 9, lng: 9 } }, { overwrite: true }), 1);
+    assert.strictEqual(cache.get('santa fe 3200').lat, 9);
+});
+
+test('exportar e importar devuelve las mismas entradas', async () => {
+    const a = GeoCache.createGeoCache({ legacyStorage: null });
+    const b = GeoCache.createGeoCache({ legacyStorage: null });
+    await Promise.all([a.ready, b.ready]);
+    a.set('x', { lat: -31.4, lon: -64.2, importance: 0.7, displayName: 'X' }, { provider: 'photon', matchType: 'full' });
+    await b.importData(JSON.parse(JSON.stringify(a.exportData())));
+    assert.deepStrictEqual(b.get('x'), a.get('x'));
+    await assert.rejects(b.importData({ schema: GeoCache.CACHE_SCHEMA + 1, entries: [] }));
+});
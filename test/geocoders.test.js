@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Geocoders = require('../geocoders.js');
+
+// fetch de prueba: guarda las URLs pedidas y responde con body
+function stubFetch(t, body) {
+    const urls = [];
+    const original = global.fetch;
+    global.fetch = async (url) => {
+        urls.push(new URL(url));
+        return { ok: true, status: 200, headers: { get: () => null }, json: async () => body };
+    };
+    t.after(() => { global.fetch = original; });
+    return urls;
+}
+
+const hit = (lat, lon, state, name) => ({ lat: String(lat), lon: String(lon), importance: 0.8, display_name: name, address: { state } });
+
+test('nominatim manda calle, localidad y provincia por separado', async (t) => {
+    const urls = stubFetch(t, [hit(-31.4, -64.2, 'Córdoba', 'San Martín 10, Centro, Córdoba')]);
+    const provider = Geocoders.nominatimProvider({ rateLimitMs: 0 });
+    await provider.search({ text: 'San Martín 10, Centro, Córdoba', street: 'San Martín 10', barrio: 'Centro', city: '', state: 'Córdoba', region: 'Córdoba' });
+    const params = urls[0].searchParams;
+    assert.strictEqual(params.get('street'), 'San Martín 10');
+    assert.strictEqual(params.get('city'), 'Centro');
+    assert.strictEqual(params.get('state'), 'Córdoba');
+    assert.strictEqual(params.has('q'), false);
+});
+
+test('sin calle, nominatim busca por texto libre', async (t) => {
+    const urls = stubFetch(t, []);
+    const provider = Geocoders.nominatimProvider({ rateLimitMs: 0 });
+    await provider.search({ text: 'Centro, Córdoba', street: '', barrio: 'Centro', city: '', state: 'Córdoba', region: 'Córdoba' });
+    await provider.search('Centro');
+    assert.deepStrictEqual(urls.map(u => u.searchParams.get('q')), ['Centro, Córdoba', 'Centro']);
+});
+
+test('se descartan los resultados de otra provincia', async (t) => {
+    stubFetch(t, [hit(-34.6, -58.4, 'Ciudad Autónoma de Buenos Aires', 'San Martín 10, CABA'), hit(-31.4, -64.2, 'Córdoba', 'San Martín 10, Córdoba')]);
+    const provider = Geocoders.nominatimProvider({ rateLimitMs: 0 });
+    const query = { text: 'San Martín 10, Centro', street: 'San Martín 10', barrio: 'Centro', city: '', state: '', region: 'Córdoba' };
+    assert.strictEqual((await provider.search(query)).lat, -31.4);
+    assert.strictEqual(await provider.search({ ...query, region: 'Mendoza' }), null);
+    // Sin región (o con el número interno, que geocodeQueries no pasa) no se filtra
+    assert.strictEqual((await provider.search({ ...query, region: '' })).lat, -34.6);
+});
+
+test('photon también descarta los de otra provincia', async (t) => {
+    const feature = (lon, lat, state) => ({ geometry: { coordinates: [lon, lat] }, properties: { countrycode: 'AR', name: 'San Martín', state } });
+    stubFetch(t, { features: [feature(-58.4, -34.6, 'Buenos Aires'), feature(-64.2, -31.4, 'Córdoba')] });
+    const provider = Geocoders.photonProvider();
+    const geo = await provider.search({ text: 'San Martín 10', street: 'San Martín 10', barrio: '', city: '', state: '', region: 'Córdoba' });
+    assert.strictEqual(geo.lat, -31.4);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const I18n = require('../i18n.js');
+const Stats = require('../stats.js');
+const Validation = require('../validation.js');
+
+for (const id of Object.keys(I18n.LOCALES)) I18n.addMessages(id, require(`../locales/${id}.js`));
+
+test('a ningún catálogo le faltan claves del español', () => {
+    for (const id of Object.keys(I18n.LOCALES)) assert.deepStrictEqual(I18n.missingKeys(id), [], id);
+});
+
+test('t() reemplaza parámetros y elige la forma del plural', () => {
+    I18n.setLocale('en');
+    try {
+        assert.strictEqual(I18n.t('validation.detail.duplicate', { count: 1 }), '1 identical row');
+        assert.strictEqual(I18n.t('view.countTooltip', { count: 3, n: '3' }), '3 gatherings');
+    } finally {
+        I18n.setLocale('es');
+    }
+    assert.strictEqual(I18n.t('validation.detail.swapped', { lat: 1, lon: 2 }), 'Lat/Lon invertidas (1, 2)');
+});
+
+test('el resumen y el informe descargados tienen sus textos en los catálogos', () => {
+    // En español, los del catálogo son los mismos que usan stats.js y validation.js por defecto
+    for (const [key, text] of Object.entries(Stats.LABELS)) assert.strictEqual(I18n.t(`stats.csv.${key}`), text, key);
+    for (const [type, text] of Object.entries(Validation.TYPES)) assert.strictEqual(I18n.t(`validation.type.${type}`), text, type);
+    I18n.setLocale('en');
+    try {
+        assert.strictEqual(I18n.t('stats.csv.successRate'), 'Success rate');
+        assert.strictEqual(I18n.t('validation.report.row'), 'Row');
+    } finally {
+        I18n.setLocale('es');
+    }
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Importers = require('../importers.js');
+
+test('CSV con punto y coma guardado desde Excel (windows-1252)', () => {
+    const bytes = Uint8Array.from([...'Dirección;Barrio\nCalle 1;Ñuñoa\n'].map(c => c.charCodeAt(0)));
+    const { rows, fields, delimiter } = Importers.parseCSV(bytes);
+    assert.strictEqual(delimiter, ';');
+    assert.deepStrictEqual(fields, ['Dirección', 'Barrio']);
+    assert.deepStrictEqual(rows, [{ Dirección: 'Calle 1', Barrio: 'Ñuñoa' }]);
+});
+
+test('normalizeRows descarta filas vacías y celdas de más', () => {
+    const { rows, fields } = Importers.parseCSV('A,B\n1,2,3\n,,\n\n4,5\n');
+    assert.deepStrictEqual(Importers.normalizeRows(rows, fields), [{ A: '1', B: '2' }, { A: '4', B: '5' }]);
+});
+
+test('GeoJSON: una fila por feature, con el centro de la geometría', () => {
+    const data = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { nombre: 'Punto', extra: { a: 1 } }, geometry: { type: 'Point', coordinates: [-58.4, -34.6] } },
+            { type: 'Feature', properties: { nombre: 'Caja' }, geometry: { type: 'Polygon', coordinates: [[[-60, -30], [-58, -30], [-58, -32], [-60, -32], [-60, -30]]] } },
+            { type: 'Feature', properties: { nombre: 'Sin geometría' }, geometry: null },
+        ],
+    };
+    const { rows, fields } = Importers.parseGeoJSON(JSON.stringify(data));
+    assert.deepStrictEqual(fields, ['nombre', 'extra', 'Lat', 'Lon']);
+    assert.deepStrictEqual(rows.map(r => [r.nombre, r.Lat, r.Lon]), [['Punto', -34.6, -58.4], ['Caja', -31, -59], ['Sin geometría', '', '']]);
+    assert.strictEqual(rows[0].extra, '{"a":1}');
+});
+
+test('un polígono con cientos de miles de vértices no desborda la pila', () => {
+    const ring = [];
+    for (let i = 0; i < 300000; i++) {
+        const a = (i / 300000) * 2 * Math.PI;
+        ring.push([-64 + 3 * Math.cos(a), -31 + 2 * Math.sin(a)]);
+    }
+    const feature = { type: 'Feature', properties: { nombre: 'Córdoba' }, geometry: { type: 'MultiPolygon', coordinates: [[ring]] } };
+    const [row] = Importers.parseGeoJSON(JSON.stringify(feature)).rows;
+    assert.ok(Math.abs(row.Lat + 31) < 1e-6 && Math.abs(row.Lon + 64) < 1e-6);
+});
+
+test('guessMapping reconoce los nombres habituales de cada columna', () => {
+    assert.deepStrictEqual(Importers.guessMapping(['Domicilio', 'Barrio', 'Provincia', 'Latitud', 'Longitud']),
+        { address: 'Domicilio', barrio: 'Barrio', region: 'Provincia', city: '', lat: 'Latitud', lon: 'Longitud' });
+    const xy = Importers.guessMapping(['Dirección del encuentro', 'X', 'Y']);
+    assert.deepStrictEqual([xy.address, xy.lat, xy.lon], ['Dirección del encuentro', 'Y', 'X']);
+});
+
+test('detectFormat por extensión o tipo, y la firma no depende del orden', () => {
+    assert.deepStrictEqual(['a.xlsx', 'b.geojson', 'c.kml', 'd.txt'].map(n => Importers.detectFormat(n)), ['sheet', 'geojson', 'kml', 'csv']);
+    assert.strictEqual(Importers.detectFormat('datos', 'application/vnd.oasis.opendocument.spreadsheet'), 'sheet');
+    assert.strictEqual(Importers.headerSignature(['Lat', 'Dirección']), Importers.headerSignature(['direccion', 'lat']));
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Permalink = require('../permalink.js');
+
+test('el estado sobrevive ida y vuelta por el hash', () => {
+    const state = {
+        view: { zoom: 12, lat: -34.60372, lon: -58.38159 },
+        cluster: 40,
+        text: 'santa fe',
+        regions: ['1', '2'],
+        barrios: ['Villa Crespo'],
+        hidden: ['__otros__'],
+        area: { level: 'provincias', name: 'Córdoba' },
+        time: { from: '2024-03', to: '2024-12' },
+        marker: 'santa fe 3200, palermo',
+    };
+    const hash = Permalink.stringify(state);
+    assert.match(hash, /^map=12\/-34\.60372\/-58\.38159&cluster=40&q=santa\+fe&region=1&region=2/);
+    assert.deepStrictEqual(Permalink.parse('#' + hash), state);
+});
+
+test('lo que no se entiende se omite', () => {
+    assert.deepStrictEqual(Permalink.parse('#map=12/300/0&cluster=abc&from=2024-3&to=2024-12'), {});
+    assert.deepStrictEqual(Permalink.parse('#cluster=500&area=Salta'), { cluster: 100, area: { level: 'provincias', name: 'Salta' } });
+});
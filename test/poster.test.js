@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Poster = require('../poster.js');
+
+test('unproject deshace project', () => {
+    for (const [lat, lon, zoom] of [[-34.6, -58.4, 4], [-54.8, -68.3, 10.5], [0, 0, 0]]) {
+        const p = Poster.project(lat, lon, zoom);
+        const back = Poster.unproject(p.x, p.y, zoom);
+        assert.ok(Math.abs(back.lat - lat) < 1e-9 && Math.abs(back.lon - lon) < 1e-9);
+    }
+});
+
+test('la vista cubre la caja pedida aunque la hoja tenga otra forma', () => {
+    const box = { south: -55, west: -74, north: -21, east: -53 };
+    const bounds = Poster.viewBounds(Poster.fitView(box, 2000, 1000));
+    assert.ok(bounds.south <= box.south + 1e-6 && bounds.north >= box.north - 1e-6);
+    // Hoja apaisada y país alto: sobra a los costados
+    assert.ok(bounds.west < box.west - 1 && bounds.east > box.east + 1);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JobQueue = require('../queue.js');
+
+test('respeta la concurrencia', async () => {
+    const queue = JobQueue.createJobQueue({ concurrency: 2 });
+    let running = 0, peak = 0;
+    const job = async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(res => setTimeout(res, 5));
+        running--;
+    };
+    await Promise.all(Array.from({ length: 6 }, () => queue.push(job)));
+    assert.strictEqual(peak, 2);
+    assert.strictEqual(queue.stats().completed, 6);
+});
+
+test('reintenta los errores transitorios y no los demás', async () => {
+    const queue = JobQueue.createJobQueue({ baseDelayMs: 1, maxRetries: 2 });
+    const flaky = await queue.push(async attempt => {
+        if (attempt < 2) throw Object.assign(new Error('caído'), { status: 503 });
+        return attempt;
+    });
+    assert.strictEqual(flaky, 2);
+    let calls = 0;
+    await assert.rejects(queue.push(async () => { calls++; throw Object.assign(new Error('no existe'), { status: 404 }); }), /no existe/);
+    assert.strictEqual(calls, 1);
+});
+
+test('cancel descarta lo pendiente y no arrastra el freno de un 429', async () => {
+    const queue = JobQueue.createJobQueue({ concurrency: 1 });
+    const limited = queue.push(async () => { throw Object.assign(new Error('demasiados pedidos'), { status: 429, retryAfterMs: 60000 }); });
+    const waiting = queue.push(async () => 'nunca');
+    await new Promise(res => setTimeout(res, 10));
+    queue.cancel();
+    await assert.rejects(limited, err => err.cancelled);
+    await assert.rejects(waiting, err => err.cancelled);
+    const started = Date.now();
+    assert.strictEqual(await queue.push(async () => 'ok'), 'ok');
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('cancel(group) descarta solo los trabajos de ese grupo', async () => {
+    const queue = JobQueue.createJobQueue({ concurrency: 1 });
+    const slow = () => new Promise(res => setTimeout(() => res('listo'), 10));
+    const cancelled = [queue.push(slow, 'a'), queue.push(async () => 'a', 'a')].map(p => assert.rejects(p, err => err.cancelled));
+    const b = queue.push(async () => 'b', 'b');
+    const free = queue.push(async () => 'sin grupo');
+    queue.cancel('a');
+    await Promise.all(cancelled);
+    assert.deepStrictEqual(await Promise.all([b, free]), ['b', 'sin grupo']);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Spatial = require('../spatial.js');
+const Nearest = require('../nearest.js');
+
+// Números pseudoaleatorios con semilla, para que una falla se pueda repetir
+function random(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 0x100000000;
+    };
+}
+
+function points(n, rnd) {
+    return Array.from({ length: n }, (_, id) => ({ id, lat: -55 + rnd() * 33, lon: -74 + rnd() * 20, even: id % 2 === 0 }));
+}
+
+function build(list, cellDeg) {
+    const index = Spatial.createGridIndex({ cellDeg });
+    list.forEach(p => index.add(p, p.lat, p.lon));
+    return index;
+}
+
+test('countInBounds cuenta lo mismo que recorrer todos los puntos', () => {
+    const rnd = random(7);
+    const list = points(3000, rnd);
+    const index = build(list, 0.25);
+    index.refresh(p => p.even);
+    for (let i = 0; i < 50; i++) {
+        const south = -55 + rnd() * 33, west = -74 + rnd() * 20;
+        const box = { south, west, north: south + rnd() * 10, east: west + rnd() * 10 };
+        const expected = list.filter(p => p.even && p.lat >= box.south && p.lat <= box.north && p.lon >= box.west && p.lon <= box.east).length;
+        assert.strictEqual(index.countInBounds(box), expected);
+    }
+});
+
+test('nearest devuelve los mismos que ordenar todos por distancia', () => {
+    const rnd = random(11);
+    const list = points(2000, rnd);
+    for (const cellDeg of [0.1, 0.25, 2]) {
+        const index = build(list, cellDeg);
+        index.refresh(p => p.even);
+        for (let i = 0; i < 20; i++) {
+            const origin = { lat: -55 + rnd() * 33, lon: -74 + rnd() * 20 };
+            const expected = list.filter(p => p.even)
+                .map(p => ({ id: p.id, km: Nearest.distanceKm(origin, p) }))
+                .sort((a, b) => a.km - b.km)
+                .slice(0, 5);
+            const got = index.nearest(origin, 5, Nearest.distanceKm).map(r => ({ id: r.item.id, km: r.km }));
+            assert.deepStrictEqual(got, expected);
+        }
+    }
+});
+
+test('remove saca el punto aunque se haya movido de celda', () => {
+    const list = points(100, random(3));
+    const index = build(list, 0.25);
+    assert.ok(index.remove(list[0], 0, 0));
+    assert.ok(index.remove(list[1], list[1].lat, list[1].lon));
+    assert.strictEqual(index.remove(list[1], list[1].lat, list[1].lon), false);
+    assert.strictEqual(index.size, 98);
+    assert.strictEqual(index.countInBounds({ south: -90, west: -180, north: 90, east: 180 }), 98);
+});
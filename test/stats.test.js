@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Stats = require('../stats.js');
+
+const geo = (matchType, lowConfidence = false) => ({ lat: -34, lon: -58, matchType, lowConfidence });
+const rows = [
+    { Region: '10', Barrio: 'Centro', _geo: geo('full') },
+    { Region: '2', Barrio: 'Centro', _geo: geo('full', true) },
+    { Region: '2', Barrio: 'Norte', _geo: geo('barrio') },
+    { Region: '10', Barrio: '' },
+    { Region: '', Barrio: 'Sur' },
+];
+const options = { regionOf: r => r.Region, barrioOf: r => r.Barrio };
+
+test('summarize: ubicadas, pendientes, sin ubicar y tasas', () => {
+    const s = Stats.summarize(rows, { ...options, pending: 1, lookups: { cache: 3, provider: 1 } });
+    assert.deepStrictEqual([s.total, s.geocoded, s.pending, s.failed], [5, 3, 1, 1]);
+    assert.strictEqual(s.successRate, 0.75);
+    assert.strictEqual(s.cacheHitRate, 0.75);
+    assert.strictEqual(s.lowConfidence, 1);
+    assert.deepStrictEqual(s.byMatch, [{ type: 'full', count: 2 }, { type: 'barrio', count: 1 }]);
+    // Orden natural de regiones, sin dato al final
+    assert.deepStrictEqual(s.byRegion, [{ key: '2', count: 2, geocoded: 2 }, { key: '10', count: 2, geocoded: 1 }, { key: '', count: 1, geocoded: 0 }]);
+    assert.deepStrictEqual(s.topBarrios, [{ key: 'Centro', count: 2 }, { key: 'Norte', count: 1 }, { key: 'Sur', count: 1 }]);
+    assert.strictEqual(s.barrioCount, 3);
+});
+
+test('sin datos las tasas quedan vacías y pending no supera a las no ubicadas', () => {
+    const s = Stats.summarize(rows.slice(0, 1), { ...options, pending: 5 });
+    assert.deepStrictEqual([s.pending, s.failed, s.successRate, s.cacheHitRate], [0, 0, 1, null]);
+    assert.strictEqual(Stats.summarize([], options).successRate, null);
+});
+
+test('toCSV: una línea por número, con los textos y etiquetas que se le pasen', () => {
+    const s = Stats.summarize(rows, { ...options, topBarrios: 1 });
+    const lines = Stats.toCSV(s, { matchLabel: m => `match:${m}`, regionLabel: k => k || 'Sin región' }).split('\n');
+    assert.strictEqual(lines[0], 'Sección,Dato,Valor');
+    assert.ok(lines.includes('"Totales","Sin ubicar","2"'));
+    assert.ok(lines.includes('"Geocodificación","Tasa de éxito","60.0%"'));
+    assert.ok(lines.includes('"Geocodificación","Aciertos de la caché",""'));
+    assert.ok(lines.includes('"Calidad","match:barrio","1"'));
+    assert.ok(lines.includes('"Región","Sin región","1"'));
+    assert.deepStrictEqual(lines.filter(l => l.startsWith('"Barrio"')), ['"Barrio","Centro","2"']);
+
+    const en = Stats.toCSV(s, { labels: { section: 'Section', item: 'Item', value: 'Value', totals: 'Totals', total: 'Gatherings' } }).split('\n');
+    assert.strictEqual(en[0], 'Section,Item,Value');
+    assert.strictEqual(en[1], '"Totals","Gatherings","5"');
+});
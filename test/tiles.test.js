@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Tiles = require('../tiles.js');
+
+const buenosAires = { south: -34.7, west: -58.5, north: -34.5, east: -58.3 };
+
+test('tileRange: los mosaicos que cubren la caja, con la y creciendo hacia el sur', () => {
+    assert.deepStrictEqual(Tiles.tileRange(buenosAires, 10), { z: 10, minX: 345, maxX: 346, minY: 616, maxY: 617 });
+    // El mundo entero, con latitudes fuera de Web Mercator recortadas
+    assert.deepStrictEqual(Tiles.tileRange({ south: -90, west: -180, north: 90, east: 180 }, 2), { z: 2, minX: 0, maxX: 3, minY: 0, maxY: 3 });
+});
+
+test('countTiles suma todos los niveles y coincide con tileUrls', () => {
+    assert.strictEqual(Tiles.countTiles({ south: -90, west: -180, north: 90, east: 180 }, 0, 2), 1 + 4 + 16);
+    assert.strictEqual(Tiles.countTiles(buenosAires, 10, 12), Tiles.tileUrls(buenosAires, 10, 12, { template: '{z}/{x}/{y}' }).length);
+});
+
+test('tileUrl arma la URL como L.TileLayer: subdominio por x+y y sufijo retina', () => {
+    const template = 'https://{s}.tile.example.org/{z}/{x}/{y}{r}.png';
+    assert.strictEqual(Tiles.tileUrl(template, { x: 345, y: 616, z: 10 }), 'https://b.tile.example.org/10/345/616.png');
+    assert.strictEqual(Tiles.tileUrl(template, { x: 346, y: 617, z: 10 }, { retina: true }), 'https://a.tile.example.org/10/346/617@2x.png');
+    assert.strictEqual(Tiles.tileUrl('https://{s}.x/{ z }/{x}/{y}', { x: 1, y: 0, z: 1 }, { subdomains: ['m1', 'm2'] }), 'https://m2.x/1/1/0');
+    assert.deepStrictEqual(Tiles.tileUrls(buenosAires, 10, 10, { template: '{z}/{x}/{y}' }), ['10/345/616', '10/345/617', '10/346/616', '10/346/617']);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Timeline = require('../timeline.js');
+
+const local = (...args) => new Date(...args).getTime();
+
+test('parseDate lee ISO, D/M/A y M/D/A', () => {
+    assert.strictEqual(Timeline.parseDate('2024-03-15'), local(2024, 2, 15));
+    assert.strictEqual(Timeline.parseDate('2024-03-15T18:30'), local(2024, 2, 15, 18, 30));
+    assert.strictEqual(Timeline.parseDate('15/03/2024 18:30 hs'), local(2024, 2, 15, 18, 30));
+    assert.strictEqual(Timeline.parseDate('3/15/24', { dayFirst: false }), local(2024, 2, 15));
+    assert.strictEqual(Timeline.parseDate('31/02/2024'), null);
+    assert.strictEqual(Timeline.parseDate('mañana'), null);
+    assert.strictEqual(Timeline.guessDayFirst(['03/15/2024', '04/20/2024']), false);
+});
+
+test('el histograma mensual no deja huecos y acumula', () => {
+    const bins = Timeline.monthlyHistogram([local(2024, 0, 10), local(2024, 2, 1), local(2024, 2, 31, 23), NaN]);
+    assert.deepStrictEqual(bins.map(b => [b.key, b.count, b.cumulative]), [['2024-01', 1, 1], ['2024-02', 0, 1], ['2024-03', 2, 3]]);
+    assert.deepStrictEqual(Timeline.monthBounds('2024-03'), { start: local(2024, 2, 1), end: local(2024, 3, 1) });
+    assert.strictEqual(Timeline.monthBounds('2024-13'), null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Validation = require('../validation.js');
+
+const columns = { address: 'Direccion', barrio: 'Barrio', lat: 'Lat', lon: 'Lon' };
+const fields = ['Barrio', 'Direccion', 'Lat', 'Lon'];
+const types = issues => issues.map(i => `${i.type}:${i.rows.join('+')}`).sort();
+
+test('detecta coordenadas invertidas, sin decimales, fuera del país e ilegibles', () => {
+    const rows = [
+        { Barrio: 'A', Direccion: 'Calle 1', Lat: '-34.6', Lon: '-58.4' },
+        { Barrio: 'B', Direccion: 'Calle 2', Lat: '-58.4', Lon: '-34.6' },
+        { Barrio: 'C', Direccion: 'Calle 3', Lat: '-34603722', Lon: '-58381592' },
+        { Barrio: 'D', Direccion: 'Calle 4', Lat: '40.7', Lon: '-74' },
+        { Barrio: 'E', Direccion: 'Calle 5', Lat: 'abc', Lon: '-58' },
+    ];
+    const issues = Validation.validate(rows, { fields, columns });
+    assert.deepStrictEqual(types(issues), ['bad-coords:4', 'decimal:2', 'outside:3', 'swapped:1']);
+    const byType = Object.fromEntries(issues.map(i => [i.type, i]));
+    assert.deepStrictEqual(byType.swapped.fix, { lat: -34.6, lon: -58.4 });
+    assert.deepStrictEqual(byType.decimal.fix, { lat: -34.603722, lon: -58.381592 });
+    assert.deepStrictEqual(byType.outside.fix, { lat: '', lon: '' });
+    assert.deepStrictEqual(byType.swapped.params, { lat: -58.4, lon: -34.6 });
+});
+
+test('filas sin nada para ubicar, repetidas y con la misma dirección escrita distinto', () => {
+    const rows = [
+        { Barrio: '', Direccion: '', Lat: '', Lon: '' },
+        { Barrio: 'Palermo', Direccion: 'Av. Gral Paz 100', Lat: '', Lon: '' },
+        { Barrio: 'Palermo', Direccion: 'Av. Gral Paz 100', Lat: '', Lon: '' },
+        { Barrio: 'Palermo', Direccion: 'Avenida General Paz Nº 100', Lat: '', Lon: '' },
+    ];
+    const issues = Validation.validate(rows, { fields, columns });
+    assert.deepStrictEqual(types(issues), ['duplicate:1+2', 'missing:0', 'near-duplicate:1+3']);
+    assert.deepStrictEqual(issues.find(i => i.type === 'duplicate').params, { count: 2 });
+});
+
+test('sin dirección, borrar coordenadas malas no se ofrece como arreglo', () => {
+    const [issue] = Validation.validate([{ Barrio: '', Direccion: '', Lat: '40.7', Lon: '-74' }], { fields, columns });
+    assert.strictEqual(issue.type, 'outside');
+    assert.strictEqual(issue.fix, undefined);
+});
+
+test('applyFix escribe la corrección y el informe sale en español por defecto', () => {
+    const row = { Barrio: 'B', Direccion: 'Calle 2', Lat: '-58.4', Lon: '-34.6' };
+    const [issue] = Validation.validate([row], { fields, columns });
+    assert.ok(Validation.applyFix(row, issue, columns));
+    assert.deepStrictEqual([row.Lat, row.Lon], ['-34.6', '-58.4']);
+    const csv = Validation.toCSV([issue], { rowLabel: () => 'Calle 2', statusOf: () => 'Corregido' }).split('\n');
+    assert.strictEqual(csv[0], 'Fila,Problema,Detalle,Estado,Datos');
+    assert.strictEqual(csv[1], '"1","Lat/Lon invertidas","Lat/Lon invertidas (-58.4, -34.6)","Corregido","Calle 2"');
+});
+
+test('el informe usa los textos que se le pasan (los del idioma elegido)', () => {
+    const [issue] = Validation.validate([{ Barrio: 'B', Direccion: 'Calle 2', Lat: '-58.4', Lon: '-34.6' }], { fields, columns });
+    const csv = Validation.toCSV([issue], {
+        rowLabel: () => 'Calle 2',
+        statusOf: () => 'Pending',
+        typeLabel: type => `type:${type}`,
+        detailOf: i => `Swapped Lat/Lon (${i.params.lat}, ${i.params.lon})`,
+        header: ['Row', 'Issue', 'Detail', 'Status', 'Data'],
+    }).split('\n');
+    assert.strictEqual(csv[0], 'Row,Issue,Detail,Status,Data');
+    assert.strictEqual(csv[1], '"1","type:swapped","Swapped Lat/Lon (-58.4, -34.6)","Pending","Calle 2"');
+});
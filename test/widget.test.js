@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// widget.js busca Leaflet y los demás módulos en el global de la página (self)
+global.self = global;
+global.Dataset = require('../dataset.js');
+global.Importers = require('../importers.js');
+global.Categories = require('../categories.js');
+
+// Lo justo de Leaflet y del DOM para que el widget arme su mapa
+function fakeElement() {
+    const classes = new Set();
+    return {
+        hidden: false,
+        textContent: '',
+        dispatched: [],
+        classList: {
+            add: (...c) => c.forEach(x => classes.add(x)),
+            remove: (...c) => c.forEach(x => classes.delete(x)),
+            toggle: (c, on) => (on ? classes.add(c) : classes.delete(c)),
+            contains: c => classes.has(c),
+        },
+        children: [],
+        append(...els) { this.children.push(...els); },
+        remove() {},
+        setAttribute() {},
+        dispatchEvent(e) { this.dispatched.push(e); return true; },
+    };
+}
+global.document = { createElement: fakeElement };
+const markers = []; // los marcadores creados, en orden
+global.L = {
+    map: () => ({
+        setView() { return this; },
+        on() { return this; },
+        addLayer() { return this; },
+        removeLayer() { return this; },
+        hasLayer: () => false,
+        remove() {},
+    }),
+    tileLayer: () => ({ addTo() { return this; }, setUrl() {} }),
+    layerGroup: () => {
+        const layers = new Set();
+        return { addLayer: m => layers.add(m), clearLayers: () => layers.clear(), hasLayer: m => layers.has(m), layers };
+    },
+    marker: (latlng, options) => {
+        const handlers = {};
+        const marker = { latlng, options, bindPopup() { return this; }, on(name, fn) { handlers[name] = fn; return this; }, fire: name => handlers[name]() };
+        markers.push(marker);
+        return marker;
+    },
+    divIcon: options => options,
+};
+
+const NuevoImpulsoMap = require('../widget.js');
+
+const rows = [
+    { Region: '1', Barrio: 'Palermo', Direccion: 'Santa Fe 3200', Lat: '-34.58', Lon: '-58.41' },
+    { Region: '2', Barrio: 'Centro', Direccion: 'San Martín 10', Lat: '-31.41', Lon: '-64.18' },
+    { Region: '2', Barrio: 'Güemes', Direccion: 'Belgrano 800', Lat: '', Lon: '' },
+];
+
+function createWidget() {
+    const container = fakeElement();
+    return { container, widget: NuevoImpulsoMap.create(container, { cluster: 0 }) };
+}
+
+test('create arma el mapa en el contenedor y setData avisa cuántas filas se ubicaron', async () => {
+    const { container, widget } = createWidget();
+    assert.ok(container.classList.contains('nim-widget'));
+    const loaded = [];
+    widget.on('loaded', d => loaded.push(d));
+    const detail = await widget.setData(rows);
+    assert.deepStrictEqual(detail, { total: 3, located: 2, unlocated: 1 });
+    assert.deepStrictEqual(loaded, [detail]);
+    assert.ok(container.dispatched.some(e => e.type === 'nuevoimpulso:loaded'));
+});
+
+test('getRows devuelve todas las filas o solo las que pasan los filtros', async () => {
+    const { widget } = createWidget();
+    await widget.setData(rows);
+    assert.deepStrictEqual(widget.getRows().map(r => [r.row.Direccion, r.lat, r.lon]),
+        [['Santa Fe 3200', -34.58, -58.41], ['San Martín 10', -31.41, -64.18], ['Belgrano 800', null, null]]);
+    const filtered = [];
+    widget.on('filter', d => filtered.push(d));
+    assert.strictEqual(widget.filter({ regions: '2' }), 1);
+    assert.deepStrictEqual(filtered, [{ matched: 1, total: 2 }]);
+    assert.deepStrictEqual(widget.getRows({ filtered: true }).map(r => r.row.Direccion), ['San Martín 10']);
+});
+
+test('el click en un marcador emite markerclick con el id de la fila', async () => {
+    const { widget } = createWidget();
+    await widget.setData(rows);
+    const clicks = [];
+    const off = widget.on('markerclick', d => clicks.push(d));
+    const marker = markers.findLast(m => m.options.item.row === rows[1]);
+    marker.fire('click');
+    off();
+    marker.fire('click');
+    assert.deepStrictEqual(clicks, [{ id: widget.getRows()[1].id, row: rows[1], lat: -31.41, lon: -64.18 }]);
+});
+
+test('setData con un archivo ilegible emite error y muestra el estado de error', async () => {
+    const { container, widget } = createWidget();
+    const errors = [];
+    widget.on('error', d => errors.push(d.error));
+    await assert.rejects(widget.setData('{"type": "FeatureCollection", ', { format: 'geojson' }), SyntaxError);
+    assert.strictEqual(errors.length, 1);
+    const status = container.children.find(c => c.className === 'nim-status');
+    assert.strictEqual(status.hidden, false);
+    assert.ok(status.classList.contains('error'));
+});
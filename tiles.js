@@ -0,0 +1,61 @@
+/*
+  Cuentas de mosaicos (tiles) Web Mercator para guardar un área sin conexión.
+  - tileRange(bounds, z): rango de x/y que cubre una caja { south, west, north, east }
+  - countTiles(bounds, minZoom, maxZoom): cuántos mosaicos hay que bajar
+  - tileUrls(bounds, minZoom, maxZoom, { template, subdomains, retina }): las URLs,
+    armadas igual que L.TileLayer para que coincidan con las que pide el mapa
+*/
+(function (root) {
+    const MAX_LAT = 85.0511287798;
+
+    function lonToX(lon, z) { return Math.floor((lon + 180) / 360 * Math.pow(2, z)); }
+
+    function latToY(lat, z) {
+        const rad = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * Math.PI / 180;
+        return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, z));
+    }
+
+    function tileRange({ south, west, north, east }, z) {
+        const max = Math.pow(2, z) - 1;
+        const clamp = v => Math.max(0, Math.min(max, v));
+        return {
+            z,
+            minX: clamp(lonToX(west, z)),
+            maxX: clamp(lonToX(east, z)),
+            // En Web Mercator la y crece hacia el sur
+            minY: clamp(latToY(north, z)),
+            maxY: clamp(latToY(south, z)),
+        };
+    }
+
+    function countTiles(bounds, minZoom, maxZoom) {
+        let total = 0;
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const r = tileRange(bounds, z);
+            total += (r.maxX - r.minX + 1) * (r.maxY - r.minY + 1);
+        }
+        return total;
+    }
+
+    // Misma sustitución que L.Util.template y misma elección de subdominio que L.TileLayer
+    function tileUrl(template, { x, y, z }, { subdomains = 'abc', retina = false } = {}) {
+        const s = subdomains[Math.abs(x + y) % subdomains.length];
+        const data = { s, x, y, z, r: retina ? '@2x' : '' };
+        return template.replace(/\{ *([\w_-]+) *\}/g, (m, key) => String(data[key] ?? ''));
+    }
+
+    function tileUrls(bounds, minZoom, maxZoom, { template, subdomains, retina } = {}) {
+        const urls = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const r = tileRange(bounds, z);
+            for (let x = r.minX; x <= r.maxX; x++) {
+                for (let y = r.minY; y <= r.maxY; y++) urls.push(tileUrl(template, { x, y, z }, { subdomains, retina }));
+            }
+        }
+        return urls;
+    }
+
+    const api = { tileRange, countTiles, tileUrl, tileUrls };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Tiles = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,137 @@
+/*
+  Fechas de los encuentros y línea de tiempo por mes.
+  - parseDate(value, { dayFirst }): timestamp (ms, hora local) o null. Acepta ISO
+    (2024-03-15, 2024-03-15T18:30, 2024-03), D/M/A o M/D/A con "/", "-" o "." y
+    año de 2 o 4 cifras, con hora opcional ("15/03/2024 18:30", "15-3-24 18:30 hs")
+  - guessDayFirst(values): false si la columna viene como M/D/A (planillas en inglés)
+  - detectDateColumns(rows, fields): columnas donde casi todos los valores son fechas
+  - monthlyHistogram(timestamps): un casillero por mes (sin huecos) con el acumulado
+  - monthKey(t) / monthBounds(key): '2024-03' <-> { start, end } del mes
+*/
+(function (root) {
+    const ISO = /^(\d{4})-(\d{1,2})(?:-(\d{1,2})(?:[T\s](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?)?$/;
+    const ISO_WITH_ZONE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+    const DMY = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:[\sT,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(?:hs?\.?)?)?$/i;
+    // Nombres de columna que suelen traer la fecha del encuentro (se prefieren al detectar)
+    const NAME_HINT = /fecha|date|d[ií]a|cu[aá]ndo|inicio/i;
+
+    function build(y, mo, d, h = 0, mi = 0, s = 0) {
+        if (mo < 1 || mo > 12 || d < 1 || d > 31 || h > 23 || mi > 59 || s > 59) return null;
+        const date = new Date(y, mo - 1, d, h, mi, s);
+        // Descarta fechas que Date "corrige" (31/02 -> 03/03)
+        if (date.getFullYear() !== y || date.getMonth() !== mo - 1 || date.getDate() !== d) return null;
+        return date.getTime();
+    }
+
+    function parseDate(value, { dayFirst = true } = {}) {
+        const s = String(value ?? '').trim();
+        if (!s) return null;
+        if (ISO_WITH_ZONE.test(s)) {
+            const t = Date.parse(s);
+            return Number.isNaN(t) ? null : t;
+        }
+        let m = s.match(ISO);
+        if (m) return build(+m[1], +m[2], +(m[3] || 1), +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+        m = s.match(DMY);
+        if (m) {
+            const [a, b] = [+m[1], +m[2]];
+            let y = +m[3];
+            if (m[3].length === 2) y += y < 70 ? 2000 : 1900;
+            const [d, mo] = dayFirst ? [a, b] : [b, a];
+            return build(y, mo, d, +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+        }
+        return null;
+    }
+
+    // Con "13/02" no hay duda de que va primero el día; con "02/13", el mes
+    function guessDayFirst(values) {
+        let dayFirst = 0, monthFirst = 0;
+        for (const v of values) {
+            const m = String(v ?? '').trim().match(DMY);
+            if (!m) continue;
+            if (+m[1] > 12) dayFirst++;
+            else if (+m[2] > 12) monthFirst++;
+        }
+        return monthFirst <= dayFirst;
+    }
+
+    /**
+     * detectDateColumns(rows, fields, { sample, threshold })
+     * Columnas con al menos `threshold` de valores (no vacíos) que se leen como fecha,
+     * mirando las primeras `sample` filas. Primero las que se llaman "Fecha" o parecido.
+     */
+    function detectDateColumns(rows, fields, { sample = 200, threshold = 0.8 } = {}) {
+        const head = rows.slice(0, sample);
+        const found = [];
+        for (const field of fields) {
+            const values = head.map(r => r[field]).filter(v => String(v ?? '').trim() !== '');
+            if (!values.length) continue;
+            const dayFirst = guessDayFirst(values);
+            const ok = values.filter(v => parseDate(v, { dayFirst }) != null).length;
+            if (ok / values.length >= threshold) found.push(field);
+        }
+        return found.sort((a, b) => NAME_HINT.test(b) - NAME_HINT.test(a));
+    }
+
+    function monthStart(t) {
+        const d = new Date(t);
+        return new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+    }
+
+    function nextMonth(t) {
+        const d = new Date(t);
+        return new Date(d.getFullYear(), d.getMonth() + 1, 1).getTime();
+    }
+
+    function monthKey(t) {
+        const d = new Date(t);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    // '2024-03' -> { start, end } (end = inicio del mes siguiente); null si la clave no es válida
+    function monthBounds(key) {
+        const m = String(key || '').match(/^(\d{4})-(\d{1,2})$/);
+        if (!m || +m[2] < 1 || +m[2] > 12) return null;
+        const start = new Date(+m[1], +m[2] - 1, 1).getTime();
+        return { start, end: nextMonth(start) };
+    }
+
+    /**
+     * monthlyHistogram(timestamps)
+     * [{ key: '2024-03', start, end, count, cumulative }] desde el primer mes con datos
+     * hasta el último; end es el inicio del mes siguiente (exclusivo).
+     */
+    function monthlyHistogram(timestamps) {
+        const times = timestamps.filter(Number.isFinite);
+        if (!times.length) return [];
+        const counts = new Map();
+        let min = Infinity, max = -Infinity; // sin Math.min(...times): con muchas filas desborda la pila
+        for (const t of times) {
+            const k = monthKey(t);
+            counts.set(k, (counts.get(k) || 0) + 1);
+            if (t < min) min = t;
+            if (t > max) max = t;
+        }
+        const last = monthStart(max);
+        const bins = [];
+        let cumulative = 0;
+        for (let start = monthStart(min); start <= last; start = nextMonth(start)) {
+            const key = monthKey(start);
+            const count = counts.get(key) || 0;
+            cumulative += count;
+            bins.push({ key, start, end: nextMonth(start), count, cumulative });
+        }
+        return bins;
+    }
+
+    const api = {
+        parseDate,
+        guessDayFirst,
+        detectDateColumns,
+        monthKey,
+        monthBounds,
+        monthlyHistogram,
+    };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Timeline = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,165 @@
+/*
+  Revisión de los datos antes de geocodificar.
+  - validate(rows, { fields, columns, parseNumber, bounds }): lista de problemas
+      columns = { address, barrio, city, lat, lon } (nombres de columna, como el mapeo del importador)
+      Cada problema: { type, rows: [índices], message, params, fix } donde fix (opcional) son las
+      coordenadas corregidas { lat, lon } ('' = borrarlas para geocodificar por dirección).
+      message es el detalle en español (el del informe); params, los valores para armarlo
+      en otro idioma ({ lat, lon } o { count } según el tipo)
+  - applyFix(row, issue, columns): escribe la corrección en las columnas de la fila
+  - toCSV(issues, { rowLabel, statusOf, typeLabel, detailOf, header }): el informe para descargar
+      (en español salvo que se pasen los textos en otro idioma)
+  Tipos: missing (nada para ubicar), bad-coords (Lat/Lon incompletas o ilegibles),
+  outside (fuera de Argentina), swapped (Lat/Lon invertidas), decimal (sin separador decimal),
+  duplicate (filas idénticas) y near-duplicate (misma dirección escrita distinto).
+*/
+(function (root) {
+    // Argentina continental, Tierra del Fuego y Malvinas
+    const AR_BOUNDS = { south: -55.2, north: -21.7, west: -73.7, east: -53.5 };
+
+    const TYPES = {
+        missing: 'Sin datos para ubicar',
+        'bad-coords': 'Coordenadas incompletas',
+        outside: 'Fuera de Argentina',
+        swapped: 'Lat/Lon invertidas',
+        decimal: 'Sin separador decimal',
+        duplicate: 'Filas repetidas',
+        'near-duplicate': 'Posibles repetidas',
+    };
+
+    // Abreviaturas habituales en las direcciones, para comparar "Av. Gral Paz" con "Avenida General Paz"
+    const ABBREVIATIONS = { av: 'avenida', avda: 'avenida', gral: 'general', pje: 'pasaje', bv: 'bulevar', bvd: 'bulevar', bvard: 'bulevar', dr: 'doctor', pte: 'presidente', sta: 'santa', sto: 'santo' };
+    const NUMBER_WORDS = new Set(['n', 'nro', 'no', 'num', 'numero']);
+
+    function defaultParseNumber(v) {
+        return parseFloat(String(v ?? '').trim().replace(',', '.'));
+    }
+
+    function fold(v) {
+        return String(v ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+
+    function addressKey(...parts) {
+        return parts.map(p => fold(p)
+            .replace(/[^a-z0-9ñ]+/g, ' ')
+            .split(' ')
+            .filter(w => w && !NUMBER_WORDS.has(w))
+            .map(w => ABBREVIATIONS[w] || w)
+            .join(' ')).join('|');
+    }
+
+    function inside(lat, lon, b) {
+        return lat >= b.south && lat <= b.north && lon >= b.west && lon <= b.east;
+    }
+
+    // "-34603722" -> -34.603722: la primera potencia de 10 que deja el valor dentro del rango
+    function rescale(value, min, max) {
+        for (let k = 1; k <= 9; k++) {
+            const v = value / 10 ** k;
+            if (v >= min && v <= max) return v;
+        }
+        return null;
+    }
+
+    function coordinateIssue(lat, lon, rawLat, rawLon, b) {
+        const blank = v => String(v ?? '').trim() === '';
+        if (blank(rawLat) && blank(rawLon)) return null;
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            return { type: 'bad-coords', message: `Lat/Lon incompletas o ilegibles (${rawLat ?? ''} / ${rawLon ?? ''})`, params: { lat: rawLat ?? '', lon: rawLon ?? '' }, fix: { lat: '', lon: '' } };
+        }
+        if (inside(lat, lon, b)) return null;
+        if (inside(lon, lat, b)) {
+            return { type: 'swapped', message: `Lat/Lon invertidas (${lat}, ${lon})`, params: { lat, lon }, fix: { lat: lon, lon: lat } };
+        }
+        const fixLat = lat >= b.south && lat <= b.north ? lat : rescale(lat, b.south, b.north);
+        const fixLon = lon >= b.west && lon <= b.east ? lon : rescale(lon, b.west, b.east);
+        if (fixLat != null && fixLon != null && inside(fixLat, fixLon, b)) {
+            return { type: 'decimal', message: `Coordenadas sin separador decimal (${rawLat}, ${rawLon})`, params: { lat: rawLat, lon: rawLon }, fix: { lat: fixLat, lon: fixLon } };
+        }
+        return { type: 'outside', message: `Coordenadas fuera de Argentina (${lat}, ${lon})`, params: { lat, lon }, fix: { lat: '', lon: '' } };
+    }
+
+    /**
+     * validate(rows, { fields, columns, parseNumber, bounds })
+     * Devuelve [{ type, rows, message, params, fix }]. Para las repetidas, rows tiene todas las filas
+     * del grupo y la primera es la que se conserva.
+     */
+    function validate(rows, { fields = null, columns = {}, parseNumber = defaultParseNumber, bounds = AR_BOUNDS } = {}) {
+        const cols = fields || Object.keys(rows[0] || {});
+        const value = (row, role) => (columns[role] ? String(row[columns[role]] ?? '').trim() : '');
+        const issues = [];
+        const exact = new Map(); // todas las columnas -> filas
+        rows.forEach((row, idx) => {
+            const rawLat = columns.lat ? row[columns.lat] : '';
+            const rawLon = columns.lon ? row[columns.lon] : '';
+            const coordIssue = columns.lat && columns.lon
+                ? coordinateIssue(parseNumber(rawLat), parseNumber(rawLon), rawLat, rawLon, bounds)
+                : null;
+            const hasCoords = columns.lat && columns.lon && String(rawLat ?? '').trim() !== '' && String(rawLon ?? '').trim() !== '';
+            if (!value(row, 'address') && !value(row, 'barrio') && !hasCoords) {
+                issues.push({ type: 'missing', rows: [idx], message: 'Sin dirección, barrio ni coordenadas', params: {} });
+            } else if (coordIssue) {
+                // Sin dirección no hay con qué geocodificar: borrar las coordenadas no arregla nada
+                if (coordIssue.fix && coordIssue.fix.lat === '' && !value(row, 'address') && !value(row, 'barrio')) delete coordIssue.fix;
+                issues.push({ ...coordIssue, rows: [idx] });
+            }
+            const key = cols.map(f => String(row[f] ?? '').trim()).join('\u0001');
+            if (!exact.has(key)) exact.set(key, []);
+            exact.get(key).push(idx);
+        });
+
+        const near = new Map(); // dirección normalizada (o coordenadas) -> primeras filas de cada grupo exacto
+        for (const group of exact.values()) {
+            if (group.length > 1) issues.push({ type: 'duplicate', rows: group, message: `${group.length} filas idénticas`, params: { count: group.length } });
+            const row = rows[group[0]];
+            const address = value(row, 'address');
+            let key = '';
+            if (address) key = addressKey(address, value(row, 'barrio'), value(row, 'city'));
+            else if (columns.lat && columns.lon) {
+                const lat = parseNumber(row[columns.lat]), lon = parseNumber(row[columns.lon]);
+                if (Number.isFinite(lat) && Number.isFinite(lon)) key = `@${lat.toFixed(5)},${lon.toFixed(5)}`;
+            }
+            if (!key) continue;
+            if (!near.has(key)) near.set(key, []);
+            near.get(key).push(group[0]);
+        }
+        for (const group of near.values()) {
+            if (group.length > 1) issues.push({ type: 'near-duplicate', rows: group.sort((a, b) => a - b), message: `${group.length} filas con la misma dirección`, params: { count: group.length } });
+        }
+        return issues;
+    }
+
+    function applyFix(row, issue, columns) {
+        if (!issue.fix || !columns.lat || !columns.lon) return false;
+        row[columns.lat] = String(issue.fix.lat);
+        row[columns.lon] = String(issue.fix.lon);
+        return true;
+    }
+
+    /**
+     * toCSV(issues, { rowLabel, statusOf, typeLabel, detailOf, header })
+     * Una línea por fila afectada: Fila, Problema, Detalle, Estado y la descripción de la fila.
+     * rowLabel(idx) -> texto para identificar la fila; statusOf(issue) -> 'Pendiente' / 'Corregido' / ...
+     * typeLabel(type), detailOf(issue) y header (los 5 encabezados) cambian el idioma del informe.
+     */
+    function toCSV(issues, {
+        rowLabel = () => '',
+        statusOf = () => '',
+        typeLabel = type => TYPES[type] || type,
+        detailOf = issue => issue.message,
+        header = ['Fila', 'Problema', 'Detalle', 'Estado', 'Datos'],
+    } = {}) {
+        const q = v => '"' + String(v ?? '').replace(/"/g, '""') + '"';
+        const lines = [];
+        for (const issue of issues) {
+            for (const idx of issue.rows) {
+                lines.push([idx + 1, typeLabel(issue.type), detailOf(issue), statusOf(issue), rowLabel(idx)].map(q).join(','));
+            }
+        }
+        return [header.join(','), ...lines].join('\n');
+    }
+
+    const api = { AR_BOUNDS, TYPES, validate, applyFix, toCSV, addressKey };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else root.Validation = api;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,462 @@
+/*
+  Mapa embebible para otros sitios: NuevoImpulsoMap.create(el, options).
+  Cada instancia tiene su propio mapa, datos, filtros y eventos: nada global ni compartido con app.js.
+  Requiere Leaflet (leaflet.markercluster para agrupar) y importers.js, dataset.js y categories.js.
+  options = {
+    dataUrl,        // archivo a cargar (CSV, GeoJSON, KML; planillas si está SheetJS)
+    data,           // o los datos directamente (ver setData)
+    cacheUrl,       // geocoded.json: coordenadas para las filas que no las traen
+    mapping,        // columnas por rol { address, barrio, region, city, lat, lon } (por defecto se adivinan)
+    idField,        // columna con el id de cada encuentro (por defecto la clave de dirección)
+    filters,        // { text, regions, barrios, categories } (ver filter)
+    theme,          // 'light' | 'dark'
+    palette,        // id de Categories.PALETTES o lista de colores
+    colorBy,        // columna que define el color (por defecto la región)
+    cluster,        // 0..100 como el slider de la página (0 = sin agrupar)
+    center, zoom,   // vista inicial (por defecto Argentina)
+    popup(row),     // HTML propio del popup (por defecto dirección, barrio y región, escapados)
+    storageKey,     // si se indica, recuerda la vista en localStorage bajo ui:widget:<storageKey>:
+  }
+  Métodos: load(url), setData(data, { fields, mapping, format }), filter(filters), fitToData(),
+  focus(id), getRows(), setTheme(theme), setCluster(value), on/off(evento, fn), destroy().
+  Eventos: loaded { total, located, unlocated }, progress { phase, done, total },
+  markerclick { id, row, lat, lon }, filter { matched, total }, error { error }. También se
+  emiten en el contenedor como CustomEvent 'nuevoimpulso:<evento>'.
+  autoInit() crea un mapa por cada elemento con data-nuevoimpulso-map (ver README).
+*/
+(function (root) {
+    const TILES = {
+        light: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+        dark: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    };
+    const ATTRIBUTION = '&copy; OpenStreetMap & CARTO';
+    const DEFAULTS = { center: [-38.4161, -63.6167], zoom: 4, theme: 'light', palette: 'nuevo-impulso', cluster: 40 };
+    const MARKER_BATCH = 2000; // marcadores por tanda al cargar; entre tanda y tanda se libera el hilo
+    const STORAGE_PREFIX = 'ui:widget:'; // + storageKey + ':' + clave
+    const EVENT_PREFIX = 'nuevoimpulso:';
+
+    const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+    function escapeHtml(v) {
+        return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    // Minúsculas y sin tildes, para que "cordoba" encuentre "Córdoba"
+    function fold(v) { return String(v ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim(); }
+
+    // "a, b" o ['a', 'b'] -> Set de textos
+    function toSet(v) {
+        const list = Array.isArray(v) ? v : (v == null || v === '' ? [] : String(v).split(','));
+        return new Set(list.map(x => String(x).trim()).filter(Boolean));
+    }
+
+    function normalizeFilters(f = {}) {
+        return { text: String(f.text || '').trim(), regions: toSet(f.regions), barrios: toSet(f.barrios), categories: toSet(f.categories) };
+    }
+
+    // geocoded.json en cualquiera de sus formatos (ver GeoCache.importData) -> Map clave -> { lat, lon, ... }
+    function readCache(data) {
+        const out = new Map();
+        const raw = data && Array.isArray(data.entries) ? data.entries.map(e => [e.key, e]) : Object.entries(data || {});
+        for (const [key, v] of raw) {
+            // matchType 'query': resultado de una consulta suelta, no de una fila
+            if (!key || !v || v.matchType === 'query' || !Number.isFinite(+v.lat) || !Number.isFinite(+v.lon)) continue;
+            out.set(Dataset.normalizeAddressForKey(key), { ...v, lat: +v.lat, lon: +v.lon });
+        }
+        return out;
+    }
+
+    // Texto u ArrayBuffer sin formato explícito: se mira el primer carácter
+    function sniffFormat(data) {
+        const head = typeof data === 'string' ? data.trimStart()[0] : '';
+        return head === '{' ? 'geojson' : head === '<' ? 'kml' : 'csv';
+    }
+
+    function create(el, options = {}) {
+        const container = typeof el === 'string' ? document.querySelector(el) : el;
+        if (!container) throw new Error('NuevoImpulsoMap: no se encontró el contenedor');
+        const L = root.L;
+        if (!L) throw new Error('NuevoImpulsoMap necesita Leaflet');
+
+        // Las opciones sin valor (p. ej. atributos data-* ausentes) no pisan los valores por defecto
+        const opts = { ...DEFAULTS, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined)) };
+        const listeners = new Map(); // evento -> Set de funciones
+        let items = []; // [{ id, row, geo, marker }] una por fila, en el orden del archivo
+        let byId = new Map();
+        let fields = [];
+        let mapping = opts.mapping || null;
+        let scale = null;
+        let filters = normalizeFilters(opts.filters);
+        let clusterValue = Math.max(0, Math.min(100, Number(opts.cluster) || 0));
+        let theme = opts.theme === 'dark' ? 'dark' : 'light';
+        let coordsCache = new Map(); // de cacheUrl
+        let loadId = 0; // cambia con cada carga: las tandas de una carga anterior se descartan
+        const iconCache = new Map();
+
+        // --- Contenedor y mapa ---
+        container.classList.add('nim-widget');
+        const mapEl = document.createElement('div');
+        mapEl.className = 'nim-map';
+        const statusEl = document.createElement('div');
+        statusEl.className = 'nim-status';
+        statusEl.setAttribute('role', 'status');
+        statusEl.hidden = true;
+        container.append(mapEl, statusEl);
+
+        const storageKey = opts.storageKey ? `${STORAGE_PREFIX}${opts.storageKey}:` : null;
+        function recall(key) {
+            if (!storageKey) return null;
+            try { return JSON.parse(localStorage.getItem(storageKey + key) || 'null'); } catch (_) { return null; }
+        }
+        function remember(key, value) {
+            if (!storageKey) return;
+            try { localStorage.setItem(storageKey + key, JSON.stringify(value)); } catch (_) { /* ignore */ }
+        }
+
+        const savedView = recall('view');
+        const map = L.map(mapEl, { minZoom: 3, worldCopyJump: true })
+            .setView(savedView ? savedView.center : opts.center, savedView ? savedView.zoom : opts.zoom);
+        const tiles = L.tileLayer(TILES[theme], { attribution: ATTRIBUTION, subdomains: 'abcd', maxZoom: 20 }).addTo(map);
+        container.classList.toggle('nim-dark', theme === 'dark');
+        map.on('moveend', () => {
+            const c = map.getCenter();
+            remember('view', { center: [+c.lat.toFixed(5), +c.lng.toFixed(5)], zoom: map.getZoom() });
+        });
+        let group = createGroup();
+        map.addLayer(group);
+
+        // --- Eventos ---
+        function on(name, fn) {
+            if (!listeners.has(name)) listeners.set(name, new Set());
+            listeners.get(name).add(fn);
+            return () => off(name, fn);
+        }
+        function off(name, fn) {
+            if (listeners.has(name)) listeners.get(name).delete(fn);
+        }
+        function emit(name, detail) {
+            (listeners.get(name) || []).forEach(fn => {
+                try { fn(detail); } catch (e) { console.error(e); }
+            });
+            container.dispatchEvent(new CustomEvent(EVENT_PREFIX + name, { detail }));
+        }
+
+        function setStatus(text, kind = '') {
+            statusEl.textContent = text;
+            statusEl.hidden = !text;
+            statusEl.classList.toggle('error', kind === 'error');
+        }
+
+        // Muestra el error en el contenedor, lo avisa con el evento error y lo vuelve a lanzar
+        function fail(error, text) {
+            setStatus(text, 'error');
+            emit('error', { error });
+            throw error;
+        }
+
+        // --- Estilo ---
+        function categoryValue(row) {
+            return opts.colorBy ? String(row[opts.colorBy] ?? '').trim() : Dataset.rowText(row, mapping, 'region');
+        }
+
+        function refreshScale() {
+            const palette = Array.isArray(opts.palette) ? opts.palette : Categories.paletteColors(opts.palette);
+            scale = Categories.createCategoryScale(items.map(it => categoryValue(it.row)), { palette });
+        }
+
+        function iconFor(item) {
+            const style = scale ? scale.styleOf(categoryValue(item.row)) : {};
+            const warning = !!(item.geo && item.geo.lowConfidence);
+            const key = [style.color, style.shape, warning].join('|');
+            if (!iconCache.has(key)) {
+                const pin = !style.shape || style.shape === 'pin';
+                iconCache.set(key, L.divIcon({
+                    className: 'nim-marker',
+                    html: Categories.markerSVG({ color: style.color, shape: style.shape, warning }),
+                    iconSize: pin ? [28, 40] : [24, 24],
+                    iconAnchor: pin ? [14, 40] : [12, 12],
+                    popupAnchor: [0, pin ? -36 : -10],
+                }));
+            }
+            return iconCache.get(key);
+        }
+
+        // Mismo criterio que el slider de la página: 0..100 -> 0..200 px, 0 = sin agrupar
+        function createGroup() {
+            if (!clusterValue || typeof L.markerClusterGroup !== 'function') return L.layerGroup();
+            return L.markerClusterGroup({
+                showCoverageOnHover: false,
+                animateAddingMarkers: false,
+                maxClusterRadius: Math.round((clusterValue / 100) * 200),
+                iconCreateFunction(cluster) {
+                    const count = cluster.getChildCount();
+                    const size = count < 20 ? 40 : count < 100 ? 48 : 56;
+                    const counts = new Map();
+                    for (const m of cluster.getAllChildMarkers()) {
+                        const key = scale ? scale.keyOf(categoryValue(m.options.item.row)) : '';
+                        counts.set(key, (counts.get(key) || 0) + 1);
+                    }
+                    const parts = scale ? scale.entries.map(e => ({ color: e.color, count: counts.get(e.key) || 0 })) : [{ color: '#22c55e', count }];
+                    return L.divIcon({ html: Categories.donutSVG(parts, { size, label: count }), className: 'nim-cluster', iconSize: L.point(size, size) });
+                },
+            });
+        }
+
+        function popupHtml(item) {
+            if (typeof opts.popup === 'function') return opts.popup(item.row);
+            const line = (label, value) => (value ? `<div><strong>${label}:</strong> ${escapeHtml(value)}</div>` : '');
+            return `<div class="nim-popup">
+                ${line('Dirección', Dataset.rowText(item.row, mapping, 'address'))}
+                ${line('Barrio', Dataset.rowText(item.row, mapping, 'barrio'))}
+                ${line('Localidad', Dataset.rowText(item.row, mapping, 'city'))}
+                ${line('Región', Dataset.rowText(item.row, mapping, 'region'))}
+            </div>`;
+        }
+
+        function markerFor(item) {
+            const m = L.marker([item.geo.lat, item.geo.lon], { icon: iconFor(item), item });
+            m.bindPopup(() => popupHtml(item));
+            m.on('click', () => emit('markerclick', { id: item.id, row: item.row, lat: item.geo.lat, lon: item.geo.lon }));
+            return m;
+        }
+
+        // --- Filtros ---
+        function matches(item) {
+            const row = item.row;
+            if (filters.regions.size && !filters.regions.has(Dataset.rowText(row, mapping, 'region'))) return false;
+            if (filters.barrios.size && !filters.barrios.has(Dataset.rowText(row, mapping, 'barrio'))) return false;
+            if (filters.categories.size && !filters.categories.has(categoryValue(row))) return false;
+            if (filters.text) {
+                const haystack = Object.values(row).map(fold).join(' ');
+                if (!fold(filters.text).split(/\s+/).every(tok => haystack.includes(tok))) return false;
+            }
+            return true;
+        }
+
+        function located() { return items.filter(it => it.marker); }
+
+        function redraw() {
+            group.clearLayers();
+            const shown = located().filter(matches).map(it => it.marker);
+            if (typeof group.addLayers === 'function') group.addLayers(shown);
+            else shown.forEach(m => group.addLayer(m));
+            return shown.length;
+        }
+
+        /**
+         * filter({ text, regions, barrios, categories })
+         * Reemplaza los filtros (sin argumentos los borra). regions/barrios/categories son
+         * listas de valores a mostrar (o texto separado por comas); categories usa la columna colorBy.
+         * Devuelve cuántos encuentros quedan.
+         */
+        function filter(next = {}) {
+            filters = normalizeFilters(next);
+            const matched = redraw();
+            emit('filter', { matched, total: located().length });
+            return matched;
+        }
+
+        // --- Datos ---
+        async function showData(data, { fields: inFields, mapping: inMapping, format } = {}) {
+            const runId = ++loadId;
+            let rows;
+            if (Array.isArray(data)) {
+                rows = data;
+                fields = inFields || Object.keys(rows[0] || {});
+            } else {
+                emit('progress', { phase: 'parse', done: 0, total: 1 });
+                const parsed = Importers.parseFile(data, format || sniffFormat(data));
+                fields = parsed.fields;
+                rows = Importers.normalizeRows(parsed.rows, fields);
+                emit('progress', { phase: 'parse', done: 1, total: 1 });
+            }
+            mapping = inMapping || opts.mapping || Importers.guessMapping(fields);
+
+            group.clearLayers();
+            items = rows.map((row, idx) => {
+                const coords = Dataset.coordsOf(row, mapping);
+                const key = Dataset.addressKey(row, mapping);
+                const geo = coords ? Dataset.readGeoColumns(row, coords) : (key && coordsCache.get(key)) || null;
+                const id = opts.idField ? String(row[opts.idField] ?? '') : key || `#${idx + 1}`;
+                return { id, row, geo, marker: null };
+            });
+            byId = new Map();
+            items.forEach(it => { if (it.id && !byId.has(it.id)) byId.set(it.id, it); });
+            refreshScale();
+            iconCache.clear();
+
+            // Marcadores por tandas: con decenas de miles de filas la página no se congela
+            const withGeo = items.filter(it => it.geo);
+            for (let start = 0; start < withGeo.length; start += MARKER_BATCH) {
+                const batch = withGeo.slice(start, start + MARKER_BATCH);
+                batch.forEach(it => { it.marker = markerFor(it); });
+                const shown = batch.filter(matches).map(it => it.marker);
+                if (typeof group.addLayers === 'function') group.addLayers(shown);
+                else shown.forEach(m => group.addLayer(m));
+                emit('progress', { phase: 'markers', done: Math.min(start + MARKER_BATCH, withGeo.length), total: withGeo.length });
+                await sleep(0);
+                if (runId !== loadId) return null;
+            }
+            const detail = { total: items.length, located: withGeo.length, unlocated: items.length - withGeo.length };
+            setStatus(items.length ? '' : 'No hay encuentros para mostrar');
+            emit('loaded', detail);
+            return detail;
+        }
+
+        /**
+         * setData(data, { fields, mapping, format })
+         * data: filas [{ columna: valor }], texto (CSV/GeoJSON/KML) o ArrayBuffer.
+         * Las filas sin coordenadas se ubican con cacheUrl (por dirección); si no están, quedan
+         * fuera del mapa y se cuentan en unlocated del evento loaded.
+         * Si el archivo no se puede leer, emite error y rechaza la promesa.
+         */
+        async function setData(data, options) {
+            try {
+                return await showData(data, options);
+            } catch (error) {
+                return fail(error, 'No se pudieron leer los encuentros');
+            }
+        }
+
+        async function fetchOk(url) {
+            const res = await fetch(url, { cache: 'no-cache' });
+            if (!res.ok) throw new Error(`No se pudo cargar ${url} (${res.status})`);
+            return res;
+        }
+
+        async function loadCache(url) {
+            coordsCache = readCache(await (await fetchOk(url)).json());
+        }
+
+        // Descarga y muestra un archivo; el formato sale de la extensión (ver Importers.detectFormat)
+        async function load(url) {
+            setStatus('Cargando encuentros…');
+            emit('progress', { phase: 'download', done: 0, total: 1 });
+            try {
+                const res = await fetchOk(url);
+                const path = new URL(url, root.location ? root.location.href : undefined).pathname;
+                const buffer = await res.arrayBuffer();
+                return await showData(buffer, { format: Importers.detectFormat(path, res.headers.get('content-type') || '') });
+            } catch (error) {
+                return fail(error, 'No se pudieron cargar los encuentros');
+            }
+        }
+
+        // --- Vista ---
+        function fitToData({ padding = [30, 30], maxZoom = 14 } = {}) {
+            const pts = located().filter(matches).map(it => [it.geo.lat, it.geo.lon]);
+            if (!pts.length) return false;
+            map.fitBounds(L.latLngBounds(pts), { padding, maxZoom });
+            return true;
+        }
+
+        // Centra y abre el popup de un encuentro (id: idField o la clave de dirección)
+        function focus(id, { zoom = 16 } = {}) {
+            const item = byId.get(String(id)) || byId.get(Dataset.normalizeAddressForKey(String(id)));
+            if (!item || !item.marker) return false;
+            const open = () => item.marker.openPopup();
+            if (group.hasLayer(item.marker) && typeof group.zoomToShowLayer === 'function') {
+                group.zoomToShowLayer(item.marker, open);
+            } else {
+                if (!map.hasLayer(item.marker)) {
+                    // Filtrado: se muestra igual hasta que se cierra el popup
+                    item.marker.addTo(map);
+                    item.marker.once('popupclose', () => { if (!group.hasLayer(item.marker)) map.removeLayer(item.marker); });
+                }
+                map.setView(item.marker.getLatLng(), Math.max(map.getZoom(), zoom));
+                open();
+            }
+            return true;
+        }
+
+        function setTheme(next) {
+            theme = next === 'dark' ? 'dark' : 'light';
+            tiles.setUrl(TILES[theme]);
+            container.classList.toggle('nim-dark', theme === 'dark');
+        }
+
+        function setCluster(value) {
+            clusterValue = Math.max(0, Math.min(100, Number(value) || 0));
+            map.removeLayer(group);
+            group = createGroup();
+            map.addLayer(group);
+            redraw();
+        }
+
+        function destroy() {
+            loadId++;
+            listeners.clear();
+            map.remove();
+            mapEl.remove();
+            statusEl.remove();
+            container.classList.remove('nim-widget', 'nim-dark');
+        }
+
+        const instance = {
+            map,
+            on,
+            off,
+            load,
+            setData,
+            filter,
+            fitToData,
+            focus,
+            setTheme,
+            setCluster,
+            destroy,
+            // Filas con su id y coordenadas ({ id, row, lat, lon } sin coordenadas si no se ubicó)
+            getRows({ filtered = false } = {}) {
+                return items.filter(it => !filtered || (it.marker && matches(it)))
+                    .map(it => ({ id: it.id, row: it.row, lat: it.geo ? it.geo.lat : null, lon: it.geo ? it.geo.lon : null }));
+            },
+        };
+
+        // Carga inicial: primero la cache (si hay) para ubicar las filas sin coordenadas
+        instance.ready = (async () => {
+            await sleep(0); // da tiempo a registrar los on(...) después de create
+            if (opts.cacheUrl) {
+                try { await loadCache(opts.cacheUrl); } catch (error) { emit('error', { error }); }
+            }
+            if (opts.dataUrl) await load(opts.dataUrl);
+            else if (opts.data) await setData(opts.data);
+        })().catch(() => { /* load y setData ya lo mostraron y lo avisaron con el evento error */ });
+
+        return instance;
+    }
+
+    /**
+     * autoInit(scope)
+     * <div data-nuevoimpulso-map data-url="…" data-cache-url="…" data-theme="dark"
+     *      data-cluster="40" data-regions="1,2" data-storage-key="…"></div>
+     * La instancia queda en el elemento como el.nuevoImpulsoMap.
+     */
+    function autoInit(scope = root.document) {
+        return Array.from(scope.querySelectorAll('[data-nuevoimpulso-map]'))
+            .filter(el => !el.nuevoImpulsoMap)
+            .map(el => {
+                const d = el.dataset;
+                el.nuevoImpulsoMap = create(el, {
+                    dataUrl: d.url,
+                    cacheUrl: d.cacheUrl,
+                    theme: d.theme,
+                    cluster: d.cluster != null ? Number(d.cluster) : DEFAULTS.cluster,
+                    palette: d.palette || DEFAULTS.palette,
+                    colorBy: d.colorBy,
+                    idField: d.idField,
+                    storageKey: d.storageKey,
+                    filters: { text: d.text, regions: d.regions, barrios: d.barrios },
+                });
+                return el.nuevoImpulsoMap;
+            });
+    }
+
+    const api = { create, autoInit, escapeHtml };
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    else {
+        root.NuevoImpulsoMap = api;
+        if (root.document) {
+            if (root.document.readyState === 'loading') root.document.addEventListener('DOMContentLoaded', () => autoInit());
+            else autoInit();
+        }
+    }
+})(typeof self !== 'undefined' ? self : this);